@@ -0,0 +1,81 @@
+/* config.js
+ *
+ * provides the configuration of the app, and reads the configuration of the hosting page.
+ */
+
+export const APP_PATH = "";
+
+/**
+ * The default configuration of the app. Each setting can be overridden by the hosting page through
+ * a global `RESTAURANT_REVIEWS_CONFIG` object, and the settings of URL_CONFIG_KEYS by a query
+ * string parameter of the same name, e.g. `?dataSource=rest&reviewsBackend=http`.
+ *
+ * @type {{dataSource: string, dataUrl: string, reviewsBackend: string, apiUrl: string,
+ * locationProvider: string, geocodingUrl: string, mapProvider: string, mapboxAccessToken: string,
+ * mapboxStyle: string, tileUrl: string, tileAttribution: string, tileOfflineUse: boolean,
+ * routingEngine: string, routingUrl: string}}
+ */
+export const DEFAULT_APP_CONFIG = {
+  // where restaurants are loaded from: "static" (dataUrl JSON file), "rest" (apiUrl server) or
+  // "memory" (the `restaurants` fixture of the hosting page's config object)
+  dataSource: "static",
+  dataUrl: `${APP_PATH}/data/restaurants.json`,
+  // where submitted reviews are sent: "local" (in-browser store) or "http" (apiUrl server)
+  reviewsBackend: "local",
+  apiUrl: "http://localhost:1337",
+  // how the user is located: "browser" (geolocation API, and addresses looked up at the
+  // geocodingUrl Nominatim compatible service) or "fixed" (the `location` and `addresses`
+  // fixtures of the hosting page's config object)
+  locationProvider: "browser",
+  geocodingUrl: "https://nominatim.openstreetmap.org/search",
+  // how the map is shown: "mapbox" (Mapbox GL with the mapboxAccessToken of the hosting page and
+  // mapboxStyle, or else the Leaflet map), "leaflet" (Leaflet with the raster tiles of tileUrl) or
+  // "schematic" (markers on a plain grid, also the fallback if the configured map cannot be shown)
+  mapProvider: "mapbox",
+  mapboxAccessToken: "",
+  mapboxStyle: "mapbox://styles/mapbox/light-v10",
+  tileUrl: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+  tileAttribution:
+    `&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors`,
+  // whether the tile server of tileUrl allows saving its tiles for offline use, which the
+  // OpenStreetMap tile servers do not
+  tileOfflineUse: false,
+  // how directions to restaurants are found: "osrm" (the routingUrl OSRM compatible service) or
+  // "straight" (estimated along a straight line)
+  routingEngine: "osrm",
+  routingUrl: "https://routing.openstreetmap.de/routed-{profile}/route/v1/driving"
+};
+
+/**
+ * The settings which can be overridden from the query string. They only choose among the
+ * implementations of the app, while urls and markup, e.g. `apiUrl` or `tileAttribution`, are
+ * left to the hosting page, so a crafted link cannot send the data of the user elsewhere or
+ * inject markup.
+ *
+ * @type {string[]}
+ */
+export const URL_CONFIG_KEYS = [
+  "dataSource",
+  "reviewsBackend",
+  "locationProvider",
+  "mapProvider",
+  "routingEngine"
+];
+
+/**
+ * Reads the app configuration, applying overrides from the hosting page and the query string to
+ * the default configuration.
+ *
+ * @returns {object} the app configuration
+ */
+export function readAppConfig() {
+  const config = Object.assign({}, DEFAULT_APP_CONFIG, window.RESTAURANT_REVIEWS_CONFIG);
+
+  // only settings choosing an implementation can be overridden from the query string
+  const searchParams = new URLSearchParams(window.location.search);
+  for (const key of URL_CONFIG_KEYS) {
+    if (searchParams.has(key)) config[key] = searchParams.get(key);
+  }
+
+  return config;
+}
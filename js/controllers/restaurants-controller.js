@@ -0,0 +1,1212 @@
+/* controllers/restaurants-controller.js
+ *
+ * provides the controller managing the model and the views of the app.
+ */
+
+import { DEFAULT_APP_CONFIG } from "../config.js";
+import { OfflineAreasModel } from "../models/offline-areas-model.js";
+import { RestaurantsModel } from "../models/restaurants-model.js";
+import { BrowserLocationProvider } from "../services/location-providers.js";
+import { REVIEW_OUTBOX_UPDATED_MESSAGE } from "../services/review-outbox.js";
+import { RoutingEngine, OsrmRoutingEngine } from "../services/routing-engines.js";
+import { OperatingHours } from "../utils/operating-hours.js";
+import { TextSearch } from "../utils/text-search.js";
+
+/**
+ * The message asking a waiting service worker to activate, handled by `sw.js`.
+ *
+ * @type {string}
+ */
+const SERVICE_WORKER_SKIP_WAITING_MESSAGE = "skip-waiting";
+
+/**
+ * The single MVC controller for the app.
+ * Controls the views for: app, restaurants, and map, and the model for restaurants
+ */
+export class RestaurantsController {
+  /**
+   * The views are attached once created, as they are created with the controller, cf.
+   * attachViews.
+   *
+   * @param {RestaurantsModel} param.model - The model of the restaurants.
+   * @param {LocationProvider} param.locationProvider - The provider locating the user.
+   * @param {RoutingEngine} param.routingEngine - The engine finding directions to restaurants.
+   * @param {string} param.idPrefix - The prefix of the element ids of the instance of the app.
+   */
+  constructor({
+    model = new RestaurantsModel(),
+    locationProvider = new BrowserLocationProvider(DEFAULT_APP_CONFIG.geocodingUrl),
+    routingEngine = new OsrmRoutingEngine(DEFAULT_APP_CONFIG.routingUrl),
+    idPrefix = ""
+  } = {}) {
+    /**
+     * The model of the restaurants.
+     *
+     * @type {RestaurantsModel}
+     */
+    this.model = model;
+    /**
+     * The general view of the app.
+     *
+     * @type {AppView}
+     */
+    this.appView = null;
+    /**
+     * The view of the filter panel.
+     *
+     * @type {RestaurantsFilterPanelView}
+     */
+    this.filterView = null;
+    /**
+     * The view of the restaurant list panel.
+     *
+     * @type {RestaurantsListPanelView}
+     */
+    this.restaurantsView = null;
+    /**
+     * The view of the map.
+     *
+     * @type {MapView}
+     */
+    this.mapView = null;
+    /**
+     * The provider locating the user.
+     *
+     * @type {LocationProvider}
+     */
+    this.locationProvider = locationProvider;
+    /**
+     * The engine finding directions to restaurants.
+     *
+     * @type {RoutingEngine}
+     */
+    this.routingEngine = routingEngine;
+    /**
+     * The prefix of the element ids of the instance of the app, which keeps them unique when
+     * several instances are mounted in a page, cf. View.prefixElementIds.
+     *
+     * @type {string}
+     */
+    this.idPrefix = idPrefix;
+    /**
+     * The service worker of a new version of the app, waiting for the user to reload into it, or
+     * null if the app is up to date.
+     *
+     * @type {ServiceWorker}
+     */
+    this.waitingServiceWorker = null;
+    /**
+     * true if the user has dismissed the prompt to reload into the new version
+     *
+     * @type {boolean}
+     */
+    this.isUpdateDismissed = false;
+    /**
+     * The event of the browser offering to install the app, kept to prompt the user when they ask
+     * for it, or null if the app cannot be installed, e.g. because it is installed already.
+     *
+     * @type {Event}
+     */
+    this.installPromptEvent = null;
+    /**
+     * Aborts the listeners of the controller on the window when the app is destroyed.
+     *
+     * @type {AbortController}
+     * @protected
+     */
+    this._listenersAbortController = new AbortController();
+    const signal = this._listenersAbortController.signal;
+
+    // listen for hashchange in the url to react to single-page app navigation events
+    window.addEventListener("hashchange", event => this.setFromUrl(event.newURL), { signal });
+
+    // replay reviews submitted while offline when the connection returns. Browsers supporting
+    // Background Sync replay them from the service worker as well, the outbox makes sure each
+    // review is only sent once.
+    window.addEventListener("online", () => this.replayPendingReviews(), { signal });
+
+    // offer to install the app in the app when the browser allows it, rather than leaving it to the
+    // browser to prompt the user
+    window.addEventListener("beforeinstallprompt", event => {
+      event.preventDefault();
+      this.installPromptEvent = event;
+      this.appView.renderInstallButton();
+    }, { signal });
+    window.addEventListener("appinstalled", () => {
+      this.installPromptEvent = null;
+      this.appView.renderInstallButton();
+    }, { signal });
+    if ("serviceWorker" in navigator) {
+      navigator.serviceWorker.addEventListener("message", event => {
+        if (event.data && event.data.type === REVIEW_OUTBOX_UPDATED_MESSAGE) {
+          this.updatePendingReviews();
+        }
+      }, { signal });
+
+      // reload into the new version once it has taken over, only if the user asked for it, as the
+      // first version installed takes over as well
+      let isReloading = false;
+      navigator.serviceWorker.addEventListener("controllerchange", () => {
+        if (!this.waitingServiceWorker || isReloading) return;
+        isReloading = true;
+        window.location.reload();
+      }, { signal });
+    }
+  }
+
+  /**
+   * Stops the controller from reacting to the window, e.g. to navigation, so the app can be
+   * removed from the page.
+   */
+  destroy() {
+    this._listenersAbortController.abort();
+  }
+
+  /**
+   * Attaches the views rendering the app state, which are created with the controller.
+   *
+   * @param {AppView} param.appView - The general view of the app.
+   * @param {RestaurantsFilterPanelView} param.filterView - The view of the filter panel.
+   * @param {RestaurantsListPanelView} param.restaurantsView - The view of the restaurant list
+   * panel.
+   * @param {MapView} param.mapView - The view of the map.
+   */
+  attachViews({ appView, filterView, restaurantsView, mapView }) {
+    this.appView = appView;
+    this.filterView = filterView;
+    this.restaurantsView = restaurantsView;
+    this.mapView = mapView;
+  }
+
+  /**
+   * Loads data in the model, then render all views based on the loaded data.
+   * 
+   * @async
+   */
+  async initialize() {
+    await this.loadRestaurants();
+
+    // send reviews left pending when the app was last closed
+    if (navigator.onLine) await this.replayPendingReviews();
+  }
+
+  /**
+   * Loads the restaurant data, then sets the app state from the url. The views render the data
+   * status and the loaded data as the model emits its change events: the list panel shows
+   * placeholders while the data loads, and offers to retry if it could not be loaded.
+   *
+   * @async
+   */
+  async loadRestaurants() {
+    try {
+      await this.model.load();
+    } catch (error) {
+      console.log("loading restaurants failed", error);
+      return;
+    }
+
+    // set the app state from the url the app was opened with
+    await this.setFromUrl(window.location.href);
+  }
+
+  /**
+   * @returns {DataStatus} the status of loading the restaurant data
+   */
+  get dataStatus() {
+    return this.model.dataStatus;
+  }
+
+  /**
+   * Apply restaurant filter based on user filter input selections.
+   * The filter is applied by navigating to the overview url of the selections, which makes the
+   * filtered view bookmarkable and lets the back button restore earlier selections.
+   */
+  applyFilter() {
+    // get input values from view
+    const cuisines = this.filterView.checkedCuisines;
+    const neighborhoods = this.filterView.checkedNeighborhoods;
+    let minRating = this.filterView.minRatingSelectElement.value;
+    let radius = this.filterView.radiusSelectElement.value;
+    const hasReviews = this.filterView.hasReviewsInputElement.checked || null;
+    const favorites = this.filterView.favoritesInputElement.checked || null;
+    let list = this.filterView.listSelectElement.value;
+    const search = this.filterView.searchInputElement.value || null;
+    const open = this.filterView.openCriteria;
+    let sort = this.filterView.sortSelectElement.value;
+
+    // manage 'select all', 'any rating' and default sort values
+    minRating = minRating === "any" ? null : parseFloat(minRating);
+    radius = radius === "any" ? null : parseInt(radius);
+    if (list === "any") list = null;
+    if (sort === "relevance") sort = null;
+
+    // keep searching the map area while searching as the map moves
+    const bounds = this.model.filterCriteria.bounds;
+
+    const hash = this._createOverviewHash({
+      cuisines: cuisines.length ? cuisines : null,
+      neighborhoods: neighborhoods.length ? neighborhoods : null,
+      minRating,
+      hasReviews,
+      search,
+      open,
+      sort,
+      radius,
+      bounds,
+      favorites,
+      list
+    });
+
+    // replace rather than add a history entry while the user refines a search, so the back button
+    // does not step through every typed character
+    this._navigate(hash, { isReplacing: Boolean(search && this.model.filterCriteria.search) });
+  }
+
+  /**
+   * Clears all filter criteria, keeping the sort order.
+   */
+  clearFilters() {
+    this._navigate(this._createOverviewHash({ sort: this.model.filterCriteria.sort }));
+  }
+
+  /**
+   * Chooses the location of the user that restaurants are sorted by distance from, e.g. where the
+   * user clicked the map, and sorts the overview by distance.
+   *
+   * @param {{lat: number, lng: number}} origin - The chosen location.
+   */
+  chooseOrigin(origin) {
+    this.model.setFilterCriteria({ origin });
+    this._navigate(
+      this._createOverviewHash(Object.assign({}, this.model.filterCriteria, { sort: "distance" }))
+    );
+  }
+
+  /**
+   * Starts or stops searching as the map moves. While searching, the overview only lists the
+   * restaurants inside the visible area of the map.
+   *
+   * @param {boolean} isSearching - true to start searching as the map moves, false to stop.
+   */
+  setSearchingAsMapMoves(isSearching) {
+    this._navigate(
+      this._createOverviewHash(
+        Object.assign({}, this.model.filterCriteria, {
+          bounds: isSearching ? this.mapView.bounds : null
+        })
+      )
+    );
+  }
+
+  /**
+   * Searches the area the user moved the map to, while searching as the map moves.
+   *
+   * @param {number[][]} bounds - The visible bounds of the map as `[[west, south], [east, north]]`.
+   */
+  searchMapArea(bounds) {
+    // replace rather than add a history entry, so the back button does not step through every move
+    // of the map
+    this._navigate(
+      this._createOverviewHash(Object.assign({}, this.model.filterCriteria, { bounds })),
+      { isReplacing: true }
+    );
+  }
+
+  /**
+   * Navigates to an url of the app. All instances of the app in the page then set their state from
+   * the url on the hashchange event, which is dispatched for replaced history entries too.
+   *
+   * @param {string} hash - The hash url to navigate to, e.g. from _createOverviewHash.
+   * @param {boolean} param.isReplacing - true to replace the current history entry rather than add
+   * one.
+   * @protected
+   */
+  _navigate(hash, { isReplacing = false } = {}) {
+    if (!isReplacing) {
+      window.location.hash = hash;
+      return;
+    }
+
+    const oldURL = window.location.href;
+    history.replaceState(null, "", hash);
+    const newURL = window.location.href;
+    if (newURL === oldURL) return;
+    window.dispatchEvent(new HashChangeEvent("hashchange", { oldURL, newURL }));
+  }
+
+  /**
+   * @returns {OfflineArea[]} the areas of the map saved for offline use, in the order they were
+   * saved
+   */
+  get offlineAreas() {
+    return this.model.offlineAreas.areas;
+  }
+
+  /**
+   * @returns {number} the storage used by the areas of the map saved for offline use, in bytes
+   */
+  get offlineAreasSize() {
+    return this.model.offlineAreas.size;
+  }
+
+  /**
+   * Saves the area of the map around the filtered restaurants for offline use. The map view lists
+   * the saved area as the model emits its change event.
+   *
+   * @param {number} param.minZoom - The lowest zoom level to save the area for.
+   * @param {number} param.maxZoom - The highest zoom level to save the area for.
+   * @param {Function} onProgress - Called with `{done, total}` counts of resources as they are
+   * saved.
+   * @returns {Promise} Promise object resolves to the saved area
+   * @throws {Error} if there are no restaurants, or the area cannot be saved
+   * @async
+   */
+  async saveOfflineArea({ minZoom, maxZoom }, onProgress) {
+    const restaurants = this.filteredRestaurants || [];
+    if (!restaurants.length) throw new Error("there are no restaurants to save the map of");
+
+    // keep some of the map around the restaurants, e.g. around a single restaurant
+    const margin = 0.005;
+    const [[west, south], [east, north]] = this.boundsOfFiltered;
+    const bounds = [[west - margin, south - margin], [east + margin, north + margin]];
+    const name =
+      restaurants.length === 1 ? restaurants[0].name : `${restaurants.length} restaurants`;
+
+    const urls = await this.mapView.map.getOfflineResourceUrls(bounds, { minZoom, maxZoom });
+    return this.model.saveOfflineArea({ name, bounds, minZoom, maxZoom, urls }, onProgress);
+  }
+
+  /**
+   * @returns {boolean} true if areas of the map can be saved for offline use, which depends on the
+   * map and the browser
+   */
+  get canSaveOfflineAreas() {
+    return OfflineAreasModel.isSupported && this.mapView.map.canSaveOfflineAreas;
+  }
+
+  /**
+   * Deletes an area of the map saved for offline use.
+   *
+   * @param {string} areaId - The id of the area.
+   * @async
+   */
+  async deleteOfflineArea(areaId) {
+    await this.model.deleteOfflineArea(areaId);
+  }
+
+  /**
+   * Forgets the location of the user, along with the distance filter and sort order relying on it.
+   */
+  clearOrigin() {
+    const currentSort = this.model.filterCriteria.sort;
+    const sort = currentSort === "distance" ? null : currentSort;
+    this.model.setFilterCriteria({ origin: null });
+    this._navigate(
+      this._createOverviewHash(Object.assign({}, this.model.filterCriteria, { sort, radius: null }))
+    );
+  }
+
+  /**
+   * Locates the user through the location provider, and sorts the overview by distance from the
+   * location. The filter panel states why if the user could not be located.
+   *
+   * @async
+   */
+  async locateUser() {
+    this.filterView.setLocationStatus("Locating you\u2026");
+    try {
+      const origin = await this.locationProvider.getCurrentPosition();
+      this.filterView.setLocationStatus("");
+      this.chooseOrigin(origin);
+    } catch (error) {
+      this.filterView.setLocationStatus(`You could not be located: ${error.message}`);
+    }
+  }
+
+  /**
+   * Looks up an address entered by the user through the location provider, and sorts the overview
+   * by distance from it. The filter panel states why if the address could not be found.
+   *
+   * @param {string} address - The address to look up.
+   * @async
+   */
+  async locateAddress(address) {
+    if (!address || !address.trim()) {
+      this.filterView.setLocationStatus("Please enter an address");
+      return;
+    }
+
+    this.filterView.setLocationStatus("Looking up the address\u2026");
+    try {
+      const origin = await this.locationProvider.geocode(address.trim());
+      if (!origin) {
+        this.filterView.setLocationStatus(`No location found for "${address.trim()}"`);
+        return;
+      }
+      this.filterView.setLocationStatus("");
+      this.chooseOrigin(origin);
+    } catch (error) {
+      this.filterView.setLocationStatus(`The address could not be looked up: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lets the user choose their location by clicking the map.
+   */
+  startChoosingOriginOnMap() {
+    this.mapView.isChoosingOrigin = true;
+    this.filterView.setLocationStatus("Click the map to choose your location");
+  }
+
+  /**
+   * Sorts the overview by distance from a location the user clicked on the map.
+   *
+   * @param {object} origin - The clicked location, with lat and lng properties.
+   */
+  chooseOriginOnMap(origin) {
+    this.mapView.isChoosingOrigin = false;
+    this.filterView.setLocationStatus("");
+    this.chooseOrigin(origin);
+  }
+
+  /**
+   * Finds the routes of all travel modes from the location of the user to the selected
+   * restaurant, then shows them in the details view and on the map. Without a location, the
+   * details view offers to locate the user.
+   *
+   * @async
+   */
+  async findDirections() {
+    const restaurant = this.model.selectedRestaurant;
+    const origin = this.model.filterCriteria.origin;
+    const directions = restaurant && origin
+      ? { restaurant, origin, status: "routing", routes: null, message: null }
+      : null;
+    this._setDirections(directions);
+    if (!directions) return;
+
+    const destination = {
+      lat: parseFloat(restaurant.latlng.lat),
+      lng: parseFloat(restaurant.latlng.lng)
+    };
+    // keep the routes of the travel modes that could be found, e.g. if a profile is unavailable
+    const results = await Promise.allSettled(
+      RoutingEngine.modes.map(mode => this.routingEngine.route(origin, destination, mode))
+    );
+    directions.routes = {};
+    RoutingEngine.modes.forEach((mode, index) => {
+      if (results[index].status === "fulfilled") directions.routes[mode] = results[index].value;
+    });
+    if (Object.keys(directions.routes).length) {
+      directions.status = "done";
+    } else {
+      directions.status = "failed";
+      directions.message = `Directions are not available: ${results[0].reason.message}`;
+    }
+
+    // ignore directions the user has left meanwhile, e.g. by going back to the overview
+    if (this.model.directions !== directions) return;
+    this._setDirections(directions);
+
+    // show a route that was found if there is none for the chosen travel mode
+    const modes = Object.keys(directions.routes);
+    if (modes.length && !modes.includes(this.directionsMode)) this.setDirectionsMode(modes[0]);
+  }
+
+  /**
+   * Locates the user through the location provider, then finds directions from the location to
+   * the selected restaurant. The location is kept for the overview, e.g. for sorting by distance.
+   *
+   * @async
+   */
+  async locateUserForDirections() {
+    const restaurant = this.model.selectedRestaurant;
+    if (!restaurant) return;
+
+    const directions = {
+      restaurant,
+      origin: null,
+      status: "locating",
+      routes: null,
+      message: null
+    };
+    this._setDirections(directions);
+    try {
+      const origin = await this.locationProvider.getCurrentPosition();
+      if (this.model.directions !== directions) return;
+      this.model.setFilterCriteria({ origin });
+      await this.findDirections();
+    } catch (error) {
+      if (this.model.directions !== directions) return;
+      directions.status = "failed";
+      directions.message = `You could not be located: ${error.message}`;
+      this._setDirections(directions);
+    }
+  }
+
+  /**
+   * Shows the route of a travel mode on the map.
+   *
+   * @param {string} mode - The travel mode, one of RoutingEngine.modes.
+   * @throws {Error} if the travel mode is not one of RoutingEngine.modes
+   */
+  setDirectionsMode(mode) {
+    if (!RoutingEngine.modes.includes(mode)) throw new Error(`unknown travel mode: ${mode}`);
+    this.model.setDirectionsMode(mode);
+  }
+
+  /**
+   * Sets the directions to the selected restaurant. The views render them as the model emits its
+   * change event, in the same animation frame as the details of the restaurant.
+   *
+   * @param {Directions} directions - The directions to show, or null if there are none.
+   * @protected
+   */
+  _setDirections(directions) {
+    this.model.setDirections(directions);
+  }
+
+  /**
+   * @returns {Directions} the directions to the selected restaurant, or null if there are none
+   */
+  get directions() {
+    return this.model.directions;
+  }
+
+  /**
+   * @returns {string} the travel mode of the route shown on the map
+   */
+  get directionsMode() {
+    return this.model.directionsMode;
+  }
+
+  /**
+   * @returns {string} the url of the overview with the current filter criteria, e.g. for going back
+   * to the results from the restaurant details view
+   */
+  get overviewUrl() {
+    return this._createOverviewHash(this.model.filterCriteria);
+  }
+
+  /**
+   * Creates the hash url of the overview filtered by the provided criteria, e.g.
+   * `#/?cuisine=Pizza&cuisine=Asian&neighborhood=Brooklyn&search=pie&sort=rating`. Criteria set to
+   * null are left out, and so is the origin, as the url may be shared and must not reveal where the
+   * user is.
+   *
+   * @param {FilterCriteria} filterCriteria - The filter criteria.
+   * @returns {string} the hash url of the filtered overview
+   * @protected
+   */
+  _createOverviewHash({
+    cuisines = null,
+    neighborhoods = null,
+    minRating = null,
+    hasReviews = null,
+    search = null,
+    open = null,
+    sort = null,
+    radius = null,
+    bounds = null,
+    favorites = null,
+    list = null
+  } = {}) {
+
+    const searchParams = new URLSearchParams();
+    for (const cuisine of cuisines || []) searchParams.append("cuisine", cuisine);
+    for (const neighborhood of neighborhoods || []) {
+      searchParams.append("neighborhood", neighborhood);
+    }
+    if (minRating) searchParams.set("minRating", minRating);
+    if (hasReviews) searchParams.set("hasReviews", "true");
+    if (favorites) searchParams.set("favorites", "true");
+    if (list) searchParams.set("list", list);
+    if (search) searchParams.set("search", search);
+    if (open) searchParams.set("open", open);
+    if (sort) searchParams.set("sort", sort);
+    if (radius) searchParams.set("radius", radius);
+    if (bounds) {
+      searchParams.set("bounds", bounds.flat().map(value => value.toFixed(5)).join(","));
+    }
+
+    const query = searchParams.toString();
+    return query ? `#/?${query}` : "#/";
+  }
+
+  /**
+   * @returns {PersonalList[]} the personal lists of the user
+   */
+  get personalLists() {
+    return this.model.personalLists.lists;
+  }
+
+  /**
+   * @returns {number} the number of changes of the favorites and personal lists of the user, which
+   * tells views whether they have changed since they were rendered
+   */
+  get personalListsRevision() {
+    return this.model.personalLists.revision;
+  }
+
+  /**
+   * @param {Restaurant} restaurant - A restaurant.
+   * @returns {boolean} true if the restaurant is a favorite of the user
+   */
+  isFavorite(restaurant) {
+    return this.model.personalLists.isFavorite(restaurant.id);
+  }
+
+  /**
+   * Adds a restaurant to the favorites of the user, or removes it if it is a favorite.
+   *
+   * @param {Restaurant} restaurant - The restaurant.
+   */
+  toggleFavorite(restaurant) {
+    // set model
+    this.model.personalLists.toggleFavorite(restaurant.id);
+
+    // then filter again, the views render the change
+    this._updatePersonalLists();
+  }
+
+  /**
+   * Creates a personal list, e.g. from the details view, adding the provided restaurant to it.
+   *
+   * @param {string} name - The name of the list.
+   * @param {Restaurant} restaurant - The restaurant to add to the new list, or null to create an
+   * empty list.
+   * @returns {PersonalList} the created list
+   * @throws {Error} if the name is empty or another list has the name already
+   */
+  createList(name, restaurant = null) {
+    // set model
+    const list = this.model.personalLists.createList(name);
+    if (restaurant) this.model.personalLists.toggleListEntry(list.id, restaurant.id);
+
+    // then filter again, the views render the change
+    this._updatePersonalLists();
+    return list;
+  }
+
+  /**
+   * Adds a restaurant to a personal list, or removes it if it is on the list.
+   *
+   * @param {string} listId - The id of the list.
+   * @param {Restaurant} restaurant - The restaurant.
+   */
+  toggleListEntry(listId, restaurant) {
+    // set model
+    this.model.personalLists.toggleListEntry(listId, restaurant.id);
+
+    // then filter again, the views render the change
+    this._updatePersonalLists();
+  }
+
+  /**
+   * Deletes a personal list. The overview stops filtering by the list if it did.
+   *
+   * @param {string} listId - The id of the list.
+   */
+  deleteList(listId) {
+    const isFilteredByList = this.model.filterCriteria.list === listId;
+
+    // set model and filter again
+    this.model.personalLists.deleteList(listId);
+    this._updatePersonalLists(isFilteredByList ? { list: null } : {});
+
+    // replace the overview url, as it refers to a list that no longer exists
+    if (isFilteredByList && !this.model.selectedRestaurant) {
+      this._navigate(this.overviewUrl, { isReplacing: true });
+    }
+  }
+
+  /**
+   * @returns {string} the favorites and personal lists of the user as JSON, e.g. for saving them
+   * to a file
+   */
+  exportLists() {
+    return JSON.stringify(this.model.personalLists.export(), null, 2);
+  }
+
+  /**
+   * Imports favorites and personal lists exported as JSON, adding them to the ones of the user.
+   *
+   * @param {string} json - The exported favorites and lists, e.g. read from a file.
+   * @returns {{favorites: number, lists: number}} the number of imported favorites and lists
+   * @throws {Error} if the JSON does not contain exported favorites and lists
+   */
+  importLists(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error("the file is not a valid JSON file");
+    }
+
+    // set model
+    const counts = this.model.personalLists.import(data);
+
+    // then filter again, the views render the change
+    this._updatePersonalLists();
+    return counts;
+  }
+
+  /**
+   * Filters the restaurants again after the favorites or personal lists of the user have changed.
+   * The views render the overview again if the restaurants matching its filter have changed,
+   * otherwise the favorite buttons and the lists of the details view are updated in place, so the
+   * focus stays where it is.
+   *
+   * @param {FilterCriteria} filterCriteria - Filter criteria to change as well, e.g. to stop
+   * filtering by a deleted list.
+   * @protected
+   */
+  _updatePersonalLists(filterCriteria = {}) {
+    this.model.updatePersonalLists(filterCriteria);
+  }
+
+  /**
+   * Adds a review submitted by the user to a restaurant. The details view renders the reviews of
+   * the restaurant as the model emits its change event.
+   *
+   * @param {Restaurant} restaurant - The restaurant being reviewed.
+   * @param {{name: string, rating: number, comments: string}} review - The review to add.
+   * @returns {Promise} Promise object resolves to the added review, which is pending if it has been
+   * queued to be sent when the user is back online
+   * @async
+   */
+  async addReview(restaurant, review) {
+    return this.model.addReview(restaurant, review);
+  }
+
+  /**
+   * Replays reviews submitted while offline. Reviews stay pending if the backend still cannot be
+   * reached.
+   *
+   * @async
+   */
+  async replayPendingReviews() {
+    try {
+      await this.model.replayPendingReviews();
+    } catch (error) {
+      console.log("replaying pending reviews failed", error);
+    }
+  }
+
+  /**
+   * Updates the pending reviews from the reviews backend, e.g. after the service worker has
+   * replayed them.
+   *
+   * @async
+   */
+  async updatePendingReviews() {
+    try {
+      await this.model.updatePendingReviews();
+    } catch (error) {
+      console.log("updating pending reviews failed", error);
+      this.restaurantsView.setPendingReviewsStatus(
+        `Your pending reviews could not be updated: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Retries sending a pending review that was rejected by the reviews backend.
+   *
+   * @param {number} pendingId - The id of the pending review to retry.
+   * @async
+   */
+  async retryPendingReview(pendingId) {
+    this.restaurantsView.setPendingReviewsStatus("");
+    try {
+      await this.model.retryPendingReview(pendingId);
+    } catch (error) {
+      console.log("retrying pending review failed", error);
+      this.restaurantsView.setPendingReviewsStatus(
+        `Your review could not be sent: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Discards a pending review.
+   *
+   * @param {number} pendingId - The id of the pending review to discard.
+   * @async
+   */
+  async discardPendingReview(pendingId) {
+    this.restaurantsView.setPendingReviewsStatus("");
+    try {
+      await this.model.discardPendingReview(pendingId);
+    } catch (error) {
+      console.log("discarding pending review failed", error);
+      this.restaurantsView.setPendingReviewsStatus(
+        `Your review could not be discarded: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * @returns {boolean} true if the app can be installed
+   */
+  get canInstall() {
+    return this.installPromptEvent !== null;
+  }
+
+  /**
+   * Prompts the user to install the app. The browser only allows to prompt once per offer.
+   *
+   * @returns {Promise} Promise object resolves once the user accepted or dismissed the prompt.
+   * @async
+   */
+  async install() {
+    const installPromptEvent = this.installPromptEvent;
+    if (!installPromptEvent) return;
+    this.installPromptEvent = null;
+
+    // render views
+    this.appView.renderInstallButton();
+
+    installPromptEvent.prompt();
+    await installPromptEvent.userChoice;
+  }
+
+  /**
+   * Watches the service worker registration of the app for new versions, and renders the update
+   * prompt once a new version has been installed and is waiting to take over.
+   *
+   * @param {ServiceWorkerRegistration} registration - The service worker registration of the app.
+   */
+  watchForUpdates(registration) {
+    const promptUpdate = serviceWorker => {
+      // the first version installed is not an update
+      if (!navigator.serviceWorker.controller) return;
+      this.waitingServiceWorker = serviceWorker;
+      this.isUpdateDismissed = false;
+
+      // render views
+      this.appView.renderUpdatePrompt();
+    };
+
+    if (registration.waiting) promptUpdate(registration.waiting);
+    registration.addEventListener("updatefound", () => {
+      const installingServiceWorker = registration.installing;
+      installingServiceWorker.addEventListener("statechange", () => {
+        if (installingServiceWorker.state === "installed") promptUpdate(installingServiceWorker);
+      });
+    });
+  }
+
+  /**
+   * @returns {boolean} true if a new version of the app is waiting, and the user has not dismissed
+   * the prompt to reload into it
+   */
+  get isUpdatePromptVisible() {
+    return this.waitingServiceWorker !== null && !this.isUpdateDismissed;
+  }
+
+  /**
+   * Lets the waiting new version of the app take over, the app reloads once it has.
+   */
+  applyUpdate() {
+    if (!this.waitingServiceWorker) return;
+    this.waitingServiceWorker.postMessage({ type: SERVICE_WORKER_SKIP_WAITING_MESSAGE });
+  }
+
+  /**
+   * Hides the update prompt, the new version takes over once all windows of the app are closed.
+   */
+  dismissUpdate() {
+    this.isUpdateDismissed = true;
+
+    // render views
+    this.appView.renderUpdatePrompt();
+  }
+
+  /**
+   * Analyses a valid url in the context of the app and returns the details of the analysis.
+   * The function is primarily used to determine whether a url refers to the overview and its
+   * filter criteria, e.g. `#/?cuisine=Pizza&cuisine=Asian&neighborhood=Brooklyn`, or is in view
+   * details mode for a specific restaurant, e.g. `#/restaurant/3`. The legacy details url format
+   * `#3` is supported as well, so bookmarks keep working.
+   * 
+   * @param {string} url - The url to analyze.
+   * @returns {{hasHash: boolean, isValid: boolean, hasId: boolean, id: number,
+   * filterCriteria: FilterCriteria}} the details of the provided url.
+   * isValid is false if the hash does not match a route, or has a malformed id. If the url has an
+   * id, the id will always be an integer.
+   * @protected
+   */
+  _getUrlDetails(url) {
+    const indexOf = url.indexOf("#");
+    const hasHash = indexOf > -1;
+    const hash = hasHash ? url.slice(indexOf + 1) : "";
+
+    // split the hash into a route path and a query string
+    const queryIndexOf = hash.indexOf("?");
+    const path = queryIndexOf > -1 ? hash.slice(0, queryIndexOf) : hash;
+    const searchParams = new URLSearchParams(queryIndexOf > -1 ? hash.slice(queryIndexOf + 1) : "");
+
+    const urlDetails = {
+      hasHash: hasHash,
+      isValid: true,
+      hasId: false,
+      id: null,
+      filterCriteria: {
+        cuisines: this._parseList(searchParams.getAll("cuisine")),
+        neighborhoods: this._parseList(searchParams.getAll("neighborhood")),
+        minRating: RestaurantsModel.minRatings.includes(parseFloat(searchParams.get("minRating")))
+          ? parseFloat(searchParams.get("minRating"))
+          : null,
+        hasReviews: searchParams.get("hasReviews") === "true" || null,
+        search: searchParams.get("search") || null,
+        open: this._parseOpen(searchParams.get("open")),
+        sort: RestaurantsModel.sortOrders.includes(searchParams.get("sort"))
+          ? searchParams.get("sort")
+          : null,
+        radius: RestaurantsModel.radii.includes(parseInt(searchParams.get("radius")))
+          ? parseInt(searchParams.get("radius"))
+          : null,
+        bounds: this._parseBounds(searchParams.get("bounds")),
+        favorites: searchParams.get("favorites") === "true" || null,
+        // lists are personal, so shared urls may refer to lists the user does not have
+        list: this.model.personalLists.getList(searchParams.get("list"))
+          ? searchParams.get("list")
+          : null
+      }
+    };
+
+    // overview route
+    if (path === "" || path === "/") return urlDetails;
+
+    // restaurant details route, ids must be positive integers
+    const detailsMatch = path.match(/^\/restaurant\/([^/]*)\/?$/) || path.match(/^(\d+)$/);
+    if (detailsMatch && /^\d+$/.test(detailsMatch[1])) {
+      urlDetails.hasId = true;
+      urlDetails.id = parseInt(detailsMatch[1]);
+      return urlDetails;
+    }
+
+    // unknown route or malformed id
+    urlDetails.isValid = false;
+    return urlDetails;
+  }
+
+  /**
+   * @param {string[]} values - The values of a repeated url parameter, e.g. the cuisines of
+   * `?cuisine=Pizza&cuisine=Asian`.
+   * @returns {string[]} the distinct non-empty values, or null if there are none
+   * @protected
+   */
+  _parseList(values) {
+    const distinctValues = [...new Set(values.filter(value => value))];
+    return distinctValues.length ? distinctValues : null;
+  }
+
+  /**
+   * @param {string} open - The open criteria from an url, "now" or a day and a 24-hour time such as
+   * "Saturday 19:30".
+   * @returns {string} the open criteria, or null if it is missing or invalid
+   * @protected
+   */
+  _parseOpen(open) {
+    if (open === "now") return open;
+    return OperatingHours.parseWeekMinute(open) !== null ? open : null;
+  }
+
+  /**
+   * @param {string} coordinates - Coordinates formatted as `<lat>,<lng>`, e.g. from an url.
+   * @returns {{lat: number, lng: number}} the parsed coordinates, or null if they are missing or
+   * invalid
+   * @protected
+   */
+  _parseCoordinates(coordinates) {
+    if (!coordinates) return null;
+
+    const [lat, lng] = coordinates.split(",").map(value => Number(value));
+    const isValid =
+      Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+    return isValid ? { lat, lng } : null;
+  }
+
+  /**
+   * @param {string} bounds - Bounds formatted as `<west>,<south>,<east>,<north>`, e.g. from an url.
+   * @returns {number[][]} the parsed bounds as `[[west, south], [east, north]]`, or null if they
+   * are missing or invalid
+   * @protected
+   */
+  _parseBounds(bounds) {
+    if (!bounds) return null;
+
+    const values = bounds.split(",").map(value => Number(value));
+    if (values.length !== 4) return null;
+
+    const [west, south, east, north] = values;
+    const southWest = this._parseCoordinates(`${south},${west}`);
+    const northEast = this._parseCoordinates(`${north},${east}`);
+    if (!southWest || !northEast || south > north || west > east) return null;
+
+    return [[west, south], [east, north]];
+  }
+
+  /**
+   * Sets the application state based on a valid app url.
+   * 
+   * @param {string} url - The url to set the applicationstate from
+   * @async
+   */
+  async setFromUrl(url) {
+    if(!url) throw new Error("the url is empty");
+
+    // check if the url is a valid app url
+    const newUrl = new URL(url);
+    if(document.location.hostname != newUrl.hostname || 
+       document.location.pathname != newUrl.pathname) throw new Error("the url is not a valid app URL");
+
+    // the app state is set from the url once the restaurant data has been loaded
+    if (this.model.dataStatus.state !== "loaded") return;
+
+    // analyze the url in the context of the app
+    const urlDetails = this._getUrlDetails(url);
+
+    // if the url specifies a restaurant id set app state to view details state for the specified 
+    // restaurant, or to not found state if it does not exist
+    if (urlDetails.isValid && urlDetails.hasId) {
+      const restaurant = this.model.restaurants.find(restaurant => restaurant.id === urlDetails.id);
+      this.model.selectRestaurant(restaurant || null, { isNotFound: !restaurant });
+      this.appView.scrollToTop();
+      // routes are only requested once the user asks for them, as the routing engine may be a
+      // service of another host, which learns where the user is
+      return;
+    }
+
+    // set app state to not found state if the url does not refer to a view
+    if (!urlDetails.isValid) {
+      this.model.selectRestaurant(null, { isNotFound: true });
+      this.appView.scrollToTop();
+      return;
+    }
+
+    // distances are measured from the location of the user, which urls leave out and the model
+    // keeps, or else from the center of the map when sorting by distance
+    const filterCriteria = urlDetails.filterCriteria;
+    if (filterCriteria.sort === "distance" && !this.model.filterCriteria.origin) {
+      filterCriteria.origin = this.mapView.centerCoordinates;
+    }
+
+    // else set app state to overview mode filtered by the criteria of the url, the views render
+    // it as the model emits its change events
+    this.model.setFilterCriteria(filterCriteria);
+    this.model.selectRestaurant(null);
+    return;
+  }
+
+  /**
+   * @returns {boolean} true if the url navigated to does not refer to a view or an existing
+   * restaurant
+   */
+  get isNotFound() {
+    return this.model.isNotFound;
+  }
+
+  /**
+   * @returns {Restaurant[]} array containing all restaurants stored in the model
+   */
+  get restaurants() {
+    return this.model.restaurants;
+  }
+
+  /**
+   * @returns {Set.<string>} a set containing all available cuisines
+   */
+  get cuisines() {
+    return this.model.cuisines;
+  }
+
+  /**
+   * @returns {Set.<string>} a set containing all available neighborhoods
+   */
+  get neighborhoods() {
+    return this.model.neighborhoods;
+  }
+
+  /**
+   * @returns {Restaurant} the restaurant currently selected by the user, or null if none is 
+   * selected
+   */
+  get selectedRestaurant() {
+    return this.model.selectedRestaurant;
+  }
+
+  /**
+   * @returns {Restaurant} the restaurant highlighted in the overview, or null if none is
+   */
+  get activeRestaurant() {
+    return this.model.activeRestaurant;
+  }
+
+  /**
+   * @returns {boolean} true if the user highlighted the active restaurant on the map
+   */
+  get isActiveFromMap() {
+    return this.model.isActiveFromMap;
+  }
+
+  /**
+   * Highlights a restaurant in the list and on the map while the user hovers or focuses its list
+   * item or map marker.
+   *
+   * @param {Restaurant} restaurant - The restaurant to highlight, or null to remove the highlight.
+   * @param {boolean} param.isFromMap - true if the user activated the map marker, which scrolls
+   * the list item of the restaurant into view.
+   */
+  activateRestaurant(restaurant, { isFromMap = false } = {}) {
+    if (this.model.activeRestaurant === restaurant) return;
+    this.model.activateRestaurant(restaurant, { isFromMap });
+  }
+
+  /**
+   * @returns {FilterCriteria} the filter criteria currently applied
+   */
+  get filterCriteria() {
+    return this.model.filterCriteria;
+  }
+
+  /**
+   * @returns {object} the number of restaurants matching each filter option, given the current
+   * filter criteria
+   */
+  get filterOptionCounts() {
+    return this.model.filterOptionCounts;
+  }
+
+  /**
+   * @returns {string[]} the normalized terms of the search provided by the user, e.g. for
+   * highlighting matches
+   */
+  get searchTerms() {
+    return TextSearch.tokenize(this.model.filterCriteria.search);
+  }
+
+  /**
+   * @returns {Restaurant[]} an array of the restaurants currently matching the filter criteria 
+   * provided by the user.
+   */
+  get filteredRestaurants() {
+    return this.model.filteredRestaurants;
+  }
+
+  /**
+   * @returns {{lat: number, lng: number}} the coordinates of the center of all filtered restaurants.
+   */
+  get centerCoordinatesOfFiltered() {
+    return this.model.centerCoordinatesOfFiltered;
+  }
+
+  /**
+   * @returns {mapbox.LngLatBounds} the bounds of all filtered restaurants.
+   */
+  get boundsOfFiltered() {
+    return this.model.boundsOfFiltered;
+  }
+}
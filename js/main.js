@@ -0,0 +1,27 @@
+/* main.js
+ *
+ * starts the app in the page with the configuration of the page, cf. index.html, and registers
+ * the service worker keeping the app available offline.
+ */
+
+import { createApp } from "./app.js";
+import { APP_PATH, readAppConfig } from "./config.js";
+
+const app = createApp({ root: document.body, config: readAppConfig() });
+
+// register service worker
+if ("serviceWorker" in navigator) {
+  window.addEventListener("load", function() {
+    navigator.serviceWorker.register(`${APP_PATH}/sw.js`).then(
+      function(registration) {
+        // Registration was successful
+        console.log("ServiceWorker registration successful with scope: ", registration.scope);
+        app.controller.watchForUpdates(registration);
+      },
+      function(err) {
+        // registration failed :(
+        console.log("ServiceWorker registration failed: ", err.message);
+      }
+    );
+  });
+}
@@ -0,0 +1,225 @@
+/* models/offline-areas-model.js
+ *
+ * provides the model of the map areas saved for offline use.
+ */
+
+/**
+ * The name of the cache keeping the map areas saved for offline use, served by `sw.js`.
+ *
+ * @type {string}
+ */
+export const OFFLINE_AREAS_CACHE_NAME = "restaurant-reviews-offline-areas";
+
+/**
+ * An area of the map saved for offline use.
+ *
+ * @typedef {object} OfflineArea
+ * @property {string} id - The id of the area.
+ * @property {string} name - The name of the area, e.g. "10 restaurants".
+ * @property {number[][]} bounds - The bounds of the area as `[[west, south], [east, north]]`.
+ * @property {number} minZoom - The lowest zoom level the area is saved for, as used by Mapbox.
+ * @property {number} maxZoom - The highest zoom level the area is saved for, as used by Mapbox.
+ * @property {string[]} urls - The urls of the saved resources of the area, without query strings,
+ * e.g. access tokens, as the service worker matches saved resources without them.
+ * @property {number} size - The storage used by the saved resources, in bytes.
+ * @property {number} failedCount - The number of resources that could not be saved.
+ * @property {string} savedAt - The time the area was saved, as an ISO date string.
+ */
+
+/**
+ * The offline areas model handles the areas of the map saved for offline use. The resources of
+ * the areas, e.g. map tiles, are kept in a cache served by the service worker, and the areas are
+ * listed in the browser's local storage.
+ */
+export class OfflineAreasModel {
+  /**
+   * @param {string} param.storageKey - The local storage key to list the areas under.
+   * @param {string} param.cacheName - The name of the cache to keep the resources of the areas in.
+   * @param {number} param.maxResourceCount - The most resources saved for an area.
+   */
+  constructor({
+    storageKey = "restaurant-reviews-offline-areas",
+    cacheName = OFFLINE_AREAS_CACHE_NAME,
+    maxResourceCount = 5000
+  } = {}) {
+    /**
+     * The local storage key the areas are listed under.
+     *
+     * @type {string}
+     */
+    this.storageKey = storageKey;
+    /**
+     * The name of the cache the resources of the areas are kept in.
+     *
+     * @type {string}
+     */
+    this.cacheName = cacheName;
+    /**
+     * The most resources saved for an area, which keeps users from downloading large parts of
+     * the tile servers.
+     *
+     * @type {number}
+     */
+    this.maxResourceCount = maxResourceCount;
+    /**
+     * The saved areas, in the order they were saved.
+     *
+     * @type {OfflineArea[]}
+     */
+    this.areas = [];
+  }
+
+  /**
+   * @returns {boolean} true if the browser can save areas, which requires the Cache API
+   * @static
+   */
+  static get isSupported() {
+    return typeof caches !== "undefined";
+  }
+
+  /**
+   * @returns {number} the storage used by all saved areas, in bytes
+   */
+  get size() {
+    return this.areas.reduce((size, area) => size + area.size, 0);
+  }
+
+  /**
+   * Loads the list of saved areas from local storage. Unreadable data is ignored, e.g. if local
+   * storage is not available.
+   */
+  load() {
+    let areas = null;
+    try {
+      areas = JSON.parse(localStorage.getItem(this.storageKey));
+    } catch (error) {
+      console.log("Offline areas could not be loaded: ", error.message);
+    }
+    this.areas = (Array.isArray(areas) ? areas : []).filter(
+      area => area && typeof area.id === "string" && Array.isArray(area.urls)
+    );
+  }
+
+  /**
+   * @param {string} areaId - The id of an area.
+   * @returns {OfflineArea} the area, or null if there is no area with the id
+   */
+  getArea(areaId) {
+    return this.areas.find(area => area.id === areaId) || null;
+  }
+
+  /**
+   * Saves an area by downloading its resources. Resources that cannot be downloaded are left out,
+   * and counted by the saved area.
+   *
+   * @param {string} param.name - The name of the area.
+   * @param {number[][]} param.bounds - The bounds of the area as `[[west, south], [east, north]]`.
+   * @param {number} param.minZoom - The lowest zoom level the area is saved for.
+   * @param {number} param.maxZoom - The highest zoom level the area is saved for.
+   * @param {string[]} param.urls - The urls of the resources of the area.
+   * @param {Function} onProgress - Called with `{done, total}` counts of resources as they are
+   * saved.
+   * @returns {Promise} Promise object resolves to the saved area
+   * @throws {Error} if the area has too many resources, or none could be saved
+   * @async
+   */
+  async saveArea({ name, bounds, minZoom, maxZoom, urls }, onProgress = () => {}) {
+    const pendingUrls = [...new Set(urls)];
+    const total = pendingUrls.length;
+    if (total > this.maxResourceCount) {
+      throw new Error("the area is too large, please choose a lower highest zoom level");
+    }
+
+    const cache = await caches.open(this.cacheName);
+    const savedUrls = [];
+    let size = 0;
+    let failedCount = 0;
+    // resources are reloaded from the network, rather than served from the saved areas by the
+    // service worker, so saving an area again updates it
+    const saveResources = async () => {
+      while (pendingUrls.length) {
+        const url = pendingUrls.shift();
+        try {
+          const response = await fetch(url, { cache: "reload" });
+          if (!response.ok) throw new Error(`fetching failed (${response.status})`);
+          const body = await response.clone().blob();
+          await cache.put(url, response);
+          size += body.size;
+          savedUrls.push(OfflineAreasModel._withoutQuery(url));
+        } catch (error) {
+          failedCount++;
+        }
+        onProgress({ done: savedUrls.length + failedCount, total });
+      }
+    };
+    // save a few resources at a time
+    await Promise.all(Array.from({ length: 4 }, saveResources));
+    if (!savedUrls.length) {
+      throw new Error("the map could not be downloaded, please check your connection");
+    }
+
+    const area = {
+      id: this._createAreaId(),
+      name,
+      bounds,
+      minZoom,
+      maxZoom,
+      urls: savedUrls,
+      size,
+      failedCount,
+      savedAt: new Date().toISOString()
+    };
+    this.areas.push(area);
+    this._save();
+    return area;
+  }
+
+  /**
+   * Deletes an area, and the resources only used by the area.
+   *
+   * @param {string} areaId - The id of the area.
+   * @async
+   */
+  async deleteArea(areaId) {
+    const area = this.getArea(areaId);
+    if (!area) return;
+    this.areas = this.areas.filter(otherArea => otherArea !== area);
+    this._save();
+
+    const usedUrls = new Set(this.areas.flatMap(otherArea => otherArea.urls));
+    const cache = await caches.open(this.cacheName);
+    await Promise.all(area.urls
+      .filter(url => !usedUrls.has(url))
+      .map(url => cache.delete(url, { ignoreSearch: true })));
+  }
+
+  /**
+   * @returns {string} an id for a new area, following the ids of the existing areas
+   * @protected
+   */
+  _createAreaId() {
+    const ids = this.areas.map(area => parseInt(area.id)).filter(id => !isNaN(id));
+    return String(Math.max(0, ...ids) + 1);
+  }
+
+  /**
+   * Lists the areas in local storage.
+   *
+   * @protected
+   */
+  _save() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.areas));
+  }
+
+  /**
+   * @param {string} url - A url.
+   * @returns {string} the url without its query string
+   * @protected
+   * @static
+   */
+  static _withoutQuery(url) {
+    const parsedUrl = new URL(url, window.location.href);
+    parsedUrl.search = "";
+    return parsedUrl.href;
+  }
+}
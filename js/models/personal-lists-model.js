@@ -0,0 +1,286 @@
+/* models/personal-lists-model.js
+ *
+ * provides the model of the favorites and personal lists of the user.
+ */
+
+/**
+ * A named personal list of restaurants, e.g. "Team lunch".
+ *
+ * @typedef {object} PersonalList
+ * @property {string} id - The id of the list, unique in the browser it was created in.
+ * @property {string} name - The name of the list, unique among the lists.
+ * @property {number[]} restaurantIds - The ids of the restaurants on the list, in the order they
+ * were added.
+ */
+
+/**
+ * The personal lists model handles the favorite restaurants and the named personal lists of the
+ * user, which are kept in the browser's local storage. Lists can be exported to and imported from
+ * JSON, e.g. to share them between teammates.
+ */
+export class PersonalListsModel {
+  /**
+   * @param {string} storageKey - The local storage key to keep favorites and lists under.
+   */
+  constructor(storageKey = "restaurant-reviews-lists") {
+    /**
+     * The local storage key favorites and lists are kept under.
+     *
+     * @type {string}
+     */
+    this.storageKey = storageKey;
+    /**
+     * The ids of the favorite restaurants.
+     *
+     * @type {Set.<number>}
+     */
+    this.favoriteIds = new Set();
+    /**
+     * The personal lists, in the order they were created.
+     *
+     * @type {PersonalList[]}
+     */
+    this.lists = [];
+    /**
+     * The id of the last list created, which is never reused after the list has been deleted, so
+     * links to a deleted list do not open another list.
+     *
+     * @type {number}
+     */
+    this.lastListId = 0;
+    /**
+     * Counts the changes of the favorites and lists, e.g. for views to tell whether they have
+     * changed since they were rendered, as they are changed in place.
+     *
+     * @type {number}
+     */
+    this.revision = 0;
+  }
+
+  /**
+   * @returns {string} the type marking exported lists, checked when importing them
+   * @static
+   */
+  static get exportType() {
+    return "restaurant-reviews-lists";
+  }
+
+  /**
+   * Loads the favorites and lists from local storage. Unreadable data is ignored, e.g. if local
+   * storage is not available.
+   */
+  load() {
+    this.revision++;
+    let data = null;
+    try {
+      data = JSON.parse(localStorage.getItem(this.storageKey));
+    } catch (error) {
+      console.log("Personal lists could not be loaded: ", error.message);
+    }
+    if (!data) return;
+
+    this.favoriteIds = new Set(PersonalListsModel._parseIds(data.favorites));
+    this.lists = (Array.isArray(data.lists) ? data.lists : [])
+      .filter(list => list && typeof list.id === "string" && typeof list.name === "string")
+      .map(list => ({
+        id: list.id,
+        name: list.name,
+        restaurantIds: PersonalListsModel._parseIds(list.restaurantIds)
+      }));
+    this.lastListId = PersonalListsModel._getLastListId(this.lists, parseInt(data.lastListId));
+  }
+
+  /**
+   * @param {number} restaurantId - The id of a restaurant.
+   * @returns {boolean} true if the restaurant is a favorite
+   */
+  isFavorite(restaurantId) {
+    return this.favoriteIds.has(restaurantId);
+  }
+
+  /**
+   * Adds a restaurant to the favorites, or removes it if it is a favorite.
+   *
+   * @param {number} restaurantId - The id of the restaurant.
+   * @returns {boolean} true if the restaurant has become a favorite
+   */
+  toggleFavorite(restaurantId) {
+    const isFavorite = !this.favoriteIds.has(restaurantId);
+    if (isFavorite) {
+      this.favoriteIds.add(restaurantId);
+    } else {
+      this.favoriteIds.delete(restaurantId);
+    }
+    this._save();
+    return isFavorite;
+  }
+
+  /**
+   * @param {string} listId - The id of a list.
+   * @returns {PersonalList} the list, or null if there is no list with the id
+   */
+  getList(listId) {
+    return this.lists.find(list => list.id === listId) || null;
+  }
+
+  /**
+   * Creates an empty list.
+   *
+   * @param {string} name - The name of the list.
+   * @returns {PersonalList} the created list
+   */
+  createList(name) {
+    const trimmedName = (name || "").trim();
+    if (!trimmedName) throw new Error("please enter a name for the list");
+    const existingList = this._findListByName(trimmedName);
+    if (existingList) throw new Error(`a list named "${existingList.name}" already exists`);
+
+    const list = this._addList(trimmedName);
+    this._save();
+    return list;
+  }
+
+  /**
+   * Deletes a list. The restaurants on the list stay favorites if they are.
+   *
+   * @param {string} listId - The id of the list.
+   */
+  deleteList(listId) {
+    this.lists = this.lists.filter(list => list.id !== listId);
+    this._save();
+  }
+
+  /**
+   * Adds a restaurant to a list, or removes it if it is on the list.
+   *
+   * @param {string} listId - The id of the list.
+   * @param {number} restaurantId - The id of the restaurant.
+   * @returns {boolean} true if the restaurant has been added to the list
+   */
+  toggleListEntry(listId, restaurantId) {
+    const list = this.getList(listId);
+    if (!list) throw new Error("the list does not exist");
+
+    const isAdded = !list.restaurantIds.includes(restaurantId);
+    list.restaurantIds = isAdded
+      ? list.restaurantIds.concat(restaurantId)
+      : list.restaurantIds.filter(id => id !== restaurantId);
+    this._save();
+    return isAdded;
+  }
+
+  /**
+   * @returns {object} the favorites and lists for export, e.g. to share them with a teammate
+   */
+  export() {
+    return {
+      type: PersonalListsModel.exportType,
+      version: 1,
+      favorites: [...this.favoriteIds],
+      lists: this.lists.map(list => ({ name: list.name, restaurantIds: list.restaurantIds }))
+    };
+  }
+
+  /**
+   * Imports exported favorites and lists, adding them to the current ones. Lists named like an
+   * existing list are merged into it.
+   *
+   * @param {object} data - The exported favorites and lists.
+   * @returns {{favorites: number, lists: number}} the number of imported favorites and lists
+   */
+  import(data) {
+    if (!data || data.type !== PersonalListsModel.exportType || !Array.isArray(data.lists)) {
+      throw new Error("the file does not contain restaurant lists");
+    }
+
+    const favoriteIds = PersonalListsModel._parseIds(data.favorites);
+    for (const id of favoriteIds) this.favoriteIds.add(id);
+
+    const importedLists = data.lists.filter(
+      list => list && typeof list.name === "string" && list.name.trim()
+    );
+    for (const importedList of importedLists) {
+      const name = importedList.name.trim();
+      const list = this._findListByName(name) || this._addList(name);
+      const restaurantIds = PersonalListsModel._parseIds(importedList.restaurantIds);
+      list.restaurantIds = [...new Set(list.restaurantIds.concat(restaurantIds))];
+    }
+
+    this._save();
+    return { favorites: favoriteIds.length, lists: importedLists.length };
+  }
+
+  /**
+   * @param {string} name - The name of a list.
+   * @returns {PersonalList} the list of the name, ignoring case, or undefined if there is none
+   * @protected
+   */
+  _findListByName(name) {
+    return this.lists.find(list => list.name.toLowerCase() === name.toLowerCase());
+  }
+
+  /**
+   * @param {string} name - The name of the list.
+   * @returns {PersonalList} the added empty list
+   * @protected
+   */
+  _addList(name) {
+    const list = { id: this._createListId(), name, restaurantIds: [] };
+    this.lists.push(list);
+    return list;
+  }
+
+  /**
+   * @returns {string} an id for a new list, following the ids of all lists created before
+   * @protected
+   */
+  _createListId() {
+    this.lastListId = PersonalListsModel._getLastListId(this.lists, this.lastListId) + 1;
+    return String(this.lastListId);
+  }
+
+  /**
+   * Stores the favorites and lists in local storage. The changes are kept for the session if
+   * they cannot be stored, e.g. if the storage quota is exceeded.
+   *
+   * @protected
+   */
+  _save() {
+    this.revision++;
+    try {
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({
+          favorites: [...this.favoriteIds],
+          lists: this.lists,
+          lastListId: this.lastListId
+        })
+      );
+    } catch (error) {
+      console.log("Personal lists could not be saved: ", error.message);
+    }
+  }
+
+  /**
+   * @param {PersonalList[]} lists - The existing lists.
+   * @param {number} lastListId - The id of the last list created, as far as known.
+   * @returns {number} the id of the last list created, which is at least the id of each list
+   * @protected
+   * @static
+   */
+  static _getLastListId(lists, lastListId) {
+    const ids = lists.map(list => parseInt(list.id)).filter(id => !isNaN(id));
+    return Math.max(0, isNaN(lastListId) ? 0 : lastListId, ...ids);
+  }
+
+  /**
+   * @param {*} ids - The restaurant ids read from storage or an imported file.
+   * @returns {number[]} the distinct valid restaurant ids, which are positive integers
+   * @protected
+   * @static
+   */
+  static _parseIds(ids) {
+    if (!Array.isArray(ids)) return [];
+    return [...new Set(ids.filter(id => Number.isInteger(id) && id > 0))];
+  }
+}
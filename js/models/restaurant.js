@@ -0,0 +1,142 @@
+/* models/restaurant.js
+ *
+ * provides the class representing a restaurant and its reviews.
+ */
+
+import { APP_PATH } from "../config.js";
+import { OperatingHours } from "../utils/operating-hours.js";
+
+/**
+ * Represents a restaurant entry in the app
+ */
+export class Restaurant {
+  /**
+   * @param {Function} json - A restaurant json object
+   */
+  constructor(json) {
+    // base on provided json object
+    Object.assign(this, json);
+    // parse the operating hours once, as filtering by them tests every restaurant
+    this._openingIntervals = OperatingHours.parse(this.operating_hours);
+  }
+
+  /**
+   * Validates a restaurant json object, e.g. from a data source, against the fields the app relies
+   * on.
+   *
+   * @param {object} json - A restaurant json object.
+   * @returns {string[]} the problems found, or an empty array if the restaurant is valid
+   * @static
+   */
+  static validate(json) {
+    if (!json || typeof json !== "object" || Array.isArray(json)) return ["it is not an object"];
+
+    const problems = [];
+    const isText = value => typeof value === "string" && value.trim() !== "";
+    if (!Number.isInteger(json.id) || json.id < 1) {
+      problems.push("its id is not a positive integer");
+    }
+    for (const field of ["name", "neighborhood", "cuisine_type", "address"]) {
+      if (!isText(json[field])) problems.push(`its ${field} is missing`);
+    }
+
+    // coordinates may be numeric strings, they are parsed where used
+    const latlng = json.latlng || {};
+    const lat = parseFloat(latlng.lat);
+    const lng = parseFloat(latlng.lng);
+    if (!(Math.abs(lat) <= 90 && Math.abs(lng) <= 180)) problems.push("its latlng is invalid");
+
+    if (json.photograph !== undefined && !isText(json.photograph)) {
+      problems.push("its photograph is not a file name");
+    }
+    if (json.operating_hours !== undefined) {
+      const hours = json.operating_hours;
+      const isValid = hours && typeof hours === "object" &&
+        Object.values(hours).every(value => typeof value === "string");
+      if (!isValid) problems.push("its operating_hours are not texts per day");
+    }
+    if (json.reviews !== undefined) {
+      const isValid = Array.isArray(json.reviews) && json.reviews.every(review =>
+        review && typeof review === "object" && parseInt(review.rating) >= 1 &&
+        parseInt(review.rating) <= 5
+      );
+      if (!isValid) problems.push("its reviews are not a list of reviews rated 1 to 5");
+    }
+
+    return problems;
+  }
+
+  /**
+   * @returns {string} A generated url targeting the image for the restaurant
+   */
+  get imageUrl() {
+    // encode the file name, so it cannot point outside of the image folder
+    return `${APP_PATH}/img/${encodeURIComponent(this.photograph)}`;
+  }
+
+  /**
+   * @returns {string} A generated internal url for the restaurant. The url is relative to the
+   * current document, so any configuration in the query string is kept when navigating.
+   */
+  get url() {
+    return `#/restaurant/${this.id}`;
+  }
+
+  /**
+   * @returns {number} The number of reviews of the restaurant
+   */
+  get reviewCount() {
+    return this.reviews ? this.reviews.length : 0;
+  }
+
+  /**
+   * @returns {number} The average rating of the reviews of the restaurant, or null if it has no
+   * reviews
+   */
+  get averageRating() {
+    if (!this.reviewCount) return null;
+    const ratingSum = this.reviews.reduce((sum, review) => sum + parseInt(review.rating), 0);
+    return ratingSum / this.reviewCount;
+  }
+
+  /**
+   * @returns {Object.<number, number>} The number of reviews of the restaurant per rating, keyed by
+   * the ratings 1 to 5
+   */
+  get ratingDistribution() {
+    const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    for (const review of this.reviews || []) {
+      const rating = parseInt(review.rating);
+      if (rating in ratingDistribution) ratingDistribution[rating]++;
+    }
+    return ratingDistribution;
+  }
+
+  /**
+   * @returns {Date} The date of the most recent review of the restaurant, or null if it has no
+   * reviews with a valid date
+   */
+  get latestReviewDate() {
+    const reviewTimes = (this.reviews || [])
+      .map(review => new Date(review.date).getTime())
+      .filter(time => !isNaN(time));
+    return reviewTimes.length ? new Date(Math.max(...reviewTimes)) : null;
+  }
+
+  /**
+   * @returns {Object.<string, Array.<{start: number, end: number}>>} The operating hours of the
+   * restaurant parsed into opening intervals per day, as returned by OperatingHours.parse
+   */
+  get openingIntervals() {
+    return this._openingIntervals;
+  }
+
+  /**
+   * @param {number} weekMinute - A time of the week, as returned by OperatingHours.toWeekMinute.
+   * @returns {boolean} true if the restaurant is open at the provided time of the week, or null if
+   * its operating hours are unknown
+   */
+  isOpenAt(weekMinute) {
+    return OperatingHours.isOpen(this.openingIntervals, weekMinute);
+  }
+}
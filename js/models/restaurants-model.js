@@ -0,0 +1,1050 @@
+/* models/restaurants-model.js
+ *
+ * provides the model of the restaurants, their reviews and the filter criteria of the user.
+ */
+
+import { DEFAULT_APP_CONFIG } from "../config.js";
+import { StaticJsonDataSource } from "../services/data-sources.js";
+import { LocalStorageReviewsBackend } from "../services/reviews-backends.js";
+import { GeoMath } from "../utils/geo-math.js";
+import { OperatingHours } from "../utils/operating-hours.js";
+import { TextSearch } from "../utils/text-search.js";
+import { OfflineAreasModel } from "./offline-areas-model.js";
+import { PersonalListsModel } from "./personal-lists-model.js";
+import { Restaurant } from "./restaurant.js";
+
+/**
+ * The filter criteria provided by the user. Criteria set to null are not applied.
+ *
+ * @typedef {object} FilterCriteria
+ * @property {string[]} cuisines - The cuisines to filter by, any of which may match.
+ * @property {string[]} neighborhoods - The neighborhoods to filter by, any of which may match.
+ * @property {number} minRating - The minimum average rating, one of RestaurantsModel.minRatings.
+ * @property {boolean} hasReviews - true to keep only restaurants that have reviews.
+ * @property {string} search - The free text search to filter and rank by.
+ * @property {string} open - Keeps restaurants open at a time: "now", or a day and a 24-hour time
+ * such as "Saturday 19:30".
+ * @property {string} sort - The sort order: "name", "rating", "reviews", "recent" or "distance".
+ * Null keeps the search ranking, or else the order of the data source.
+ * @property {{lat: number, lng: number}} origin - The location of the user, chosen by locating
+ * the user, clicking the map or entering an address. Distances are measured from it.
+ * @property {number} radius - The maximum distance from the origin in meters, one of
+ * RestaurantsModel.radii. Not applied without an origin.
+ * @property {number[][]} bounds - The map area to search, as `[[west, south], [east, north]]` like
+ * boundsOfFiltered. Set while searching as the map moves.
+ * @property {boolean} favorites - true to keep only the favorite restaurants of the user.
+ * @property {string} list - The id of the personal list of the user to keep the restaurants of.
+ */
+
+/**
+ * The directions from the location of the user to the selected restaurant.
+ *
+ * @typedef {object} Directions
+ * @property {Restaurant} restaurant - The restaurant the directions lead to.
+ * @property {{lat: number, lng: number}} origin - The location of the user, or null while the
+ * user is being located.
+ * @property {string} status - "locating" while the user is located, "routing" while the routes are
+ * found, "done" once they are found, or "failed".
+ * @property {Object.<string, Route>} routes - The routes of each travel mode, once found.
+ * @property {string} message - The message for the user telling why the directions failed.
+ */
+
+/**
+ * The status of loading the restaurant data.
+ *
+ * @typedef {object} DataStatus
+ * @property {string} state - "loading" while the data is loaded, "loaded" once it is shown, or
+ * "failed" if it could not be loaded and no cached data is available.
+ * @property {Error} error - The error loading the data failed with, also set when cached data is
+ * shown instead.
+ * @property {Date} cachedAt - The time the cached data shown was loaded, either from the cache of
+ * the app or from the cache of the service worker, or null if the data is fresh.
+ * @property {{index: number, id: *, problems: string[]}[]} skippedRecords - The restaurant
+ * records left out because they are invalid, by their position in the data.
+ */
+
+/**
+ * The type of a change event of the restaurants model, one of RestaurantsModel.eventTypes:
+ * "data-status-changed" once the restaurant data starts loading or has failed to load,
+ * "restaurants-loaded" once the restaurant data has been loaded, "filter-changed" once filter
+ * criteria have been set, "selection-changed" once a restaurant has been selected or the
+ * selection has been cleared, "active-changed" once another restaurant has been highlighted,
+ * "directions-changed" once the directions or their travel mode have changed, "reviews-changed"
+ * once reviews have been added, sent or discarded, "lists-changed" once the favorites or personal
+ * lists of the user have changed, and "offline-areas-changed" once an area of the map has been
+ * saved or deleted.
+ *
+ * @typedef {string} ModelEventType
+ */
+
+/**
+ * the restaurants model handles storage and access to of restaurant data. Views subscribe to its
+ * change events rather than being rendered by the controller, cf. on.
+ */
+export class RestaurantsModel {
+  /**
+   * @param {RestaurantsDataSource} param.dataSource - The data source restaurants are loaded from.
+   * @param {ReviewsBackend} param.reviewsBackend - The backend that reviews submitted by users are
+   * sent to.
+   * @param {PersonalListsModel} param.personalLists - The favorites and personal lists of the user.
+   * @param {OfflineAreasModel} param.offlineAreas - The areas of the map saved for offline use.
+   * @param {string} param.cacheKey - The local storage key to cache the restaurant data under,
+   * which is shown when it cannot be loaded, e.g. while offline.
+   * @param {{lat: number, lng: number}} param.defaultCenterCoordinates - The center used when no
+   * restaurants match the filter criteria.
+   */
+  constructor({
+    dataSource = new StaticJsonDataSource(DEFAULT_APP_CONFIG.dataUrl),
+    reviewsBackend = new LocalStorageReviewsBackend(),
+    personalLists = new PersonalListsModel(),
+    offlineAreas = new OfflineAreasModel(),
+    cacheKey = "restaurant-reviews-data",
+    defaultCenterCoordinates = { lng: -73.987501, lat: 40.722216 }
+  } = {}) {
+    /**
+     * The data source restaurants are loaded from.
+     *
+     * @type {RestaurantsDataSource}
+     */
+    this.dataSource = dataSource;
+    /**
+     * The backend that reviews submitted by users are sent to.
+     *
+     * @type {ReviewsBackend}
+     */
+    this.reviewsBackend = reviewsBackend;
+    /**
+     * The favorites and personal lists of the user.
+     *
+     * @type {PersonalListsModel}
+     */
+    this.personalLists = personalLists;
+    /**
+     * The areas of the map saved for offline use.
+     *
+     * @type {OfflineAreasModel}
+     */
+    this.offlineAreas = offlineAreas;
+    /**
+     * The local storage key the restaurant data is cached under.
+     *
+     * @type {string}
+     */
+    this.cacheKey = cacheKey;
+    /**
+     * The status of loading the restaurant data.
+     *
+     * @type {DataStatus}
+     */
+    this.dataStatus = { state: "loading", error: null, cachedAt: null, skippedRecords: [] };
+    /**
+     * All fetched restaurants
+     *
+     * @type {Restaurant[]}
+     */
+    this.restaurants = [];
+    /**
+     * All available cuisines of fetched restaurants.
+     *
+     * @type {Set.<string>}
+     */
+    this.cuisines = new Set();
+    /**
+     * All available neighborhoods of fetched restaurants.
+     *
+     * @type {Set.<string>}
+     */
+    this.neighborhoods = new Set();
+    /**
+     * the filter criteria provided by the user. Criteria set to null are not applied.
+     *
+     * @type {FilterCriteria}
+     */
+    this.filterCriteria = {
+      cuisines: null,
+      neighborhoods: null,
+      minRating: null,
+      hasReviews: null,
+      search: null,
+      open: null,
+      sort: null,
+      origin: null,
+      radius: null,
+      bounds: null,
+      favorites: null,
+      list: null
+    };
+    /**
+     * the restaurant selected by the user when viewing details
+     *
+     * @type {Restaurant}
+     */
+    this.selectedRestaurant = null;
+    /**
+     * the restaurant highlighted in the overview while the user hovers or focuses its list item or
+     * map marker
+     *
+     * @type {Restaurant}
+     */
+    this.activeRestaurant = null;
+    /**
+     * true if the user highlighted the active restaurant on the map, so its list item is scrolled
+     * into view
+     *
+     * @type {boolean}
+     */
+    this.isActiveFromMap = false;
+    /**
+     * the directions to the selected restaurant, or null if the user has not chosen a location
+     *
+     * @type {Directions}
+     */
+    this.directions = null;
+    /**
+     * the travel mode of the route shown on the map, one of RoutingEngine.modes
+     *
+     * @type {string}
+     */
+    this.directionsMode = "walk";
+    /**
+     * true if the url navigated to by the user does not refer to a view or an existing restaurant
+     *
+     * @type {boolean}
+     */
+    this.isNotFound = false;
+    /**
+     * the restaurants matching the filter criteria provided by the user
+     *
+     * @type {Restaurant[]}
+     * @protected
+     */
+    this._filteredRestaurants = this.restaurants;
+    /**
+     * the pending or completed load of restaurant data, shared by all callers of load
+     *
+     * @type {Promise}
+     * @protected
+     */
+    this._loadPromise = null;
+    /**
+     * the center used when no restaurants match the filter criteria
+     *
+     * @type {{lat: number, lng: number}}
+     * @protected
+     */
+    this._defaultCenterCoordinates = defaultCenterCoordinates;
+    /**
+     * the listeners of the change events of the model, keyed by event type
+     *
+     * @type {Object.<string, Function[]>}
+     * @protected
+     */
+    this._listeners = {};
+  }
+
+  /**
+   * @returns {ModelEventType[]} the types of the change events of the model
+   * @static
+   */
+  static get eventTypes() {
+    return [
+      "data-status-changed",
+      "restaurants-loaded",
+      "filter-changed",
+      "selection-changed",
+      "active-changed",
+      "directions-changed",
+      "reviews-changed",
+      "lists-changed",
+      "offline-areas-changed"
+    ];
+  }
+
+  /**
+   * Listens to a change event of the model.
+   *
+   * @param {ModelEventType} type - The type of the event.
+   * @param {Function} listener - Called with the event, an object with the type of the event.
+   * @param {AbortSignal} param.signal - Removes the listener once aborted, e.g. when the view
+   * listening is destroyed. The listener is not added if the signal is aborted already.
+   */
+  on(type, listener, { signal = null } = {}) {
+    if (!RestaurantsModel.eventTypes.includes(type)) {
+      throw new Error(`unknown model event: ${type}`);
+    }
+    if (signal && signal.aborted) return;
+
+    const listeners = (this._listeners[type] = this._listeners[type] || []);
+    listeners.push(listener);
+    if (signal) {
+      signal.addEventListener("abort", () => {
+        const index = listeners.indexOf(listener);
+        if (index >= 0) listeners.splice(index, 1);
+      });
+    }
+  }
+
+  /**
+   * Loads restaurant data from the data source, unless it has been loaded already.
+   * Use refresh to load the data again.
+   *
+   * @returns {Promise} Promise object resolves when the restaurant data has been loaded, and
+   * rejects if it could not be loaded, in which case the next call loads it again
+   */
+  load() {
+    if (!this._loadPromise) {
+      this._loadPromise = this.refresh().catch(error => {
+        this._loadPromise = null;
+        throw error;
+      });
+    }
+    return this._loadPromise;
+  }
+
+  /**
+   * Loads restaurant data from the data source, and updates filter selection options and
+   * filtered results. If the data source fails, the data cached by the last successful load is
+   * used instead. The outcome is kept in dataStatus, and the loaded restaurants are only set once
+   * all of their data, including the reviews submitted by the user, has been loaded. Restaurants
+   * whose submitted reviews cannot be read are loaded without them.
+   *
+   * @returns {Promise} Promise object resolves when the restaurant data has been loaded, and
+   * rejects with the error of the data source if no cached data is available
+   * @async
+   */
+  async refresh() {
+    this.dataStatus = { state: "loading", error: null, cachedAt: null, skippedRecords: [] };
+    this._emit("data-status-changed");
+
+    let restaurants;
+    try {
+      restaurants = this._createRestaurants(await this._fetchOrReadCachedRestaurants());
+    } catch (error) {
+      this.dataStatus = { state: "failed", error, cachedAt: null, skippedRecords: [] };
+      this._emit("data-status-changed");
+      throw error;
+    }
+    // add reviews submitted through the reviews backend, which are not part of the source data;
+    // the restaurants are still shown without them if they cannot be read
+    await Promise.all(restaurants.map(async restaurant => {
+      let submittedReviews = [];
+      try {
+        submittedReviews = await this.reviewsBackend.getReviews(restaurant.id);
+      } catch (error) {
+        console.log(`Reviews of restaurant ${restaurant.id} could not be loaded: `, error.message);
+      }
+      restaurant.reviews = (restaurant.reviews || []).concat(submittedReviews);
+    }));
+
+    this.restaurants = restaurants;
+    // set filter selection options based on fetched restaurants and the lists of the user
+    this.cuisines = new Set(this.restaurants.map(restaurant => restaurant.cuisine_type));
+    this.neighborhoods = new Set(this.restaurants.map(restaurant => restaurant.neighborhood));
+    this.personalLists.load();
+    this.offlineAreas.load();
+    //update filtered restaurants once based on user selections
+    this._filteredRestaurants = RestaurantsModel.filterRestaurants(
+      this.restaurants,
+      this.filterCriteria,
+      this.personalLists
+    );
+    this.dataStatus.state = "loaded";
+    this._emit("restaurants-loaded");
+  }
+
+  /**
+   * Sets the filter criteria provided by the user, and filters the loaded restaurants in memory.
+   * Criteria not provided keep their current value.
+   *
+   * @param {FilterCriteria} filterCriteria - The criteria to set, null meaning that the criteria
+   * is not applied.
+   */
+  setFilterCriteria(filterCriteria) {
+    this.filterCriteria = Object.assign({}, this.filterCriteria, filterCriteria);
+    this._filteredRestaurants = RestaurantsModel.filterRestaurants(
+      this.restaurants,
+      this.filterCriteria,
+      this.personalLists
+    );
+    this._emit("filter-changed");
+  }
+
+  /**
+   * Selects a restaurant to view the details of, or clears the selection to view the overview.
+   * The highlighted restaurant and the directions are cleared along with the previous selection.
+   *
+   * @param {Restaurant} restaurant - The restaurant to select, or null to clear the selection.
+   * @param {boolean} param.isNotFound - true if the url navigated to does not refer to a view or
+   * an existing restaurant.
+   */
+  selectRestaurant(restaurant, { isNotFound = false } = {}) {
+    this.selectedRestaurant = restaurant;
+    this.isNotFound = isNotFound;
+    this.activeRestaurant = null;
+    this.isActiveFromMap = false;
+    this.directions = null;
+    this._emit("selection-changed");
+  }
+
+  /**
+   * Highlights a restaurant in the overview, e.g. while the user hovers its list item.
+   *
+   * @param {Restaurant} restaurant - The restaurant to highlight, or null to remove the highlight.
+   * @param {boolean} param.isFromMap - true if the user highlighted the restaurant on the map.
+   */
+  activateRestaurant(restaurant, { isFromMap = false } = {}) {
+    this.activeRestaurant = restaurant;
+    this.isActiveFromMap = isFromMap;
+    this._emit("active-changed");
+  }
+
+  /**
+   * Sets the directions to the selected restaurant, e.g. once their routes have been found.
+   *
+   * @param {Directions} directions - The directions, or null if there are none.
+   */
+  setDirections(directions) {
+    this.directions = directions;
+    this._emit("directions-changed");
+  }
+
+  /**
+   * Sets the travel mode of the route shown on the map.
+   *
+   * @param {string} mode - The travel mode, one of RoutingEngine.modes.
+   */
+  setDirectionsMode(mode) {
+    this.directionsMode = mode;
+    this._emit("directions-changed");
+  }
+
+  /**
+   * Filters the restaurants again after the favorites or personal lists of the user have changed,
+   * as the overview may be filtered by them.
+   *
+   * @param {FilterCriteria} filterCriteria - Filter criteria to change as well, e.g. to stop
+   * filtering by a deleted list.
+   */
+  updatePersonalLists(filterCriteria = {}) {
+    this.setFilterCriteria(filterCriteria);
+    this._emit("lists-changed");
+  }
+
+  /**
+   * Saves an area of the map for offline use, cf. OfflineAreasModel.saveArea.
+   *
+   * @param {object} area - The name, bounds, zoom levels and resource urls of the area.
+   * @param {Function} onProgress - Called with `{done, total}` counts of resources as they are
+   * saved.
+   * @returns {Promise} Promise object resolves to the saved area
+   * @async
+   */
+  async saveOfflineArea(area, onProgress) {
+    const savedArea = await this.offlineAreas.saveArea(area, onProgress);
+    this._emit("offline-areas-changed");
+    return savedArea;
+  }
+
+  /**
+   * Deletes an area of the map saved for offline use, cf. OfflineAreasModel.deleteArea.
+   *
+   * @param {string} areaId - The id of the area.
+   * @async
+   */
+  async deleteOfflineArea(areaId) {
+    await this.offlineAreas.deleteArea(areaId);
+    this._emit("offline-areas-changed");
+  }
+
+  /**
+   * Filters restaurants by filter criteria. The restaurants are not changed.
+   * If a search is provided, only restaurants matching all of its terms are kept, ranked by
+   * relevance unless a sort order is provided.
+   *
+   * @param {Restaurant[]} restaurants - The restaurants to filter.
+   * @param {FilterCriteria} filterCriteria - The criteria to filter by, criteria set to null are
+   * not applied.
+   * @param {PersonalListsModel} personalLists - The favorites and personal lists of the user that
+   * the favorites and list criteria refer to.
+   * @returns {Restaurant[]} the restaurants matching all criteria, in the provided sort order,
+   * ranked by search relevance, or else in their original order
+   * @static
+   */
+  static filterRestaurants(restaurants, filterCriteria = {}, personalLists = null) {
+    const { search = null, sort = null, origin = null } = filterCriteria;
+    const tests = Object.values(
+      RestaurantsModel._createCriteriaTests(filterCriteria, personalLists)
+    );
+    let filteredRestaurants = restaurants.filter(restaurant =>
+      tests.every(test => test(restaurant))
+    );
+
+    // rank by relevance, the sort is stable so equally relevant restaurants keep their order
+    const searchTerms = TextSearch.tokenize(search);
+    if (searchTerms.length) {
+      filteredRestaurants = filteredRestaurants
+        .map(restaurant => ({
+          restaurant: restaurant,
+          score: RestaurantsModel.scoreSearchRelevance(restaurant, searchTerms)
+        }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .map(result => result.restaurant);
+    }
+
+    return RestaurantsModel.sortRestaurants(filteredRestaurants, sort, origin);
+  }
+
+  /**
+   * Counts the restaurants matching each filter option, given the other filter criteria, e.g. to
+   * show how many restaurants selecting a cuisine would add. Options are counted without applying
+   * the criteria of their own filter, so selecting more options of a filter never hides them.
+   * The restaurants are counted in a single pass, testing each criterion once per restaurant.
+   *
+   * @param {Restaurant[]} restaurants - The restaurants to count.
+   * @param {FilterCriteria} filterCriteria - The criteria the counts are based on.
+   * @param {PersonalListsModel} personalLists - The favorites and personal lists of the user.
+   * @returns {{cuisines: Map.<string, number>, neighborhoods: Map.<string, number>,
+   * minRatings: Map.<number, number>, hasReviews: number, radii: Map.<number, number>,
+   * favorites: number, lists: Map.<string, number>}} the number of matching restaurants per
+   * cuisine, per neighborhood and per minimum rating, the number of matching restaurants having
+   * reviews, the number of matching restaurants per radius if an origin is provided, and the
+   * number of matching favorites and restaurants per personal list
+   * @static
+   */
+  static countFilterOptions(restaurants, filterCriteria, personalLists = null) {
+    const { search = null, origin = null } = filterCriteria;
+    const tests = RestaurantsModel._createCriteriaTests(filterCriteria, personalLists);
+    const searchTerms = TextSearch.tokenize(search);
+    if (searchTerms.length) {
+      tests.search = restaurant =>
+        RestaurantsModel.scoreSearchRelevance(restaurant, searchTerms) > 0;
+    }
+    const testEntries = Object.entries(tests);
+    const lists = personalLists ? personalLists.lists : [];
+    const increment = (counts, key) => counts.set(key, (counts.get(key) || 0) + 1);
+
+    const counts = {
+      cuisines: new Map(),
+      neighborhoods: new Map(),
+      minRatings: new Map(RestaurantsModel.minRatings.map(minRating => [minRating, 0])),
+      hasReviews: 0,
+      radii: new Map(RestaurantsModel.radii.map(radius => [radius, 0])),
+      favorites: 0,
+      lists: new Map(lists.map(list => [list.id, 0]))
+    };
+    for (const restaurant of restaurants) {
+      // a restaurant counts for the options of a filter if it matches the criteria of all other
+      // filters, so it counts for none if it fails two criteria
+      const failedCriteria = [];
+      for (const [criteria, test] of testEntries) {
+        if (!test(restaurant) && failedCriteria.push(criteria) > 1) break;
+      }
+      if (failedCriteria.length > 1) continue;
+      const isCounted = criteria => !failedCriteria.length || failedCriteria[0] === criteria;
+
+      if (isCounted("cuisines")) increment(counts.cuisines, restaurant.cuisine_type);
+      if (isCounted("neighborhoods")) increment(counts.neighborhoods, restaurant.neighborhood);
+      if (isCounted("minRating")) {
+        for (const minRating of RestaurantsModel.minRatings) {
+          if (restaurant.averageRating >= minRating) increment(counts.minRatings, minRating);
+        }
+      }
+      if (isCounted("hasReviews") && restaurant.reviewCount > 0) counts.hasReviews++;
+      if (origin && isCounted("radius")) {
+        const distance = GeoMath.distance(origin, restaurant.latlng);
+        for (const radius of RestaurantsModel.radii) {
+          if (distance <= radius) increment(counts.radii, radius);
+        }
+      }
+      if (personalLists && isCounted("favorites") && personalLists.isFavorite(restaurant.id)) {
+        counts.favorites++;
+      }
+      if (isCounted("list")) {
+        for (const list of lists) {
+          if (list.restaurantIds.includes(restaurant.id)) increment(counts.lists, list.id);
+        }
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Creates the tests of the filter criteria that are applied, except the search, which
+   * filterRestaurants ranks by. They are shared by filterRestaurants and countFilterOptions.
+   *
+   * @param {FilterCriteria} filterCriteria - The criteria to test, criteria set to null are not
+   * applied.
+   * @param {PersonalListsModel} personalLists - The favorites and personal lists of the user that
+   * the favorites and list criteria refer to.
+   * @returns {Object.<string, Function>} per applied criterion, a function telling whether a
+   * restaurant matches it
+   * @static
+   * @protected
+   */
+  static _createCriteriaTests(
+    {
+      cuisines = null,
+      neighborhoods = null,
+      minRating = null,
+      hasReviews = null,
+      open = null,
+      origin = null,
+      radius = null,
+      bounds = null,
+      favorites = null,
+      list = null
+    } = {},
+    personalLists = null) {
+
+    // restaurants cannot be favorites or on a list without personal lists
+    const favoriteIds = personalLists ? personalLists.favoriteIds : new Set();
+    const personalList = list && personalLists ? personalLists.getList(list) : null;
+    const listedIds = personalList ? personalList.restaurantIds : [];
+
+    const tests = {};
+    if (cuisines) tests.cuisines = restaurant => cuisines.includes(restaurant.cuisine_type);
+    if (neighborhoods) {
+      tests.neighborhoods = restaurant => neighborhoods.includes(restaurant.neighborhood);
+    }
+    if (minRating) tests.minRating = restaurant => restaurant.averageRating >= minRating;
+    if (hasReviews) tests.hasReviews = restaurant => restaurant.reviewCount > 0;
+    if (radius && origin) {
+      tests.radius = restaurant => GeoMath.distance(origin, restaurant.latlng) <= radius;
+    }
+    if (bounds) {
+      tests.bounds = restaurant => RestaurantsModel.isWithinBounds(restaurant.latlng, bounds);
+    }
+    if (favorites) tests.favorites = restaurant => favoriteIds.has(restaurant.id);
+    if (list) tests.list = restaurant => listedIds.includes(restaurant.id);
+
+    // keep restaurants known to be open, restaurants with unknown operating hours are left out
+    if (open) {
+      const weekMinute =
+        open === "now"
+          ? OperatingHours.toWeekMinute(new Date())
+          : OperatingHours.parseWeekMinute(open);
+      if (weekMinute !== null) tests.open = restaurant => restaurant.isOpenAt(weekMinute) === true;
+    }
+    return tests;
+  }
+
+  /**
+   * Checks whether coordinates lie inside bounds, e.g. whether a restaurant is inside the visible
+   * area of the map. This is the reverse of boundsOfFiltered, which calculates the bounds of
+   * restaurants.
+   *
+   * @param {{lat: number, lng: number}} coordinates - The coordinates to check.
+   * @param {number[][]} bounds - The bounds as `[[west, south], [east, north]]`.
+   * @returns {boolean} true if the coordinates lie inside the bounds, including their edges
+   * @static
+   */
+  static isWithinBounds(coordinates, [[west, south], [east, north]]) {
+    const lat = parseFloat(coordinates.lat);
+    const lng = parseFloat(coordinates.lng);
+    return lat >= south && lat <= north && lng >= west && lng <= east;
+  }
+
+  /**
+   * @returns {number[]} the supported maximum distances from the origin to filter by, in meters
+   * @static
+   */
+  static get radii() {
+    return [500, 1000, 2000, 5000];
+  }
+
+  /**
+   * @returns {number[]} the supported minimum average ratings to filter by, highest first
+   * @static
+   */
+  static get minRatings() {
+    return [4.5, 4, 3, 2];
+  }
+
+  /**
+   * @returns {string[]} the supported sort orders of sortRestaurants
+   * @static
+   */
+  static get sortOrders() {
+    return ["name", "rating", "reviews", "recent", "distance"];
+  }
+
+  /**
+   * Sorts restaurants in a sort order. The sort is stable, so restaurants that are equal in the
+   * sort order keep their order. The restaurants are not changed.
+   *
+   * @param {Restaurant[]} restaurants - The restaurants to sort.
+   * @param {string} sort - The sort order: "name" (A-Z), "rating" (highest average rating first),
+   * "reviews" (most reviews first), "recent" (most recent review first) or "distance" (nearest to
+   * origin first). Any other value keeps the order.
+   * @param {{lat: number, lng: number}} origin - The point that the "distance" sort order measures
+   * from. The order is kept if no origin is provided.
+   * @returns {Restaurant[]} the sorted restaurants
+   * @static
+   */
+  static sortRestaurants(restaurants, sort, origin = null) {
+    // restaurants without a value to sort by, e.g. without reviews, are placed last
+    const descendingBy = getValue => (a, b) => {
+      const valueA = getValue(a);
+      const valueB = getValue(b);
+      if (valueA === null) return valueB === null ? 0 : 1;
+      if (valueB === null) return -1;
+      return valueB - valueA;
+    };
+
+    switch (sort) {
+      case "name":
+        return restaurants.slice().sort((a, b) => String(a.name).localeCompare(b.name));
+      case "rating":
+        return restaurants.slice().sort(descendingBy(restaurant => restaurant.averageRating));
+      case "reviews":
+        return restaurants.slice().sort(descendingBy(restaurant => restaurant.reviewCount));
+      case "recent":
+        return restaurants.slice().sort(
+          descendingBy(restaurant => {
+            const latestReviewDate = restaurant.latestReviewDate;
+            return latestReviewDate ? latestReviewDate.getTime() : null;
+          })
+        );
+      case "distance": {
+        if (!origin) return restaurants;
+        // calculate each distance once rather than on every comparison
+        const distances = new Map(
+          restaurants.map(restaurant => [restaurant, GeoMath.distance(origin, restaurant.latlng)])
+        );
+        return restaurants.slice().sort((a, b) => distances.get(a) - distances.get(b));
+      }
+      default:
+        return restaurants;
+    }
+  }
+
+  /**
+   * Scores how relevant a restaurant is to search terms. Every term must match the name, cuisine,
+   * address or review comments of the restaurant. Matches in the name weigh the most, and matches
+   * in review comments the least.
+   *
+   * @param {Restaurant} restaurant - The restaurant to score.
+   * @param {string[]} searchTerms - Normalized search terms, as returned by TextSearch.tokenize.
+   * @returns {number} the relevance score, 0 if any of the terms does not match
+   * @static
+   */
+  static scoreSearchRelevance(restaurant, searchTerms) {
+    const name = TextSearch.normalize(restaurant.name || "");
+    const cuisine = TextSearch.normalize(restaurant.cuisine_type || "");
+    const address = TextSearch.normalize(restaurant.address || "");
+    const comments = (restaurant.reviews || []).map(review =>
+      TextSearch.normalize(review.comments || "")
+    );
+
+    let score = 0;
+    for (const term of searchTerms) {
+      // count matching reviews up to a limit, so restaurants with many reviews do not outrank
+      // restaurants matching by name
+      const reviewMatches = comments.filter(comment => comment.includes(term)).length;
+      const termScore =
+        (name.includes(term) ? 8 : 0) +
+        (cuisine.includes(term) ? 4 : 0) +
+        (address.includes(term) ? 2 : 0) +
+        Math.min(reviewMatches, 3);
+
+      if (termScore === 0) return 0;
+      score += termScore;
+    }
+    return score;
+  }
+
+  /**
+   * Validates a review submitted by the user, dates it, and sends it to the reviews backend.
+   * The review is added to the reviews of the restaurant once accepted by the backend.
+   *
+   * @param {Restaurant} restaurant - The restaurant being reviewed.
+   * @param {{name: string, rating: number, comments: string}} review - The review to add.
+   * @returns {Promise} Promise object resolves to the review as stored by the backend, and rejects
+   * with an error describing why the review could not be added.
+   * @async
+   */
+  async addReview(restaurant, { name, rating, comments }) {
+    // validate review input
+    const parsedRating = parseInt(rating);
+    if (!name || !name.trim()) throw new Error("please enter your name");
+    if (isNaN(parsedRating)) throw new Error("please select a rating");
+    if (parsedRating < 1 || parsedRating > 5) throw new Error("rating must be in range 1-5");
+    if (!comments || !comments.trim()) throw new Error("please enter your comments");
+
+    // date the review in the same format as the source data, e.g. "October 26, 2016"
+    const review = {
+      name: name.trim(),
+      date: new Date().toLocaleDateString("en-US", {
+        year: "numeric",
+        month: "long",
+        day: "numeric"
+      }),
+      rating: parsedRating,
+      comments: comments.trim()
+    };
+
+    const storedReview = await this.reviewsBackend.addReview(restaurant.id, review);
+    restaurant.reviews = (restaurant.reviews || []).concat(storedReview);
+    this._emit("reviews-changed");
+    return storedReview;
+  }
+
+  /**
+   * Replays the reviews that could not be sent to the reviews backend while the user was
+   * offline, then updates the pending reviews of all restaurants.
+   *
+   * @async
+   */
+  async replayPendingReviews() {
+    try {
+      await this.reviewsBackend.replayPendingReviews();
+    } finally {
+      await this.updatePendingReviews();
+    }
+  }
+
+  /**
+   * Retries sending a pending review that was rejected by the reviews backend.
+   *
+   * @param {number} pendingId - The id of the pending review to retry.
+   * @async
+   */
+  async retryPendingReview(pendingId) {
+    try {
+      await this.reviewsBackend.retryPendingReview(pendingId);
+    } finally {
+      await this.updatePendingReviews();
+    }
+  }
+
+  /**
+   * Discards a pending review, and removes it from the reviews of its restaurant.
+   *
+   * @param {number} pendingId - The id of the pending review to discard.
+   * @async
+   */
+  async discardPendingReview(pendingId) {
+    await this.reviewsBackend.discardPendingReview(pendingId);
+    for (const restaurant of this.restaurants) {
+      restaurant.reviews = restaurant.reviews.filter(
+        review => !review.pending || review.pending.id !== pendingId
+      );
+    }
+    this._emit("reviews-changed");
+  }
+
+  /**
+   * Updates the pending reviews of all restaurants from the reviews backend, e.g. after the
+   * service worker has replayed them. Pending reviews no longer held by the backend have been
+   * sent, and are kept as regular reviews.
+   *
+   * @async
+   */
+  async updatePendingReviews() {
+    await Promise.all(this.restaurants.map(async restaurant => {
+      const pendingReviews = (await this.reviewsBackend.getReviews(restaurant.id))
+        .filter(review => review.pending);
+      const pendingReviewsById = new Map(pendingReviews.map(review => [review.pending.id, review]));
+
+      restaurant.reviews = restaurant.reviews.map(review => {
+        if (!review.pending) return review;
+        const pendingReview = pendingReviewsById.get(review.pending.id);
+        if (pendingReview) return pendingReview;
+        const sentReview = Object.assign({}, review);
+        delete sentReview.pending;
+        return sentReview;
+      });
+    }));
+    this._emit("reviews-changed");
+  }
+
+  /**
+   * @returns {Restaurant[]} The restaurants matching the filter criteria provided by the user
+   */
+  get filteredRestaurants() {
+    return this._filteredRestaurants;
+  }
+
+  /**
+   * @returns {object} The number of restaurants matching each filter option given the filter
+   * criteria provided by the user, as returned by countFilterOptions
+   */
+  get filterOptionCounts() {
+    return RestaurantsModel.countFilterOptions(
+      this.restaurants,
+      this.filterCriteria,
+      this.personalLists
+    );
+  }
+
+  /**
+   * Returns the bounds of all filtered restaurants.
+   * The bounds can be used to fit a collection of markers in the visible area of the map.
+   *
+   * @returns {mapbox.LngLatBounds} the bounds of all filtered restaurants
+   */
+  get boundsOfFiltered() {
+    // return fallback based on default center coordinates
+    if (!this.filteredRestaurants || this.filteredRestaurants.length === 0) {
+      const lngLatArray = [this._defaultCenterCoordinates.lng, this._defaultCenterCoordinates.lat];
+      return [lngLatArray, lngLatArray];
+    }
+    // if there are matches, calculate bounds
+    const minLat =
+      this.filteredRestaurants
+        .map(restaurant => parseFloat(restaurant.latlng.lat))
+        .reduce((a, b) => Math.min(a,b));
+    const maxLat =
+      this.filteredRestaurants
+        .map(restaurant => parseFloat(restaurant.latlng.lat))
+        .reduce((a, b) => Math.max(a, b));
+    const minLng =
+      this.filteredRestaurants
+        .map(restaurant => parseFloat(restaurant.latlng.lng))
+        .reduce((a, b) => Math.min(a, b));
+    const maxLng =
+      this.filteredRestaurants
+        .map(restaurant => parseFloat(restaurant.latlng.lng))
+        .reduce((a, b) => Math.max(a, b));
+    return [[minLng, minLat],[maxLng, maxLat]];
+  }
+
+  /**
+   * Returns the coordinates of the center of all filtered restaurants.
+   * The center coordinates can be used to e.g. center a map.
+   *
+   * @returns {{lat: number, lng: number}} the coordinates of the center of all filtered restaurants
+   */
+  get centerCoordinatesOfFiltered() {
+    // return Udacity exercise provided static coordinate points if there are no matches.
+    // In a real life scenario a different fallback should be applied.
+    if (!this.filteredRestaurants || this.filteredRestaurants.length === 0) {
+      return this._defaultCenterCoordinates;
+    }
+    //  if there are matches, calculate the center coordinates
+    const avgLat =
+      this.filteredRestaurants
+        .map(restaurant => parseFloat(restaurant.latlng.lat))
+        .reduce((accumulator, lat) => accumulator + lat) / this.filteredRestaurants.length;
+    const avgLng =
+      this.filteredRestaurants
+        .map(restaurant => parseFloat(restaurant.latlng.lng))
+        .reduce((accumulator, lng) => accumulator + lng) / this.filteredRestaurants.length;
+    return { lat: avgLat, lng: avgLng };
+  }
+
+  /**
+   * Calls the listeners of a change event of the model.
+   *
+   * @param {ModelEventType} type - The type of the event.
+   * @protected
+   */
+  _emit(type) {
+    for (const listener of (this._listeners[type] || []).slice()) listener({ type });
+  }
+
+  /**
+   * Fetches restaurant data from the data source.
+   *
+   * @returns {Promise} Promise object resolves to an array of restaurant json objects, and rejects
+   * if the data source fails or does not provide a list of restaurants
+   * @protected
+   * @async
+   */
+  async _fetchRestaurants() {
+    const restaurantsJson = await this.dataSource.fetchRestaurants();
+    if (!Array.isArray(restaurantsJson)) {
+      throw new Error("the data source did not provide a list of restaurants");
+    }
+    return restaurantsJson;
+  }
+
+  /**
+   * Fetches the restaurant json objects from the data source, and caches them. If the data source
+   * fails, the cached data is read instead, and the error and the time of caching are kept in
+   * dataStatus.
+   *
+   * @returns {Promise} Promise object resolves to the restaurant json objects, and rejects with
+   * the error of the data source if no cached data is available
+   * @protected
+   * @async
+   */
+  async _fetchOrReadCachedRestaurants() {
+    try {
+      const restaurantsJson = await this._fetchRestaurants();
+      // data served by the service worker while offline is cached data as well
+      this.dataStatus.cachedAt = this.dataSource.cachedAt || null;
+      this._cacheRestaurants(restaurantsJson, this.dataStatus.cachedAt || new Date());
+      return restaurantsJson;
+    } catch (error) {
+      const cachedData = this._readCachedRestaurants();
+      if (!cachedData) throw error;
+      this.dataStatus.error = error;
+      this.dataStatus.cachedAt = new Date(cachedData.cachedAt);
+      return cachedData.restaurants;
+    }
+  }
+
+  /**
+   * Converts restaurant json objects to restaurant objects, skipping invalid records and records
+   * repeating the id of an earlier record. Skipped records are reported in dataStatus.
+   *
+   * @param {object[]} restaurantsJson - The restaurant json objects.
+   * @returns {Restaurant[]} the restaurants of the valid records
+   * @protected
+   */
+  _createRestaurants(restaurantsJson) {
+    const restaurants = [];
+    const ids = new Set();
+    restaurantsJson.forEach((restaurantJson, index) => {
+      const problems = Restaurant.validate(restaurantJson);
+      if (!problems.length && ids.has(restaurantJson.id)) {
+        problems.push("its id is used by an earlier restaurant");
+      }
+      if (problems.length) {
+        const id = restaurantJson && restaurantJson.id !== undefined ? restaurantJson.id : null;
+        this.dataStatus.skippedRecords.push({ index, id, problems });
+        return;
+      }
+      ids.add(restaurantJson.id);
+      restaurants.push(new Restaurant(restaurantJson));
+    });
+    return restaurants;
+  }
+
+  /**
+   * Caches restaurant data in local storage, so it can be shown when the data source fails, e.g.
+   * while offline. The data is not cached if local storage is not available or full.
+   *
+   * @param {object[]} restaurantsJson - The restaurant json objects loaded from the data source.
+   * @param {Date} cachedAt - The time the data was loaded from the network.
+   * @protected
+   */
+  _cacheRestaurants(restaurantsJson, cachedAt) {
+    try {
+      localStorage.setItem(
+        this.cacheKey,
+        JSON.stringify({ cachedAt: cachedAt.toISOString(), restaurants: restaurantsJson })
+      );
+    } catch (error) {
+      console.log("Restaurant data could not be cached: ", error.message);
+    }
+  }
+
+  /**
+   * @returns {{cachedAt: string, restaurants: object[]}} the cached restaurant data, or null if
+   * there is none or it cannot be read
+   * @protected
+   */
+  _readCachedRestaurants() {
+    try {
+      const cachedData = JSON.parse(localStorage.getItem(this.cacheKey));
+      const isValid = cachedData && Array.isArray(cachedData.restaurants) &&
+        !isNaN(new Date(cachedData.cachedAt).getTime());
+      return isValid ? cachedData : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,272 @@
+/* review-outbox.js
+ *
+ * provides the review outbox of js/services/review-outbox.js to the service worker, which loads it
+ * through importScripts, as a classic script declaring globals. Keep it the same as the module,
+ * apart from its exports.
+ */
+
+"use strict";
+
+/**
+ * The tag of the background sync registration that replays the review outbox.
+ *
+ * @type {string}
+ */
+const REVIEW_OUTBOX_SYNC_TAG = "review-outbox";
+
+/**
+ * The type of the message posted to app windows by the service worker when the outbox has been
+ * replayed.
+ *
+ * @type {string}
+ */
+const REVIEW_OUTBOX_UPDATED_MESSAGE = "review-outbox-updated";
+
+/**
+ * An outbox of reviews waiting to be posted to a reviews backend.
+ * Each entry has a status: "pending" (waiting for replay), "sending" (claimed by a replay in this
+ * or another context, e.g. the service worker), or "failed" (rejected by the backend, waiting
+ * for the user to retry or discard it).
+ */
+class ReviewOutbox {
+  /**
+   * @param {string} databaseName - The name of the IndexedDB database holding the outbox.
+   */
+  constructor(databaseName = "restaurant-reviews-outbox") {
+    /**
+     * The name of the IndexedDB database holding the outbox.
+     *
+     * @type {string}
+     */
+    this.databaseName = databaseName;
+    /**
+     * The opened database, resolved on first use.
+     *
+     * @type {Promise}
+     * @protected
+     */
+    this._databasePromise = null;
+  }
+
+  /**
+   * @returns {boolean} true if IndexedDB is available, i.e. reviews can be queued in an outbox
+   * @static
+   */
+  static get isSupported() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  /**
+   * Asks the service worker to replay the outbox through Background Sync once the connection
+   * returns. Returns false if Background Sync is not available, in which case the app replays the
+   * outbox on the next online event.
+   *
+   * @returns {Promise} Promise object resolves to true if a background sync was registered
+   * @static
+   * @async
+   */
+  static async requestBackgroundReplay() {
+    if (typeof navigator === "undefined" || !navigator.serviceWorker) return false;
+
+    // avoid navigator.serviceWorker.ready, which never resolves if the registration failed
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (!registration || !registration.sync) return false;
+
+    await registration.sync.register(REVIEW_OUTBOX_SYNC_TAG);
+    return true;
+  }
+
+  /**
+   * Adds a review to the outbox.
+   *
+   * @param {number} param.restaurantId - The id of the reviewed restaurant.
+   * @param {string} param.url - The url the review is to be posted to.
+   * @param {object} param.review - The review to post.
+   * @returns {Promise} Promise object resolves to the added outbox entry, including its id
+   */
+  add({ restaurantId, url, review }) {
+    const entry = { restaurantId, url, review, status: "pending", error: null, claimedAt: null };
+    return this._transact("readwrite", (store, setResult) => {
+      store.add(entry).onsuccess = event => {
+        entry.id = event.target.result;
+        setResult(entry);
+      };
+    });
+  }
+
+  /**
+   * @returns {Promise} Promise object resolves to an array of all entries in the outbox
+   */
+  getAll() {
+    return this._transact("readonly", (store, setResult) => {
+      store.getAll().onsuccess = event => setResult(event.target.result);
+    });
+  }
+
+  /**
+   * Removes an entry from the outbox, e.g. when the user discards a failed review.
+   *
+   * @param {number} id - The id of the entry to remove.
+   * @returns {Promise} Promise object resolves when the entry has been removed
+   */
+  delete(id) {
+    return this._transact("readwrite", store => store.delete(id));
+  }
+
+  /**
+   * Replays all pending entries of the outbox, oldest first. Stops at the first network error,
+   * as the remaining entries would fail too.
+   *
+   * @returns {Promise} Promise object resolves when all pending entries have been replayed, and
+   * rejects with the network error if the backend could not be reached
+   * @async
+   */
+  async replayAll() {
+    const entries = await this.getAll();
+    for (const entry of entries.filter(entry => ReviewOutbox._isClaimable(entry))) {
+      await this.replay(entry.id);
+    }
+  }
+
+  /**
+   * Retries a failed entry of the outbox.
+   *
+   * @param {number} id - The id of the entry to retry.
+   * @returns {Promise} Promise object resolves when the entry has been replayed, and rejects with
+   * the network error if the backend could not be reached
+   * @async
+   */
+  async retry(id) {
+    await this._update(id, { status: "pending", error: null });
+    await this.replay(id);
+  }
+
+  /**
+   * Posts the review of an entry to its backend. The entry is removed if the backend accepts the
+   * review, marked as failed if the backend rejects it, and kept pending if the backend could not
+   * be reached. Returns without posting if the entry is already being replayed elsewhere.
+   *
+   * @param {number} id - The id of the entry to replay.
+   * @returns {Promise} Promise object resolves when the entry has been replayed, and rejects with
+   * the network error if the backend could not be reached
+   * @async
+   */
+  async replay(id) {
+    // claim the entry first, so the app and the service worker never post the same review twice
+    const entry = await this._claim(id);
+    if (!entry) return;
+
+    let response;
+    try {
+      response = await fetch(entry.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(entry.review)
+      });
+    } catch (error) {
+      await this._update(id, { status: "pending", claimedAt: null });
+      throw error;
+    }
+
+    if (!response.ok) {
+      await this._update(id, {
+        status: "failed",
+        error: `the server rejected the review (${response.status})`,
+        claimedAt: null
+      });
+      return;
+    }
+
+    await this.delete(id);
+  }
+
+  /**
+   * Marks an entry as being replayed if it is pending, or if an earlier claim has timed out,
+   * e.g. because the claiming page was closed.
+   *
+   * @param {number} id - The id of the entry to claim.
+   * @returns {Promise} Promise object resolves to the claimed entry, or undefined if the entry could
+   * not be claimed
+   * @protected
+   */
+  _claim(id) {
+    // get and put in a single transaction, which makes the claim atomic across contexts
+    return this._transact("readwrite", (store, setResult) => {
+      store.get(id).onsuccess = event => {
+        const entry = event.target.result;
+        if (!entry || !ReviewOutbox._isClaimable(entry)) return;
+
+        Object.assign(entry, { status: "sending", claimedAt: Date.now() });
+        store.put(entry);
+        setResult(entry);
+      };
+    });
+  }
+
+  /**
+   * @param {number} id - The id of the entry to update.
+   * @param {object} changes - The properties to change.
+   * @returns {Promise} Promise object resolves when the entry has been updated
+   * @protected
+   */
+  _update(id, changes) {
+    return this._transact("readwrite", store => {
+      store.get(id).onsuccess = event => {
+        const entry = event.target.result;
+        if (entry) store.put(Object.assign(entry, changes));
+      };
+    });
+  }
+
+  /**
+   * @param {object} entry - An outbox entry.
+   * @returns {boolean} true if the entry is pending, or its claim has timed out
+   * @protected
+   * @static
+   */
+  static _isClaimable(entry) {
+    const claimTimeout = 60 * 1000;
+    return (
+      entry.status === "pending" ||
+      (entry.status === "sending" && Date.now() - entry.claimedAt > claimTimeout)
+    );
+  }
+
+  /**
+   * Runs an operation in a transaction on the outbox object store.
+   *
+   * @param {string} mode - The transaction mode, "readonly" or "readwrite".
+   * @param {Function} operation - Called with the object store and a function setting the result
+   * of the transaction.
+   * @returns {Promise} Promise object resolves to the result set by the operation once the
+   * transaction completes
+   * @protected
+   */
+  async _transact(mode, operation) {
+    const database = await this._open();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction("entries", mode);
+      let result;
+      operation(transaction.objectStore("entries"), value => (result = value));
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * @returns {Promise} Promise object resolves to the opened outbox database
+   * @protected
+   */
+  _open() {
+    if (!this._databasePromise) {
+      this._databasePromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () =>
+          request.result.createObjectStore("entries", { keyPath: "id", autoIncrement: true });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this._databasePromise;
+  }
+}
@@ -0,0 +1,196 @@
+/* services/data-sources.js
+ *
+ * provides the data sources restaurants are loaded from.
+ */
+
+/**
+ * The header the service worker adds to the responses it caches, holding the time they were
+ * cached in milliseconds, cf. sw.js.
+ *
+ * @type {string}
+ */
+export const SERVICE_WORKER_CACHED_AT_HEADER = "sw-cached-at";
+
+/**
+ * The base class of data sources that restaurants are loaded from.
+ */
+export class RestaurantsDataSource {
+  constructor() {
+    /**
+     * The time the restaurants fetched last were cached by the service worker, e.g. while
+     * offline, or null if they were fetched from the network.
+     *
+     * @type {Date}
+     */
+    this.cachedAt = null;
+  }
+
+  /**
+   * Fetches all restaurants, including their reviews. Sets cachedAt if they are served from the
+   * cache of the service worker.
+   *
+   * @returns {Promise} Promise object resolves to an array of restaurant json objects.
+   * @abstract
+   */
+  fetchRestaurants() {
+    return Promise.reject(new Error("fetchRestaurants is not implemented by the data source"));
+  }
+
+  /**
+   * Fetches json from a url, rejecting if the response is not successful. If the response has
+   * been cached by the service worker, cachedAt is set to the earliest time of caching of the
+   * responses fetched since it was last reset.
+   *
+   * @param {string} url - The url to fetch json from.
+   * @returns {Promise} Promise object resolves to the parsed json.
+   * @protected
+   */
+  async _fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`fetching ${url} failed (${response.status})`);
+
+    const cachedAt = new Date(Number(response.headers.get(SERVICE_WORKER_CACHED_AT_HEADER)));
+    if (cachedAt.getTime() && (!this.cachedAt || cachedAt < this.cachedAt)) {
+      this.cachedAt = cachedAt;
+    }
+    return response.json();
+  }
+
+  /**
+   * @param {object|object[]} json - A list of restaurants, either bare or in a `restaurants`
+   * envelope.
+   * @returns {object[]} the list of restaurants
+   * @throws {Error} if the json contains no list of restaurants
+   * @protected
+   * @static
+   */
+  static _unwrapRestaurants(json) {
+    const restaurants = Array.isArray(json) ? json : json && json.restaurants;
+    if (!Array.isArray(restaurants)) throw new Error("the data does not contain restaurants");
+    return restaurants;
+  }
+}
+
+/**
+ * A data source loading restaurants from a static JSON file, such as `data/restaurants.json`.
+ */
+export class StaticJsonDataSource extends RestaurantsDataSource {
+  /**
+   * @param {string} url - The url of the JSON file.
+   */
+  constructor(url) {
+    super();
+    /**
+     * The url of the JSON file.
+     *
+     * @type {string}
+     */
+    this.url = url;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async fetchRestaurants() {
+    this.cachedAt = null;
+    const json = await this._fetchJson(this.url);
+    return RestaurantsDataSource._unwrapRestaurants(json);
+  }
+}
+
+/**
+ * A data source loading restaurants from a REST server, e.g. our backend or a local mock server,
+ * serving `<apiUrl>/restaurants` and `<apiUrl>/restaurants/<id>/reviews`.
+ */
+export class RestDataSource extends RestaurantsDataSource {
+  /**
+   * @param {string} apiUrl - The base url of the server.
+   */
+  constructor(apiUrl) {
+    super();
+    /**
+     * The base url of the server.
+     *
+     * @type {string}
+     */
+    this.apiUrl = apiUrl.replace(/\/+$/, "");
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async fetchRestaurants() {
+    this.cachedAt = null;
+    const json = await this._fetchJson(`${this.apiUrl}/restaurants`);
+    const restaurants = RestaurantsDataSource._unwrapRestaurants(json);
+
+    // fetch the reviews of restaurants listed without them, invalid records are left to the model
+    return Promise.all(restaurants.map(async restaurant => {
+      if (!restaurant || typeof restaurant !== "object" || restaurant.reviews) return restaurant;
+      const reviews = await this.fetchReviews(restaurant.id);
+      return Object.assign({}, restaurant, { reviews });
+    }));
+  }
+
+  /**
+   * Fetches the reviews of a restaurant, listed either bare or in a `reviews` envelope.
+   *
+   * @param {number} restaurantId - The id of the restaurant to fetch reviews for.
+   * @returns {Promise} Promise object resolves to an array of reviews, and rejects if the
+   * server fails or its data contains no list of reviews.
+   */
+  async fetchReviews(restaurantId) {
+    const json = await this._fetchJson(`${this.apiUrl}/restaurants/${restaurantId}/reviews`);
+    const reviews = Array.isArray(json) ? json : json && json.reviews;
+    if (!Array.isArray(reviews)) {
+      throw new Error(`the data does not contain the reviews of restaurant ${restaurantId}`);
+    }
+    return reviews;
+  }
+}
+
+/**
+ * A data source serving restaurants from memory, e.g. test fixtures.
+ */
+export class InMemoryDataSource extends RestaurantsDataSource {
+  /**
+   * @param {object[]} restaurants - The restaurant json objects to serve.
+   */
+  constructor(restaurants) {
+    super();
+    /**
+     * The restaurant json objects served.
+     *
+     * @type {object[]}
+     */
+    this.restaurants = restaurants;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async fetchRestaurants() {
+    // serve copies, so the fixtures are not changed by the app, e.g. when reviews are added
+    return JSON.parse(JSON.stringify(this.restaurants));
+  }
+}
+
+/**
+ * Creates the restaurants data source specified by the app configuration.
+ *
+ * @param {{dataSource: string, dataUrl: string, apiUrl: string, restaurants: object[]}} config -
+ * The app configuration.
+ * @returns {RestaurantsDataSource} the configured data source
+ */
+export function createDataSource(config) {
+  switch (config.dataSource) {
+    case "static":
+      return new StaticJsonDataSource(config.dataUrl);
+    case "rest":
+      return new RestDataSource(config.apiUrl);
+    case "memory":
+      return new InMemoryDataSource(config.restaurants || []);
+    default:
+      throw new Error(`unknown data source: ${config.dataSource}`);
+  }
+}
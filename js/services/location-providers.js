@@ -0,0 +1,151 @@
+/* services/location-providers.js
+ *
+ * provides the providers locating the user and looking up addresses.
+ */
+
+/**
+ * The base class of providers locating the user. Providers must implement getCurrentPosition and
+ * geocode.
+ */
+export class LocationProvider {
+  /**
+   * @returns {Promise} Promise object resolves to the current coordinates of the user, and rejects
+   * with an error describing why the user could not be located
+   * @abstract
+   */
+  getCurrentPosition() {
+    return Promise.reject(new Error("getCurrentPosition is not implemented by the provider"));
+  }
+
+  /**
+   * Looks up the coordinates of an address, e.g. an address entered by a user who does not share
+   * their location.
+   *
+   * @param {string} address - The address to look up.
+   * @returns {Promise} Promise object resolves to the coordinates of the address, or null if the
+   * address was not found
+   * @abstract
+   */
+  geocode(address) {
+    return Promise.reject(new Error("geocode is not implemented by the provider"));
+  }
+}
+
+/**
+ * Locates the user through the geolocation API of the browser, and looks up addresses at a
+ * Nominatim compatible geocoding service.
+ */
+export class BrowserLocationProvider extends LocationProvider {
+  /**
+   * @param {string} geocodingUrl - The search url of the geocoding service.
+   */
+  constructor(geocodingUrl) {
+    super();
+    /**
+     * The search url of the geocoding service.
+     *
+     * @type {string}
+     */
+    this.geocodingUrl = geocodingUrl;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  getCurrentPosition() {
+    if (!navigator.geolocation) {
+      return Promise.reject(new Error("your browser does not support geolocation"));
+    }
+
+    return new Promise((resolve, reject) => {
+      navigator.geolocation.getCurrentPosition(
+        position => resolve({ lat: position.coords.latitude, lng: position.coords.longitude }),
+        error => {
+          // map the error codes of the geolocation API to messages for the user
+          const messages = {
+            1: "access to your location was denied",
+            2: "your location is not available",
+            3: "locating you took too long"
+          };
+          reject(new Error(messages[error.code] || "your location is not available"));
+        },
+        { timeout: 10000, maximumAge: 60000 }
+      );
+    });
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async geocode(address) {
+    const searchParams = new URLSearchParams({ q: address, format: "json", limit: "1" });
+    const response = await fetch(`${this.geocodingUrl}?${searchParams}`);
+    if (!response.ok) throw new Error(`looking up the address failed (${response.status})`);
+
+    const results = await response.json();
+    if (!Array.isArray(results) || !results.length) return null;
+
+    return { lat: parseFloat(results[0].lat), lng: parseFloat(results[0].lon) };
+  }
+}
+
+/**
+ * Locates the user at fixed coordinates, e.g. for tests or demos.
+ */
+export class FixedLocationProvider extends LocationProvider {
+  /**
+   * @param {{lat: number, lng: number}} location - The location of the user, or null if the user
+   * cannot be located.
+   * @param {Object.<string, {lat: number, lng: number}>} addresses - The coordinates of the
+   * addresses that can be looked up.
+   */
+  constructor(location, addresses = {}) {
+    super();
+    /**
+     * The location of the user, or null if the user cannot be located.
+     *
+     * @type {{lat: number, lng: number}}
+     */
+    this.location = location;
+    /**
+     * The coordinates of the addresses that can be looked up.
+     *
+     * @type {Object.<string, {lat: number, lng: number}>}
+     */
+    this.addresses = addresses;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async getCurrentPosition() {
+    if (!this.location) throw new Error("your location is not available");
+    return Object.assign({}, this.location);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async geocode(address) {
+    const location = this.addresses[address];
+    return location ? Object.assign({}, location) : null;
+  }
+}
+
+/**
+ * Creates the location provider specified by the app configuration.
+ *
+ * @param {{locationProvider: string, geocodingUrl: string, location: object, addresses: object}}
+ * config - The app configuration.
+ * @returns {LocationProvider} the configured location provider
+ */
+export function createLocationProvider(config) {
+  switch (config.locationProvider) {
+    case "browser":
+      return new BrowserLocationProvider(config.geocodingUrl);
+    case "fixed":
+      return new FixedLocationProvider(config.location || null, config.addresses);
+    default:
+      throw new Error(`unknown location provider: ${config.locationProvider}`);
+  }
+}
@@ -0,0 +1,242 @@
+/* services/reviews-backends.js
+ *
+ * provides the backends that reviews submitted by users are sent to.
+ */
+
+import { ReviewOutbox } from "./review-outbox.js";
+
+/**
+ * The base class of backends that reviews submitted by users are sent to. Backends must implement
+ * addReview, and may implement getReviews if they keep the reviews submitted through them.
+ */
+export class ReviewsBackend {
+  /**
+   * Adds a review for a restaurant to the backend.
+   *
+   * @param {number} restaurantId - The id of the restaurant being reviewed.
+   * @param {{name: string, date: string, rating: number, comments: string}} review - The review to
+   * add.
+   * @returns {Promise} Promise object resolves to the review as stored by the backend.
+   * @abstract
+   */
+  addReview(restaurantId, review) {
+    return Promise.reject(new Error("addReview is not implemented by the reviews backend"));
+  }
+
+  /**
+   * Gets the reviews submitted through the backend for a restaurant.
+   * Backends forwarding reviews to a server that also serves the restaurant data resolve to an
+   * empty array, as the submitted reviews are then part of the restaurant data.
+   *
+   * @param {number} restaurantId - The id of the restaurant to get reviews for.
+   * @returns {Promise} Promise object resolves to an array of reviews.
+   */
+  getReviews(restaurantId) {
+    return Promise.resolve([]);
+  }
+
+  /**
+   * Replays the reviews that could not be sent while the user was offline.
+   * Backends without an outbox of pending reviews resolve right away.
+   *
+   * @returns {Promise} Promise object resolves when the pending reviews have been replayed.
+   */
+  replayPendingReviews() {
+    return Promise.resolve();
+  }
+
+  /**
+   * Retries sending a pending review that was rejected when replayed.
+   *
+   * @param {number} pendingId - The id of the pending review to retry.
+   * @returns {Promise} Promise object resolves when the review has been retried.
+   */
+  retryPendingReview(pendingId) {
+    return Promise.reject(new Error("the reviews backend has no pending reviews"));
+  }
+
+  /**
+   * Discards a pending review, i.e. it will never be sent.
+   *
+   * @param {number} pendingId - The id of the pending review to discard.
+   * @returns {Promise} Promise object resolves when the review has been discarded.
+   */
+  discardPendingReview(pendingId) {
+    return Promise.reject(new Error("the reviews backend has no pending reviews"));
+  }
+}
+
+/**
+ * A reviews backend keeping submitted reviews in the browser's local storage, e.g. for testing
+ * without a server.
+ */
+export class LocalStorageReviewsBackend extends ReviewsBackend {
+  /**
+   * @param {string} storageKey - The local storage key to keep reviews under.
+   */
+  constructor(storageKey = "restaurant-reviews") {
+    super();
+    /**
+     * The local storage key reviews are kept under.
+     *
+     * @type {string}
+     */
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async addReview(restaurantId, review) {
+    const reviewsByRestaurant = this._readReviews();
+    const reviews = reviewsByRestaurant[restaurantId] || [];
+    reviews.push(review);
+    reviewsByRestaurant[restaurantId] = reviews;
+    localStorage.setItem(this.storageKey, JSON.stringify(reviewsByRestaurant));
+    return review;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async getReviews(restaurantId) {
+    return this._readReviews()[restaurantId] || [];
+  }
+
+  /**
+   * @returns {Object.<string, object[]>} all stored reviews keyed by restaurant id, or none if
+   * the stored reviews cannot be read
+   * @protected
+   */
+  _readReviews() {
+    let reviewsByRestaurant = null;
+    try {
+      reviewsByRestaurant = JSON.parse(localStorage.getItem(this.storageKey));
+    } catch (error) {
+      console.log("Submitted reviews could not be loaded: ", error.message);
+    }
+    return reviewsByRestaurant && typeof reviewsByRestaurant === "object"
+      ? reviewsByRestaurant
+      : {};
+  }
+}
+
+/**
+ * A reviews backend posting submitted reviews to a REST server, e.g. a local stand-in server,
+ * at `<apiUrl>/restaurants/<id>/reviews`. Reviews submitted while the user is offline are queued
+ * in an outbox, and returned by getReviews as pending reviews until they have been sent.
+ */
+export class HttpReviewsBackend extends ReviewsBackend {
+  /**
+   * @param {string} apiUrl - The base url of the server.
+   * @param {ReviewOutbox} outbox - The outbox to queue reviews in while offline, or null if
+   * reviews are to be rejected while offline.
+   */
+  constructor(apiUrl, outbox = null) {
+    super();
+    /**
+     * The base url of the server.
+     *
+     * @type {string}
+     */
+    this.apiUrl = apiUrl.replace(/\/+$/, "");
+    /**
+     * The outbox to queue reviews in while offline.
+     *
+     * @type {ReviewOutbox}
+     */
+    this.outbox = outbox;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async addReview(restaurantId, review) {
+    const url = `${this.apiUrl}/restaurants/${restaurantId}/reviews`;
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(review)
+      });
+    } catch (error) {
+      // the server could not be reached, queue the review to be sent when the connection returns
+      if (!this.outbox) throw error;
+      const entry = await this.outbox.add({ restaurantId, url, review });
+      await ReviewOutbox.requestBackgroundReplay().catch(error => console.log(error));
+      return HttpReviewsBackend._toPendingReview(entry);
+    }
+    if (!response.ok) throw new Error(`the server rejected the review (${response.status})`);
+
+    // prefer the review as stored by the server, which may e.g. have added an id
+    const storedReview = await response.json().catch(() => null);
+    return storedReview || review;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async getReviews(restaurantId) {
+    if (!this.outbox) return [];
+
+    const entries = await this.outbox.getAll();
+    return entries
+      .filter(entry => entry.restaurantId === restaurantId)
+      .map(entry => HttpReviewsBackend._toPendingReview(entry));
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async replayPendingReviews() {
+    if (this.outbox) await this.outbox.replayAll();
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async retryPendingReview(pendingId) {
+    if (this.outbox) await this.outbox.retry(pendingId);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async discardPendingReview(pendingId) {
+    if (this.outbox) await this.outbox.delete(pendingId);
+  }
+
+  /**
+   * @param {object} entry - An outbox entry.
+   * @returns {object} the review of the outbox entry, with pending details of the entry
+   * @protected
+   * @static
+   */
+  static _toPendingReview(entry) {
+    return Object.assign({}, entry.review, {
+      pending: { id: entry.id, status: entry.status, error: entry.error }
+    });
+  }
+}
+
+/**
+ * Creates the reviews backend specified by the app configuration.
+ *
+ * @param {{reviewsBackend: string, apiUrl: string}} config - The app configuration.
+ * @returns {ReviewsBackend} the configured reviews backend
+ */
+export function createReviewsBackend(config) {
+  switch (config.reviewsBackend) {
+    case "local":
+      return new LocalStorageReviewsBackend();
+    case "http":
+      return new HttpReviewsBackend(
+        config.apiUrl,
+        ReviewOutbox.isSupported ? new ReviewOutbox() : null
+      );
+    default:
+      throw new Error(`unknown reviews backend: ${config.reviewsBackend}`);
+  }
+}
@@ -0,0 +1,149 @@
+/* services/routing-engines.js
+ *
+ * provides the engines finding directions to restaurants.
+ */
+
+import { GeoMath } from "../utils/geo-math.js";
+
+/**
+ * The result of routing from one location to another.
+ *
+ * @typedef {object} Route
+ * @property {number} distance - The length of the route in meters.
+ * @property {number} duration - The estimated travel time in seconds.
+ * @property {{lat: number, lng: number}[]} coordinates - The line of the route.
+ * @property {boolean} isStraightLine - true if the route is estimated along a straight line rather
+ * than along streets.
+ */
+
+/**
+ * The base class of engines routing the user to restaurants. Engines must implement route.
+ */
+export class RoutingEngine {
+  /**
+   * @returns {string[]} the supported travel modes
+   * @static
+   */
+  static get modes() {
+    return ["walk", "bike", "drive"];
+  }
+
+  /**
+   * @param {{lat: number, lng: number}} origin - The location to route from.
+   * @param {{lat: number, lng: number}} destination - The location to route to.
+   * @param {string} mode - The travel mode, one of RoutingEngine.modes.
+   * @returns {Promise} Promise object resolves to the Route, and rejects with an error describing
+   * why no route was found
+   * @abstract
+   */
+  route(origin, destination, mode) {
+    return Promise.reject(new Error("route is not implemented by the routing engine"));
+  }
+}
+
+/**
+ * Estimates routes along a straight line at an average speed for each travel mode, e.g. for tests
+ * or while offline.
+ */
+export class StraightLineRoutingEngine extends RoutingEngine {
+  /**
+   * @param {Object.<string, number>} speeds - The average speed of each travel mode in km/h.
+   */
+  constructor(speeds = { walk: 5, bike: 15, drive: 25 }) {
+    super();
+    /**
+     * The average speed of each travel mode in km/h.
+     *
+     * @type {Object.<string, number>}
+     */
+    this.speeds = speeds;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async route(origin, destination, mode) {
+    if (!this.speeds[mode]) throw new Error(`unknown travel mode: ${mode}`);
+
+    const distance = GeoMath.distance(origin, destination);
+    return {
+      distance,
+      duration: distance / (this.speeds[mode] / 3.6),
+      coordinates: [Object.assign({}, origin), Object.assign({}, destination)],
+      isStraightLine: true
+    };
+  }
+}
+
+/**
+ * Routes along streets with an OSRM compatible routing service, which serves a profile for each
+ * travel mode.
+ */
+export class OsrmRoutingEngine extends RoutingEngine {
+  /**
+   * @param {string} routingUrl - The route service url of the routing service, where `{profile}`
+   * is replaced by the profile of the travel mode.
+   */
+  constructor(routingUrl) {
+    super();
+    /**
+     * The route service url of the routing service.
+     *
+     * @type {string}
+     */
+    this.routingUrl = routingUrl;
+  }
+
+  /**
+   * @returns {Object.<string, string>} the routing profiles of the travel modes
+   * @static
+   */
+  static get profiles() {
+    return { walk: "foot", bike: "bike", drive: "car" };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async route(origin, destination, mode) {
+    const profile = OsrmRoutingEngine.profiles[mode];
+    if (!profile) throw new Error(`unknown travel mode: ${mode}`);
+
+    const url = this.routingUrl.replace("{profile}", profile);
+    const waypoints = [origin, destination].map(location => `${location.lng},${location.lat}`);
+    const response = await fetch(
+      `${url}/${waypoints.join(";")}?overview=full&geometries=geojson`
+    );
+    if (!response.ok) throw new Error(`finding the route failed (${response.status})`);
+
+    const result = await response.json();
+    if (result.code !== "Ok" || !result.routes || !result.routes.length) {
+      throw new Error("no route was found");
+    }
+
+    const route = result.routes[0];
+    return {
+      distance: route.distance,
+      duration: route.duration,
+      coordinates: route.geometry.coordinates.map(([lng, lat]) => ({ lat, lng })),
+      isStraightLine: false
+    };
+  }
+}
+
+/**
+ * Creates the routing engine specified by the app configuration.
+ *
+ * @param {{routingEngine: string, routingUrl: string}} config - The app configuration.
+ * @returns {RoutingEngine} the configured routing engine
+ */
+export function createRoutingEngine(config) {
+  switch (config.routingEngine) {
+    case "osrm":
+      return new OsrmRoutingEngine(config.routingUrl);
+    case "straight":
+      return new StraightLineRoutingEngine();
+    default:
+      throw new Error(`unknown routing engine: ${config.routingEngine}`);
+  }
+}
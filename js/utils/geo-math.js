@@ -0,0 +1,79 @@
+/* utils/geo-math.js
+ *
+ * provides calculations on coordinates, distances and map tiles.
+ */
+
+/**
+ * Provides geographic calculations on coordinates.
+ */
+export class GeoMath {
+  /**
+   * Calculates the great-circle distance between two coordinates with the haversine formula.
+   *
+   * @param {{lat: number, lng: number}} from - The coordinates to measure from.
+   * @param {{lat: number, lng: number}} to - The coordinates to measure to.
+   * @returns {number} the distance in meters
+   * @static
+   */
+  static distance(from, to) {
+    const earthRadius = 6371000;
+    const toRadians = degrees => (parseFloat(degrees) * Math.PI) / 180;
+
+    const deltaLat = toRadians(to.lat) - toRadians(from.lat);
+    const deltaLng = toRadians(to.lng) - toRadians(from.lng);
+    const a =
+      Math.sin(deltaLat / 2) ** 2 +
+      Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(deltaLng / 2) ** 2;
+    return 2 * earthRadius * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  /**
+   * @param {number} distance - A distance in meters.
+   * @returns {string} the distance for display, e.g. "350 m" or "1.2 km"
+   * @static
+   */
+  static formatDistance(distance) {
+    if (distance < 1000) return `${Math.round(distance / 10) * 10} m`;
+    // drop trailing zeros, e.g. "1 km" rather than "1.0 km"
+    return `${Number((distance / 1000).toFixed(distance < 10000 ? 1 : 0))} km`;
+  }
+
+  /**
+   * @param {number} duration - A duration in seconds.
+   * @returns {string} the duration for display in whole minutes, e.g. "5 min" or "1 h 5 min"
+   * @static
+   */
+  static formatDuration(duration) {
+    const minutes = Math.max(Math.round(duration / 60), 1);
+    if (minutes < 60) return `${minutes} min`;
+    return minutes % 60 ? `${Math.floor(minutes / 60)} h ${minutes % 60} min` : `${minutes / 60} h`;
+  }
+
+  /**
+   * Lists the map tiles covering bounds at a zoom level, in the tile scheme of web maps, where
+   * tile 0/0/0 covers the world and each zoom level splits the tiles into four.
+   *
+   * @param {number[][]} bounds - Bounds as `[[west, south], [east, north]]`.
+   * @param {number} zoom - The zoom level of the tiles.
+   * @returns {{x: number, y: number, z: number}[]} the tiles covering the bounds
+   * @static
+   */
+  static tilesInBounds(bounds, zoom) {
+    const tileCount = 2 ** zoom;
+    const clamp = tile => Math.min(Math.max(tile, 0), tileCount - 1);
+    const toTileX = lng => clamp(Math.floor(((lng + 180) / 360) * tileCount));
+    const toTileY = lat => {
+      const radians = (lat * Math.PI) / 180;
+      const y = (1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2;
+      return clamp(Math.floor(y * tileCount));
+    };
+
+    const [[west, south], [east, north]] = bounds;
+    const tiles = [];
+    for (let x = toTileX(west); x <= toTileX(east); x++) {
+      // tile rows are counted from the north
+      for (let y = toTileY(north); y <= toTileY(south); y++) tiles.push({ x, y, z: zoom });
+    }
+    return tiles;
+  }
+}
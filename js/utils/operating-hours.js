@@ -0,0 +1,145 @@
+/* utils/operating-hours.js
+ *
+ * provides the parsing of the operating hours of restaurants.
+ */
+
+/**
+ * Parses the free text operating hours of restaurants, e.g. "12:00 pm - 4:00 pm, 5:30 pm - 12:00
+ * am", into opening intervals. Times are measured in minutes, and days start on Monday like the
+ * operating hours of the data source.
+ */
+export class OperatingHours {
+  /**
+   * @returns {string[]} the days of the week, starting on Monday
+   * @static
+   */
+  static get days() {
+    return ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+  }
+
+  /**
+   * @param {string} text - A time of day, e.g. "5:30 pm" or "12 am".
+   * @returns {number} the minutes since midnight, or null if the text is not a valid time
+   * @static
+   */
+  static parseTime(text) {
+    const match = String(text).trim().match(/^(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\.?$/i);
+    if (!match) return null;
+
+    const hours = parseInt(match[1]);
+    const minutes = match[2] ? parseInt(match[2]) : 0;
+    if (hours < 1 || hours > 12 || minutes > 59) return null;
+
+    // 12 am is midnight and 12 pm is noon
+    const isPm = match[3].toLowerCase() === "p";
+    return ((hours % 12) + (isPm ? 12 : 0)) * 60 + minutes;
+  }
+
+  /**
+   * Parses the operating hours of a single day into opening intervals. Ranges ending at or before
+   * their start, e.g. "5:30 pm - 2:00 am", continue past midnight and end after 1440 minutes.
+   * A day name as the start or end of a range, e.g. "8:00 am - Sat", means that the restaurant is
+   * open from the start or until the end of the day.
+   *
+   * @param {string} text - The operating hours of a day, e.g. "12:00 pm - 4:00 pm, 5:30 pm - 12:00
+   * am", "Open 24 hours" or "Closed".
+   * @returns {Array.<{start: number, end: number}>} the opening intervals in minutes since
+   * midnight, sorted by start, or null if the text could not be parsed
+   * @static
+   */
+  static parseDay(text) {
+    if (typeof text !== "string") return null;
+
+    const normalizedText = text.trim().toLowerCase();
+    if (normalizedText === "closed") return [];
+    if (/^open 24 hours$/.test(normalizedText)) return [{ start: 0, end: 1440 }];
+
+    const dayPattern = /^(mon|tue|wed|thu|fri|sat|sun)[a-z]*$/;
+    const intervals = [];
+    for (const range of normalizedText.split(",")) {
+      const parts = range.split(/\s*[-\u2013\u2014]\s*/);
+      if (parts.length !== 2) return null;
+
+      const [startText, endText] = parts.map(part => part.trim());
+      const start = dayPattern.test(startText) ? 0 : OperatingHours.parseTime(startText);
+      let end = dayPattern.test(endText) ? 1440 : OperatingHours.parseTime(endText);
+      if (start === null || end === null) return null;
+
+      if (end <= start) end += 1440;
+      intervals.push({ start, end });
+    }
+    return intervals.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * @param {Object.<string, string>} operatingHours - The operating hours of a restaurant keyed by
+   * day, e.g. `{ Monday: "5:30 pm - 11:00 pm", ... }`.
+   * @returns {Object.<string, Array.<{start: number, end: number}>>} the opening intervals keyed by
+   * day, as returned by parseDay. Days that are missing or could not be parsed are null.
+   * @static
+   */
+  static parse(operatingHours) {
+    const openingIntervals = {};
+    for (const day of OperatingHours.days) {
+      openingIntervals[day] = operatingHours ? OperatingHours.parseDay(operatingHours[day]) : null;
+    }
+    return openingIntervals;
+  }
+
+  /**
+   * @param {Object.<string, Array.<{start: number, end: number}>>} openingIntervals - Opening
+   * intervals keyed by day, as returned by parse.
+   * @param {number} weekMinute - A time of the week, as returned by toWeekMinute.
+   * @returns {boolean} true if any interval includes the time, including intervals of the previous
+   * day continuing past midnight, or null if no day has known intervals
+   * @static
+   */
+  static isOpen(openingIntervals, weekMinute) {
+    const minutesPerWeek = 7 * 1440;
+    let hasIntervals = false;
+
+    for (const [dayIndex, day] of OperatingHours.days.entries()) {
+      const intervals = openingIntervals[day];
+      if (!intervals) continue;
+      hasIntervals = true;
+
+      // check the following week as well, for Sunday intervals continuing into Monday
+      const dayStart = dayIndex * 1440;
+      const isOpen = intervals.some(({ start, end }) =>
+        [weekMinute, weekMinute + minutesPerWeek].some(
+          minute => minute >= dayStart + start && minute < dayStart + end
+        )
+      );
+      if (isOpen) return true;
+    }
+    return hasIntervals ? false : null;
+  }
+
+  /**
+   * @param {Date} date - A date, in the local time of the user.
+   * @returns {number} the minutes since the start of the week of the date, starting on Monday
+   * @static
+   */
+  static toWeekMinute(date) {
+    // getDay starts the week on Sunday
+    const dayIndex = (date.getDay() + 6) % 7;
+    return dayIndex * 1440 + date.getHours() * 60 + date.getMinutes();
+  }
+
+  /**
+   * @param {string} text - A day and a 24-hour time, e.g. "Saturday 19:30" as used in urls.
+   * @returns {number} the minutes since the start of the week, or null if the text is not valid
+   * @static
+   */
+  static parseWeekMinute(text) {
+    const match = String(text).match(/^([A-Za-z]+) (\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+
+    const dayIndex = OperatingHours.days.indexOf(match[1]);
+    const hours = parseInt(match[2]);
+    const minutes = parseInt(match[3]);
+    if (dayIndex === -1 || hours > 23 || minutes > 59) return null;
+
+    return dayIndex * 1440 + hours * 60 + minutes;
+  }
+}
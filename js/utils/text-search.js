@@ -0,0 +1,92 @@
+/* utils/text-search.js
+ *
+ * provides the free text search of restaurants and reviews.
+ */
+
+/**
+ * Provides case and diacritic insensitive matching of free text search terms.
+ */
+export class TextSearch {
+  /**
+   * @param {string} text - The text to normalize.
+   * @returns {string} the text in lower case without diacritics, e.g. "Café" becomes "cafe"
+   * @static
+   */
+  static normalize(text) {
+    return String(text)
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase();
+  }
+
+  /**
+   * @param {string} query - A free text search query.
+   * @returns {string[]} the normalized terms of the query, or an empty array if it has none
+   * @static
+   */
+  static tokenize(query) {
+    if (!query) return [];
+    return TextSearch.normalize(query)
+      .split(/\s+/)
+      .filter(term => term.length);
+  }
+
+  /**
+   * Finds the parts of a text matching any of the provided search terms, ignoring case and
+   * diacritics, e.g. for highlighting the matches.
+   *
+   * @param {string} text - The text to search.
+   * @param {string[]} terms - Normalized search terms, as returned by tokenize.
+   * @returns {number[][]} the [start, end) index ranges of the matches in the text, sorted and
+   * without overlaps
+   * @static
+   */
+  static findMatchRanges(text, terms) {
+    if (!text || !terms || !terms.length) return [];
+
+    // normalize character by character, keeping the range of the original character that each
+    // normalized character stems from
+    let normalizedText = "";
+    const originalStarts = [];
+    const originalEnds = [];
+    let index = 0;
+    for (const character of String(text)) {
+      const normalizedCharacter = TextSearch.normalize(character);
+      for (let i = 0; i < normalizedCharacter.length; i++) {
+        originalStarts.push(index);
+        originalEnds.push(index + character.length);
+      }
+      // characters removed by normalization, e.g. combining diacritics, belong to the preceding
+      // character
+      if (!normalizedCharacter.length && originalEnds.length) {
+        originalEnds[originalEnds.length - 1] = index + character.length;
+      }
+      normalizedText += normalizedCharacter;
+      index += character.length;
+    }
+
+    const ranges = [];
+    for (const term of terms) {
+      for (
+        let start = normalizedText.indexOf(term);
+        start > -1;
+        start = normalizedText.indexOf(term, start + 1)
+      ) {
+        ranges.push([originalStarts[start], originalEnds[start + term.length - 1]]);
+      }
+    }
+
+    // merge overlapping ranges, e.g. of terms that are part of each other
+    ranges.sort((a, b) => a[0] - b[0]);
+    const mergedRanges = [];
+    for (const range of ranges) {
+      const lastRange = mergedRanges[mergedRanges.length - 1];
+      if (lastRange && range[0] <= lastRange[1]) {
+        lastRange[1] = Math.max(lastRange[1], range[1]);
+      } else {
+        mergedRanges.push(range.slice());
+      }
+    }
+    return mergedRanges;
+  }
+}
@@ -0,0 +1,100 @@
+/* views/app-view.js
+ *
+ * provides the general view of the app.
+ */
+
+import { View } from "./view.js";
+
+/**
+ * The general view of the app, not including specific view elements of the app, which are contained 
+ * in separate views
+ */
+export class AppView extends View {
+  /**
+   * @param {Element} rootElement - The element containing the markup of the app, e.g. the body of
+   * index.html.
+   * @param {RestaurantsController} controller - The controller of the app.
+   */
+  constructor(rootElement, controller) {
+    super(controller);
+    /**
+     * The element containing the markup of the app
+     * 
+     * @type {Element} 
+     */
+    this.rootElement = rootElement;
+    /**
+     * The navigation link leading back to the results from the details and not found views
+     * 
+     * @type {Element} 
+     */
+    this.backLinkElement = rootElement.querySelector("nav a.panel-button");
+    /**
+     * The prompt offering to reload into a new version of the app
+     *
+     * @type {Element}
+     */
+    this.updatePromptElement = rootElement.querySelector(".update-prompt");
+    /**
+     * The button installing the app, shown when the browser offers to install it
+     *
+     * @type {Element}
+     */
+    this.installButtonElement = rootElement.querySelector(".header-install-button");
+
+    this.installButtonElement.addEventListener("click", () => this.controller.install());
+
+    this.updatePromptElement
+      .querySelector(".update-prompt-reload-button")
+      .addEventListener("click", () => this.controller.applyUpdate());
+    this.updatePromptElement
+      .querySelector(".update-prompt-dismiss-button")
+      .addEventListener("click", () => this.controller.dismissUpdate());
+
+    // render the overview or details state, and the back link leading to the filtered results
+    this.subscribe(
+      ["filter-changed", "selection-changed"],
+      () => [
+        this.controller.selectedRestaurant !== null || this.controller.isNotFound,
+        this.controller.overviewUrl
+      ],
+      () => this.render()
+    );
+  }
+
+  /**
+   * Scrolls to the top of the app window.
+   * This functionality is especially useable for narrow mobile devices.
+   */
+  scrollToTop() {
+    window.scrollTo(0, 0);
+  }
+
+  /**
+   * Renders the app as being in either overview or restaurant details state. The not found state
+   * is rendered as details state, offering navigation back to the results.
+   */
+  render() {
+    this.rootElement.classList.toggle(
+      "details",
+      this.controller.selectedRestaurant !== null || this.controller.isNotFound
+    );
+
+    // go back to the results with the filter criteria they were left with
+    this.backLinkElement.href = this.controller.overviewUrl;
+  }
+
+  /**
+   * Shows or hides the button installing the app.
+   */
+  renderInstallButton() {
+    this.installButtonElement.classList.toggle("hidden", !this.controller.canInstall);
+  }
+
+  /**
+   * Shows or hides the prompt offering to reload into a new version of the app.
+   */
+  renderUpdatePrompt() {
+    this.updatePromptElement.classList.toggle("hidden", !this.controller.isUpdatePromptVisible);
+  }
+}
@@ -0,0 +1,57 @@
+/* views/map-adapters/create-map-adapter.js
+ *
+ * creates the adapter of the configured map library.
+ */
+
+import { LeafletMapAdapter } from "./leaflet-map-adapter.js";
+import { MapboxMapAdapter } from "./mapbox-map-adapter.js";
+import { SchematicMapAdapter } from "./schematic-map-adapter.js";
+
+/**
+ * Creates the map adapter specified by the app configuration. Falls back to the Leaflet map if the
+ * Mapbox map has no access token, and to the schematic map if the configured map cannot be shown,
+ * e.g. because its library could not be loaded while offline.
+ *
+ * @param {{mapProvider: string, mapboxAccessToken: string, mapboxStyle: string, tileUrl: string,
+ * tileAttribution: string, tileOfflineUse: boolean}} config - The app configuration.
+ * @param {Element} containerElement - The element hosting the map.
+ * @param {{center: {lat: number, lng: number}, zoom: number}} view - The initial view of the map.
+ * @returns {MapAdapter} the configured map adapter
+ */
+export function createMapAdapter(config, containerElement, view) {
+  try {
+    switch (config.mapProvider) {
+      case "mapbox":
+        if (!config.mapboxAccessToken) {
+          console.log("no Mapbox access token is configured, showing the leaflet map");
+          return createMapAdapter(
+            Object.assign({}, config, { mapProvider: "leaflet" }),
+            containerElement,
+            view
+          );
+        }
+        return new MapboxMapAdapter(
+          containerElement,
+          Object.assign({ accessToken: config.mapboxAccessToken, style: config.mapboxStyle }, view)
+        );
+      case "leaflet":
+        return new LeafletMapAdapter(
+          containerElement,
+          Object.assign(
+            {
+              tileUrl: config.tileUrl,
+              attribution: config.tileAttribution,
+              isOfflineUseAllowed: config.tileOfflineUse
+            },
+            view
+          )
+        );
+      case "schematic":
+        return new SchematicMapAdapter(containerElement, view);
+    }
+  } catch (error) {
+    console.log(`${config.mapProvider} map failed, showing the schematic map: `, error.message);
+    return new SchematicMapAdapter(containerElement, view);
+  }
+  throw new Error(`unknown map provider: ${config.mapProvider}`);
+}
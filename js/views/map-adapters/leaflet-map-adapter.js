@@ -0,0 +1,243 @@
+/* views/map-adapters/leaflet-map-adapter.js
+ *
+ * provides the adapter showing the map with Leaflet.
+ */
+
+import { GeoMath } from "../../utils/geo-math.js";
+import { MapAdapter } from "./map-adapter.js";
+
+/**
+ * Shows the map with Leaflet, on raster tiles such as those of OpenStreetMap. Markers are not
+ * clustered.
+ */
+export class LeafletMapAdapter extends MapAdapter {
+  /**
+   * @param {Element} containerElement - The element hosting the map.
+   * @param {string} param.tileUrl - The url template of the raster tiles.
+   * @param {string} param.attribution - The attribution of the tiles, as html.
+   * @param {boolean} param.isOfflineUseAllowed - true if the tile server allows saving its tiles
+   * for offline use.
+   * @param {{lat: number, lng: number}} param.center - The initial center of the map.
+   * @param {number} param.zoom - The initial zoom level of the map, as used by Mapbox.
+   */
+  constructor(
+    containerElement,
+    { tileUrl, attribution, isOfflineUseAllowed = false, center, zoom }
+  ) {
+    super(containerElement);
+    if (typeof L === "undefined") throw new Error("the Leaflet library is not loaded");
+
+    /**
+     * The Leaflet Map object.
+     *
+     * @type {L.Map}
+     */
+    this.map = L.map(containerElement, {
+      center: [center.lat, center.lng],
+      zoom: LeafletMapAdapter._toLeafletZoom(zoom)
+    });
+    L.tileLayer(tileUrl, { attribution, maxZoom: LeafletMapAdapter.maxZoom }).addTo(this.map);
+    /**
+     * The url template of the raster tiles.
+     *
+     * @type {string}
+     */
+    this.tileUrl = tileUrl;
+    /**
+     * true if the tiles can be saved for offline use. The OpenStreetMap tile servers forbid bulk
+     * downloads, so their tiles are never saved.
+     *
+     * @type {boolean}
+     */
+    this.isOfflineUseAllowed =
+      Boolean(isOfflineUseAllowed) && !LeafletMapAdapter.isOpenStreetMapTileUrl(tileUrl);
+
+    /**
+     * true while the map is moved by centering
+     *
+     * @type {boolean}
+     * @protected
+     */
+    this._isCentering = false;
+    /**
+     * The line of the route shown on the map, or null if none is shown.
+     *
+     * @type {L.Polyline}
+     * @protected
+     */
+    this._routeLine = null;
+
+    this.map.on("click", event => this._emit("click", {
+      lat: event.latlng.lat,
+      lng: event.latlng.lng,
+      target: event.originalEvent.target
+    }));
+    this.map.on("moveend", () => this._emit("moveend", { isCentering: this._isCentering }));
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get roleDescription() {
+    return "interactive map by OpenStreetMap";
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get center() {
+    const center = this.map.getCenter();
+    return { lat: center.lat, lng: center.lng };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get bounds() {
+    const bounds = this.map.getBounds();
+    return [[bounds.getWest(), bounds.getSouth()], [bounds.getEast(), bounds.getNorth()]];
+  }
+
+  /**
+   * @inheritdoc
+   */
+  resize() {
+    this._center(() => this.map.invalidateSize({ pan: false }));
+  }
+
+  /**
+   * @inheritdoc
+   */
+  remove() {
+    this.map.remove();
+  }
+
+  /**
+   * @inheritdoc
+   */
+  easeTo(center, { zoom }) {
+    this._center(() =>
+      this.map.setView([center.lat, center.lng], LeafletMapAdapter._toLeafletZoom(zoom))
+    );
+  }
+
+  /**
+   * @inheritdoc
+   */
+  fitBounds(bounds, { padding = {}, maxZoom } = {}) {
+    const { top = 0, right = 0, bottom = 0, left = 0 } = padding;
+    this._center(() =>
+      this.map.fitBounds([[bounds[0][1], bounds[0][0]], [bounds[1][1], bounds[1][0]]], {
+        paddingTopLeft: [left, top],
+        paddingBottomRight: [right, bottom],
+        maxZoom: maxZoom === undefined ? undefined : LeafletMapAdapter._toLeafletZoom(maxZoom)
+      })
+    );
+  }
+
+  /**
+   * @inheritdoc
+   */
+  addMarker(element, coordinates, { anchor = "center" } = {}) {
+    element.classList.add("leaflet-marker-icon", `map-anchor-${anchor}`);
+    // use the element itself as the icon, rather than a copy of its html, to keep its listeners
+    const icon = L.divIcon({ className: "", iconSize: null });
+    icon.createIcon = () => element;
+
+    const marker = L.marker([coordinates.lat, coordinates.lng], { icon, keyboard: false })
+      .addTo(this.map);
+    return { element, remove: () => marker.remove() };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  setRoute(coordinates) {
+    if (this._routeLine) this._routeLine.remove();
+    this._routeLine = null;
+    if (!coordinates) return;
+
+    this._routeLine = L.polyline(coordinates.map(({ lat, lng }) => [lat, lng]), {
+      color: "#669cff",
+      weight: 5,
+      opacity: 0.8,
+      interactive: false
+    }).addTo(this.map);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get canSaveOfflineAreas() {
+    return this.isOfflineUseAllowed;
+  }
+
+  /**
+   * Lists the raster tiles of the area.
+   *
+   * @inheritdoc
+   */
+  async getOfflineResourceUrls(bounds, { minZoom, maxZoom }) {
+    const lowestZoom = LeafletMapAdapter._toLeafletZoom(minZoom);
+    const highestZoom = Math.min(
+      LeafletMapAdapter._toLeafletZoom(maxZoom),
+      LeafletMapAdapter.maxZoom
+    );
+    const subdomains = "abc";
+
+    const urls = [];
+    for (let zoom = lowestZoom; zoom <= highestZoom; zoom++) {
+      for (const { x, y, z } of GeoMath.tilesInBounds(bounds, zoom)) {
+        // Leaflet spreads tiles over the subdomains of the tile server the same way
+        const s = subdomains[Math.abs(x + y) % subdomains.length];
+        urls.push(L.Util.template(this.tileUrl, { s, x, y, z, r: L.Browser.retina ? "@2x" : "" }));
+      }
+    }
+    return urls;
+  }
+
+  /**
+   * @param {string} tileUrl - The url template of raster tiles.
+   * @returns {boolean} true if the tiles are served by the OpenStreetMap tile servers, whose usage
+   * policy forbids downloading tiles ahead of time
+   * @static
+   */
+  static isOpenStreetMapTileUrl(tileUrl) {
+    return /^(https?:)?\/\/([^/]*\.)?tile\.openstreetmap\.org([:/]|$)/i.test(tileUrl);
+  }
+
+  /**
+   * @returns {number} the highest zoom level of the tiles, as used by Leaflet
+   * @static
+   */
+  static get maxZoom() {
+    return 19;
+  }
+
+  /**
+   * Moves the map without animation, so the moveend events of the move are emitted while it is
+   * marked as centering.
+   *
+   * @param {Function} move - Moves the map.
+   * @protected
+   */
+  _center(move) {
+    this._isCentering = true;
+    try {
+      move();
+    } finally {
+      this._isCentering = false;
+    }
+  }
+
+  /**
+   * @param {number} zoom - A zoom level as used by Mapbox, which uses tiles of 512 pixels.
+   * @returns {number} the zoom level showing the same area in Leaflet, which uses tiles of 256
+   * pixels
+   * @protected
+   * @static
+   */
+  static _toLeafletZoom(zoom) {
+    return zoom + 1;
+  }
+}
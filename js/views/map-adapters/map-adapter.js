@@ -0,0 +1,237 @@
+/* views/map-adapters/map-adapter.js
+ *
+ * provides the base class of adapters between the map view and a map library.
+ */
+
+/**
+ * The base class of adapters between the map view and a map library. Adapters must implement
+ * center, bounds, resize, easeTo, fitBounds and addMarker, and emit the events listened to with
+ * on: "click" with the clicked coordinates and target element, and "moveend" once the map has
+ * been moved, marking moves made by easeTo, fitBounds and resize as centering.
+ */
+export class MapAdapter {
+  /**
+   * @param {Element} containerElement - The element hosting the map.
+   */
+  constructor(containerElement) {
+    /**
+     * The element hosting the map.
+     *
+     * @type {Element}
+     */
+    this.containerElement = containerElement;
+    /**
+     * The markers of the points shown on the map, keyed by point id.
+     *
+     * @type {Map.<number, {element: Element, remove: Function}>}
+     * @protected
+     */
+    this._pointMarkers = new Map();
+    /**
+     * The listeners of the events of the map, keyed by event type.
+     *
+     * @type {Object.<string, Function[]>}
+     * @protected
+     */
+    this._listeners = {};
+  }
+
+  /**
+   * @returns {string} the description of the map for screen readers
+   */
+  get roleDescription() {
+    return "interactive map";
+  }
+
+  /**
+   * @returns {{lat: number, lng: number}} the coordinates of the current center of the map
+   * @abstract
+   */
+  get center() {
+    throw new Error("center is not implemented by the map adapter");
+  }
+
+  /**
+   * @returns {number[][]} the visible bounds of the map as `[[west, south], [east, north]]`
+   * @abstract
+   */
+  get bounds() {
+    throw new Error("bounds is not implemented by the map adapter");
+  }
+
+  /**
+   * Adapts the map to the current size of its container, e.g. after a css layout change.
+   *
+   * @abstract
+   */
+  resize() {
+    throw new Error("resize is not implemented by the map adapter");
+  }
+
+  /**
+   * Removes the map from its container, releasing the resources of the map library.
+   *
+   * @abstract
+   */
+  remove() {
+    throw new Error("remove is not implemented by the map adapter");
+  }
+
+  /**
+   * Moves the map to a center and zoom level.
+   *
+   * @param {{lat: number, lng: number}} center - The coordinates to center on.
+   * @param {number} param.zoom - The zoom level, as used by Mapbox.
+   * @param {number} param.pitch - The tilt of the map in degrees, where supported.
+   * @abstract
+   */
+  easeTo(center, { zoom, pitch = 0 }) {
+    throw new Error("easeTo is not implemented by the map adapter");
+  }
+
+  /**
+   * Moves the map to show bounds.
+   *
+   * @param {number[][]} bounds - Bounds as `[[west, south], [east, north]]`.
+   * @param {{top: number, right: number, bottom: number, left: number}} param.padding - The
+   * padding in pixels around the bounds.
+   * @param {number} param.maxZoom - The maximum zoom level, as used by Mapbox.
+   * @abstract
+   */
+  fitBounds(bounds, { padding, maxZoom } = {}) {
+    throw new Error("fitBounds is not implemented by the map adapter");
+  }
+
+  /**
+   * Adds a marker to the map.
+   *
+   * @param {Element} element - The element of the marker.
+   * @param {{lat: number, lng: number}} coordinates - The coordinates of the marker.
+   * @param {string} param.anchor - The part of the element placed at the coordinates: "center" or
+   * "bottom".
+   * @returns {{element: Element, remove: Function}} the added marker
+   * @abstract
+   */
+  addMarker(element, coordinates, { anchor = "center" } = {}) {
+    throw new Error("addMarker is not implemented by the map adapter");
+  }
+
+  /**
+   * Shows a route line on the map, replacing any earlier route.
+   *
+   * @param {{lat: number, lng: number}[]} coordinates - The line of the route, or null to remove
+   * the route.
+   * @abstract
+   */
+  setRoute(coordinates) {
+    throw new Error("setRoute is not implemented by the map adapter");
+  }
+
+  /**
+   * @returns {boolean} true if areas of the map can be saved for offline use, i.e. if the map
+   * loads its tiles from the network
+   */
+  get canSaveOfflineAreas() {
+    return false;
+  }
+
+  /**
+   * Lists the urls of the resources the map loads to show an area, e.g. its tiles, so they can be
+   * saved for offline use.
+   *
+   * @param {number[][]} bounds - The bounds of the area as `[[west, south], [east, north]]`.
+   * @param {number} param.minZoom - The lowest zoom level to show the area at, as used by Mapbox.
+   * @param {number} param.maxZoom - The highest zoom level to show the area at, as used by Mapbox.
+   * @returns {Promise} Promise object resolves to the urls of the resources
+   * @async
+   */
+  async getOfflineResourceUrls(bounds, { minZoom, maxZoom }) {
+    return [];
+  }
+
+  /**
+   * Shows a marker for each point, replacing the markers of earlier points. Markers are kept for
+   * points shown before, and ordered like the points, so the tab order of the markers follows the
+   * order of the points.
+   *
+   * @param {{id: number, lat: number, lng: number}[]} points - The points to show, in order.
+   * @param {Function} createMarkerElement - Creates the element of the marker of a point id.
+   */
+  setPoints(points, createMarkerElement) {
+    const ids = new Set(points.map(point => point.id));
+    for (const [id, marker] of this._pointMarkers) {
+      if (ids.has(id)) continue;
+      marker.remove();
+      this._pointMarkers.delete(id);
+    }
+    for (const point of points) {
+      if (this._pointMarkers.has(point.id)) continue;
+      const element = createMarkerElement(point.id);
+      this._pointMarkers.set(point.id, this.addMarker(element, point, { anchor: "bottom" }));
+    }
+
+    MapAdapter._orderElements(points.map(point => this._pointMarkers.get(point.id).element));
+  }
+
+  /**
+   * @param {number} id - The id of a point.
+   * @returns {Element} the marker element of the point, or null if the point has no marker, e.g.
+   * because it is out of view or clustered
+   */
+  getMarkerElement(id) {
+    const marker = this._pointMarkers.get(id);
+    return marker ? marker.element : null;
+  }
+
+  /**
+   * Listens to an event of the map.
+   *
+   * @param {string} type - The type of the event, "click" or "moveend".
+   * @param {Function} listener - Called with the event.
+   */
+  on(type, listener) {
+    (this._listeners[type] = this._listeners[type] || []).push(listener);
+  }
+
+  /**
+   * @param {string} type - The type of the event.
+   * @param {object} event - The event passed to the listeners.
+   * @protected
+   */
+  _emit(type, event) {
+    for (const listener of this._listeners[type] || []) listener(event);
+  }
+
+  /**
+   * Creates the element of a marker of a cluster of points, which zooms in on the cluster when
+   * clicked.
+   *
+   * @param {number} count - The number of points in the cluster.
+   * @param {Function} zoomIn - Called when the marker is clicked.
+   * @returns {Element} the marker element
+   * @static
+   */
+  static createClusterMarkerElement(count, zoomIn) {
+    const markerElement = document.createElement("button");
+    markerElement.type = "button";
+    markerElement.className = "map-cluster-marker";
+    markerElement.textContent = count;
+    markerElement.setAttribute("aria-label", `${count} restaurants, click to zoom in`);
+    markerElement.addEventListener("click", zoomIn);
+    return markerElement;
+  }
+
+  /**
+   * Orders marker elements within their parent elements, so their tab order follows the provided
+   * order.
+   *
+   * @param {Element[]} elements - The marker elements, in order.
+   * @protected
+   * @static
+   */
+  static _orderElements(elements) {
+    for (const element of elements) {
+      if (element.parentNode) element.parentNode.append(element);
+    }
+  }
+}
@@ -0,0 +1,530 @@
+/* views/map-adapters/mapbox-map-adapter.js
+ *
+ * provides the adapter showing the map with Mapbox GL.
+ */
+
+import { GeoMath } from "../../utils/geo-math.js";
+import { MapAdapter } from "./map-adapter.js";
+
+/**
+ * Shows the map with Mapbox GL, including 3D buildings and clustered markers.
+ */
+export class MapboxMapAdapter extends MapAdapter {
+  /**
+   * @param {Element} containerElement - The element hosting the map.
+   * @param {string} param.accessToken - The Mapbox access token.
+   * @param {string} param.style - The url of the Mapbox style.
+   * @param {{lat: number, lng: number}} param.center - The initial center of the map.
+   * @param {number} param.zoom - The initial zoom level of the map.
+   */
+  constructor(containerElement, { accessToken, style, center, zoom }) {
+    super(containerElement);
+    if (typeof mapboxgl === "undefined") throw new Error("the Mapbox library is not loaded");
+    if (!accessToken) throw new Error("no Mapbox access token is configured");
+    if (!mapboxgl.supported()) throw new Error("your browser does not support Mapbox");
+
+    mapboxgl.accessToken = accessToken;
+    /**
+     * The url of the Mapbox style.
+     *
+     * @type {string}
+     */
+    this.styleUrl = style;
+    /**
+     * The MapBox Map object.
+     *
+     * @type {mapboxgl.Map}
+     */
+    this.map = new mapboxgl.Map({
+      container: containerElement,
+      style, // stylesheet location
+      center,
+      zoom, // starting zoom
+      antialias: true
+    });
+    /**
+     * The markers currently added to the map, keyed by point or cluster, e.g. "point-3" or
+     * "cluster-12".
+     *
+     * @type {Map.<string, mapboxgl.Marker>}
+     */
+    this.markers = new Map();
+    /**
+     * The points shown on the map, in order
+     *
+     * @type {{id: number, lat: number, lng: number}[]}
+     * @protected
+     */
+    this._points = [];
+    /**
+     * Creates the element of the marker of a point id
+     *
+     * @type {Function}
+     * @protected
+     */
+    this._createMarkerElement = null;
+    /**
+     * true if the points have changed since the markers were last ordered
+     *
+     * @type {boolean}
+     * @protected
+     */
+    this._isOrderChanged = false;
+    /**
+     * The line of the route shown on the map, or null if none is shown
+     *
+     * @type {{lat: number, lng: number}[]}
+     * @protected
+     */
+    this._routeCoordinates = null;
+
+    // add the 3D buildings, the route and the clustered source of the points once the map style
+    // has loaded, and update the markers whenever the map renders, e.g. while it is moved or zoomed
+    this.map.on("load", () => {
+      this._addBuildingsLayer();
+      this._addRouteLayer();
+      this._addPointsSource();
+    });
+    this.map.on("render", () => this._renderMarkers());
+
+    this.map.on("click", event => this._emit("click", {
+      lat: event.lngLat.lat,
+      lng: event.lngLat.lng,
+      target: event.originalEvent.target
+    }));
+    this.map.on("moveend", event =>
+      this._emit("moveend", { isCentering: Boolean(event.isCentering) })
+    );
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get roleDescription() {
+    return "interactive map by MapBox";
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get center() {
+    const center = this.map.getCenter();
+    return { lat: center.lat, lng: center.lng };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get bounds() {
+    const bounds = this.map.getBounds();
+    return [[bounds.getWest(), bounds.getSouth()], [bounds.getEast(), bounds.getNorth()]];
+  }
+
+  /**
+   * @inheritdoc
+   */
+  resize() {
+    this.map.resize({ isCentering: true });
+  }
+
+  /**
+   * @inheritdoc
+   */
+  remove() {
+    this.map.remove();
+  }
+
+  /**
+   * @inheritdoc
+   */
+  easeTo(center, { zoom, pitch = 0 }) {
+    this.map.easeTo({ center, zoom, pitch }, { isCentering: true });
+  }
+
+  /**
+   * @inheritdoc
+   */
+  fitBounds(bounds, { padding = 0, maxZoom } = {}) {
+    this.map.fitBounds(
+      bounds,
+      { pitch: 0, padding, duration: 200, animate: true, maxZoom },
+      { isCentering: true }
+    );
+  }
+
+  /**
+   * @inheritdoc
+   */
+  addMarker(element, coordinates, { anchor = "center" } = {}) {
+    const marker = new mapboxgl.Marker({ element, anchor }).setLngLat(coordinates).addTo(this.map);
+    return { element, remove: () => marker.remove() };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  setRoute(coordinates) {
+    this._routeCoordinates = coordinates;
+
+    // the source is added once the map style has loaded, with the route set by then
+    const source = this.map.getSource("route");
+    if (source) source.setData(this._createRouteData());
+  }
+
+  /**
+   * Shows the points clustered, with markers only for the visible part of the map.
+   *
+   * @inheritdoc
+   */
+  setPoints(points, createMarkerElement) {
+    this._points = points;
+    this._createMarkerElement = createMarkerElement;
+    this._isOrderChanged = true;
+
+    // cluster ids are only valid for the data they were created for
+    for (const [key, marker] of this.markers) {
+      if (!key.startsWith("cluster-")) continue;
+      marker.remove();
+      this.markers.delete(key);
+    }
+
+    // the source is added once the map style has loaded, with the points set by then
+    const source = this.map.getSource("points");
+    if (source) source.setData(this._createPointsData());
+  }
+
+  /**
+   * @inheritdoc
+   */
+  getMarkerElement(id) {
+    const marker = this.markers.get(`point-${id}`);
+    return marker ? marker.getElement() : null;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get canSaveOfflineAreas() {
+    return true;
+  }
+
+  /**
+   * Lists the style, its sprites and the glyphs of its fonts, and the tiles of its vector sources.
+   * Raster sources, e.g. satellite imagery, are left out, as Mapbox GL picks their resolution and
+   * format by device.
+   *
+   * @inheritdoc
+   */
+  async getOfflineResourceUrls(bounds, { minZoom, maxZoom }) {
+    if (!this.map.isStyleLoaded()) throw new Error("the map has not loaded yet");
+
+    const style = this.map.getStyle();
+    const toApiUrl = url => MapboxMapAdapter._toApiUrl(url, mapboxgl.accessToken);
+    const urls = [toApiUrl(this.styleUrl)];
+
+    if (style.sprite) {
+      for (const suffix of ["", "@2x"]) {
+        const spriteUrl = `${style.sprite}${suffix}`;
+        urls.push(toApiUrl(`${spriteUrl}.json`), toApiUrl(`${spriteUrl}.png`));
+      }
+    }
+
+    // glyphs are loaded in ranges of 256 characters, these cover the characters of latin labels
+    // and common punctuation, e.g. curly quotes
+    if (style.glyphs) {
+      for (const fontstack of MapboxMapAdapter._findFontstacks(style.layers)) {
+        for (const range of ["0-255", "8192-8447"]) {
+          urls.push(
+            toApiUrl(style.glyphs.replace("{fontstack}", fontstack).replace("{range}", range))
+          );
+        }
+      }
+    }
+
+    for (const source of Object.values(style.sources)) {
+      if (source.type !== "vector") continue;
+
+      // sources described by a TileJSON url are saved with their TileJSON, which the map loads
+      // before their tiles
+      let tileJson = source;
+      if (source.url) {
+        const tileJsonUrl = toApiUrl(source.url);
+        urls.push(tileJsonUrl);
+        const response = await fetch(tileJsonUrl);
+        if (!response.ok) {
+          throw new Error(`the map source could not be loaded (${response.status})`);
+        }
+        tileJson = await response.json();
+      }
+
+      const { tiles = [], minzoom = 0, maxzoom = 22 } = tileJson;
+      if (!tiles.length) continue;
+      // beyond the highest zoom level of the source, the map scales up tiles of that level
+      const lowestZoom = Math.max(Math.min(minZoom, maxzoom), minzoom);
+      const highestZoom = Math.min(maxZoom, maxzoom);
+      for (let zoom = lowestZoom; zoom <= highestZoom; zoom++) {
+        for (const { x, y, z } of GeoMath.tilesInBounds(bounds, zoom)) {
+          // the map spreads tiles over the tile urls of the source the same way
+          const tileUrl = MapboxMapAdapter._toApiTileUrl(tiles[(x + y) % tiles.length]);
+          urls.push(tileUrl.replace("{z}", z).replace("{x}", x).replace("{y}", y));
+        }
+      }
+    }
+    return urls;
+  }
+
+  /**
+   * Adds a layer of 3D buildings beneath the labels of the map. The 'building' layer in the
+   * mapbox-streets vector source contains building-height data from OpenStreetMap, styles without
+   * this source are shown without buildings.
+   *
+   * @protected
+   */
+  _addBuildingsLayer() {
+    if (!this.map.getSource("composite")) return;
+
+    // Insert the layer beneath any symbol layer.
+    const labelLayer = this.map.getStyle().layers.find(
+      layer => layer.type === "symbol" && layer.layout && layer.layout["text-field"]
+    );
+
+    this.map.addLayer({
+      "id": "3d-buildings",
+      "source": "composite",
+      "source-layer": "building",
+      "filter": ["==", "extrude", "true"],
+      "type": "fill-extrusion",
+      "minzoom": 15,
+      "paint": {
+        "fill-extrusion-color": "#aaa",
+
+        // use an "interpolate" expression to add a smooth transition effect to the
+        // buildings as the user zooms in
+        "fill-extrusion-height": [
+          "interpolate", ["linear"], ["zoom"],
+          15, 0,
+          15.05, ["get", "height"]
+        ],
+        "fill-extrusion-base": [
+          "interpolate", ["linear"], ["zoom"],
+          15, 0,
+          15.05, ["get", "min_height"]
+        ],
+        "fill-extrusion-opacity": .6
+      }
+    }, labelLayer ? labelLayer.id : undefined);
+  }
+
+  /**
+   * Adds the GeoJSON source and line layer of the route shown on the map.
+   *
+   * @protected
+   */
+  _addRouteLayer() {
+    this.map.addSource("route", { type: "geojson", data: this._createRouteData() });
+    this.map.addLayer({
+      id: "route",
+      type: "line",
+      source: "route",
+      layout: { "line-join": "round", "line-cap": "round" },
+      paint: { "line-color": "#669cff", "line-width": 5, "line-opacity": 0.8 }
+    });
+  }
+
+  /**
+   * @returns {object} a GeoJSON feature collection of the route shown on the map, which is empty
+   * if no route is shown
+   * @protected
+   */
+  _createRouteData() {
+    const coordinates = this._routeCoordinates || [];
+    return {
+      type: "FeatureCollection",
+      features: coordinates.length ? [{
+        type: "Feature",
+        properties: {},
+        geometry: { type: "LineString", coordinates: coordinates.map(({ lat, lng }) => [lng, lat]) }
+      }] : []
+    };
+  }
+
+  /**
+   * Adds the GeoJSON source of the points shown on the map. The source clusters points close to
+   * each other, and an invisible layer makes the map load the clustered features, which are then
+   * shown as markers by _renderMarkers.
+   *
+   * @protected
+   */
+  _addPointsSource() {
+    this.map.addSource("points", {
+      type: "geojson",
+      data: this._createPointsData(),
+      cluster: true,
+      clusterMaxZoom: 14,
+      clusterRadius: 50
+    });
+    this.map.addLayer({
+      id: "points",
+      type: "circle",
+      source: "points",
+      paint: { "circle-radius": 0, "circle-opacity": 0 }
+    });
+  }
+
+  /**
+   * @returns {object} a GeoJSON feature collection of the points shown on the map
+   * @protected
+   */
+  _createPointsData() {
+    return {
+      type: "FeatureCollection",
+      features: this._points.map(point => ({
+        type: "Feature",
+        properties: { id: point.id },
+        geometry: { type: "Point", coordinates: [point.lng, point.lat] }
+      }))
+    };
+  }
+
+  /**
+   * Shows a marker for each point or cluster of points loaded by the map. Markers are only created
+   * for the visible part of the map, and kept as long as they are visible.
+   *
+   * @protected
+   */
+  _renderMarkers() {
+    if (!this.map.getSource("points") || !this.map.isSourceLoaded("points")) return;
+
+    const pointsById = new Map(this._points.map(point => [point.id, point]));
+    const visibleMarkers = new Map();
+    for (const feature of this.map.querySourceFeatures("points")) {
+      const properties = feature.properties;
+      const key = properties.cluster
+        ? `cluster-${properties.cluster_id}`
+        : `point-${properties.id}`;
+      // features spanning several tiles are returned once per tile
+      if (visibleMarkers.has(key)) continue;
+
+      let marker = this.markers.get(key);
+      if (!marker && properties.cluster) {
+        marker = this._createClusterMarker(
+          properties.cluster_id,
+          properties.point_count,
+          feature.geometry.coordinates
+        );
+      } else if (!marker && pointsById.has(properties.id)) {
+        marker = new mapboxgl.Marker({
+          element: this._createMarkerElement(properties.id),
+          anchor: "bottom"
+        }).setLngLat(pointsById.get(properties.id));
+      }
+      if (marker) visibleMarkers.set(key, marker);
+    }
+
+    // remove markers of points that have been clustered, removed or moved out of view
+    let hasChanged = false;
+    for (const [key, marker] of this.markers) {
+      if (visibleMarkers.has(key)) continue;
+      marker.remove();
+      hasChanged = true;
+    }
+    for (const [key, marker] of visibleMarkers) {
+      if (this.markers.has(key)) continue;
+      marker.addTo(this.map);
+      hasChanged = true;
+    }
+    this.markers = visibleMarkers;
+
+    // order the markers of points like the points, followed by clusters
+    if (hasChanged || this._isOrderChanged) {
+      const pointKeys = this._points.map(point => `point-${point.id}`);
+      const clusterKeys = [...this.markers.keys()].filter(key => key.startsWith("cluster-"));
+      MapAdapter._orderElements(
+        pointKeys.concat(clusterKeys)
+          .filter(key => this.markers.has(key))
+          .map(key => this.markers.get(key).getElement())
+      );
+    }
+    this._isOrderChanged = false;
+  }
+
+  /**
+   * Creates a marker for a cluster of points, which zooms in on the cluster when clicked. The
+   * marker is added to the map by _renderMarkers.
+   *
+   * @param {number} clusterId - The id of the cluster in the points source.
+   * @param {number} count - The number of points in the cluster.
+   * @param {number[]} coordinates - The coordinates of the cluster as `[lng, lat]`.
+   * @returns {mapboxgl.Marker} the marker of the cluster
+   * @protected
+   */
+  _createClusterMarker(clusterId, count, coordinates) {
+    const markerElement = MapAdapter.createClusterMarkerElement(count, () => {
+      this.map.getSource("points").getClusterExpansionZoom(clusterId, (error, zoom) => {
+        if (error) return;
+        this.map.easeTo({ center: coordinates, zoom });
+      });
+    });
+
+    return new mapboxgl.Marker({ element: markerElement }).setLngLat(coordinates);
+  }
+
+  /**
+   * @param {object[]} layers - The layers of a Mapbox style.
+   * @returns {string[]} the font stacks of the labels of the layers, e.g. "Open Sans Regular,Arial
+   * Unicode MS Regular"
+   * @protected
+   * @static
+   */
+  static _findFontstacks(layers) {
+    const fontstacks = new Set();
+    // fonts are lists of font names, also within expressions choosing fonts, e.g. by zoom level.
+    // Single strings within expressions are operators, e.g. ["zoom"].
+    const findFonts = value => {
+      if (!Array.isArray(value)) return;
+      if (value.length > 1 && value.every(font => typeof font === "string")) {
+        fontstacks.add(value.join(","));
+        return;
+      }
+      value.forEach(findFonts);
+    };
+    for (const layer of layers) findFonts((layer.layout || {})["text-font"]);
+    return [...fontstacks];
+  }
+
+  /**
+   * @param {string} url - A url of a Mapbox style, sprite, font or TileJSON, e.g.
+   * `mapbox://styles/mapbox/light-v10`, or an http url.
+   * @param {string} accessToken - The Mapbox access token.
+   * @returns {string} the url the map loads the resource from, http urls are returned as is
+   * @protected
+   * @static
+   */
+  static _toApiUrl(url, accessToken) {
+    if (!url.startsWith("mapbox://")) return url;
+
+    const path = url
+      .slice("mapbox://".length)
+      .replace(/^styles\//, "styles/v1/")
+      .replace(/^sprites\/([^/]+)\/([^/@.]+)/, "styles/v1/$1/$2/sprite")
+      .replace(/^fonts\//, "fonts/v1/")
+      // tilesets, e.g. mapbox.mapbox-streets-v8, are described by their TileJSON
+      .replace(/^([^/]+)$/, "v4/$1.json");
+    const parameters = path.startsWith("v4/") ? "secure&" : "";
+    return `https://api.mapbox.com/${path}?${parameters}access_token=${accessToken}`;
+  }
+
+  /**
+   * @param {string} tileUrl - A tile url template of a TileJSON.
+   * @returns {string} the url template the map loads the tiles from, as Mapbox GL loads the tiles
+   * of all Mapbox tile servers from the Mapbox API
+   * @protected
+   * @static
+   */
+  static _toApiTileUrl(tileUrl) {
+    return tileUrl.replace(
+      /^https?:\/\/([a-z0-9-]+\.)*mapbox\.com\/v4\//,
+      "https://api.mapbox.com/v4/"
+    );
+  }
+}
@@ -0,0 +1,515 @@
+/* views/map-adapters/schematic-map-adapter.js
+ *
+ * provides the adapter showing a schematic map, which needs no map library.
+ */
+
+import { MapAdapter } from "./map-adapter.js";
+
+/**
+ * Shows a schematic map without tiles, which plots markers from their coordinates on a plain
+ * grid. The map works offline and without any map library, and is used as the fallback if the
+ * configured map cannot be shown. The map is moved by dragging, and zoomed by the mouse wheel or
+ * its zoom buttons.
+ */
+export class SchematicMapAdapter extends MapAdapter {
+  /**
+   * @param {Element} containerElement - The element hosting the map.
+   * @param {{lat: number, lng: number}} param.center - The initial center of the map.
+   * @param {number} param.zoom - The initial zoom level of the map, as used by Mapbox.
+   */
+  constructor(containerElement, { center, zoom }) {
+    super(containerElement);
+    /**
+     * The coordinates of the center of the map.
+     *
+     * @type {{lat: number, lng: number}}
+     * @protected
+     */
+    this._center = { lat: center.lat, lng: center.lng };
+    /**
+     * The zoom level of the map, as used by Mapbox.
+     *
+     * @type {number}
+     * @protected
+     */
+    this._zoom = zoom;
+    /**
+     * The markers added to the map.
+     *
+     * @type {{element: Element, coordinates: {lat: number, lng: number}}[]}
+     * @protected
+     */
+    this._markers = [];
+    /**
+     * The line of the route shown on the map, or null if none is shown.
+     *
+     * @type {{lat: number, lng: number}[]}
+     * @protected
+     */
+    this._routeCoordinates = null;
+    /**
+     * The drag of the map in progress, or null if the map is not dragged.
+     *
+     * @type {{x: number, y: number, centerPoint: {x: number, y: number}, isMoved: boolean}}
+     * @protected
+     */
+    this._drag = null;
+    /**
+     * true if the next click ends a drag of the map, and is not a click on the map
+     *
+     * @type {boolean}
+     * @protected
+     */
+    this._isClickIgnored = false;
+    /**
+     * The timeout emitting moveend once the user stops zooming with the mouse wheel.
+     *
+     * @type {number}
+     * @protected
+     */
+    this._wheelTimeout = null;
+    /**
+     * Aborts the listeners of the map when it is removed.
+     *
+     * @type {AbortController}
+     * @protected
+     */
+    this._listenersAbortController = new AbortController();
+
+    containerElement.classList.add("map-schematic");
+    /**
+     * The svg element drawing the grid and the route of the map.
+     *
+     * @type {SVGElement}
+     */
+    this.gridElement = SchematicMapAdapter.createGridElement(containerElement.id || "map");
+    /**
+     * The element hosting the markers.
+     *
+     * @type {Element}
+     */
+    this.markersElement = document.createElement("div");
+    this.markersElement.className = "map-schematic-markers";
+    containerElement.append(
+      this.gridElement,
+      this.markersElement,
+      this._createZoomControlsElement(),
+      SchematicMapAdapter.createCaptionElement()
+    );
+
+    const signal = this._listenersAbortController.signal;
+    containerElement.addEventListener("pointerdown", event => this._startDrag(event), { signal });
+    containerElement.addEventListener(
+      "pointermove",
+      event => this._drag && this._moveDrag(event),
+      { signal }
+    );
+    containerElement.addEventListener("pointerup", () => this._endDrag(), { signal });
+    containerElement.addEventListener("pointercancel", () => this._endDrag(), { signal });
+    containerElement.addEventListener("click", event => this._click(event), { signal });
+    containerElement.addEventListener("wheel", event => this._zoomByWheel(event), { signal });
+    window.addEventListener("resize", () => this._render(), { signal });
+
+    this._render();
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get roleDescription() {
+    return "schematic map without streets";
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get center() {
+    return Object.assign({}, this._center);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get bounds() {
+    const centerPoint = SchematicMapAdapter._project(this._center, this._zoom);
+    const width = this.containerElement.clientWidth;
+    const height = this.containerElement.clientHeight;
+    const northWest = SchematicMapAdapter._unproject(
+      { x: centerPoint.x - width / 2, y: centerPoint.y - height / 2 },
+      this._zoom
+    );
+    const southEast = SchematicMapAdapter._unproject(
+      { x: centerPoint.x + width / 2, y: centerPoint.y + height / 2 },
+      this._zoom
+    );
+    return [[northWest.lng, southEast.lat], [southEast.lng, northWest.lat]];
+  }
+
+  /**
+   * @inheritdoc
+   */
+  resize() {
+    this._render();
+  }
+
+  /**
+   * @inheritdoc
+   */
+  remove() {
+    this._listenersAbortController.abort();
+    clearTimeout(this._wheelTimeout);
+    this.containerElement.classList.remove("map-schematic");
+    this.containerElement.replaceChildren();
+  }
+
+  /**
+   * @inheritdoc
+   */
+  easeTo(center, { zoom }) {
+    this._moveTo({ lat: center.lat, lng: center.lng }, zoom, { isCentering: true });
+  }
+
+  /**
+   * @inheritdoc
+   */
+  fitBounds(bounds, { padding = {}, maxZoom = SchematicMapAdapter.maxZoom } = {}) {
+    // ignore the padding while the map is hidden, e.g. before the layout is done
+    const isHidden = !this.containerElement.clientWidth || !this.containerElement.clientHeight;
+    const { top = 0, right = 0, bottom = 0, left = 0 } = isHidden ? {} : padding;
+    const [[west, south], [east, north]] = bounds;
+    const northWest = SchematicMapAdapter._project({ lat: north, lng: west }, 0);
+    const southEast = SchematicMapAdapter._project({ lat: south, lng: east }, 0);
+
+    // the largest zoom level showing the bounds within the padding
+    const width = Math.max(this.containerElement.clientWidth - left - right, 1);
+    const height = Math.max(this.containerElement.clientHeight - top - bottom, 1);
+    const scale = Math.min(
+      width / Math.max(southEast.x - northWest.x, 1e-9),
+      height / Math.max(southEast.y - northWest.y, 1e-9)
+    );
+    const zoom = Math.min(Math.max(Math.log2(scale), SchematicMapAdapter.minZoom), maxZoom);
+
+    // center on the middle of the bounds, shifted by uneven padding
+    const factor = Math.pow(2, zoom);
+    const centerPoint = {
+      x: ((northWest.x + southEast.x) / 2) * factor + (right - left) / 2,
+      y: ((northWest.y + southEast.y) / 2) * factor + (bottom - top) / 2
+    };
+    this._moveTo(SchematicMapAdapter._unproject(centerPoint, zoom), zoom, { isCentering: true });
+  }
+
+  /**
+   * @inheritdoc
+   */
+  addMarker(element, coordinates, { anchor = "center" } = {}) {
+    element.classList.add("map-schematic-marker", `map-anchor-${anchor}`);
+    const marker = { element, coordinates: { lat: coordinates.lat, lng: coordinates.lng } };
+    this._markers.push(marker);
+    this.markersElement.append(element);
+    this._renderMarker(marker, SchematicMapAdapter._project(this._center, this._zoom));
+
+    return {
+      element,
+      remove: () => {
+        this._markers = this._markers.filter(other => other !== marker);
+        element.remove();
+      }
+    };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  setRoute(coordinates) {
+    this._routeCoordinates = coordinates;
+    this._render();
+  }
+
+  /**
+   * @returns {number} the smallest zoom level of the map
+   * @static
+   */
+  static get minZoom() {
+    return 1;
+  }
+
+  /**
+   * @returns {number} the largest zoom level of the map
+   * @static
+   */
+  static get maxZoom() {
+    return 19;
+  }
+
+  /**
+   * @returns {number} the distance between grid lines in pixels
+   * @static
+   */
+  static get gridSize() {
+    return 64;
+  }
+
+  /**
+   * Creates the svg element drawing the grid of the map.
+   *
+   * @param {string} idPrefix - The prefix of the id of the grid pattern, e.g. the id of the
+   * container element, which keeps it unique when several maps are shown in a page.
+   * @returns {SVGElement} the grid element
+   * @static
+   */
+  static createGridElement(idPrefix = "map") {
+    const svgNamespace = "http://www.w3.org/2000/svg";
+    const gridSize = SchematicMapAdapter.gridSize;
+
+    const gridElement = document.createElementNS(svgNamespace, "svg");
+    gridElement.setAttribute("class", "map-schematic-grid");
+    gridElement.setAttribute("aria-hidden", "true");
+
+    const patternElement = document.createElementNS(svgNamespace, "pattern");
+    patternElement.id = `${idPrefix}-schematic-grid-pattern`;
+    patternElement.setAttribute("width", gridSize);
+    patternElement.setAttribute("height", gridSize);
+    patternElement.setAttribute("patternUnits", "userSpaceOnUse");
+    const lineElement = document.createElementNS(svgNamespace, "path");
+    lineElement.setAttribute("d", `M ${gridSize} 0 L 0 0 0 ${gridSize}`);
+    patternElement.append(lineElement);
+
+    const definitionsElement = document.createElementNS(svgNamespace, "defs");
+    definitionsElement.append(patternElement);
+
+    const backgroundElement = document.createElementNS(svgNamespace, "rect");
+    backgroundElement.setAttribute("width", "100%");
+    backgroundElement.setAttribute("height", "100%");
+    backgroundElement.setAttribute("fill", `url(#${patternElement.id})`);
+
+    // the route is drawn above the grid, its points are set while rendering the map
+    const routeElement = document.createElementNS(svgNamespace, "polyline");
+    routeElement.setAttribute("class", "map-schematic-route");
+
+    gridElement.append(definitionsElement, backgroundElement, routeElement);
+    return gridElement;
+  }
+
+  /**
+   * Creates the caption telling the user that streets are not shown.
+   *
+   * @returns {Element} the caption element
+   * @static
+   */
+  static createCaptionElement() {
+    const captionElement = document.createElement("p");
+    captionElement.className = "map-schematic-caption";
+    captionElement.textContent = "Schematic map, streets are not available";
+    return captionElement;
+  }
+
+  /**
+   * Creates the buttons zooming the map in and out.
+   *
+   * @returns {Element} the zoom controls element
+   * @protected
+   */
+  _createZoomControlsElement() {
+    const controlsElement = document.createElement("div");
+    controlsElement.className = "map-schematic-zoom-controls";
+
+    for (const [label, symbol, change] of [["Zoom in", "+", 1], ["Zoom out", "−", -1]]) {
+      const buttonElement = document.createElement("button");
+      buttonElement.type = "button";
+      buttonElement.className = "map-schematic-zoom-button";
+      buttonElement.textContent = symbol;
+      buttonElement.setAttribute("aria-label", label);
+      buttonElement.addEventListener("click", () =>
+        this._moveTo(this._center, this._zoom + change, { isCentering: false })
+      );
+      controlsElement.append(buttonElement);
+    }
+
+    return controlsElement;
+  }
+
+  /**
+   * @param {{lat: number, lng: number}} center - The new center of the map.
+   * @param {number} zoom - The new zoom level of the map.
+   * @param {boolean} param.isCentering - true if the move is made by centering.
+   * @protected
+   */
+  _moveTo(center, zoom, { isCentering }) {
+    this._center = center;
+    this._zoom = Math.min(
+      Math.max(zoom, SchematicMapAdapter.minZoom),
+      SchematicMapAdapter.maxZoom
+    );
+    this._render();
+    this._emit("moveend", { isCentering });
+  }
+
+  /**
+   * Positions the grid and the markers for the current center and zoom level.
+   *
+   * @protected
+   */
+  _render() {
+    const centerPoint = SchematicMapAdapter._project(this._center, this._zoom);
+
+    // shift the grid with the map, so moves of the map are visible
+    const gridSize = SchematicMapAdapter.gridSize;
+    const offsetX = (this.containerElement.clientWidth / 2 - centerPoint.x) % gridSize;
+    const offsetY = (this.containerElement.clientHeight / 2 - centerPoint.y) % gridSize;
+    this.gridElement
+      .querySelector("pattern")
+      .setAttribute("patternTransform", `translate(${offsetX} ${offsetY})`);
+
+    const routePoints = (this._routeCoordinates || []).map(coordinates => {
+      const point = this._getContainerPoint(coordinates, centerPoint);
+      return `${point.x},${point.y}`;
+    });
+    this.gridElement.querySelector("polyline").setAttribute("points", routePoints.join(" "));
+
+    for (const marker of this._markers) this._renderMarker(marker, centerPoint);
+  }
+
+  /**
+   * @param {{element: Element, coordinates: {lat: number, lng: number}}} marker - The marker to
+   * position.
+   * @param {{x: number, y: number}} centerPoint - The projected center of the map.
+   * @protected
+   */
+  _renderMarker(marker, centerPoint) {
+    const point = this._getContainerPoint(marker.coordinates, centerPoint);
+    marker.element.style.left = `${point.x}px`;
+    marker.element.style.top = `${point.y}px`;
+  }
+
+  /**
+   * @param {{lat: number, lng: number}} coordinates - Coordinates on the map.
+   * @param {{x: number, y: number}} centerPoint - The projected center of the map.
+   * @returns {{x: number, y: number}} the pixel position of the coordinates in the container
+   * @protected
+   */
+  _getContainerPoint(coordinates, centerPoint) {
+    const point = SchematicMapAdapter._project(coordinates, this._zoom);
+    return {
+      x: point.x - centerPoint.x + this.containerElement.clientWidth / 2,
+      y: point.y - centerPoint.y + this.containerElement.clientHeight / 2
+    };
+  }
+
+  /**
+   * @param {PointerEvent} event - The pointerdown event starting a drag.
+   * @protected
+   */
+  _startDrag(event) {
+    // markers and controls handle their own pointer events
+    if (event.target.closest(".map-schematic-marker, .map-schematic-zoom-controls")) return;
+
+    this._drag = {
+      x: event.clientX,
+      y: event.clientY,
+      centerPoint: SchematicMapAdapter._project(this._center, this._zoom),
+      isMoved: false
+    };
+  }
+
+  /**
+   * @param {PointerEvent} event - The pointermove event of a drag.
+   * @protected
+   */
+  _moveDrag(event) {
+    const dx = event.clientX - this._drag.x;
+    const dy = event.clientY - this._drag.y;
+    // allow for small moves of the pointer while clicking
+    if (!this._drag.isMoved && Math.hypot(dx, dy) < 4) return;
+
+    this._drag.isMoved = true;
+    this._center = SchematicMapAdapter._unproject(
+      { x: this._drag.centerPoint.x - dx, y: this._drag.centerPoint.y - dy },
+      this._zoom
+    );
+    this._render();
+  }
+
+  /**
+   * @protected
+   */
+  _endDrag() {
+    if (!this._drag) return;
+
+    const isMoved = this._drag.isMoved;
+    this._drag = null;
+    this._isClickIgnored = isMoved;
+    if (isMoved) this._emit("moveend", { isCentering: false });
+  }
+
+  /**
+   * @param {MouseEvent} event - A click on the map.
+   * @protected
+   */
+  _click(event) {
+    const isClickIgnored = this._isClickIgnored;
+    this._isClickIgnored = false;
+    if (isClickIgnored || event.target.closest(".map-schematic-zoom-controls")) return;
+
+    const rect = this.containerElement.getBoundingClientRect();
+    const centerPoint = SchematicMapAdapter._project(this._center, this._zoom);
+    const coordinates = SchematicMapAdapter._unproject(
+      {
+        x: centerPoint.x + event.clientX - rect.left - rect.width / 2,
+        y: centerPoint.y + event.clientY - rect.top - rect.height / 2
+      },
+      this._zoom
+    );
+    this._emit("click", Object.assign(coordinates, { target: event.target }));
+  }
+
+  /**
+   * @param {WheelEvent} event - A wheel event zooming the map.
+   * @protected
+   */
+  _zoomByWheel(event) {
+    event.preventDefault();
+    this._zoom = Math.min(
+      Math.max(this._zoom - Math.sign(event.deltaY) / 2, SchematicMapAdapter.minZoom),
+      SchematicMapAdapter.maxZoom
+    );
+    this._render();
+
+    // emit a single moveend once the user stops zooming
+    clearTimeout(this._wheelTimeout);
+    this._wheelTimeout = setTimeout(() => this._emit("moveend", { isCentering: false }), 300);
+  }
+
+  /**
+   * Projects coordinates to the pixels of the Web Mercator projection used by Mapbox.
+   *
+   * @param {{lat: number, lng: number}} coordinates - The coordinates to project.
+   * @param {number} zoom - The zoom level.
+   * @returns {{x: number, y: number}} the pixel position of the coordinates in the world map
+   * @protected
+   * @static
+   */
+  static _project(coordinates, zoom) {
+    const worldSize = 512 * Math.pow(2, zoom);
+    const latitude = (Math.max(Math.min(coordinates.lat, 85), -85) * Math.PI) / 180;
+    return {
+      x: ((coordinates.lng + 180) / 360) * worldSize,
+      y: ((1 - Math.log(Math.tan(latitude) + 1 / Math.cos(latitude)) / Math.PI) / 2) * worldSize
+    };
+  }
+
+  /**
+   * @param {{x: number, y: number}} point - A pixel position in the world map.
+   * @param {number} zoom - The zoom level.
+   * @returns {{lat: number, lng: number}} the coordinates of the pixel position
+   * @protected
+   * @static
+   */
+  static _unproject(point, zoom) {
+    const worldSize = 512 * Math.pow(2, zoom);
+    const n = Math.PI - (2 * Math.PI * point.y) / worldSize;
+    return {
+      lat: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+      lng: (point.x / worldSize) * 360 - 180
+    };
+  }
+}
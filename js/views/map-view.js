@@ -0,0 +1,557 @@
+/* views/map-view.js
+ *
+ * provides the view of the map.
+ */
+
+import { View } from "./view.js";
+
+/**
+ * The view representing the map in the app.
+ */
+export class MapView extends View {
+  /**
+   * @param {MapAdapter} mapAdapter - The adapter of the map library showing the map.
+   * @param {RestaurantsController} controller - The controller of the app.
+   */
+  constructor(mapAdapter, controller) {
+    super(controller);
+    /**
+     * The adapter of the map library showing the map.
+     *
+     * @type {MapAdapter}
+     */
+    this.map = mapAdapter;
+    /**
+     * The marker of the location of the user, or null if none is shown.
+     *
+     * @type {{element: Element, remove: Function}}
+     */
+    this.originMarker = null;
+    /**
+     * true if the next click on the map chooses the location of the user
+     *
+     * @type {boolean}
+     */
+    this.isChoosingOrigin = false;
+    /**
+     * The DOM element hosting the map
+     *
+     * @type {Element}
+     */
+    this.mapElement = mapAdapter.containerElement;
+    // the controls of the map are placed next to it
+    const mapContainerElement = this.mapElement.closest(".map-container");
+    /**
+     * The element representing the "search as I move the map" checkbox input element
+     *
+     * @type {Element}
+     */
+    this.searchAsMapMovesInputElement = mapContainerElement.querySelector(
+      this.idSelector("search-as-map-moves-input")
+    );
+    /**
+     * The element containing the offline map button and panel
+     *
+     * @type {Element}
+     */
+    this.offlineElement = mapContainerElement.querySelector(".map-offline");
+    /**
+     * The button showing and hiding the offline map panel
+     *
+     * @type {Element}
+     */
+    this.offlineButtonElement = this.offlineElement.querySelector(".map-offline-button");
+    /**
+     * The panel saving areas of the map for offline use, and listing the saved areas
+     *
+     * @type {Element}
+     */
+    this.offlinePanelElement = this.offlineElement.querySelector(".map-offline-panel");
+    /**
+     * The button saving the area of the map around the listed restaurants
+     *
+     * @type {Element}
+     */
+    this.offlineSaveButtonElement = this.offlineElement.querySelector(".map-offline-save-button");
+    /**
+     * The progress bar of saving an area
+     *
+     * @type {Element}
+     */
+    this.offlineProgressElement = this.offlineElement.querySelector(".map-offline-progress");
+    /**
+     * The element showing the status of saving an area
+     *
+     * @type {Element}
+     */
+    this.offlineStatusElement = this.offlineElement.querySelector(".map-offline-status");
+
+    this.mapElement.setAttribute("aria-roledescription", mapAdapter.roleDescription);
+
+    // when sorting by distance, or when asked to by the user, clicking the map chooses the
+    // location of the user that distances are measured from
+    this.map.on("click", event => {
+      const isMarkerClick = event.target.closest(".map-marker, .map-cluster-marker");
+      if (isMarkerClick || this.controller.selectedRestaurant) return;
+      if (!this.isChoosingOrigin && this.controller.filterCriteria.sort !== "distance") return;
+      this.controller.chooseOriginOnMap({ lat: event.lat, lng: event.lng });
+    });
+
+    // while searching as the map moves, search the area the user moved the map to. Moves made by
+    // the app centering the map are marked as such and ignored.
+    this.map.on("moveend", event => {
+      if (event.isCentering || this.controller.selectedRestaurant) return;
+      if (!this.controller.filterCriteria.bounds) return;
+      this.controller.searchMapArea(this.bounds);
+    });
+
+    this.searchAsMapMovesInputElement.addEventListener("change", () =>
+      this.controller.setSearchingAsMapMoves(this.searchAsMapMovesInputElement.checked)
+    );
+
+    this.offlineButtonElement.addEventListener("click", () => {
+      const isExpanded = this.offlineButtonElement.getAttribute("aria-expanded") !== "true";
+      this.offlineButtonElement.setAttribute("aria-expanded", String(isExpanded));
+      this.offlinePanelElement.classList.toggle("hidden", !isExpanded);
+    });
+    this.offlineSaveButtonElement.addEventListener("click", () => this.saveOfflineArea());
+    // saved areas are listed again when deleted, so their delete buttons are handled by delegation
+    this.offlinePanelElement.addEventListener("click", event => {
+      const deleteButtonElement = event.target.closest(".map-offline-area-delete-button");
+      if (deleteButtonElement) this.deleteOfflineArea(deleteButtonElement.dataset.areaId);
+    });
+
+    // mark the selected restaurant, or the filtered restaurants and the location of the user
+    this.subscribe(
+      ["restaurants-loaded", "filter-changed", "selection-changed"],
+      () => {
+        const { selectedRestaurant, filterCriteria } = this.controller;
+        return selectedRestaurant
+          ? ["details", selectedRestaurant]
+          : [
+            "overview",
+            this.controller.filteredRestaurants,
+            filterCriteria.origin,
+            Boolean(filterCriteria.bounds)
+          ];
+      },
+      () => this.render()
+    );
+    // highlight the active restaurant, show the route of the directions, and list the saved areas
+    this.subscribe(
+      ["active-changed"],
+      () => [this.controller.activeRestaurant],
+      () => this.renderActiveRestaurant()
+    );
+    this.subscribe(
+      ["directions-changed"],
+      () => {
+        const directions = this.controller.directions;
+        return [directions, directions && directions.status, this.controller.directionsMode];
+      },
+      () => this.renderRoute()
+    );
+    this.subscribe(
+      ["offline-areas-changed"],
+      () => [...this.controller.offlineAreas],
+      () => this.renderOfflineAreas()
+    );
+  }
+
+  /**
+   * @returns {{center: {lat: number, lng: number}, zoom: number}} the initial view of the map,
+   * also the fallback center when no data can provide one
+   * @static
+   */
+  static get initialView() {
+    return { center: { lng: -73.987501, lat: 40.722216 }, zoom: 12 };
+  }
+
+  /**
+   * @returns {{lat: number, lng: number}} the coordinates of the current center of the map
+   */
+  get centerCoordinates() {
+    return this.map.center;
+  }
+
+  /**
+   * @returns {number[][]} the visible bounds of the map as `[[west, south], [east, north]]`, in the
+   * format of boundsOfFiltered
+   */
+  get bounds() {
+    return this.map.bounds;
+  }
+
+  /**
+   * Shows markers for the restaurants, in list order.
+   *
+   * @param {Restaurant[]} restaurants - The restaurants to show, in list order.
+   * @protected
+   */
+  _setRestaurants(restaurants) {
+    const restaurantsById = new Map(restaurants.map(restaurant => [restaurant.id, restaurant]));
+    const points = restaurants.map(restaurant => ({
+      id: restaurant.id,
+      lat: parseFloat(restaurant.latlng.lat),
+      lng: parseFloat(restaurant.latlng.lng)
+    }));
+    this.map.setPoints(points, id => this._createMarkerElement(restaurantsById.get(id)));
+  }
+
+  /**
+   * Adds a marker for the location of the user that distances are measured from.
+   *
+   * @param {{lat: number, lng: number}} origin - The location of the user.
+   * @protected
+   */
+  _addOriginMarker(origin) {
+    const markerElement = document.createElement("div");
+    markerElement.className = "map-origin-marker";
+    markerElement.setAttribute("role", "img");
+    markerElement.setAttribute("aria-label", "Your location, distances are measured from here");
+
+    this.originMarker = this.map.addMarker(markerElement, origin);
+  }
+
+  /**
+   * Centers the map based on markers and app state. Moves of the map made by centering are marked
+   * by the map adapter, and do not move the searched area.
+   *
+   * @protected
+   */
+  _center() {
+    // zoom in further on single marker in restaurant details view
+    if (this.controller.selectedRestaurant) {
+      //resize first to handle css resize
+      this.map.resize();
+      this.map.easeTo(this.controller.selectedRestaurant.latlng, { zoom: 16, pitch: 45 });
+      return;
+    }
+
+    // while searching as the map moves, show the searched area, e.g. when coming back from the
+    // details view, unless the map is showing it already
+    const bounds = this.controller.filterCriteria.bounds;
+    if (bounds) {
+      if (!MapView._containsBounds(this.bounds, bounds)) {
+        this.map.resize();
+        this.map.fitBounds(bounds);
+      }
+      return;
+    }
+
+    // zoom in less on center of 1-n markers in overview view, and keep the map as is without
+    // matches, e.g. when no restaurant is open at the chosen time
+    if (this.controller.filteredRestaurants && this.controller.filteredRestaurants.length) {
+      // resize first to handle css resize
+      this.map.resize();
+
+      // use bounds calculation approach when more than one match
+      if(this.controller.filteredRestaurants.length > 1) {
+        this.map.fitBounds(
+          this.controller.boundsOfFiltered,
+          { padding: this._markersPadding, maxZoom: 14 }
+        );
+      }
+      else {
+        // if only a single match, center on this with a fixed zoom level
+        this.map.easeTo(this.controller.filteredRestaurants[0].latlng, { zoom: 14, pitch: 0 });
+      }
+
+    }
+  }
+
+  /**
+   * @returns {{top: number, right: number, bottom: number, left: number}} the padding showing all
+   * markers of fitted bounds, 10% of the smallest dimension of the map, with the top offset by the
+   * marker height
+   * @protected
+   */
+  get _markersPadding() {
+    const padding = Math.min(this.mapElement.offsetWidth, this.mapElement.offsetHeight) * 0.1;
+    return { top: padding + 48, bottom: padding, left: padding, right: padding };
+  }
+
+  /**
+   * @param {number[][]} outerBounds - Bounds as `[[west, south], [east, north]]`.
+   * @param {number[][]} innerBounds - Bounds as `[[west, south], [east, north]]`.
+   * @returns {boolean} true if the outer bounds contain the inner bounds, allowing for the rounding
+   * of bounds in urls
+   * @protected
+   * @static
+   */
+  static _containsBounds(outerBounds, innerBounds) {
+    const tolerance = 0.0001;
+    return (
+      innerBounds[0][0] >= outerBounds[0][0] - tolerance &&
+      innerBounds[0][1] >= outerBounds[0][1] - tolerance &&
+      innerBounds[1][0] <= outerBounds[1][0] + tolerance &&
+      innerBounds[1][1] <= outerBounds[1][1] + tolerance
+    );
+  }
+
+  /**
+   * Creates the marker element of the provided restaurant. The marker is placed on the map by the
+   * map adapter.
+   *
+   * @param {Restaurant} restaurant - The restaurant to create a marker for
+   * @returns {Element} the marker element of the restaurant
+   * @protected
+   */
+  _createMarkerElement(restaurant) {
+    // create marker, acting as a button opening the details of the restaurant
+    const markerElement = document.createElement("div");
+    markerElement.className = "map-marker tooltip";
+    markerElement.id = this.elementId(`map-marker-${restaurant.id}`);
+    markerElement.setAttribute("role", "button");
+    markerElement.setAttribute("aria-label", `${restaurant.name}, view details`);
+    markerElement.classList.toggle(
+      "map-marker-active",
+      this.controller.activeRestaurant === restaurant
+    );
+
+    // the tooltip repeats the label visually, so it is hidden for screen readers
+    const tooltipElement = document.createElement("span");
+    tooltipElement.className = "tooltip-text";
+    tooltipElement.setAttribute("aria-hidden", "true");
+    tooltipElement.textContent = restaurant.name;
+    markerElement.append(tooltipElement);
+
+    // make the marker reachable by keyboard, markers are ordered in list order, so the tab order
+    // of the markers follows the sort order of the list
+    markerElement.tabIndex = 0;
+
+    markerElement.addEventListener("click", () => window.location.href = restaurant.url);
+    markerElement.addEventListener("keydown", event => {
+      if (event.key !== "Enter" && event.key !== " ") return;
+      // prevent scrolling the page on space, like native buttons do
+      event.preventDefault();
+      window.location.href = restaurant.url;
+    });
+
+    // highlight the list item of the restaurant in the overview, and scroll it into view when the
+    // marker is focused. Markers are kept when switching views, so the view is checked on use.
+    const activate = (restaurant, options) => {
+      if (this.controller.selectedRestaurant) return;
+      this.controller.activateRestaurant(restaurant, options);
+    };
+    markerElement.addEventListener("mouseenter", () => activate(restaurant));
+    markerElement.addEventListener("focus", () => activate(restaurant, { isFromMap: true }));
+    markerElement.addEventListener("mouseleave", () => activate(null));
+    markerElement.addEventListener("blur", () => activate(null));
+
+    return markerElement;
+  }
+
+  /**
+   * Saves the area of the map around the listed restaurants for offline use, at the chosen zoom
+   * levels, showing the progress while saving.
+   *
+   * @async
+   */
+  async saveOfflineArea() {
+    const zooms = ["min", "max"].map(name =>
+      parseInt(
+        this.offlineElement.querySelector(this.idSelector(`map-offline-${name}-zoom-select`)).value
+      )
+    );
+    const zoomRange = { minZoom: Math.min(...zooms), maxZoom: Math.max(...zooms) };
+
+    this.offlineSaveButtonElement.disabled = true;
+    this.renderOfflineProgress({ done: 0, total: 1 });
+    this.setOfflineStatus("Saving the map...");
+    try {
+      // the progress bar shows the progress, rather than the status announced to screen readers
+      const area = await this.controller.saveOfflineArea(zoomRange, progress =>
+        this.renderOfflineProgress(progress)
+      );
+      const failedStatus = area.failedCount
+        ? `, ${area.failedCount} files could not be saved`
+        : "";
+      this.setOfflineStatus(`The map of ${area.name} has been saved${failedStatus}`);
+    } catch (error) {
+      this.setOfflineStatus(`The map could not be saved: ${error.message}`, { isError: true });
+    } finally {
+      this.offlineSaveButtonElement.disabled = false;
+      this.renderOfflineProgress(null);
+    }
+  }
+
+  /**
+   * Deletes an area of the map saved for offline use.
+   *
+   * @param {string} areaId - The id of the area.
+   * @async
+   */
+  async deleteOfflineArea(areaId) {
+    try {
+      await this.controller.deleteOfflineArea(areaId);
+      this.setOfflineStatus("The saved map has been deleted");
+    } catch (error) {
+      this.setOfflineStatus(`The map could not be deleted: ${error.message}`, { isError: true });
+    }
+  }
+
+  /**
+   * Shows the status of saving or deleting areas.
+   *
+   * @param {string} status - The status to show, or an empty string to clear it.
+   * @param {boolean} param.isError - A boolean indicating if the status reports an error.
+   */
+  setOfflineStatus(status, { isError = false } = {}) {
+    this.offlineStatusElement.classList.toggle("map-offline-status-error", isError);
+    this.offlineStatusElement.textContent = status;
+  }
+
+  /**
+   * Shows the progress of saving an area.
+   *
+   * @param {{done: number, total: number}} progress - The counts of saved and all resources of the
+   * area, or null to hide the progress.
+   */
+  renderOfflineProgress(progress) {
+    this.offlineProgressElement.classList.toggle("hidden", !progress);
+    if (!progress) return;
+    this.offlineProgressElement.max = progress.total;
+    this.offlineProgressElement.value = progress.done;
+  }
+
+  /**
+   * Renders the offline map panel, listing the saved areas and the storage they use. The panel is
+   * only shown if areas of the map can be saved.
+   */
+  renderOfflineAreas() {
+    this.offlineElement.classList.toggle("hidden", !this.controller.canSaveOfflineAreas);
+
+    const areasElement = this.offlineElement.querySelector(".map-offline-areas");
+    areasElement.replaceChildren(
+      ...this.controller.offlineAreas.map(area => MapView.createOfflineAreaElement(area))
+    );
+
+    const storageElement = this.offlineElement.querySelector(".map-offline-storage");
+    storageElement.textContent = this.controller.offlineAreas.length
+      ? `Saved maps use ${MapView.formatSize(this.controller.offlineAreasSize)}`
+      : "No maps have been saved yet";
+  }
+
+  /**
+   * Creates the list item of an area of the map saved for offline use.
+   *
+   * @param {OfflineArea} area - The saved area.
+   * @returns {Element} the list item element of the area
+   * @static
+   */
+  static createOfflineAreaElement(area) {
+    const areaElement = document.createElement("li");
+    areaElement.className = "map-offline-area";
+
+    const nameElement = document.createElement("strong");
+    nameElement.textContent = area.name;
+    const savedAt = new Date(area.savedAt).toLocaleDateString(undefined, { dateStyle: "medium" });
+    const detailsElement = document.createElement("span");
+    detailsElement.className = "map-offline-area-details";
+    detailsElement.textContent = `${MapView.formatSize(area.size)}, saved ${savedAt}`;
+
+    const deleteButtonElement = document.createElement("button");
+    deleteButtonElement.type = "button";
+    deleteButtonElement.className = "map-offline-area-delete-button";
+    deleteButtonElement.dataset.areaId = area.id;
+    deleteButtonElement.setAttribute("aria-label", `Delete the saved map of ${area.name}`);
+    const deleteIconElement = document.createElement("i");
+    deleteIconElement.className = "fas fa-trash-alt";
+    deleteButtonElement.append(deleteIconElement);
+
+    areaElement.append(nameElement, detailsElement, deleteButtonElement);
+    return areaElement;
+  }
+
+  /**
+   * @param {number} size - A size in bytes.
+   * @returns {string} the size for display, e.g. "350 KB" or "1.2 MB"
+   * @static
+   */
+  static formatSize(size) {
+    if (size < 1000 * 1000) return `${Math.max(Math.round(size / 1000), 1)} KB`;
+    return `${Number((size / (1000 * 1000)).toFixed(1))} MB`;
+  }
+
+  /**
+   * Highlights and raises the marker of the active restaurant, and removes the highlight from all
+   * other markers.
+   */
+  renderActiveRestaurant() {
+    const activeRestaurant = this.controller.activeRestaurant;
+    for (const restaurant of this.controller.filteredRestaurants || []) {
+      const markerElement = this.map.getMarkerElement(restaurant.id);
+      if (!markerElement) continue;
+      markerElement.classList.toggle("map-marker-active", restaurant === activeRestaurant);
+    }
+  }
+
+  /**
+   * Shows the route of the chosen travel mode to the selected restaurant, starting at a marker of
+   * the location of the user, and fits the map to the route.
+   */
+  renderRoute() {
+    // the marker of the location of the user is managed by render in the overview
+    if (!this.controller.selectedRestaurant) return;
+
+    const directions = this.controller.directions;
+    const route = directions && directions.routes
+      ? directions.routes[this.controller.directionsMode]
+      : null;
+    this.map.setRoute(route ? route.coordinates : null);
+
+    if (this.originMarker) this.originMarker.remove();
+    this.originMarker = null;
+    if (!route) return;
+
+    this._addOriginMarker(directions.origin);
+    const lats = route.coordinates.map(coordinates => coordinates.lat);
+    const lngs = route.coordinates.map(coordinates => coordinates.lng);
+    this.map.resize();
+    this.map.fitBounds(
+      [[Math.min(...lngs), Math.min(...lats)], [Math.max(...lngs), Math.max(...lats)]],
+      { padding: this._markersPadding, maxZoom: 16 }
+    );
+  }
+
+  /**
+   * Renders the map based on the current app state.
+   */
+  render() {
+    // searching as the map moves is only available in the overview
+    this.searchAsMapMovesInputElement.checked = Boolean(this.controller.filterCriteria.bounds);
+    this.renderOfflineAreas();
+
+    // remove the marker of the location of the user and the route, the marker is added again in
+    // the overview, and the route once it has been found
+    if (this.originMarker) this.originMarker.remove();
+    this.originMarker = null;
+    this.map.setRoute(null);
+
+    // if a restaurant is selected, mark and center on this restaurant
+    if (this.controller.selectedRestaurant) {
+      this._setRestaurants([this.controller.selectedRestaurant]);
+      this._center();
+      // the route may have been found before the map is rendered
+      this.renderRoute();
+      return;
+    }
+
+    // else mark all restaurants matching filter criteria in list order and center in the middle
+    // of these
+    this._setRestaurants(this.controller.filteredRestaurants || []);
+    if (this.controller.filterCriteria.origin) {
+      this._addOriginMarker(this.controller.filterCriteria.origin);
+    }
+    this._center();
+  }
+
+  /**
+   * Removes the map, e.g. when the app is destroyed.
+   */
+  remove() {
+    this.destroy();
+    this.map.remove();
+  }
+}
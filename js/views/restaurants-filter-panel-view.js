@@ -0,0 +1,843 @@
+/* views/restaurants-filter-panel-view.js
+ *
+ * provides the view of the filter panel.
+ */
+
+import { RestaurantsModel } from "../models/restaurants-model.js";
+import { GeoMath } from "../utils/geo-math.js";
+import { OperatingHours } from "../utils/operating-hours.js";
+import { View } from "./view.js";
+
+/**
+ * The view representing the restaurant filter panel. 
+ * The restaurant filter panel provides restaurant filtering options for the user.
+ */
+export class RestaurantsFilterPanelView extends View {
+  /**
+   * @param {Element} filterPanelElement - The filter panel element that the view is to manage.
+   * @param {RestaurantsController} controller - The controller of the app.
+   */
+  constructor(filterPanelElement, controller) {
+    super(controller);
+    /**
+     * The filter panel element that the view is managing
+     * 
+     * @type {Element}
+     */
+    this.panelElement = filterPanelElement;
+    
+    /**
+     * The element representing the expander switch button in the filter panel
+     * 
+     * @type {Element} 
+     */
+    this.expanderButtonElement = filterPanelElement.querySelector(".filter-panel-expander-button");
+    
+    /**
+     * The element representing the expander switch button icon in the filter panel
+     * 
+     * @type {Element} 
+     */
+    this.expanderIconElement = filterPanelElement.querySelector(".filter-panel-expander-icon");
+    
+    /**
+     * The element representing the expander content container in the filter panel
+     * 
+     * @type {Element} 
+     */
+    this.expanderContentElement = filterPanelElement.querySelector(
+      ".filter-panel-expander-content"
+    );
+    
+    /**
+     * The element representing the list of cuisine checkboxes in the filter panel
+     * 
+     * @type {Element} 
+     */
+    this.cuisinesOptionsElement = filterPanelElement.querySelector(
+      this.idSelector("cuisines-options")
+    );
+
+    /**
+     * The element representing the list of neighborhood checkboxes in the filter panel
+     * 
+     * @type {Element} 
+     */
+    this.neighborhoodsOptionsElement = filterPanelElement.querySelector(
+      this.idSelector("neighborhoods-options")
+    );
+
+    /**
+     * The element representing the minimum rating dropdown input element in the filter panel
+     * 
+     * @type {Element} 
+     */
+    this.minRatingSelectElement = filterPanelElement.querySelector(
+      this.idSelector("min-rating-select")
+    );
+
+    /**
+     * The element representing the "has reviews" checkbox input element in the filter panel
+     * 
+     * @type {Element} 
+     */
+    this.hasReviewsInputElement = filterPanelElement.querySelector(
+      this.idSelector("has-reviews-input")
+    );
+
+    /**
+     * The element representing the "favorites only" checkbox input element in the filter panel
+     * 
+     * @type {Element} 
+     */
+    this.favoritesInputElement = filterPanelElement.querySelector(
+      this.idSelector("favorites-input")
+    );
+
+    /**
+     * The element representing the personal list dropdown input element in the filter panel
+     * 
+     * @type {Element} 
+     */
+    this.listSelectElement = filterPanelElement.querySelector(this.idSelector("list-select"));
+
+    /**
+     * The element representing the button exporting the personal lists to a file
+     * 
+     * @type {Element} 
+     */
+    this.exportListsButtonElement = filterPanelElement.querySelector(
+      ".filter-panel-export-lists-button"
+    );
+
+    /**
+     * The element representing the button importing personal lists from a file
+     * 
+     * @type {Element} 
+     */
+    this.importListsButtonElement = filterPanelElement.querySelector(
+      ".filter-panel-import-lists-button"
+    );
+
+    /**
+     * The hidden file input element choosing the file to import personal lists from
+     * 
+     * @type {Element} 
+     */
+    this.importListsInputElement = filterPanelElement.querySelector(
+      ".filter-panel-import-lists-input"
+    );
+
+    /**
+     * The element representing the button deleting the personal list filtered by
+     * 
+     * @type {Element} 
+     */
+    this.deleteListButtonElement = filterPanelElement.querySelector(
+      ".filter-panel-delete-list-button"
+    );
+
+    /**
+     * The element announcing the outcome of importing and exporting personal lists
+     * 
+     * @type {Element} 
+     */
+    this.listsStatusElement = filterPanelElement.querySelector(".filter-panel-lists-status");
+
+    /**
+     * The element representing the "near me" button locating the user in the filter panel
+     * 
+     * @type {Element} 
+     */
+    this.nearMeButtonElement = filterPanelElement.querySelector(".filter-panel-near-me-button");
+
+    /**
+     * The element representing the button for choosing the location of the user on the map
+     * 
+     * @type {Element} 
+     */
+    this.chooseOnMapButtonElement = filterPanelElement.querySelector(
+      ".filter-panel-choose-on-map-button"
+    );
+
+    /**
+     * The element representing the button forgetting the location of the user
+     * 
+     * @type {Element} 
+     */
+    this.clearLocationButtonElement = filterPanelElement.querySelector(
+      ".filter-panel-clear-location-button"
+    );
+
+    /**
+     * The element representing the address form for entering the location of the user
+     * 
+     * @type {Element} 
+     */
+    this.addressFormElement = filterPanelElement.querySelector(".filter-panel-address-form");
+
+    /**
+     * The element announcing the progress of locating the user
+     * 
+     * @type {Element} 
+     */
+    this.locationStatusElement = filterPanelElement.querySelector(".filter-panel-location-status");
+
+    /**
+     * The element representing the distance dropdown input element in the filter panel
+     * 
+     * @type {Element} 
+     */
+    this.radiusSelectElement = filterPanelElement.querySelector(this.idSelector("radius-select"));
+
+    /**
+     * The element representing the clear all filters button in the filter panel
+     * 
+     * @type {Element} 
+     */
+    this.clearButtonElement = filterPanelElement.querySelector(".filter-panel-clear-button");
+
+    /**
+     * The element representing the free text search input element in the filter panel
+     * 
+     * @type {Element} 
+     */
+    this.searchInputElement = filterPanelElement.querySelector(this.idSelector("search-input"));
+
+    /**
+     * The element representing the opening time dropdown input element in the filter panel, with
+     * the options "any", "now" and "at"
+     * 
+     * @type {Element} 
+     */
+    this.openSelectElement = filterPanelElement.querySelector(this.idSelector("open-select"));
+
+    /**
+     * The element containing the day and time inputs of the "at" opening time option
+     * 
+     * @type {Element} 
+     */
+    this.openAtElement = filterPanelElement.querySelector(".filter-panel-open-at");
+
+    /**
+     * The element representing the day dropdown input element of the "at" opening time option
+     * 
+     * @type {Element} 
+     */
+    this.openDaySelectElement = filterPanelElement.querySelector(
+      this.idSelector("open-day-select")
+    );
+
+    /**
+     * The element representing the time input element of the "at" opening time option
+     * 
+     * @type {Element} 
+     */
+    this.openTimeInputElement = filterPanelElement.querySelector(
+      this.idSelector("open-time-input")
+    );
+
+    /**
+     * The element representing the sort order dropdown input element in the filter panel
+     * 
+     * @type {Element} 
+     */
+    this.sortSelectElement = filterPanelElement.querySelector(this.idSelector("sort-select"));
+
+    /**
+     * The element explaining how to choose the point that distances are measured from
+     * 
+     * @type {Element} 
+     */
+    this.originHintElement = filterPanelElement.querySelector(".filter-panel-origin-hint");
+
+    /**
+     * The timeout delaying the search until the user pauses typing
+     * 
+     * @type {number} 
+     * @protected
+     */
+    this._searchTimeout = null;
+
+    // add event listener for expander button
+    this.expanderButtonElement.addEventListener("click", () => this.toggleExpansionState());
+
+    // add event listeners for the expander buttons of the checkbox groups
+    for (const optionsElement of [this.cuisinesOptionsElement, this.neighborhoodsOptionsElement]) {
+      const buttonElement = optionsElement.parentElement.querySelector(
+        ".filter-panel-option-group-button"
+      );
+      buttonElement.addEventListener("click", () =>
+        this._setOptionGroupExpanded(optionsElement, optionsElement.classList.contains("hidden"))
+      );
+    }
+
+    // add event listeners for filter inputs, checkbox changes bubble up to their lists
+    this.cuisinesOptionsElement.addEventListener("change", () => {
+      this.controller.applyFilter();
+    });
+    this.neighborhoodsOptionsElement.addEventListener("change", () => {
+      this.controller.applyFilter();
+    });
+    this.minRatingSelectElement.addEventListener("change", () => {
+      this.controller.applyFilter();
+    });
+    this.hasReviewsInputElement.addEventListener("change", () => {
+      this.controller.applyFilter();
+    });
+    this.clearButtonElement.addEventListener("click", () => {
+      this.controller.clearFilters();
+    });
+    this.radiusSelectElement.addEventListener("change", () => {
+      this.controller.applyFilter();
+    });
+    this.favoritesInputElement.addEventListener("change", () => {
+      this.controller.applyFilter();
+    });
+    this.listSelectElement.addEventListener("change", () => {
+      this.controller.applyFilter();
+    });
+
+    // add event listeners for managing the personal lists, the import button opens the file
+    // chooser of the hidden file input
+    this.exportListsButtonElement.addEventListener("click", () => this.exportLists());
+    this.importListsButtonElement.addEventListener("click", () =>
+      this.importListsInputElement.click()
+    );
+    this.importListsInputElement.addEventListener("change", () => {
+      const file = this.importListsInputElement.files[0];
+      // reset the input, so the same file can be imported again
+      this.importListsInputElement.value = "";
+      if (file) this.importLists(file);
+    });
+    this.deleteListButtonElement.addEventListener("click", () => {
+      const list = this.controller.personalLists.find(
+        list => list.id === this.listSelectElement.value
+      );
+      if (!list) return;
+      this.controller.deleteList(list.id);
+      this.setListsStatus(`The list "${list.name}" has been deleted`);
+    });
+
+    // add event listeners for the location inputs
+    this.nearMeButtonElement.addEventListener("click", () => {
+      this.controller.locateUser();
+    });
+    this.chooseOnMapButtonElement.addEventListener("click", () => {
+      this.controller.startChoosingOriginOnMap();
+    });
+    this.clearLocationButtonElement.addEventListener("click", () => {
+      this.controller.clearOrigin();
+    });
+    this.addressFormElement.addEventListener("submit", event => {
+      event.preventDefault();
+      this.controller.locateAddress(this.addressFormElement.elements.address.value);
+    });
+    this.sortSelectElement.addEventListener("change", () => {
+      this.controller.applyFilter();
+    });
+    this.openSelectElement.addEventListener("change", () => {
+      // suggest today when the user starts choosing an opening time
+      if (this.openSelectElement.value === "at") {
+        this.openDaySelectElement.value = OperatingHours.days[(new Date().getDay() + 6) % 7];
+      }
+      this.controller.applyFilter();
+    });
+    this.openDaySelectElement.addEventListener("change", () => {
+      this.controller.applyFilter();
+    });
+    this.openTimeInputElement.addEventListener("change", () => {
+      this.controller.applyFilter();
+    });
+    this.searchInputElement.addEventListener("input", () => {
+      clearTimeout(this._searchTimeout);
+      this._searchTimeout = setTimeout(() => this.controller.applyFilter(), 300);
+    });
+
+    // render the options of the loaded restaurants, then set the inputs to the filter criteria and
+    // count the restaurants matching each option
+    this.subscribe(
+      ["restaurants-loaded"],
+      () => [this.controller.restaurants],
+      () => this.render()
+    );
+    this.subscribe(
+      ["restaurants-loaded", "filter-changed"],
+      () => [this.controller.restaurants, this.controller.filterCriteria],
+      () => {
+        this.setFilterCriteria(this.controller.filterCriteria);
+        this.renderOptionCounts();
+      }
+    );
+    // list the personal lists of the user, and count their restaurants again once they change
+    this.subscribe(
+      ["lists-changed"],
+      () => [this.controller.personalListsRevision],
+      () => {
+        this.renderListsInput();
+        this.renderOptionCounts();
+      }
+    );
+  }
+
+  /**
+   * @returns {boolean} true if the expander content is visible
+   */
+  get isExpanded() {
+    return this.expanderButtonElement.getAttribute("aria-expanded") === "true";
+  }
+
+  /**
+   * @param {boolean} isExpanded - A boolean indicating if the expander content is to be visible
+   */
+  set isExpanded(isExpanded) {    
+    if (isExpanded) {
+      // set aria attributes, including expander usage explanation in label
+      this.expanderButtonElement.setAttribute("aria-expanded", "true");
+      this.expanderButtonElement.setAttribute("aria-label", "filter panel, click to collapse");
+      
+      // set icon
+      this.expanderIconElement.classList.add("fa-chevron-circle-down");
+      this.expanderIconElement.classList.remove("fa-chevron-circle-up");
+
+      // show content
+      this.expanderContentElement.classList.remove("hidden");
+      this.expanderContentElement.classList.add("expanded");
+    } else {
+      // set aria attributes, including expander usage explanation in label
+      this.expanderButtonElement.setAttribute("aria-expanded", "false");
+      this.expanderButtonElement.setAttribute("aria-label", "filter panel, click to expand");
+
+      // set icon
+      this.expanderIconElement.classList.add("fa-chevron-circle-up");
+      this.expanderIconElement.classList.remove("fa-chevron-circle-down");
+
+      // hide content
+      this.expanderContentElement.classList.add("hidden");
+      this.expanderContentElement.classList.remove("expanded");
+    }
+  }
+
+  /**
+   * @returns {string[]} the values of the checked cuisine checkboxes
+   */
+  get checkedCuisines() {
+    return this._getCheckedValues(this.cuisinesOptionsElement);
+  }
+
+  /**
+   * @returns {string[]} the values of the checked neighborhood checkboxes
+   */
+  get checkedNeighborhoods() {
+    return this._getCheckedValues(this.neighborhoodsOptionsElement);
+  }
+
+  /**
+   * @returns {string} the open criteria of the opening time inputs: "now", a day and a 24-hour
+   * time such as "Saturday 19:30", or null if any opening time is accepted
+   */
+  get openCriteria() {
+    switch (this.openSelectElement.value) {
+      case "now":
+        return "now";
+      case "at": {
+        const time = this.openTimeInputElement.value;
+        return time ? `${this.openDaySelectElement.value} ${time}` : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Sets the filter inputs to the provided filter criteria, e.g. when navigating to a filtered
+   * overview url.
+   *
+   * @param {FilterCriteria} filterCriteria - The filter criteria, null
+   * meaning that the criteria is not applied.
+   */
+  setFilterCriteria({
+    cuisines = null,
+    neighborhoods = null,
+    minRating = null,
+    hasReviews = null,
+    search = null,
+    open = null,
+    sort = null,
+    origin = null,
+    radius = null,
+    favorites = null,
+    list = null
+  } = {}) {
+
+    this._setCheckedValues(this.cuisinesOptionsElement, cuisines || []);
+    this._setCheckedValues(this.neighborhoodsOptionsElement, neighborhoods || []);
+    this.minRatingSelectElement.value = minRating || "any";
+    this.hasReviewsInputElement.checked = Boolean(hasReviews);
+    this.favoritesInputElement.checked = Boolean(favorites);
+
+    // only the list filtered by can be deleted
+    this.listSelectElement.value = list || "any";
+    this.deleteListButtonElement.classList.toggle("hidden", !list);
+
+    // distances can only be filtered by once the user has chosen a location
+    this.radiusSelectElement.value = radius || "any";
+    this.radiusSelectElement.disabled = !origin;
+    this.clearLocationButtonElement.classList.toggle("hidden", !origin);
+    this.sortSelectElement.value = sort || "relevance";
+    this.originHintElement.classList.toggle("hidden", sort !== "distance");
+
+    // split an opening time such as "Saturday 19:30" into the day and time inputs
+    if (open && open !== "now") {
+      const [day, time] = open.split(" ");
+      this.openSelectElement.value = "at";
+      this.openDaySelectElement.value = day;
+      this.openTimeInputElement.value = time.padStart(5, "0");
+    } else {
+      this.openSelectElement.value = open || "any";
+    }
+    this.openAtElement.classList.toggle("hidden", this.openSelectElement.value !== "at");
+
+    // only set the search input if it differs, to not move the caret while the user is typing
+    if (this.searchInputElement.value !== (search || "")) {
+      this.searchInputElement.value = search || "";
+    }
+  }
+
+  /**
+   * Announces the progress of locating the user, e.g. an error if the user could not be located.
+   *
+   * @param {string} status - The status to announce, or an empty string to clear it.
+   */
+  setLocationStatus(status) {
+    this.locationStatusElement.textContent = status;
+  }
+
+  /**
+   * Announces the outcome of managing the personal lists, e.g. an error if an import failed.
+   *
+   * @param {string} status - The status to announce, or an empty string to clear it.
+   * @param {boolean} param.isError - true if the status is an error.
+   */
+  setListsStatus(status, { isError = false } = {}) {
+    this.listsStatusElement.classList.toggle("filter-panel-lists-status-error", isError);
+    this.listsStatusElement.textContent = status;
+  }
+
+  /**
+   * Saves the favorites and personal lists of the user to a JSON file, e.g. to share them with a
+   * teammate.
+   */
+  exportLists() {
+    const blob = new Blob([this.controller.exportLists()], { type: "application/json" });
+    const linkElement = document.createElement("a");
+    linkElement.href = URL.createObjectURL(blob);
+    linkElement.download = "restaurant-lists.json";
+    linkElement.click();
+    // the download may start after the click returns, which revoking the url right away cancels
+    setTimeout(() => URL.revokeObjectURL(linkElement.href), 1000);
+
+    this.setListsStatus("Your favorites and lists have been exported");
+  }
+
+  /**
+   * Imports favorites and personal lists from a JSON file exported before, and reports the
+   * outcome to the user.
+   *
+   * @param {File} file - The file to import.
+   * @async
+   */
+  async importLists(file) {
+    try {
+      const counts = this.controller.importLists(await file.text());
+      this.setListsStatus(
+        `Imported ${counts.favorites} favorites and ${counts.lists} lists from ${file.name}`
+      );
+    } catch (error) {
+      this.setListsStatus(`The lists could not be imported: ${error.message}`, { isError: true });
+    }
+  }
+
+  /**
+   * Toggles expansion state. Collapses if expanded. Expands if collapsed.
+   */
+  toggleExpansionState() {
+    this.isExpanded = !this.isExpanded;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  destroy() {
+    super.destroy();
+    clearTimeout(this._searchTimeout);
+    this._searchTimeout = null;
+  }
+
+  /**
+   * Renders the filter panel.
+   */
+  render() {
+    this.renderCuisinesInput();
+    this.renderNeighborhoodsInput();
+    this.renderMinRatingInput();
+    this.renderRadiusInput();
+    this.renderListsInput();
+    this.renderOptionCounts();
+  }
+
+  /**
+   * Renders the cuisine checkbox group of the filter panel.
+   */
+  renderCuisinesInput() {
+    this._renderCheckboxGroup(this.cuisinesOptionsElement, this.controller.cuisines, "cuisine");
+  }
+
+  /**
+   * Renders the neighborhood checkbox group of the filter panel.
+   */
+  renderNeighborhoodsInput() {
+    this._renderCheckboxGroup(
+      this.neighborhoodsOptionsElement,
+      this.controller.neighborhoods,
+      "neighborhood"
+    );
+  }
+
+  /**
+   * Renders the minimum rating dropdown input of the filter panel.
+   */
+  renderMinRatingInput() {
+    // clear existing options, keeping the 'any rating' option
+    while (this.minRatingSelectElement.options.length > 1) {
+      this.minRatingSelectElement.remove(1);
+    }
+
+    for (const minRating of RestaurantsModel.minRatings) {
+      const option = document.createElement("option");
+      option.value = minRating;
+      option.dataset.label = `${minRating}+ Stars`;
+      option.textContent = option.dataset.label;
+      this.minRatingSelectElement.append(option);
+    }
+  }
+
+  /**
+   * Renders the distance dropdown input of the filter panel.
+   */
+  renderRadiusInput() {
+    // clear existing options, keeping the 'any distance' option
+    while (this.radiusSelectElement.options.length > 1) {
+      this.radiusSelectElement.remove(1);
+    }
+
+    for (const radius of RestaurantsModel.radii) {
+      const option = document.createElement("option");
+      option.value = radius;
+      option.dataset.label = `Within ${GeoMath.formatDistance(radius)}`;
+      option.textContent = option.dataset.label;
+      this.radiusSelectElement.append(option);
+    }
+  }
+
+  /**
+   * Renders the personal list dropdown input of the filter panel, e.g. after a list has been
+   * created. The list filtered by stays selected.
+   */
+  renderListsInput() {
+    // clear existing options, keeping the 'any list' option
+    while (this.listSelectElement.options.length > 1) {
+      this.listSelectElement.remove(1);
+    }
+
+    for (const list of this.controller.personalLists) {
+      const option = document.createElement("option");
+      option.value = list.id;
+      option.dataset.label = list.name;
+      option.textContent = option.dataset.label;
+      this.listSelectElement.append(option);
+    }
+    this.listSelectElement.value = this.controller.filterCriteria.list || "any";
+    this.listSelectElement.disabled = !this.controller.personalLists.length;
+  }
+
+  /**
+   * Renders the number of restaurants matching each filter option, given the current filter
+   * criteria. The options are updated in place, so the focus stays on the option the user is
+   * changing.
+   */
+  renderOptionCounts() {
+    const counts = this.controller.filterOptionCounts;
+
+    for (const [optionsElement, optionCounts] of [
+      [this.cuisinesOptionsElement, counts.cuisines],
+      [this.neighborhoodsOptionsElement, counts.neighborhoods]
+    ]) {
+      for (const inputElement of optionsElement.querySelectorAll("input[type=checkbox]")) {
+        const countElement = inputElement.parentElement.querySelector(".filter-panel-option-count");
+        countElement.textContent = `(${optionCounts.get(inputElement.value) || 0})`;
+      }
+      this._renderOptionGroupSummary(optionsElement);
+    }
+
+    for (const option of this.minRatingSelectElement.options) {
+      if (option.value === "any") continue;
+      option.textContent =
+        `${option.dataset.label} (${counts.minRatings.get(parseFloat(option.value)) || 0})`;
+    }
+
+    // distances are only counted once the user has chosen a location
+    const hasOrigin = Boolean(this.controller.filterCriteria.origin);
+    for (const option of this.radiusSelectElement.options) {
+      if (option.value === "any") continue;
+      option.textContent = hasOrigin
+        ? `${option.dataset.label} (${counts.radii.get(parseInt(option.value)) || 0})`
+        : option.dataset.label;
+    }
+
+    for (const option of this.listSelectElement.options) {
+      if (option.value === "any") continue;
+      option.textContent = `${option.dataset.label} (${counts.lists.get(option.value) || 0})`;
+    }
+
+    this.panelElement.querySelector(".filter-panel-has-reviews .filter-panel-option-count")
+      .textContent = `(${counts.hasReviews})`;
+    this.panelElement.querySelector(".filter-panel-favorites .filter-panel-option-count")
+      .textContent = `(${counts.favorites})`;
+  }
+
+  /**
+   * @param {string} name - The name of the checkbox group, e.g. "cuisine".
+   * @param {string} value - The value of the checkbox, which is used as its label as well.
+   * @param {string} id - The id of the checkbox.
+   * @returns {Element} a list item element containing a labelled checkbox and its count
+   * @static
+   */
+  static createOptionCheckboxElement(name, value, id) {
+    const itemElement = document.createElement("li");
+    itemElement.className = "filter-panel-option";
+
+    const inputElement = document.createElement("input");
+    inputElement.type = "checkbox";
+    inputElement.id = id;
+    inputElement.name = name;
+    inputElement.value = value;
+    itemElement.append(inputElement);
+
+    const labelElement = document.createElement("label");
+    labelElement.className = "input-label dark-text";
+    labelElement.htmlFor = id;
+    labelElement.textContent = value;
+    itemElement.append(labelElement);
+
+    // the count is part of the label, so screen readers announce it with the option
+    const countElement = document.createElement("span");
+    countElement.className = "filter-panel-option-count";
+    labelElement.append(" ", countElement);
+
+    return itemElement;
+  }
+
+  /**
+   * Renders a checkbox group in the filter panel based on a provided list of options. Options
+   * that were checked before stay checked.
+   *
+   * @param {Element} optionsElement - The list element containing the checkboxes.
+   * @param {string[]} values - The values to populate the group with. Values are used for both
+   * label and value of checkboxes.
+   * @param {string} name - The name of the checkboxes, e.g. "cuisine".
+   * @protected
+   */
+  _renderCheckboxGroup(optionsElement, values, name) {
+    const checkedValues = this._getCheckedValues(optionsElement);
+
+    // clear existing options
+    optionsElement.textContent = "";
+
+    // return if no option values are provided
+    if (!values) return;
+
+    // populate with provided option values
+    let index = 0;
+    for (const value of values) {
+      const optionElement = RestaurantsFilterPanelView.createOptionCheckboxElement(
+        name,
+        value,
+        this.elementId(`${name}-option-${index++}`)
+      );
+      optionsElement.append(optionElement);
+    }
+    this._setCheckedValues(optionsElement, checkedValues);
+  }
+
+  /**
+   * @param {Element} optionsElement - The list element containing the checkboxes.
+   * @returns {string[]} the values of the checked checkboxes
+   * @protected
+   */
+  _getCheckedValues(optionsElement) {
+    return [...optionsElement.querySelectorAll("input[type=checkbox]:checked")].map(
+      inputElement => inputElement.value
+    );
+  }
+
+  /**
+   * Checks the checkboxes with the provided values, and unchecks all others.
+   *
+   * @param {Element} optionsElement - The list element containing the checkboxes.
+   * @param {string[]} values - The values of the checkboxes to check.
+   * @protected
+   */
+  _setCheckedValues(optionsElement, values) {
+    for (const inputElement of optionsElement.querySelectorAll("input[type=checkbox]")) {
+      inputElement.checked = values.includes(inputElement.value);
+    }
+    this._renderOptionGroupSummary(optionsElement);
+  }
+
+  /**
+   * Renders the summary of the checked options in the expander button of a checkbox group, e.g.
+   * "All" or "2 selected".
+   *
+   * @param {Element} optionsElement - The list element containing the checkboxes.
+   * @protected
+   */
+  _renderOptionGroupSummary(optionsElement) {
+    const groupElement = optionsElement.parentElement;
+    const checkedCount = this._getCheckedValues(optionsElement).length;
+    groupElement.querySelector(".filter-panel-option-group-summary").textContent = checkedCount
+      ? `${checkedCount} selected`
+      : "All";
+    this._setOptionGroupExpanded(optionsElement, !optionsElement.classList.contains("hidden"));
+  }
+
+  /**
+   * Shows or hides the checkboxes of a checkbox group, in the same way as the filter panel
+   * expander.
+   *
+   * @param {Element} optionsElement - The list element containing the checkboxes.
+   * @param {boolean} isExpanded - A boolean indicating if the checkboxes are to be visible.
+   * @protected
+   */
+  _setOptionGroupExpanded(optionsElement, isExpanded) {
+    const groupElement = optionsElement.parentElement;
+    const buttonElement = groupElement.querySelector(".filter-panel-option-group-button");
+    const iconElement = groupElement.querySelector(".filter-panel-option-group-icon");
+    const name = groupElement.querySelector("legend").textContent.toLowerCase();
+    const summary = groupElement.querySelector(".filter-panel-option-group-summary").textContent;
+
+    // set aria attributes, including the checked options and expander usage explanation in label
+    buttonElement.setAttribute("aria-expanded", String(isExpanded));
+    buttonElement.setAttribute(
+      "aria-label",
+      `${name} filter, ${summary.toLowerCase()}, click to ${isExpanded ? "collapse" : "expand"}`
+    );
+
+    // set icon
+    iconElement.classList.toggle("fa-chevron-circle-down", isExpanded);
+    iconElement.classList.toggle("fa-chevron-circle-up", !isExpanded);
+
+    // show or hide checkboxes
+    optionsElement.classList.toggle("hidden", !isExpanded);
+  }
+}
@@ -0,0 +1,2235 @@
+/* views/restaurants-list-panel-view.js
+ *
+ * provides the view of the restaurant list panel, listing restaurants or showing the details of
+ * one.
+ */
+
+import { OsrmRoutingEngine } from "../services/routing-engines.js";
+import { GeoMath } from "../utils/geo-math.js";
+import { OperatingHours } from "../utils/operating-hours.js";
+import { TextSearch } from "../utils/text-search.js";
+import { View } from "./view.js";
+
+/**
+ * The view representing the restaurant list panel excluding the contained filter panel, which
+ * has a dedicated view. The restaurant list panel is responsible for listing restaurant items in 
+ * overview mode or the restaurant details view when a restaurant is selected. 
+ */
+export class RestaurantsListPanelView extends View {
+  /**
+   * @param {Element} listPanelElement - The list panel element that the view is to manage.
+   * @param {RestaurantsController} controller - The controller of the app.
+   */
+  constructor(listPanelElement, controller) {
+    super(controller);
+    /**
+     * The list panel element that the view is managing.
+     *
+     * @type {Element}
+     */
+    this.panelElement = listPanelElement;
+    /**
+     * The index of the first filtered restaurant listed in the overview. The overview lists a
+     * window of at most maxListedCount filtered restaurants, which moves as the user scrolls, cf.
+     * showMoreRestaurants and showPreviousRestaurants.
+     *
+     * @type {number}
+     */
+    this.firstListedIndex = 0;
+    /**
+     * The number of filtered restaurants listed in the overview, from firstListedIndex on.
+     *
+     * @type {number}
+     */
+    this.listedCount = RestaurantsListPanelView.pageSize;
+    /**
+     * The filtered restaurants the overview lists, whose window is reset once they change, e.g.
+     * when the user changes the filter.
+     *
+     * @type {Restaurant[]}
+     * @protected
+     */
+    this._listedRestaurants = null;
+    /**
+     * The items of the overview list by restaurant id, reused when the overview is rendered again,
+     * along with the state of the app each item shows.
+     *
+     * @type {Map.<number, {restaurant: Restaurant, element: Element, renderedState: Array}>}
+     * @protected
+     */
+    this._listItems = new Map();
+    /**
+     * true while the panel shows the overview list, which is kept while the user filters it
+     *
+     * @type {boolean}
+     * @protected
+     */
+    this._isOverviewListed = false;
+    /**
+     * Lists more restaurants once the end of the overview list nears the visible area, and the
+     * previous restaurants once its start does, or null if the browser cannot observe them, in
+     * which case the user lists them with buttons.
+     *
+     * @type {IntersectionObserver}
+     * @protected
+     */
+    this._pagingObserver = "IntersectionObserver" in window
+      ? new IntersectionObserver(
+        entries => {
+          const targets = entries.filter(entry => entry.isIntersecting).map(entry => entry.target);
+          if (targets.some(target => target.matches(".restaurant-list-more-next"))) {
+            this.showMoreRestaurants();
+          } else if (targets.some(target => target.matches(".restaurant-list-more-previous"))) {
+            this.showPreviousRestaurants();
+          }
+        },
+        { rootMargin: "400px" }
+      )
+      : null;
+
+    // add event listener for review form submissions in the restaurant details view
+    this.panelElement.addEventListener("submit", event => {
+      if (!event.target.matches("form.review-form")) return;
+      event.preventDefault();
+      this.submitReviewForm(event.target);
+    });
+
+    // add event listener for retrying when the restaurant data could not be loaded
+    this.panelElement.addEventListener("click", event => {
+      if (event.target.closest("button.restaurant-list-panel-retry-button")) {
+        this.controller.loadRestaurants();
+      }
+    });
+
+    // add event listener for listing more restaurants at the end of the overview list, and the
+    // previous restaurants at its start
+    this.panelElement.addEventListener("click", event => {
+      const buttonElement = event.target.closest("button.restaurant-list-more-button");
+      if (!buttonElement) return;
+      if (buttonElement.closest(".restaurant-list-more-previous")) {
+        this.showPreviousRestaurants({ isFocusMoved: true });
+      } else {
+        this.showMoreRestaurants({ isFocusMoved: true });
+      }
+    });
+
+    // add event listeners for the favorite buttons of the overview and the details view, and for
+    // the personal lists of the restaurant details view
+    this.panelElement.addEventListener("click", event => {
+      const buttonElement = event.target.closest("button[data-favorite-restaurant-id]");
+      if (!buttonElement) return;
+      const id = parseInt(buttonElement.dataset.favoriteRestaurantId);
+      this.controller.toggleFavorite(
+        this.controller.restaurants.find(restaurant => restaurant.id === id)
+      );
+    });
+    this.panelElement.addEventListener("change", event => {
+      if (event.target.matches("input[name=list-entry]")) {
+        this.controller.toggleListEntry(event.target.value, this.controller.selectedRestaurant);
+      }
+    });
+    this.panelElement.addEventListener("submit", event => {
+      if (!event.target.matches("form.list-form")) return;
+      event.preventDefault();
+      this.submitListForm(event.target);
+    });
+
+    // add event listeners for locating the user and choosing the travel mode in the directions
+    // section of the restaurant details view
+    this.panelElement.addEventListener("click", event => {
+      if (event.target.closest("button[data-directions-action=find]")) {
+        this.controller.findDirections();
+      } else if (event.target.closest("button[data-directions-action=locate]")) {
+        this.controller.locateUserForDirections();
+      }
+    });
+    this.panelElement.addEventListener("change", event => {
+      if (event.target.matches("input[name=directions-mode]")) {
+        this.controller.setDirectionsMode(event.target.value);
+      }
+    });
+
+    // add event listener for the retry and discard buttons of pending reviews
+    this.panelElement.addEventListener("click", event => {
+      const buttonElement = event.target.closest("button[data-pending-review-action]");
+      if (!buttonElement) return;
+      const pendingId = parseInt(buttonElement.dataset.pendingReviewId);
+      if (buttonElement.dataset.pendingReviewAction === "retry") {
+        this.controller.retryPendingReview(pendingId);
+      } else {
+        this.controller.discardPendingReview(pendingId);
+      }
+    });
+
+    // highlight the map marker of the overview item the user hovers or focuses
+    const activateItem = event => {
+      const itemElement = event.target.closest("li.restaurant-list-item[data-restaurant-id]");
+      if (itemElement) this.controller.activateRestaurant(this._getItemRestaurant(itemElement));
+    };
+    const deactivateItem = event => {
+      const itemElement = event.target.closest("li.restaurant-list-item[data-restaurant-id]");
+      // ignore moves within the item, e.g. from its title to its details link
+      if (!itemElement || itemElement.contains(event.relatedTarget)) return;
+      this.controller.activateRestaurant(null);
+    };
+    this.panelElement.addEventListener("mouseover", activateItem);
+    this.panelElement.addEventListener("focusin", activateItem);
+    this.panelElement.addEventListener("mouseout", deactivateItem);
+    this.panelElement.addEventListener("focusout", deactivateItem);
+
+    this.subscribe(
+      ["data-status-changed", "restaurants-loaded", "filter-changed", "selection-changed"],
+      () => this._selectRenderedState(),
+      () => this.render()
+    );
+
+    // highlight the active restaurant, and update the parts of the details view that change in
+    // place, so the focus stays where it is. They are rendered after the panel in the same frame,
+    // e.g. the directions to a restaurant along with its details.
+    this.subscribe(
+      ["active-changed"],
+      () => [this.controller.activeRestaurant],
+      () => this.renderActiveRestaurant({ isScrolledIntoView: this.controller.isActiveFromMap })
+    );
+    this.subscribe(
+      ["directions-changed"],
+      () => {
+        const directions = this.controller.directions;
+        return [directions, directions && directions.status];
+      },
+      () => this.renderDirectionsSection()
+    );
+    this.subscribe(
+      ["directions-changed"],
+      () => [this.controller.directionsMode],
+      () => this.renderDirectionsLinks()
+    );
+    this.subscribe(
+      ["reviews-changed"],
+      () => {
+        const selectedRestaurant = this.controller.selectedRestaurant;
+        return [selectedRestaurant, selectedRestaurant && selectedRestaurant.reviews];
+      },
+      () => this.renderReviewsSection()
+    );
+    this.subscribe(
+      ["lists-changed"],
+      () => [this.controller.personalListsRevision],
+      () => this.renderPersonalLists()
+    );
+  }
+
+  /**
+   * @returns {Array} the slice of the app state rendered by the panel. The details do not depend
+   * on the filtered restaurants, so they are not rendered again, e.g. when the user removes the
+   * selected restaurant from the favorites filtered by.
+   * @protected
+   */
+  _selectRenderedState() {
+    const { dataStatus, restaurants, isNotFound, selectedRestaurant } = this.controller;
+    const dataState = [dataStatus.state, restaurants];
+    if (isNotFound) return [...dataState, "not-found", this.controller.overviewUrl];
+    if (selectedRestaurant) {
+      return [...dataState, "details", selectedRestaurant, this.controller.searchTerms];
+    }
+    return [
+      ...dataState,
+      "overview",
+      this.controller.filteredRestaurants,
+      this.controller.searchTerms,
+      this.controller.filterCriteria.origin
+    ];
+  }
+
+  /**
+   * @param {Element} itemElement - An overview list item element.
+   * @returns {Restaurant} the restaurant of the list item, or null if it is not listed
+   * @protected
+   */
+  _getItemRestaurant(itemElement) {
+    const id = parseInt(itemElement.dataset.restaurantId);
+    return this.controller.filteredRestaurants.find(restaurant => restaurant.id === id) || null;
+  }
+
+  /**
+   * Highlights the overview list item of the active restaurant, and removes the highlight from all
+   * other items.
+   *
+   * @param {boolean} param.isScrolledIntoView - true to scroll the highlighted item into view,
+   * e.g. when the user focuses its map marker.
+   */
+  renderActiveRestaurant({ isScrolledIntoView = false } = {}) {
+    const activeRestaurant = this.controller.activeRestaurant;
+
+    // list the page of the active restaurant if it is outside the listed window of the overview
+    const index = this.controller.filteredRestaurants.indexOf(activeRestaurant);
+    const isListed = index >= this.firstListedIndex &&
+      index < this.firstListedIndex + this.listedCount;
+    if (isScrolledIntoView && this._isOverviewListed && index >= 0 && !isListed) {
+      const pageSize = RestaurantsListPanelView.pageSize;
+      this.firstListedIndex = Math.floor(index / pageSize) * pageSize;
+      this.listedCount = pageSize;
+      this._renderListItems();
+    }
+
+    const activeId = activeRestaurant ? String(activeRestaurant.id) : null;
+    for (const itemElement of this.panelElement.querySelectorAll("li[data-restaurant-id]")) {
+      const isActive = itemElement.dataset.restaurantId === activeId;
+      itemElement.classList.toggle("restaurant-list-item-active", isActive);
+      if (isActive && isScrolledIntoView) {
+        itemElement.scrollIntoView({ block: "nearest", behavior: "smooth" });
+      }
+    }
+  }
+
+  /**
+   * Clears the restaurant list if it exists. 
+   * Returns if a list does not exist.
+   */
+  clearList() {
+    if(this.listElement) this.listElement.textContent = "";
+  }
+  
+  /**
+   * Deletes all content from the list panel.
+   */
+  clearPanel() {
+    this.panelElement.textContent = "";
+    this._isOverviewListed = false;
+    this._resetListedWindow();
+    this._listItems = new Map();
+    if (this._pagingObserver) this._pagingObserver.disconnect();
+  }
+  
+  /**
+   * Add a restaurant list to the list panel if one does not exist already.
+   * Returns if a list already exists.
+   */
+  addList() {
+    // add list only if one does not exist already
+    if (!this.hasList) {
+      // clear the panel for non-list content such as messages
+      this.clearPanel();
+      // add empty list
+      this.listElement = RestaurantsListPanelView.createListElement();
+      this.panelElement.append(this.listElement);
+    }
+  }
+
+  /**
+   * @returns {boolean} true the panel contains a restaurant list
+   */
+  get hasList() {
+    return Boolean(this.panelElement.querySelector("ul.restaurant-list"));
+  }
+
+  /**
+   * Renders the restaurant list panel based on the current app state.
+   */
+  render() {
+    // keep the overview list while the user filters it, so its items are reused, and remove all
+    // other content from the list panel
+    const dataStatus = this.controller.dataStatus;
+    const isOverviewKept =
+      this._isOverviewListed &&
+      dataStatus.state === "loaded" &&
+      !this.controller.isNotFound &&
+      !this.controller.selectedRestaurant &&
+      this.controller.filteredRestaurants.length > 0;
+    if (isOverviewKept) {
+      const noticesElement = this.panelElement.querySelector(".restaurant-list-panel-notices");
+      if (noticesElement) noticesElement.remove();
+    } else {
+      this.clearPanel();
+    }
+
+    // while the restaurant data is loading, add placeholders for the restaurants
+    if (dataStatus.state === "loading") {
+      this.panelElement.append(RestaurantsListPanelView.createLoadingElement());
+      return;
+    }
+
+    // if the restaurant data could not be loaded, add an error message offering to retry
+    if (dataStatus.state === "failed") {
+      const loadErrorElement = RestaurantsListPanelView.createLoadErrorElement(dataStatus.error);
+      this.panelElement.append(loadErrorElement);
+      return;
+    }
+
+    this._renderRestaurants();
+
+    // tell the user if the data shown is cached or incomplete, above the list
+    const noticesElement = RestaurantsListPanelView.createDataNoticesElement(dataStatus);
+    if (noticesElement) this.panelElement.prepend(noticesElement);
+  }
+
+  /**
+   * Renders the not found message, the details of the selected restaurant, or the restaurants
+   * matching the filter criteria.
+   *
+   * @protected
+   */
+  _renderRestaurants() {
+    // if the url navigated to does not exist, add a not found message
+    if (this.controller.isNotFound) {
+      const notFoundElement = RestaurantsListPanelView.createNotFoundElement(
+        this.controller.overviewUrl
+      );
+      this.panelElement.append(notFoundElement);
+
+      const header = notFoundElement.querySelector("h2");
+      if (header) header.focus();
+
+      return;
+    }
+
+    // if a restaurant is selected, add a restaurant details element
+    if (this.controller.selectedRestaurant) {
+      // add empty list
+      this.addList();
+
+      // create and add a restaurant details element for the selected restaurant to the list
+      const restaurant = this.controller.selectedRestaurant;
+      const listItemDetailsElement = RestaurantsListPanelView.createListItemDetailsElement(
+        restaurant,
+        this.controller.searchTerms,
+        {
+          isFavorite: this.controller.isFavorite(restaurant),
+          lists: this.controller.personalLists,
+          directions: this.controller.directions,
+          directionsMode: this.controller.directionsMode,
+          origin: this.controller.filterCriteria.origin
+        }
+      );
+      View.prefixElementIds(listItemDetailsElement, this.controller.idPrefix);
+      this.listElement.append(listItemDetailsElement);
+
+      // set focus on restuarant details header containing the restaurant name
+      const header = listItemDetailsElement.querySelector("h2");
+      if (header) header.focus();
+      
+      return;
+    }
+
+    // if there are restaurants matching the filter criteria provided by the user, show filtered 
+    // search results
+    if (this.controller.filteredRestaurants && this.controller.filteredRestaurants.length) {
+      // add empty list, unless the overview list is kept while the user filters it. The listed
+      // window starts over with the first page of new filter results.
+      const isListKept = this._isOverviewListed;
+      this.addList();
+      this._isOverviewListed = true;
+      if (this.controller.filteredRestaurants !== this._listedRestaurants) {
+        this._resetListedWindow();
+        this._listedRestaurants = this.controller.filteredRestaurants;
+      }
+
+      // add list restaurant overview items corresponding to the restaurant matching the filter 
+      // criteria provide by the user
+      this._renderListItems();
+
+      // set focus on restaurant overview item header containing the restaurant name, for the first 
+      // entry of a new list. Keep the focus where it is while the user is changing the filter or
+      // moving the map, e.g. to check another cuisine.
+      if (isListKept) return;
+      const activeElement = document.activeElement;
+      const isUserFiltering = activeElement && activeElement.closest(".filter-panel, .map-container");
+      const header = this.listElement.firstChild.querySelector("h2");
+      if (header && !isUserFiltering) header.focus();
+      
+      return;
+    }
+
+    // else add a message stating that there are no restaurants matching the filter criteria
+    const messageElement = RestaurantsListPanelView.createMessageElement("No Matches");
+    this.panelElement.append(messageElement);
+  }
+
+  /**
+   * Lists the window of listedCount filtered restaurants from firstListedIndex on in the overview
+   * list. The items of restaurants listed already are reused and only moved if their position has
+   * changed, so their images are not loaded again and the focus stays where it is. Reused items
+   * are updated in place if the state they show has changed, e.g. the search terms they highlight.
+   * Items outside the window are removed, so long overviews keep few elements in the document.
+   *
+   * @param {Restaurant} param.anchorRestaurant - A restaurant listed before and after, whose item
+   * is kept in place on the screen while items are added or removed above it, or null.
+   * @protected
+   */
+  _renderListItems({ anchorRestaurant = null } = {}) {
+    const filteredRestaurants = this.controller.filteredRestaurants;
+    const firstIndex = this.firstListedIndex;
+    const restaurants = filteredRestaurants.slice(firstIndex, firstIndex + this.listedCount);
+    const searchTerms = this.controller.searchTerms;
+    const origin = this.controller.filterCriteria.origin;
+    const anchorItem = anchorRestaurant ? this._listItems.get(anchorRestaurant.id) : null;
+    const anchorTop = anchorItem ? anchorItem.element.getBoundingClientRect().top : 0;
+
+    // reuse the items of the restaurants listed already, and create items for the others
+    const listItems = new Map();
+    for (const restaurant of restaurants) {
+      const isFavorite = this.controller.isFavorite(restaurant);
+      const renderedState = [restaurant.reviews, searchTerms, origin];
+      let listItem = this._listItems.get(restaurant.id);
+      if (!listItem || listItem.restaurant !== restaurant) {
+        const element = RestaurantsListPanelView.createListItemElement(restaurant, searchTerms, {
+          isFavorite,
+          origin
+        });
+        listItem = { restaurant, element, renderedState };
+      } else {
+        if (!View.isStateEqual(renderedState, listItem.renderedState)) {
+          RestaurantsListPanelView.updateListItemElement(
+            listItem.element,
+            restaurant,
+            searchTerms,
+            { origin }
+          );
+          listItem.renderedState = renderedState;
+        }
+        RestaurantsListPanelView.updateFavoriteButtonElement(
+          listItem.element.querySelector(".favorite-button"),
+          isFavorite
+        );
+      }
+      listItems.set(restaurant.id, listItem);
+    }
+
+    // remove the items of restaurants no longer listed
+    for (const [id, listItem] of this._listItems) {
+      if (listItems.get(id) !== listItem) listItem.element.remove();
+    }
+    this._listItems = listItems;
+
+    // start the list with a button listing the previous restaurants, if the window does not
+    // start with the first restaurant
+    let nextElement = this._renderListMoreElement("previous", firstIndex > 0);
+
+    // insert the new items and move the items whose position has changed, leaving other items
+    // in place. Screen readers are told the position of each item among all filtered restaurants.
+    restaurants.forEach((restaurant, index) => {
+      const element = listItems.get(restaurant.id).element;
+      element.setAttribute("aria-posinset", firstIndex + index + 1);
+      element.setAttribute("aria-setsize", filteredRestaurants.length);
+      if (element === nextElement) {
+        nextElement = element.nextElementSibling;
+        return;
+      }
+      this.listElement.insertBefore(element, nextElement);
+    });
+
+    // end the list with a button listing more restaurants, if there are more
+    const isLastListed = firstIndex + restaurants.length >= filteredRestaurants.length;
+    this._renderListMoreElement("next", !isLastListed);
+
+    if (anchorItem) this._scrollBy(anchorItem.element.getBoundingClientRect().top - anchorTop);
+  }
+
+  /**
+   * Adds, updates or removes an element of the overview list listing more restaurants, with the
+   * status of the listed window.
+   *
+   * @param {string} direction - The restaurants the element lists: "previous" for the element
+   * starting the list, "next" for the element ending it.
+   * @param {boolean} isShown - true if there are more restaurants to list in the direction.
+   * @returns {Element} the element following the element in the list, where the items start
+   * @protected
+   */
+  _renderListMoreElement(direction, isShown) {
+    let moreElement = this.listElement.querySelector(`li.restaurant-list-more-${direction}`);
+    if (!isShown) {
+      if (moreElement) {
+        if (this._pagingObserver) this._pagingObserver.unobserve(moreElement);
+        moreElement.remove();
+      }
+      return this.listElement.firstElementChild;
+    }
+
+    if (!moreElement) {
+      moreElement = RestaurantsListPanelView.createListMoreElement(direction);
+      if (this._pagingObserver) this._pagingObserver.observe(moreElement);
+    }
+    const firstNumber = this.firstListedIndex + 1;
+    const lastNumber = this.firstListedIndex + this._listItems.size;
+    moreElement.querySelector(".restaurant-list-more-status").textContent =
+      `Showing ${firstNumber === 1 ? lastNumber : `${firstNumber}\u2013${lastNumber}`} of ` +
+      `${this.controller.filteredRestaurants.length} restaurants`;
+
+    if (direction === "previous") {
+      if (moreElement !== this.listElement.firstElementChild) this.listElement.prepend(moreElement);
+    } else if (moreElement !== this.listElement.lastElementChild) {
+      this.listElement.append(moreElement);
+    }
+    return moreElement.nextElementSibling;
+  }
+
+  /**
+   * Moves the listed window of the overview to the next page of filtered restaurants, e.g. once
+   * the user has scrolled to the end of the list. Restaurants at the start of the window are no
+   * longer listed once it holds more than maxListedCount restaurants.
+   *
+   * @param {boolean} param.isFocusMoved - true to move the focus to the first restaurant listed,
+   * e.g. when the user has pushed the button listing more restaurants.
+   */
+  showMoreRestaurants({ isFocusMoved = false } = {}) {
+    const filteredRestaurants = this.controller.filteredRestaurants;
+    const newIndex = this.firstListedIndex + this.listedCount;
+    if (!this._isOverviewListed || newIndex >= filteredRestaurants.length) return;
+
+    const endIndex = newIndex + RestaurantsListPanelView.pageSize;
+    this.firstListedIndex = Math.max(
+      this.firstListedIndex,
+      endIndex - RestaurantsListPanelView.maxListedCount
+    );
+    this.listedCount = endIndex - this.firstListedIndex;
+    this._renderListItems({ anchorRestaurant: filteredRestaurants[newIndex - 1] });
+
+    if (isFocusMoved) this._focusListItem(filteredRestaurants[newIndex]);
+  }
+
+  /**
+   * Moves the listed window of the overview to the previous page of filtered restaurants, e.g.
+   * once the user has scrolled to the start of the list. Restaurants at the end of the window are
+   * no longer listed once it holds more than maxListedCount restaurants.
+   *
+   * @param {boolean} param.isFocusMoved - true to move the focus to the first restaurant listed,
+   * e.g. when the user has pushed the button listing the previous restaurants.
+   */
+  showPreviousRestaurants({ isFocusMoved = false } = {}) {
+    if (!this._isOverviewListed || this.firstListedIndex === 0) return;
+
+    const filteredRestaurants = this.controller.filteredRestaurants;
+    const oldIndex = this.firstListedIndex;
+    this.firstListedIndex = Math.max(0, oldIndex - RestaurantsListPanelView.pageSize);
+    this.listedCount = Math.min(
+      this.listedCount + oldIndex - this.firstListedIndex,
+      RestaurantsListPanelView.maxListedCount
+    );
+    this._renderListItems({ anchorRestaurant: filteredRestaurants[oldIndex] });
+
+    if (isFocusMoved) this._focusListItem(filteredRestaurants[this.firstListedIndex]);
+  }
+
+  /**
+   * Moves the focus to the link of the overview list item of a restaurant, if it is listed.
+   *
+   * @param {Restaurant} restaurant - A filtered restaurant.
+   * @protected
+   */
+  _focusListItem(restaurant) {
+    const listItem = restaurant ? this._listItems.get(restaurant.id) : null;
+    const linkElement = listItem
+      ? listItem.element.querySelector("a.restaurant-list-item-button")
+      : null;
+    if (linkElement) linkElement.focus();
+  }
+
+  /**
+   * Lists the first page of filtered restaurants in the overview, once it is rendered next.
+   *
+   * @protected
+   */
+  _resetListedWindow() {
+    this.firstListedIndex = 0;
+    this.listedCount = RestaurantsListPanelView.pageSize;
+    this._listedRestaurants = null;
+  }
+
+  /**
+   * Scrolls the list panel, or the page on small screens where the page scrolls the panel, e.g.
+   * to keep an item in place on the screen while items are added above it. Browsers doing so
+   * themselves leave nothing to scroll.
+   *
+   * @param {number} distance - The distance to scroll down, in pixels.
+   * @protected
+   */
+  _scrollBy(distance) {
+    if (!distance) return;
+    const isPanelScrolled = this.panelElement.scrollHeight > this.panelElement.clientHeight &&
+      getComputedStyle(this.panelElement).overflowY !== "visible";
+    const scrollingElement = isPanelScrolled
+      ? this.panelElement
+      : document.scrollingElement || document.documentElement;
+    scrollingElement.scrollTop += distance;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  destroy() {
+    super.destroy();
+    if (this._pagingObserver) this._pagingObserver.disconnect();
+  }
+
+  /**
+   * Re-renders the reviews section of the restaurant details view, e.g. after a review has been
+   * added. Returns if the details view is not shown.
+   */
+  renderReviewsSection() {
+    const reviewsSectionElement = this.panelElement.querySelector(
+      ".restaurant-list-item-reviews-section"
+    );
+    if (!reviewsSectionElement || !this.controller.selectedRestaurant) return;
+
+    const newReviewsSectionElement = RestaurantsListPanelView.createListItemReviewsSectionElement(
+      this.controller.selectedRestaurant,
+      this.controller.searchTerms
+    );
+    reviewsSectionElement.replaceWith(
+      View.prefixElementIds(newReviewsSectionElement, this.controller.idPrefix)
+    );
+  }
+
+  /**
+   * Announces the outcome of managing the pending reviews in the reviews section of the restaurant
+   * details view, e.g. an error if a review could not be discarded. Returns if the details view
+   * is not shown.
+   *
+   * @param {string} status - The status to announce, or an empty string to clear it.
+   */
+  setPendingReviewsStatus(status) {
+    const statusElement = this.panelElement.querySelector(
+      ".restaurant-list-item-pending-reviews-status"
+    );
+    if (statusElement) statusElement.textContent = status;
+  }
+
+  /**
+   * Re-renders the directions section of the restaurant details view, e.g. once the routes have
+   * been found. Returns if the details view is not shown.
+   */
+  renderDirectionsSection() {
+    const directionsSectionElement = this.panelElement.querySelector(
+      ".restaurant-list-item-directions-section"
+    );
+    if (!directionsSectionElement || !this.controller.selectedRestaurant) return;
+
+    const newDirectionsSectionElement =
+      RestaurantsListPanelView.createListItemDirectionsSectionElement(
+        this.controller.selectedRestaurant,
+        this.controller.directions,
+        this.controller.directionsMode,
+        this.controller.filterCriteria.origin
+      );
+    View.prefixElementIds(newDirectionsSectionElement, this.controller.idPrefix);
+    // keep the focus in the section, e.g. after pushing its locate button, on the new status
+    const isFocused = directionsSectionElement.contains(document.activeElement);
+    directionsSectionElement.replaceWith(newDirectionsSectionElement);
+    if (!isFocused) return;
+
+    const checkedInputElement = newDirectionsSectionElement.querySelector("input:checked");
+    const statusElement = newDirectionsSectionElement.querySelector(".directions-status");
+    (checkedInputElement || statusElement).focus();
+  }
+
+  /**
+   * Re-renders the links of the directions section, e.g. after the travel mode has changed.
+   */
+  renderDirectionsLinks() {
+    const linksElement = this.panelElement.querySelector(".directions-links");
+    if (!linksElement || !this.controller.selectedRestaurant) return;
+
+    const directions = this.controller.directions;
+    linksElement.replaceWith(
+      RestaurantsListPanelView.createDirectionsLinksElement(
+        this.controller.selectedRestaurant,
+        directions ? directions.origin : null,
+        this.controller.directionsMode
+      )
+    );
+  }
+
+  /**
+   * Updates the favorite buttons and the personal lists of the details view, e.g. after the user
+   * has added a restaurant to the favorites. Elements are updated in place, so the focus stays on
+   * the button or checkbox the user is using.
+   */
+  renderPersonalLists() {
+    for (const buttonElement of this.panelElement.querySelectorAll(".favorite-button")) {
+      const id = parseInt(buttonElement.dataset.favoriteRestaurantId);
+      const restaurant = this.controller.restaurants.find(restaurant => restaurant.id === id);
+      RestaurantsListPanelView.updateFavoriteButtonElement(
+        buttonElement,
+        this.controller.isFavorite(restaurant)
+      );
+    }
+
+    const listsOptionsElement = this.panelElement.querySelector(".lists-options");
+    if (!listsOptionsElement || !this.controller.selectedRestaurant) return;
+
+    const focusedId = listsOptionsElement.contains(document.activeElement)
+      ? document.activeElement.id
+      : null;
+    const newListsOptionsElement = RestaurantsListPanelView.createListsOptionsElement(
+      this.controller.selectedRestaurant,
+      this.controller.personalLists
+    );
+    View.prefixElementIds(newListsOptionsElement, this.controller.idPrefix);
+    listsOptionsElement.replaceWith(newListsOptionsElement);
+    // focus the option focused before in the new options
+    const focusedElement = [...newListsOptionsElement.querySelectorAll("[id]")].find(
+      element => element.id === focusedId
+    );
+    if (focusedElement) focusedElement.focus();
+  }
+
+  /**
+   * Creates a personal list from the name entered in a list form, adding the selected restaurant
+   * to it, and reports the outcome to the user in the status element of the form.
+   *
+   * @param {Element} formElement - The list form element to submit.
+   */
+  submitListForm(formElement) {
+    const statusElement = formElement.querySelector(".list-form-status");
+    statusElement.classList.remove("list-form-status-error");
+
+    try {
+      const list = this.controller.createList(
+        formElement.elements.name.value,
+        this.controller.selectedRestaurant
+      );
+      formElement.reset();
+      statusElement.textContent = `Added to your new list "${list.name}"`;
+    } catch (error) {
+      statusElement.classList.add("list-form-status-error");
+      statusElement.textContent = `The list could not be created: ${error.message}`;
+    }
+  }
+
+  /**
+   * Submits the review entered in a review form for the selected restaurant, and reports the
+   * outcome to the user in the status element of the form.
+   *
+   * @param {Element} formElement - The review form element to submit.
+   * @async
+   */
+  async submitReviewForm(formElement) {
+    const statusElement = formElement.querySelector(".review-form-status");
+    const submitButtonElement = formElement.querySelector("button[type=submit]");
+    const review = {
+      name: formElement.elements.name.value,
+      rating: formElement.elements.rating.value,
+      comments: formElement.elements.comments.value
+    };
+
+    // prevent duplicate submissions while the review is being sent
+    submitButtonElement.disabled = true;
+    statusElement.classList.remove("review-form-status-error");
+    statusElement.textContent = "Submitting review...";
+
+    try {
+      const addedReview = await this.controller.addReview(
+        this.controller.selectedRestaurant,
+        review
+      );
+      formElement.reset();
+      RestaurantsListPanelView.updateReviewRatingInputElement(
+        formElement.querySelector(".review-form-rating-input")
+      );
+      statusElement.textContent = addedReview.pending
+        ? "You are offline, your review will be sent when you are back online"
+        : "Thank you, your review has been added";
+    } catch (error) {
+      statusElement.classList.add("review-form-status-error");
+      statusElement.textContent = `Your review could not be added: ${error.message}`;
+    } finally {
+      submitButtonElement.disabled = false;
+    }
+  }
+
+  /**
+   * @returns {number} the number of restaurants the listed window of the overview moves by, cf.
+   * showMoreRestaurants
+   * @static
+   */
+  static get pageSize() {
+    return 50;
+  }
+
+  /**
+   * @returns {number} the most restaurants listed in the overview at a time
+   * @static
+   */
+  static get maxListedCount() {
+    return 3 * RestaurantsListPanelView.pageSize;
+  }
+
+  /**
+   * @returns {Element} a restaurant list element
+   * @static
+   */
+  static createListElement() {
+    const listElement = document.createElement("ul");
+    listElement.className = "restaurant-list";
+    return listElement;
+  }
+
+  /**
+   * @param {string} direction - The restaurants the element lists: "previous" for the element
+   * starting the list, "next" for the element ending it.
+   * @returns {Element} a list item element starting or ending the overview list while more
+   * restaurants match the filter criteria than are listed, with a button listing more of them
+   * @static
+   */
+  static createListMoreElement(direction = "next") {
+    const moreElement = document.createElement("li");
+    moreElement.className = `restaurant-list-more restaurant-list-more-${direction}`;
+
+    const statusElement = document.createElement("p");
+    statusElement.className = "restaurant-list-more-status";
+    moreElement.append(statusElement);
+
+    const buttonElement = document.createElement("button");
+    buttonElement.type = "button";
+    buttonElement.className = "restaurant-list-more-button panel-button-accent";
+    buttonElement.textContent = direction === "previous"
+      ? "Show Previous Restaurants"
+      : "Show More Restaurants";
+    moreElement.append(buttonElement);
+
+    return moreElement;
+  }
+
+  /**
+   * @param {number} count - The number of placeholder items to create.
+   * @returns {Element} a restaurant list element containing placeholder items shaped like
+   * restaurant overview items, shown while the restaurant data is loading
+   * @static
+   */
+  static createLoadingElement(count = 3) {
+    const listElement = RestaurantsListPanelView.createListElement();
+    listElement.classList.add("restaurant-list-loading");
+    listElement.setAttribute("aria-busy", "true");
+
+    // the placeholders are hidden from screen readers, which announce the status instead
+    const statusElement = document.createElement("li");
+    statusElement.className = "screenreader";
+    statusElement.setAttribute("role", "status");
+    statusElement.textContent = "Loading restaurants\u2026";
+    listElement.append(statusElement);
+
+    for (let index = 0; index < count; index++) {
+      const itemElement = document.createElement("li");
+      itemElement.className = "restaurant-list-item restaurant-list-item-skeleton";
+      itemElement.setAttribute("aria-hidden", "true");
+      for (const part of ["image", "title", "line", "line", "button"]) {
+        const partElement = document.createElement("div");
+        partElement.className = `skeleton-${part}`;
+        itemElement.append(partElement);
+      }
+      listElement.append(itemElement);
+    }
+
+    return listElement;
+  }
+
+  /**
+   * @param {Error} error - The error loading the restaurant data failed with.
+   * @returns {Element} a section element stating that the restaurant data could not be loaded,
+   * with a button retrying to load it
+   * @static
+   */
+  static createLoadErrorElement(error) {
+    const loadErrorElement = document.createElement("section");
+    loadErrorElement.className = "restaurant-list-panel-load-error";
+    loadErrorElement.setAttribute("role", "alert");
+
+    const headerElement = document.createElement("h2");
+    headerElement.textContent = "Couldn't load the restaurants";
+    loadErrorElement.append(headerElement);
+
+    const messageElement = document.createElement("p");
+    messageElement.textContent = navigator.onLine === false
+      ? "You are offline, and there is no saved data to show yet. Retry once you are back online."
+      : `Something went wrong while loading the restaurants: ${error.message}`;
+    loadErrorElement.append(messageElement);
+
+    const retryButtonElement = document.createElement("button");
+    retryButtonElement.type = "button";
+    retryButtonElement.className = "restaurant-list-panel-retry-button panel-button-accent";
+    const retryIconElement = document.createElement("i");
+    retryIconElement.className = "fas fa-redo text-pad-right";
+    retryButtonElement.append(retryIconElement, "Retry");
+    loadErrorElement.append(retryButtonElement);
+
+    return loadErrorElement;
+  }
+
+  /**
+   * @param {DataStatus} dataStatus - The status of loading the restaurant data.
+   * @returns {Element} an element telling the user that cached data is shown, e.g. while offline,
+   * and that invalid restaurant records have been left out, or null if there is nothing to tell
+   * @static
+   */
+  static createDataNoticesElement(dataStatus) {
+    // while online, the service worker serves cached data and updates it in the background, which
+    // is only worth telling if the update failed
+    const isCachedDataShown =
+      Boolean(dataStatus.cachedAt) && (navigator.onLine === false || Boolean(dataStatus.error));
+    if (!isCachedDataShown && !dataStatus.skippedRecords.length) return null;
+
+    const noticesElement = document.createElement("div");
+    noticesElement.className = "restaurant-list-panel-notices";
+    noticesElement.setAttribute("role", "status");
+
+    if (isCachedDataShown) {
+      const cachedAt = dataStatus.cachedAt.toLocaleString(undefined, {
+        dateStyle: "medium",
+        timeStyle: "short"
+      });
+      const bannerElement = document.createElement("p");
+      bannerElement.className = "restaurant-list-panel-banner";
+      const bannerIconElement = document.createElement("i");
+      bannerIconElement.className = "fas fa-wifi text-pad-right";
+      bannerElement.append(
+        bannerIconElement,
+        navigator.onLine === false
+          ? `You are offline, showing cached data from ${cachedAt}`
+          : `The restaurants could not be updated, showing cached data from ${cachedAt}`
+      );
+      noticesElement.append(bannerElement);
+    }
+
+    if (dataStatus.skippedRecords.length) {
+      const count = dataStatus.skippedRecords.length;
+      const skippedElement = document.createElement("p");
+      skippedElement.className = "restaurant-list-panel-banner";
+      skippedElement.textContent = count === 1
+        ? "1 restaurant is not shown, as its data is invalid"
+        : `${count} restaurants are not shown, as their data is invalid`;
+      noticesElement.append(skippedElement);
+    }
+
+    return noticesElement;
+  }
+
+  /**
+   * @param {string} message - The message to add to the element.
+   * @returns {Element} a restaurant list message element containing the provided message.
+   * @static
+   */
+  static createMessageElement(message) {
+    const messageElement = document.createElement("p");
+    messageElement.className = "restaurant-list-panel-message";
+    messageElement.textContent = message;
+    return messageElement;
+  }
+
+  /**
+   * @param {string} overviewUrl - The url of the overview to link back to.
+   * @returns {Element} a section element stating that the requested restaurant or page does not
+   * exist, with a link back to the results.
+   * @static
+   */
+  static createNotFoundElement(overviewUrl) {
+    const notFoundElement = document.createElement("section");
+    notFoundElement.className = "restaurant-list-panel-not-found";
+
+    // make the header focusable, so focus can be moved to it for screen reader users
+    const headerElement = document.createElement("h2");
+    headerElement.className = "text-accent";
+    headerElement.tabIndex = -1;
+    headerElement.textContent = "Not Found";
+    notFoundElement.append(headerElement);
+
+    const messageElement = RestaurantsListPanelView.createMessageElement(
+      "Sorry, the restaurant or page you are looking for does not exist."
+    );
+    notFoundElement.append(messageElement);
+
+    const linkElement = document.createElement("a");
+    linkElement.className = "panel-button-accent";
+    linkElement.href = overviewUrl;
+    linkElement.textContent = "Back To Results";
+    notFoundElement.append(linkElement);
+
+    return notFoundElement;
+  }
+
+  /**
+   * @param {Restaurant} restaurant - The restaurant to create an image for
+   * @param {string} sidePanelWidth - A valid CSS width expression indicating the expected image 
+   * width for non-narrow viewport devices (e.g. tablet, desktop). 100% viewport width is assumed 
+   * for narrow viewport devices (e.g. phones with less than 500dip width)
+   * @param {boolean} param.isLazy - true to load the image once it nears the visible area, e.g.
+   * in a long overview list. Its size is set, so the list does not move as it loads.
+   * @returns {Element} an img element representing a photo of the restaurant as well as associated 
+   * metadata
+   * @static
+   */
+  static createListItemImageElement(restaurant, sidePanelWidth, { isLazy = false } = {}) {
+    const imageElement = document.createElement("img");
+    imageElement.className = "restaurant-list-item-image";
+    if (isLazy) {
+      imageElement.setAttribute("loading", "lazy");
+      imageElement.decoding = "async";
+      imageElement.width = 800;
+      imageElement.height = 600;
+    }
+    imageElement.src = restaurant.imageUrl;
+    // add responsive image support
+    imageElement.srcset = `img/${restaurant.id}_800px.jpg 800w, 
+                               img/${restaurant.id}_640px.jpg 640w, 
+                               img/${restaurant.id}_480px.jpg 480w, 
+                               img/${restaurant.id}_320px.jpg 320w`;
+    // for non-narrow viewports where images are shown in a side panel, define side panel width
+    // for narrow viewports width is 100% of the viewport width
+    imageElement.sizes = `(max-width: 500px) ${sidePanelWidth},
+                              (max-width: 1200px) ${sidePanelWidth},
+                              (max-width: 1600px) ${sidePanelWidth},
+                               100vw`;
+    // add restaurant specific alt text
+    imageElement.alt = `Photo of the restaurant ${restaurant.name}`;
+    return imageElement;
+  }
+
+  /**
+   * @param {Restaurant} restaurant - The restaurant to create an address section for.
+   * @param {boolean} param.isHeaderVisible - A boolean indicating if the section header is to be 
+   * visible. If false the header will still be added to the DOM and be accessible for
+   * screen readers, but not visually.
+   * @param {boolean} param.isNeighborhoodBold - A boolean indicating if the neighboorhood should be
+   * displayed in bold.
+   * @param {string[]} param.searchTerms - Search terms to highlight in the address.
+   * @returns {Element} a section element with address information
+   * @static
+   */
+  static createListItemAddressSectionElement(
+    restaurant, {isHeaderVisible = true, isNeighborhoodBold = false, searchTerms = []} = {}) {
+
+    const addressSectionElement = document.createElement("section");
+    addressSectionElement.className = "restaurant-list-item-address-section";
+
+    // always add a section header to the DOM, but hide visually if specified
+    const addressSectionHeaderElement = document.createElement("h3");
+    if (typeof isHeaderVisible !== "undefined" && !isHeaderVisible)
+      addressSectionHeaderElement.className = "screenreader";
+    addressSectionHeaderElement.textContent = "Address";
+    addressSectionElement.append(addressSectionHeaderElement);
+
+    const neighborhoodElement = document.createElement("p");
+    if (isNeighborhoodBold) {
+      const strongElement = document.createElement("strong");
+      strongElement.textContent = restaurant.neighborhood;
+      neighborhoodElement.append(strongElement);
+    } else {
+      neighborhoodElement.textContent = restaurant.neighborhood;
+    }
+    addressSectionElement.append(neighborhoodElement);
+
+    const addressElement = document.createElement("p");
+    addressElement.append(
+      RestaurantsListPanelView.createHighlightedTextFragment(restaurant.address, searchTerms)
+    );
+    addressSectionElement.append(addressElement);
+
+    return addressSectionElement;
+  }
+
+  /**
+   * @param {Restaurant} restaurant - The restaurant to create a title element for.
+   * @param {string[]} searchTerms - Search terms to highlight in the title.
+   * @returns {Element} a restaurant title element.
+   * @static
+   */
+  static createListItemTitleElement(restaurant, searchTerms = []) {
+    const titleElement = document.createElement("h2");
+    titleElement.append(
+      RestaurantsListPanelView.createHighlightedTextFragment(restaurant.name, searchTerms)
+    );
+    titleElement.className = "text-accent";
+    return titleElement;
+  }
+
+  /**
+   * @param {string} text - The text to create a fragment for.
+   * @param {string[]} searchTerms - Normalized search terms to highlight in the text.
+   * @returns {DocumentFragment} a fragment of text nodes containing the text, with matches of the
+   * search terms wrapped in mark elements
+   * @static
+   */
+  static createHighlightedTextFragment(text, searchTerms = []) {
+    const fragment = document.createDocumentFragment();
+    const textString = text === undefined || text === null ? "" : String(text);
+
+    let index = 0;
+    for (const [start, end] of TextSearch.findMatchRanges(textString, searchTerms)) {
+      fragment.append(textString.slice(index, start));
+      const markElement = document.createElement("mark");
+      markElement.textContent = textString.slice(start, end);
+      fragment.append(markElement);
+      index = end;
+    }
+    fragment.append(textString.slice(index));
+
+    return fragment;
+  }
+
+  /**
+   * @param {Restaurant} restaurant - The restaurant to create a view restaurant details link button
+   * for.
+   * @returns {Element} a restaurant details link button element
+   * @static
+   */
+  static createListItemViewDetailsElement(restaurant) {
+    const viewDetailsElement = document.createElement("a");
+    viewDetailsElement.textContent = "View Details";
+    viewDetailsElement.className = "restaurant-list-item-button panel-button-accent";
+    
+    // add restaurant specific aria-label making it accessible for screen readers
+    viewDetailsElement.setAttribute(
+      "aria-label",
+      `view details for the restaurant: ${restaurant.name}`
+    );
+    
+    viewDetailsElement.href = restaurant.url;
+    return viewDetailsElement;
+  }
+
+  /**
+   * @param {Restaurant} restaurant - The restaurant to create a favorite button for.
+   * @param {boolean} isFavorite - true if the restaurant is a favorite of the user.
+   * @param {boolean} param.isLabelVisible - true to show the label next to the heart icon.
+   * @returns {Element} a toggle button element adding the restaurant to the favorites of the user,
+   * or removing it
+   * @static
+   */
+  static createFavoriteButtonElement(restaurant, isFavorite, { isLabelVisible = false } = {}) {
+    const buttonElement = document.createElement("button");
+    buttonElement.type = "button";
+    buttonElement.className = "favorite-button";
+    buttonElement.dataset.favoriteRestaurantId = restaurant.id;
+    buttonElement.setAttribute("aria-label", `Favorite ${restaurant.name}`);
+
+    const iconElement = document.createElement("i");
+    iconElement.className = "fa-heart";
+    buttonElement.append(iconElement);
+
+    if (isLabelVisible) {
+      buttonElement.classList.add("panel-button");
+      iconElement.classList.add("text-pad-right");
+      buttonElement.append("Favorite");
+    }
+
+    RestaurantsListPanelView.updateFavoriteButtonElement(buttonElement, isFavorite);
+    return buttonElement;
+  }
+
+  /**
+   * Updates a favorite button, e.g. after the user has pushed it. The button is pressed and shows
+   * a filled heart if the restaurant is a favorite.
+   *
+   * @param {Element} buttonElement - The favorite button element to update.
+   * @param {boolean} isFavorite - true if the restaurant is a favorite of the user.
+   * @static
+   */
+  static updateFavoriteButtonElement(buttonElement, isFavorite) {
+    buttonElement.setAttribute("aria-pressed", String(isFavorite));
+    const iconElement = buttonElement.querySelector(".fa-heart");
+    iconElement.classList.toggle("fas", isFavorite);
+    iconElement.classList.toggle("far", !isFavorite);
+  }
+
+  /**
+   * @param {string} cuisine - The cuisine to create a cuisine tag for.
+   * @returns {Element} a cuisine tag element for the provided cuisine.
+   * @static
+   */
+  static createListItemCuisineTagElement(cuisine) {
+    const cuisineTagElement = document.createElement("p");
+    cuisineTagElement.className = "restaurant-list-item-tag text-all-caps";
+    
+    // use img role and aria-label for screen readers, ensuring the cusine context is clear for 
+    // screen reader users
+    cuisineTagElement.setAttribute("role", "img");
+    cuisineTagElement.setAttribute("aria-label", `cuisine: ${cuisine}`);
+    
+    cuisineTagElement.textContent = cuisine;
+    return cuisineTagElement;
+  }
+
+  /**
+   * @param {boolean} isOpen - true if the restaurant is open, false if it is closed, or null if its
+   * operating hours are unknown.
+   * @returns {Element} an open badge element stating whether the restaurant is open now, or null
+   * if its operating hours are unknown
+   * @static
+   */
+  static createListItemOpenBadgeElement(isOpen) {
+    if (isOpen === null) return null;
+
+    const openBadgeElement = document.createElement("p");
+    openBadgeElement.className = "restaurant-list-item-open-badge text-all-caps";
+    openBadgeElement.classList.add(isOpen ? "open" : "closed");
+    openBadgeElement.textContent = isOpen ? "Open now" : "Closed now";
+    return openBadgeElement;
+  }
+
+  /**
+   * @param {number} distance - The distance from the location of the user in meters.
+   * @returns {Element} a distance element stating how far away the restaurant is
+   * @static
+   */
+  static createListItemDistanceElement(distance) {
+    const distanceElement = document.createElement("p");
+    distanceElement.className = "restaurant-list-item-distance";
+
+    const iconElement = document.createElement("i");
+    iconElement.className = "fas fa-location-arrow text-pad-right";
+    iconElement.setAttribute("aria-hidden", "true");
+    distanceElement.append(iconElement);
+
+    distanceElement.append(`${GeoMath.formatDistance(distance)} away`);
+    return distanceElement;
+  }
+
+  /**
+   * @param {Restaurant} restaurant - The restaurant to an operating hours section for.
+   * @returns {Element} an operating hours section element for the provided restaurant.
+   * @static
+   */
+  static createListItemOperatingHoursSectionElement(restaurant) {
+    const operatingHoursSectionElement = document.createElement("section");
+    operatingHoursSectionElement.className = "restaurant-list-item-operating-hours-section";
+
+    const operatingHoursSectionHeaderElement = document.createElement("h3");
+    operatingHoursSectionHeaderElement.textContent = "Operating Hours";
+    operatingHoursSectionElement.append(operatingHoursSectionHeaderElement);
+
+    const operatingHoursTableElement = document.createElement("table");
+    operatingHoursTableElement.className = "restaurant-list-item-operating-hours-table";
+
+    // getDay starts the week on Sunday
+    const today = OperatingHours.days[(new Date().getDay() + 6) % 7];
+
+    for (let day in restaurant.operating_hours) {
+      const rowElement = document.createElement("tr");
+
+      // highlight the hours of today, and mark them as the current date for screen readers
+      if (day === today) {
+        rowElement.className = "restaurant-list-item-operating-hours-today";
+        rowElement.setAttribute("aria-current", "date");
+      }
+
+      const dayElement = document.createElement("td");
+      dayElement.textContent = day;
+      rowElement.appendChild(dayElement);
+
+      const hoursElement = document.createElement("td");
+      hoursElement.textContent = restaurant.operating_hours[day];
+      rowElement.appendChild(hoursElement);
+
+      operatingHoursTableElement.appendChild(rowElement);
+    }
+    operatingHoursSectionElement.append(operatingHoursTableElement);
+
+    return operatingHoursSectionElement;
+  }
+
+  /**
+   * @returns {Object.<string, {name: string, icon: string}>} the name and Font Awesome icon of
+   * each travel mode
+   * @static
+   */
+  static get directionsModes() {
+    return {
+      walk: { name: "Walk", icon: "fa-walking" },
+      bike: { name: "Bike", icon: "fa-bicycle" },
+      drive: { name: "Drive", icon: "fa-car" }
+    };
+  }
+
+  /**
+   * @param {Restaurant} restaurant - The restaurant to create a directions section for.
+   * @param {Directions} directions - The directions to the restaurant, or null if the user has not
+   * asked for them yet.
+   * @param {string} mode - The travel mode of the route shown on the map.
+   * @param {{lat: number, lng: number}} origin - The location chosen by the user, or null if the
+   * user has not chosen a location.
+   * @returns {Element} a directions section element for the provided restaurant
+   * @static
+   */
+  static createListItemDirectionsSectionElement(restaurant, directions, mode, origin = null) {
+    const directionsSectionElement = document.createElement("section");
+    directionsSectionElement.className = "restaurant-list-item-directions-section";
+
+    const directionsSectionHeaderElement = document.createElement("h3");
+    directionsSectionHeaderElement.textContent = "Directions";
+    directionsSectionElement.append(directionsSectionHeaderElement);
+
+    const statusElement = document.createElement("p");
+    statusElement.className = "directions-status";
+    statusElement.setAttribute("role", "status");
+    statusElement.tabIndex = -1;
+    directionsSectionElement.append(statusElement);
+
+    if (!directions || (directions.status === "failed" && !directions.origin)) {
+      // offer to locate the user, which is also where distances in the overview are measured from
+      if (directions) {
+        statusElement.classList.add("directions-status-error");
+        statusElement.textContent = directions.message;
+      } else if (origin) {
+        statusElement.textContent =
+          "Get directions from the location you have chosen, or from your current location.";
+      } else {
+        statusElement.textContent =
+          "Choose your location in the filter panel, or use your current location, to get " +
+          "directions to this restaurant.";
+      }
+
+      if (!directions && origin) {
+        const findButtonElement = document.createElement("button");
+        findButtonElement.type = "button";
+        findButtonElement.className = "panel-button";
+        findButtonElement.dataset.directionsAction = "find";
+        findButtonElement.textContent = "Get Directions";
+        directionsSectionElement.append(findButtonElement);
+      }
+
+      const locateButtonElement = document.createElement("button");
+      locateButtonElement.type = "button";
+      locateButtonElement.className = "panel-button";
+      locateButtonElement.dataset.directionsAction = "locate";
+      locateButtonElement.textContent = "Use My Location";
+      directionsSectionElement.append(locateButtonElement);
+    } else if (directions.status === "locating") {
+      statusElement.textContent = "Locating you…";
+    } else if (directions.status === "routing") {
+      statusElement.textContent = "Finding routes…";
+    } else if (directions.status === "failed") {
+      statusElement.classList.add("directions-status-error");
+      statusElement.textContent = directions.message;
+    } else {
+      directionsSectionElement.append(
+        RestaurantsListPanelView.createDirectionsModesElement(directions.routes, mode)
+      );
+      if (Object.values(directions.routes).some(route => route.isStraightLine)) {
+        statusElement.textContent = "Estimated along a straight line, actual routes are longer.";
+      }
+    }
+
+    directionsSectionElement.append(
+      RestaurantsListPanelView.createDirectionsLinksElement(
+        restaurant,
+        directions ? directions.origin : null,
+        mode
+      )
+    );
+
+    return directionsSectionElement;
+  }
+
+  /**
+   * @param {Object.<string, Route>} routes - The routes of each travel mode.
+   * @param {string} mode - The travel mode of the route shown on the map.
+   * @returns {Element} a fieldset element choosing the travel mode of the route shown on the map,
+   * stating the distance and travel time of each mode
+   * @static
+   */
+  static createDirectionsModesElement(routes, mode) {
+    const modesElement = document.createElement("fieldset");
+    modesElement.className = "directions-modes";
+
+    const legendElement = document.createElement("legend");
+    legendElement.className = "screenreader";
+    legendElement.textContent = "Travel mode of the route shown on the map";
+    modesElement.append(legendElement);
+
+    const directionsModes = RestaurantsListPanelView.directionsModes;
+    for (const [value, { name, icon }] of Object.entries(directionsModes)) {
+      const route = routes[value];
+      if (!route) continue;
+
+      const inputElement = document.createElement("input");
+      inputElement.type = "radio";
+      inputElement.id = `directions-mode-${value}`;
+      inputElement.name = "directions-mode";
+      inputElement.value = value;
+      inputElement.checked = value === mode;
+      modesElement.append(inputElement);
+
+      const labelElement = document.createElement("label");
+      labelElement.className = "directions-mode-label";
+      labelElement.htmlFor = inputElement.id;
+
+      const iconElement = document.createElement("i");
+      iconElement.className = `fas ${icon}`;
+      iconElement.setAttribute("aria-hidden", "true");
+      labelElement.append(iconElement);
+
+      const nameElement = document.createElement("span");
+      nameElement.className = "directions-mode-name";
+      nameElement.textContent = name;
+      labelElement.append(nameElement);
+
+      const summaryElement = document.createElement("span");
+      summaryElement.className = "directions-mode-summary";
+      summaryElement.textContent =
+        `${GeoMath.formatDistance(route.distance)}, ${GeoMath.formatDuration(route.duration)}`;
+      labelElement.append(summaryElement);
+
+      modesElement.append(labelElement);
+    }
+
+    return modesElement;
+  }
+
+  /**
+   * @param {Restaurant} restaurant - The restaurant to link directions to.
+   * @param {{lat: number, lng: number}} origin - The location of the user, or null if unknown.
+   * @param {string} mode - The travel mode to link directions for.
+   * @returns {Element} a paragraph element linking to directions in a maps app or on OpenStreetMap
+   * @static
+   */
+  static createDirectionsLinksElement(restaurant, origin, mode) {
+    const linksElement = document.createElement("p");
+    linksElement.className = "directions-links";
+
+    const { lat, lng } = restaurant.latlng;
+
+    // the geo uri opens the maps app of the device, which routes from the current location
+    const appLinkElement = document.createElement("a");
+    appLinkElement.className = "dark-text-link";
+    const label = encodeURIComponent(restaurant.name);
+    appLinkElement.href = `geo:${lat},${lng}?q=${lat},${lng}(${label})`;
+    appLinkElement.textContent = "Open in Maps App";
+    linksElement.append(appLinkElement);
+
+    const routeStart = origin ? `${origin.lat.toFixed(5)},${origin.lng.toFixed(5)}` : "";
+    const searchParams = new URLSearchParams({
+      engine: `fossgis_osrm_${OsrmRoutingEngine.profiles[mode]}`,
+      route: `${routeStart};${lat},${lng}`
+    });
+    const webLinkElement = document.createElement("a");
+    webLinkElement.className = "dark-text-link";
+    webLinkElement.href = `https://www.openstreetmap.org/directions?${searchParams}`;
+    webLinkElement.target = "_blank";
+    webLinkElement.rel = "noopener";
+    webLinkElement.textContent = "Open in OpenStreetMap";
+    linksElement.append(webLinkElement);
+
+    return linksElement;
+  }
+
+  /**
+   * @param {Restaurant} restaurant - The restaurant to create a personal lists section for.
+   * @param {PersonalList[]} lists - The personal lists of the user.
+   * @param {boolean} isFavorite - A boolean indicating if the restaurant is a favorite.
+   * @returns {Element} a section element for adding the restaurant to the favorites and personal
+   * lists of the user, including a form for adding it to a new list
+   * @static
+   */
+  static createListItemListsSectionElement(restaurant, lists, isFavorite) {
+    const listsSectionElement = document.createElement("section");
+    listsSectionElement.className = "restaurant-list-item-lists-section";
+
+    const listsSectionHeaderElement = document.createElement("h3");
+    listsSectionHeaderElement.textContent = "Your Lists";
+    listsSectionElement.append(listsSectionHeaderElement);
+
+    listsSectionElement.append(
+      RestaurantsListPanelView.createFavoriteButtonElement(restaurant, isFavorite, {
+        isLabelVisible: true
+      })
+    );
+    listsSectionElement.append(
+      RestaurantsListPanelView.createListsOptionsElement(restaurant, lists)
+    );
+
+    const formElement = document.createElement("form");
+    formElement.className = "list-form";
+    formElement.noValidate = true;
+
+    const labelElement = document.createElement("label");
+    labelElement.className = "input-label screenreader";
+    labelElement.htmlFor = `list-name-input-${restaurant.id}`;
+    labelElement.textContent = "Name of the new list";
+    formElement.append(labelElement);
+
+    const inputElement = document.createElement("input");
+    inputElement.type = "text";
+    inputElement.id = `list-name-input-${restaurant.id}`;
+    inputElement.name = "name";
+    inputElement.maxLength = 60;
+    inputElement.placeholder = "New list, e.g. Team Lunch";
+    formElement.append(inputElement);
+
+    const submitButtonElement = document.createElement("button");
+    submitButtonElement.type = "submit";
+    submitButtonElement.className = "panel-button";
+    submitButtonElement.textContent = "Add to New List";
+    formElement.append(submitButtonElement);
+
+    // announce the outcome of creating a list to screen readers
+    const statusElement = document.createElement("p");
+    statusElement.className = "list-form-status";
+    statusElement.setAttribute("role", "status");
+    formElement.append(statusElement);
+
+    listsSectionElement.append(formElement);
+    return listsSectionElement;
+  }
+
+  /**
+   * @param {Restaurant} restaurant - The restaurant to create the list checkboxes for.
+   * @param {PersonalList[]} lists - The personal lists of the user.
+   * @returns {Element} a fieldset element containing a checkbox per personal list, checked if the
+   * restaurant is on the list, or a message if the user has no lists yet
+   * @static
+   */
+  static createListsOptionsElement(restaurant, lists) {
+    const optionsElement = document.createElement("fieldset");
+    optionsElement.className = "lists-options";
+
+    const legendElement = document.createElement("legend");
+    legendElement.className = "screenreader";
+    legendElement.textContent = `Lists containing ${restaurant.name}`;
+    optionsElement.append(legendElement);
+
+    if (!lists.length) {
+      const messageElement = document.createElement("p");
+      messageElement.className = "lists-options-message";
+      messageElement.textContent = "You have no lists yet, add this restaurant to a new list.";
+      optionsElement.append(messageElement);
+      return optionsElement;
+    }
+
+    for (const list of lists) {
+      const inputElement = document.createElement("input");
+      inputElement.type = "checkbox";
+      inputElement.id = `list-entry-input-${list.id}`;
+      inputElement.name = "list-entry";
+      inputElement.value = list.id;
+      inputElement.checked = list.restaurantIds.includes(restaurant.id);
+
+      const labelElement = document.createElement("label");
+      labelElement.htmlFor = inputElement.id;
+      labelElement.textContent = list.name;
+
+      const optionElement = document.createElement("div");
+      optionElement.className = "lists-option";
+      optionElement.append(inputElement, labelElement);
+      optionsElement.append(optionElement);
+    }
+
+    return optionsElement;
+  }
+
+  /**
+   * @param {Restaurant} restaurant - The restaurant to create a reviews section for.
+   * @param {string[]} searchTerms - Search terms to highlight in the review comments.
+   * @returns {Element} an reviews section element for the provided restaurant.
+   * @static
+   */
+  static createListItemReviewsSectionElement(restaurant, searchTerms = []) {
+    const reviewsSectionElement = document.createElement("section");
+    reviewsSectionElement.className = "restaurant-list-item-reviews-section";
+
+    const reviewsSectionHeaderElement = document.createElement("h3");
+    reviewsSectionHeaderElement.textContent = "Reviews";
+    reviewsSectionElement.append(reviewsSectionHeaderElement);
+
+    // announces failures to manage the pending reviews, cf. setPendingReviewsStatus
+    const pendingStatusElement = document.createElement("p");
+    pendingStatusElement.className = "restaurant-list-item-pending-reviews-status";
+    pendingStatusElement.setAttribute("role", "status");
+    reviewsSectionElement.append(pendingStatusElement);
+
+    // add a list of reviews summarized by rating if any reviews exist
+    if (restaurant.reviews && restaurant.reviews.length) {
+      const ratingSummaryElement = RestaurantsListPanelView.createListItemRatingSummaryElement(
+        restaurant
+      );
+      reviewsSectionElement.append(ratingSummaryElement);
+
+      const reviewListElement = document.createElement("ul");
+      reviewListElement.className = "restaurant-list-item-review-list";
+      reviewsSectionElement.append(reviewListElement);
+
+      for (const review of restaurant.reviews) {
+        const reviewElement = RestaurantsListPanelView.createListItemReviewElement(
+          review,
+          searchTerms
+        );
+        reviewListElement.append(reviewElement);
+      }
+    } else { // create a message element stating that no reviews exist
+      const messageElement = RestaurantsListPanelView.createMessageElement("No Reviews Yet");
+      reviewsSectionElement.append(messageElement);
+    }
+
+    return reviewsSectionElement;
+  }
+
+  /**
+   * @param {number} rating - An integer between 1 and 5 representing a review rating.
+   * @returns {Element} a review rating element
+   * @static
+   */
+  static createListItemReviewRatingElement(rating) {
+    // validate rqating input
+    const parsedRating = parseInt(rating);
+    if(isNaN(parsedRating)) throw new Error("rating is not a number");
+    if(parsedRating < 1 || parsedRating > 5) throw new Error("rating must be in range 1-5");
+
+    const reviewRatingElement = document.createElement("span");
+    reviewRatingElement.className = "star-rating-span";
+
+    // add aria attributes to make sure the visual star representation has a meaningful alt 
+    // textual representation for screen reader users 
+    reviewRatingElement.setAttribute("role", "img");
+    reviewRatingElement.setAttribute("aria-label", `Rating: ${rating} out of 5 stars`);
+
+    // create filled or empty stars in-line according to the provided rating
+    for (let starIndex = 1; starIndex <= 5; starIndex++) {
+      let starElement = document.createElement("i");
+      starElement.className = `${starIndex <= rating ? "fas" : "far"} fa-star`;
+
+      // ensure that individual stars are not visible for screen readers
+      starElement.setAttribute("aria-hidden","true");
+      reviewRatingElement.append(starElement);
+    }
+
+    return reviewRatingElement;
+  }
+
+  /**
+   * @param {number} averageRating - An average rating between 1 and 5, or null if there are no
+   * reviews.
+   * @param {number} reviewCount - The number of reviews the average rating is based on.
+   * @returns {Element} an average rating element showing the rating in stars with half-star
+   * precision, and the number of reviews
+   * @static
+   */
+  static createListItemAverageRatingElement(averageRating, reviewCount) {
+    const averageRatingElement = document.createElement("p");
+    averageRatingElement.className = "restaurant-list-item-average-rating";
+
+    if (!reviewCount) {
+      averageRatingElement.textContent = "No reviews yet";
+      return averageRatingElement;
+    }
+
+    // round to the nearest half star, and show the rating with one decimal in the label
+    const roundedRating = Math.round(averageRating * 2) / 2;
+    const ratingText = averageRating.toFixed(1);
+    const reviewCountText = `${reviewCount} ${reviewCount === 1 ? "review" : "reviews"}`;
+
+    const starsElement = document.createElement("span");
+    starsElement.className = "star-rating-span";
+
+    // add aria attributes to make sure the visual star representation has a meaningful alt
+    // textual representation for screen reader users
+    starsElement.setAttribute("role", "img");
+    starsElement.setAttribute(
+      "aria-label",
+      `Average rating: ${ratingText} out of 5 stars, from ${reviewCountText}`
+    );
+
+    // create filled, half filled or empty stars in-line according to the rounded rating
+    for (let starIndex = 1; starIndex <= 5; starIndex++) {
+      const starElement = document.createElement("i");
+      if (starIndex <= roundedRating) {
+        starElement.className = "fas fa-star";
+      } else if (starIndex - 0.5 === roundedRating) {
+        starElement.className = "fas fa-star-half-alt";
+      } else {
+        starElement.className = "far fa-star";
+      }
+
+      // ensure that individual stars are not visible for screen readers
+      starElement.setAttribute("aria-hidden", "true");
+      starsElement.append(starElement);
+    }
+    averageRatingElement.append(starsElement);
+
+    // the text repeats the label visually, so it is hidden for screen readers
+    const textElement = document.createElement("span");
+    textElement.className = "restaurant-list-item-average-rating-text";
+    textElement.setAttribute("aria-hidden", "true");
+    textElement.textContent = `${ratingText} (${reviewCountText})`;
+    averageRatingElement.append(textElement);
+
+    return averageRatingElement;
+  }
+
+  /**
+   * @param {Restaurant} restaurant - The restaurant to create a rating summary for.
+   * @returns {Element} a rating summary element containing the average rating of the restaurant
+   * and a histogram bar chart of the number of reviews per rating
+   * @static
+   */
+  static createListItemRatingSummaryElement(restaurant) {
+    const ratingSummaryElement = document.createElement("div");
+    ratingSummaryElement.className = "restaurant-list-item-rating-summary";
+
+    const averageRatingElement = RestaurantsListPanelView.createListItemAverageRatingElement(
+      restaurant.averageRating,
+      restaurant.reviewCount
+    );
+    ratingSummaryElement.append(averageRatingElement);
+
+    if (!restaurant.reviewCount) return ratingSummaryElement;
+
+    const histogramElement = document.createElement("ul");
+    histogramElement.className = "rating-histogram";
+    histogramElement.setAttribute("aria-label", "Number of reviews per rating");
+    ratingSummaryElement.append(histogramElement);
+
+    // list the highest rating first, as in most rating summaries
+    const ratingDistribution = restaurant.ratingDistribution;
+    for (let rating = 5; rating >= 1; rating--) {
+      const count = ratingDistribution[rating];
+      const percentage = Math.round((count / restaurant.reviewCount) * 100);
+
+      const barRowElement = document.createElement("li");
+      barRowElement.className = "rating-histogram-row";
+      histogramElement.append(barRowElement);
+
+      // screen readers read the row as text, the visual bar is hidden for them
+      const labelElement = document.createElement("span");
+      labelElement.className = "screenreader";
+      const ratingText = `${rating} ${rating === 1 ? "star" : "stars"}`;
+      labelElement.textContent = `${ratingText}: ${count} of ${restaurant.reviewCount} reviews`;
+      barRowElement.append(labelElement);
+
+      const ratingElement = document.createElement("span");
+      ratingElement.className = "rating-histogram-rating";
+      ratingElement.setAttribute("aria-hidden", "true");
+      ratingElement.textContent = rating;
+      const starElement = document.createElement("i");
+      starElement.className = "fas fa-star";
+      ratingElement.append(starElement);
+      barRowElement.append(ratingElement);
+
+      const barElement = document.createElement("span");
+      barElement.className = "rating-histogram-bar";
+      barElement.setAttribute("aria-hidden", "true");
+      const barFillElement = document.createElement("span");
+      barFillElement.className = "rating-histogram-bar-fill";
+      barFillElement.style.width = `${percentage}%`;
+      barElement.append(barFillElement);
+      barRowElement.append(barElement);
+
+      const countElement = document.createElement("span");
+      countElement.className = "rating-histogram-count";
+      countElement.setAttribute("aria-hidden", "true");
+      countElement.textContent = count;
+      barRowElement.append(countElement);
+    }
+
+    return ratingSummaryElement;
+  }
+
+  /**
+   * Creates a star rating radio input mirroring the review rating element, i.e. five stars that
+   * are filled up to the selected rating. The radio inputs are only visible to screen readers.
+   *
+   * @param {string} name - The name of the radio inputs.
+   * @returns {Element} a fieldset element containing the star rating radio inputs
+   * @static
+   */
+  static createReviewRatingInputElement(name) {
+    const ratingInputElement = document.createElement("fieldset");
+    ratingInputElement.className = "review-form-rating-input";
+
+    const legendElement = document.createElement("legend");
+    legendElement.className = "input-label";
+    legendElement.textContent = "Rating";
+    ratingInputElement.append(legendElement);
+
+    for (let rating = 1; rating <= 5; rating++) {
+      const inputElement = document.createElement("input");
+      inputElement.type = "radio";
+      inputElement.className = "screenreader";
+      inputElement.id = `review-form-rating-${rating}`;
+      inputElement.name = name;
+      inputElement.value = rating;
+      inputElement.required = true;
+      ratingInputElement.append(inputElement);
+
+      // use the star icon as label, with a textual label for screen reader users
+      const labelElement = document.createElement("label");
+      labelElement.className = "review-form-rating-label";
+      labelElement.htmlFor = inputElement.id;
+      const starElement = document.createElement("i");
+      starElement.className = "far fa-star";
+      starElement.setAttribute("aria-hidden", "true");
+      labelElement.append(starElement);
+      const labelTextElement = document.createElement("span");
+      labelTextElement.className = "screenreader";
+      labelTextElement.textContent = `${rating} out of 5 stars`;
+      labelElement.append(labelTextElement);
+      ratingInputElement.append(labelElement);
+    }
+
+    // fill stars up to the selected rating
+    ratingInputElement.addEventListener("change", () =>
+      RestaurantsListPanelView.updateReviewRatingInputElement(ratingInputElement)
+    );
+
+    return ratingInputElement;
+  }
+
+  /**
+   * Fills the stars of a star rating input up to its selected rating, and empties the rest.
+   *
+   * @param {Element} ratingInputElement - The star rating input element to update.
+   * @static
+   */
+  static updateReviewRatingInputElement(ratingInputElement) {
+    const checkedElement = ratingInputElement.querySelector("input:checked");
+    const rating = checkedElement ? parseInt(checkedElement.value) : 0;
+    const starElements = ratingInputElement.querySelectorAll(".review-form-rating-label i");
+    starElements.forEach((starElement, index) => {
+      starElement.className = `${index < rating ? "fas" : "far"} fa-star`;
+    });
+  }
+
+  /**
+   * @param {Restaurant} restaurant - The restaurant to create a review form for.
+   * @returns {Element} a section element containing a form for writing a review of the restaurant
+   * @static
+   */
+  static createListItemReviewFormSectionElement(restaurant) {
+    const reviewFormSectionElement = document.createElement("section");
+    reviewFormSectionElement.className = "restaurant-list-item-review-form-section";
+
+    const reviewFormSectionHeaderElement = document.createElement("h3");
+    reviewFormSectionHeaderElement.id = "review-form-header";
+    reviewFormSectionHeaderElement.textContent = "Write a Review";
+    reviewFormSectionElement.append(reviewFormSectionHeaderElement);
+
+    const formElement = document.createElement("form");
+    formElement.className = "review-form";
+    formElement.setAttribute("aria-labelledby", reviewFormSectionHeaderElement.id);
+    formElement.dataset.restaurantId = restaurant.id;
+    reviewFormSectionElement.append(formElement);
+
+    const nameLabelElement = document.createElement("label");
+    nameLabelElement.className = "input-label";
+    nameLabelElement.htmlFor = "review-form-name";
+    nameLabelElement.textContent = "Your Name";
+    formElement.append(nameLabelElement);
+
+    const nameInputElement = document.createElement("input");
+    nameInputElement.id = "review-form-name";
+    nameInputElement.name = "name";
+    nameInputElement.type = "text";
+    nameInputElement.autocomplete = "name";
+    nameInputElement.maxLength = 60;
+    nameInputElement.required = true;
+    formElement.append(nameInputElement);
+
+    formElement.append(RestaurantsListPanelView.createReviewRatingInputElement("rating"));
+
+    const commentsLabelElement = document.createElement("label");
+    commentsLabelElement.className = "input-label";
+    commentsLabelElement.htmlFor = "review-form-comments";
+    commentsLabelElement.textContent = "Comments";
+    formElement.append(commentsLabelElement);
+
+    const commentsInputElement = document.createElement("textarea");
+    commentsInputElement.id = "review-form-comments";
+    commentsInputElement.name = "comments";
+    commentsInputElement.rows = 5;
+    commentsInputElement.maxLength = 2000;
+    commentsInputElement.required = true;
+    formElement.append(commentsInputElement);
+
+    const submitButtonElement = document.createElement("button");
+    submitButtonElement.type = "submit";
+    submitButtonElement.className = "panel-button-accent";
+    submitButtonElement.textContent = "Submit Review";
+    formElement.append(submitButtonElement);
+
+    // announce the outcome of submissions to screen reader users
+    const statusElement = document.createElement("p");
+    statusElement.className = "review-form-status";
+    statusElement.setAttribute("role", "status");
+    formElement.append(statusElement);
+
+    return reviewFormSectionElement;
+  }
+
+  /**
+   * @param {{name: string, date: string, rating: number, comments: string}} review - The review to
+   * create an element for
+   * @param {string[]} searchTerms - Search terms to highlight in the comments.
+   * @returns {Element} a review list item element representing the provided review
+   * @static
+   */
+  static createListItemReviewElement(review, searchTerms = []) {
+    const reviewElement = document.createElement("li");
+    reviewElement.className = "restaurant-list-item-review";
+
+    const reviewHeaderElement = document.createElement("p");
+    reviewHeaderElement.className = "restaurant-list-item-review-header";
+    reviewElement.append(reviewHeaderElement);
+
+    const reviewPosterNameElement = document.createElement("span");
+    reviewPosterNameElement.className = "restaurant-list-item-review-poster-name";
+    reviewPosterNameElement.textContent = review.name;
+    reviewHeaderElement.append(reviewPosterNameElement);
+
+    const reviewDateElement = document.createElement("span");
+    reviewDateElement.className = "restaurant-list-item-review-date";
+    reviewDateElement.textContent = ` on ${review.date}`;
+    reviewHeaderElement.append(reviewDateElement);
+
+    const rating = parseInt(review.rating);
+    const reviewRatingElement = RestaurantsListPanelView.createListItemReviewRatingElement(rating);
+    reviewHeaderElement.append(reviewRatingElement);
+
+    const reviewCommentsElement = document.createElement("p");
+    reviewCommentsElement.className = "restaurant-list-item-review-comments";
+    reviewCommentsElement.append(
+      RestaurantsListPanelView.createHighlightedTextFragment(review.comments, searchTerms)
+    );
+    reviewElement.append(reviewCommentsElement);
+
+    // mark reviews that have not been sent to the reviews backend yet
+    if (review.pending) {
+      reviewElement.classList.add("restaurant-list-item-review-pending");
+      const pendingElement = RestaurantsListPanelView.createListItemPendingReviewElement(
+        review.pending
+      );
+      reviewElement.append(pendingElement);
+    }
+
+    return reviewElement;
+  }
+
+  /**
+   * @param {{id: number, status: string, error: string}} pending - The pending details of a review
+   * not sent to the reviews backend yet.
+   * @returns {Element} an element stating the pending status of the review, with retry and
+   * discard buttons if the review was rejected by the backend
+   * @static
+   */
+  static createListItemPendingReviewElement(pending) {
+    const pendingElement = document.createElement("p");
+    pendingElement.className = "restaurant-list-item-review-pending-status";
+
+    const tagElement = document.createElement("span");
+    tagElement.className = "restaurant-list-item-review-pending-tag text-all-caps";
+    pendingElement.append(tagElement);
+
+    if (pending.status !== "failed") {
+      tagElement.textContent = "Pending";
+      pendingElement.append(" will be sent when you are back online");
+      return pendingElement;
+    }
+
+    tagElement.textContent = "Not sent";
+    pendingElement.append(` ${pending.error}`);
+
+    for (const [action, label] of [["retry", "Retry"], ["discard", "Discard"]]) {
+      const buttonElement = document.createElement("button");
+      buttonElement.type = "button";
+      buttonElement.className = "restaurant-list-item-review-pending-button panel-button";
+      buttonElement.textContent = label;
+      buttonElement.dataset.pendingReviewAction = action;
+      buttonElement.dataset.pendingReviewId = pending.id;
+      buttonElement.setAttribute("aria-label", `${label} sending your review`);
+      pendingElement.append(buttonElement);
+    }
+
+    return pendingElement;
+  }
+
+  /**
+   * @param {Restaurant} restaurant - The restaurant to create an overview element for.
+   * @param {string[]} searchTerms - Search terms to highlight in the overview info.
+   * @param {boolean} param.isFavorite - A boolean indicating if the restaurant is a favorite.
+   * @param {{lat: number, lng: number}} param.origin - The location of the user to show the
+   * distance from, or null if the user has not chosen a location.
+   * @returns {Element} a list item element containing restaurant overview info
+   * @static
+   */
+  static createListItemElement(
+    restaurant,
+    searchTerms = [],
+    { isFavorite = false, origin = null } = {}
+  ) {
+    const itemElement = document.createElement("li");
+    itemElement.className = "restaurant-list-item";
+    // link the item to the map marker of the restaurant
+    itemElement.dataset.restaurantId = restaurant.id;
+
+    const imageElement = RestaurantsListPanelView.createListItemImageElement(restaurant, "33vw", {
+      isLazy: true
+    });
+    itemElement.append(imageElement);
+
+    // the favorite button is placed on the image
+    const favoriteButtonElement = RestaurantsListPanelView.createFavoriteButtonElement(
+      restaurant,
+      isFavorite
+    );
+    itemElement.append(favoriteButtonElement);
+
+    const infoPanelElement = RestaurantsListPanelView.createListItemInfoPanelElement(
+      restaurant,
+      searchTerms,
+      { origin }
+    );
+    itemElement.append(infoPanelElement);
+
+    const viewDetailsElement = RestaurantsListPanelView.createListItemViewDetailsElement(
+      restaurant
+    );
+    itemElement.append(viewDetailsElement);
+
+    return itemElement;
+  }
+
+  /**
+   * Updates an overview list item in place, e.g. to highlight other search terms. The image, the
+   * favorite button and the details link are kept.
+   *
+   * @param {Element} itemElement - An overview list item element of the restaurant.
+   * @param {Restaurant} restaurant - The restaurant of the list item.
+   * @param {string[]} searchTerms - Search terms to highlight in the overview info.
+   * @param {{lat: number, lng: number}} param.origin - The location of the user to show the
+   * distance from, or null if the user has not chosen a location.
+   * @static
+   */
+  static updateListItemElement(itemElement, restaurant, searchTerms = [], { origin = null } = {}) {
+    itemElement
+      .querySelector(".restaurant-list-item-info-panel")
+      .replaceWith(
+        RestaurantsListPanelView.createListItemInfoPanelElement(restaurant, searchTerms, { origin })
+      );
+  }
+
+  /**
+   * @param {Restaurant} restaurant - The restaurant to create an info panel for.
+   * @param {string[]} searchTerms - Search terms to highlight in the overview info.
+   * @param {{lat: number, lng: number}} param.origin - The location of the user to show the
+   * distance from, or null if the user has not chosen a location.
+   * @returns {Element} a section element containing the name, rating, opening state, distance and
+   * address of the restaurant, shown in its overview list item
+   * @static
+   */
+  static createListItemInfoPanelElement(restaurant, searchTerms = [], { origin = null } = {}) {
+    const infoPanelElement = document.createElement("section");
+    infoPanelElement.className = "restaurant-list-item-info-panel";
+
+    const titleElement = RestaurantsListPanelView.createListItemTitleElement(
+      restaurant,
+      searchTerms
+    );
+    infoPanelElement.append(titleElement);
+
+    const averageRatingElement = RestaurantsListPanelView.createListItemAverageRatingElement(
+      restaurant.averageRating,
+      restaurant.reviewCount
+    );
+    infoPanelElement.append(averageRatingElement);
+
+    const openBadgeElement = RestaurantsListPanelView.createListItemOpenBadgeElement(
+      restaurant.isOpenAt(OperatingHours.toWeekMinute(new Date()))
+    );
+    if (openBadgeElement) infoPanelElement.append(openBadgeElement);
+
+    // show how far away the restaurant is once the user has chosen a location
+    if (origin) {
+      const distanceElement = RestaurantsListPanelView.createListItemDistanceElement(
+        GeoMath.distance(origin, restaurant.latlng)
+      );
+      infoPanelElement.append(distanceElement);
+    }
+
+    const addressSectionElement = RestaurantsListPanelView.createListItemAddressSectionElement(
+      restaurant, { isHeaderVisible: false, isNeighborhoodBold: true, searchTerms });
+    infoPanelElement.append(addressSectionElement);
+
+    return infoPanelElement;
+  }
+
+  /**
+   * @param {Restaurant} restaurant - The restaurant to create a restaurant details element for,
+   * @param {string[]} searchTerms - Search terms to highlight in the details and reviews.
+   * @param {boolean} param.isFavorite - A boolean indicating if the restaurant is a favorite.
+   * @param {PersonalList[]} param.lists - The personal lists of the user.
+   * @param {Directions} param.directions - The directions to the restaurant, or null if the user
+   * has not asked for them yet.
+   * @param {string} param.directionsMode - The travel mode of the route shown on the map.
+   * @param {{lat: number, lng: number}} param.origin - The location chosen by the user, or null
+   * if the user has not chosen a location.
+   * @returns {Element} a list item element containing restaurant details and reviews
+   * @static
+   */
+  static createListItemDetailsElement(
+    restaurant,
+    searchTerms = [],
+    {
+      isFavorite = false,
+      lists = [],
+      directions = null,
+      directionsMode = "walk",
+      origin = null
+    } = {}
+  ) {
+    const itemElement = document.createElement("li");
+    itemElement.className = "restaurant-list-item";
+
+    const titleElement = RestaurantsListPanelView.createListItemTitleElement(
+      restaurant,
+      searchTerms
+    );
+    titleElement.classList.add("text-center");
+    itemElement.append(titleElement);
+
+    const imageElement = RestaurantsListPanelView.createListItemImageElement(restaurant, "50vw");
+    itemElement.append(imageElement);
+
+    const cuisineTagElement = 
+      RestaurantsListPanelView.createListItemCuisineTagElement(restaurant.cuisine_type);
+    itemElement.append(cuisineTagElement);
+
+    const infoPanelElement = document.createElement("section");
+    infoPanelElement.className = "restaurant-list-item-info-panel";
+
+    const addressSectionElement = RestaurantsListPanelView.createListItemAddressSectionElement(
+      restaurant, { isHeaderVisible: true, isNeighborhoodBold: false, searchTerms });
+    infoPanelElement.append(addressSectionElement);
+
+    const operatingHoursSectionElement = RestaurantsListPanelView.createListItemOperatingHoursSectionElement(
+      restaurant
+    );
+    infoPanelElement.append(operatingHoursSectionElement);
+
+    itemElement.append(infoPanelElement);
+
+    const directionsSectionElement =
+      RestaurantsListPanelView.createListItemDirectionsSectionElement(
+        restaurant,
+        directions,
+        directionsMode,
+        origin
+      );
+    itemElement.append(directionsSectionElement);
+
+    const listsSectionElement = RestaurantsListPanelView.createListItemListsSectionElement(
+      restaurant,
+      lists,
+      isFavorite
+    );
+    itemElement.append(listsSectionElement);
+
+    const reviewsSectionElement = RestaurantsListPanelView.createListItemReviewsSectionElement(
+      restaurant,
+      searchTerms
+    );
+    itemElement.append(reviewsSectionElement);
+
+    const reviewFormSectionElement = RestaurantsListPanelView.createListItemReviewFormSectionElement(
+      restaurant
+    );
+    itemElement.append(reviewFormSectionElement);
+
+    return itemElement;
+  }
+}
@@ -0,0 +1,181 @@
+/* views/view.js
+ *
+ * provides the base class of the views, which render the state of the model as it changes.
+ */
+
+/**
+ * The base class of the views. A view subscribes to the change events of the model, cf.
+ * subscribe, rather than being rendered by the controller. Renders are batched per animation
+ * frame, and a part of the view is only rendered again if the state it renders has changed.
+ *
+ * @abstract
+ */
+export class View {
+  /**
+   * @param {RestaurantsController} controller - The controller of the app.
+   */
+  constructor(controller) {
+    /**
+     * The controller of the app.
+     *
+     * @type {RestaurantsController}
+     */
+    this.controller = controller;
+    /**
+     * The parts of the view rendered on change events of the model, in the order they are
+     * rendered.
+     *
+     * @type {{selectState: Function, render: Function, isPending: boolean, renderedState: *}[]}
+     * @protected
+     */
+    this._subscriptions = [];
+    /**
+     * The id of the animation frame the pending parts of the view are rendered in, or null if
+     * none is requested.
+     *
+     * @type {number}
+     * @protected
+     */
+    this._frameRequest = null;
+    /**
+     * Aborts the subscriptions of the view to the model when the view is destroyed.
+     *
+     * @type {AbortController}
+     * @protected
+     */
+    this._subscriptionsAbortController = new AbortController();
+  }
+
+  /**
+   * Renders a part of the view on change events of the model. The part is rendered in the next
+   * animation frame, and only if the state it renders differs from the state rendered last.
+   *
+   * @param {ModelEventType[]} eventTypes - The change events the part depends on.
+   * @param {Function} selectState - Returns the slice of the app state the part renders, compared
+   * by View.isStateEqual.
+   * @param {Function} render - Renders the part.
+   */
+  subscribe(eventTypes, selectState, render) {
+    const subscription = { selectState, render, isPending: false, renderedState: undefined };
+    this._subscriptions.push(subscription);
+
+    for (const eventType of eventTypes) {
+      this.controller.model.on(eventType, () => {
+        subscription.isPending = true;
+        this._requestFrame();
+      }, { signal: this._subscriptionsAbortController.signal });
+    }
+  }
+
+  /**
+   * Renders the parts of the view pending since the last change events of the model whose state
+   * has changed. Called in the next animation frame after the events, or earlier to render
+   * immediately.
+   */
+  update() {
+    for (const subscription of this._subscriptions) {
+      if (!subscription.isPending) continue;
+      subscription.isPending = false;
+
+      const state = subscription.selectState();
+      if (View.isStateEqual(state, subscription.renderedState)) continue;
+      subscription.renderedState = state;
+      subscription.render();
+    }
+  }
+
+  /**
+   * @param {string} id - The id of an element as in the markup of the app, e.g. "search-input".
+   * @returns {string} the id of the element in the instance of the app the view belongs to, cf.
+   * prefixElementIds
+   */
+  elementId(id) {
+    return `${this.controller.idPrefix}${id}`;
+  }
+
+  /**
+   * @param {string} id - The id of an element as in the markup of the app, e.g. "search-input".
+   * @returns {string} a selector of the element in the instance of the app the view belongs to
+   */
+  idSelector(id) {
+    return `#${this.elementId(id)}`;
+  }
+
+  /**
+   * Stops the view from rendering on change events of the model, e.g. when the app is destroyed.
+   */
+  destroy() {
+    this._subscriptionsAbortController.abort();
+    if (this._frameRequest !== null) cancelAnimationFrame(this._frameRequest);
+    this._frameRequest = null;
+  }
+
+  /**
+   * Requests an animation frame to update the view in, unless one is requested already.
+   *
+   * @protected
+   */
+  _requestFrame() {
+    if (this._frameRequest !== null) return;
+    this._frameRequest = requestAnimationFrame(() => {
+      this._frameRequest = null;
+      this.update();
+    });
+  }
+
+  /**
+   * Prefixes the ids of an element and its descendants, and the references to them, so the ids
+   * stay unique when several instances of the app are mounted in a page, e.g. for labels to label
+   * the inputs of their own instance.
+   *
+   * @param {Element} element - The element, e.g. the root element of the app, or an element
+   * created by a view.
+   * @param {string} idPrefix - The prefix of the ids of the instance of the app, which is empty for
+   * the first instance mounted in the page.
+   * @returns {Element} the element
+   * @static
+   */
+  static prefixElementIds(element, idPrefix) {
+    if (!idPrefix) return element;
+
+    const referenceNames = ["for", "aria-controls", "aria-describedby", "aria-labelledby"];
+    for (const descendant of [element, ...element.querySelectorAll("*")]) {
+      if (descendant.id) descendant.id = `${idPrefix}${descendant.id}`;
+      for (const name of referenceNames) {
+        const ids = descendant.getAttribute(name);
+        if (!ids) continue;
+        descendant.setAttribute(name, ids.split(/\s+/).map(id => `${idPrefix}${id}`).join(" "));
+      }
+    }
+    return element;
+  }
+
+  /**
+   * Compares slices of the app state. Arrays and plain objects, e.g. filter criteria, are equal if
+   * their entries are, other values such as restaurants if they are the same.
+   *
+   * @param {*} state - A slice of the app state.
+   * @param {*} otherState - The slice to compare it to.
+   * @returns {boolean} true if the slices are equal
+   * @static
+   */
+  static isStateEqual(state, otherState) {
+    if (state === otherState) return true;
+
+    if (Array.isArray(state) && Array.isArray(otherState)) {
+      return state.length === otherState.length &&
+        state.every((value, index) => View.isStateEqual(value, otherState[index]));
+    }
+
+    const isPlainObject = value =>
+      value !== null &&
+      typeof value === "object" &&
+      Object.getPrototypeOf(value) === Object.prototype;
+    if (isPlainObject(state) && isPlainObject(otherState)) {
+      const keys = Object.keys(state);
+      return keys.length === Object.keys(otherState).length &&
+        keys.every(key => key in otherState && View.isStateEqual(state[key], otherState[key]));
+    }
+    return false;
+  }
+}
@@ -1,38 +1,395 @@
 /* sw.js
  *
- * provides service worker code for caching site assets. 
+ * provides service worker code for caching site assets.
  * the service worker code is designed for offline first.
- * the site is assumed 
+ * the site is assumed to be served from the root of its origin, next to this file.
+ *
+ * each kind of request is cached in its own cache with its own strategy, see handleFetch. The
+ * caches are versioned, increase CACHE_VERSION whenever the app files change, so the new version
+ * is installed next to the old one, and the app can offer the user to reload into it.
+ */
+
+// the review outbox is shared with the app, which queues reviews submitted while offline. This is
+// the classic script copy of js/services/review-outbox.js, as importScripts cannot load modules.
+importScripts("js/review-outbox.js");
+
+const CACHE_VERSION = 27;
+const CACHE_PREFIX = "restaurant-reviews-";
+
+/**
+ * The names of the caches of this version of the service worker, by kind of request.
+ */
+const CACHE_NAMES = {
+    shell: `${CACHE_PREFIX}shell-v${CACHE_VERSION}`,
+    data: `${CACHE_PREFIX}data-v${CACHE_VERSION}`,
+    fonts: `${CACHE_PREFIX}fonts-v${CACHE_VERSION}`,
+    images: `${CACHE_PREFIX}images-v${CACHE_VERSION}`,
+    tiles: `${CACHE_PREFIX}tiles-v${CACHE_VERSION}`,
+    runtime: `${CACHE_PREFIX}runtime-v${CACHE_VERSION}`,
+    // the map areas saved by the user are kept across versions, until the user deletes them
+    offlineAreas: `${CACHE_PREFIX}offline-areas`
+};
+
+/**
+ * The limits of caches growing with use. Beyond maxEntries the least recently cached entries are
+ * removed, and entries older than maxAgeSeconds are fetched again, but still used while offline.
  */
+const CACHE_LIMITS = {
+    [CACHE_NAMES.images]: { maxEntries: 60, maxAgeSeconds: 30 * 24 * 60 * 60 },
+    [CACHE_NAMES.tiles]: { maxEntries: 500, maxAgeSeconds: 7 * 24 * 60 * 60 },
+    [CACHE_NAMES.runtime]: { maxEntries: 100 }
+};
+
+// the header recording when a response was cached, checked against the age limits. The app reads
+// it from the restaurant data, to tell the user when the data shown was loaded.
+const CACHED_AT_HEADER = "sw-cached-at";
+
+// the message the app sends to activate a waiting new version, cf. the update prompt of the app
+const SKIP_WAITING_MESSAGE = "skip-waiting";
+
+// the core app files, served from the cache of their version. The restaurant data is precached
+// as well, so the app works offline once installed.
+const SHELL_URLS = [
+    "index.html",
+    "offline.html",
+    "manifest.webmanifest",
+    "css/all.min.css",
+    "css/main.css",
+    // the app modules, cf. js/main.js
+    "js/app.js",
+    "js/config.js",
+    "js/controllers/restaurants-controller.js",
+    "js/main.js",
+    "js/models/offline-areas-model.js",
+    "js/models/personal-lists-model.js",
+    "js/models/restaurant.js",
+    "js/models/restaurants-model.js",
+    "js/services/data-sources.js",
+    "js/services/location-providers.js",
+    "js/services/review-outbox.js",
+    "js/services/reviews-backends.js",
+    "js/services/routing-engines.js",
+    "js/utils/geo-math.js",
+    "js/utils/operating-hours.js",
+    "js/utils/text-search.js",
+    "js/views/app-view.js",
+    "js/views/map-adapters/create-map-adapter.js",
+    "js/views/map-adapters/leaflet-map-adapter.js",
+    "js/views/map-adapters/map-adapter.js",
+    "js/views/map-adapters/mapbox-map-adapter.js",
+    "js/views/map-adapters/schematic-map-adapter.js",
+    "js/views/map-view.js",
+    "js/views/restaurants-filter-panel-view.js",
+    "js/views/restaurants-list-panel-view.js",
+    "js/views/view.js",
+    "img/icons/icon-180.png",
+    "img/icons/icon-192.png",
+    "img/icons/icon-512.png",
+    "img/icons/icon-maskable-512.png",
+    "favicon.ico",
+    // the icon fonts in the formats of current browsers, as chosen by css/all.min.css
+    "webfonts/fa-brands-400.woff2",
+    "webfonts/fa-regular-400.woff2",
+    "webfonts/fa-solid-900.woff2"
+];
+
+// the pages of the app, which are served from the cache of their version, like the app modules,
+// so the page and its modules always come from the same version. Other pages fall back to the
+// offline page while offline.
+const APP_PAGE_URLS = ["./", "index.html"].map(url => new URL(url, self.location.href).pathname);
+const DATA_URL = "data/restaurants.json";
+const DATA_URL_HREF = new URL(DATA_URL, self.location.href).href;
+
+// map libraries are cached with the app files when available, the app falls back to a schematic
+// map without them
+const LIBRARY_URLS = [
+    "https://api.tiles.mapbox.com/mapbox-gl-js/v1.5.0/mapbox-gl.js",
+    "https://api.tiles.mapbox.com/mapbox-gl-js/v1.5.0/mapbox-gl.css",
+    "https://unpkg.com/leaflet@1.5.1/dist/leaflet.css",
+    "https://unpkg.com/leaflet@1.5.1/dist/leaflet.js"
+];
+
+// map tiles, and their TileJSON, of the Mapbox and OpenStreetMap tile servers
+const TILE_URL_PATTERNS = [
+    /^https:\/\/[a-z0-9-]+\.tiles\.mapbox\.com\/v4\//,
+    /^https:\/\/api\.mapbox\.com\/v4\//,
+    /^https:\/\/[a-z]\.tile\.openstreetmap\.org\//
+];
+
+// other map resources, e.g. styles, sprites and glyphs
+const MAP_HOSTS = ["api.mapbox.com"];
+
+const FONT_HOSTS = ["fonts.googleapis.com", "fonts.gstatic.com", "ka-f.fontawesome.com"];
+
+const PRECACHED_URLS = new Set(
+    SHELL_URLS.concat(LIBRARY_URLS).map(url => new URL(url, self.location.href).href)
+);
 
 self.addEventListener("install", event => {
     event.waitUntil(
-        caches.open("restaurant-reviews-cache").then(function (cache) {
-            // add core app files to cache, images and data is added on first succesful fetch
-            cache.addAll([
-                "/index.html",
-                "css/styles.css",
-                "https://unpkg.com/leaflet@1.5.1/dist/leaflet.css",
-                "https://unpkg.com/leaflet@1.5.1/dist/leaflet.js",
-                "js/app.js"
-            ]);
+        Promise.all([
+            caches.open(CACHE_NAMES.shell).then(function (cache) {
+                // the app files are required, a failure to cache them fails the installation
+                return cache.addAll(SHELL_URLS).then(function () {
+                    return Promise.all(LIBRARY_URLS.map(url => cache.add(url).catch(reason => {
+                        console.log("caching library failed", url, reason);
+                    })));
+                });
+            }),
+            // cached with the time of caching, like the data updated by the data route
+            fetchAndCache(new Request(DATA_URL_HREF), CACHE_NAMES.data).then(function (response) {
+                if (!response.ok) throw new Error(`caching the data failed (${response.status})`);
+            })
+        ])
+    );
+    // the new version waits until the app asks for it, so open windows are not changed under the
+    // user, cf. the message listener below
+});
+
+// remove the caches of previous versions, including the unversioned cache of the first version
+self.addEventListener("activate", event => {
+    const currentCacheNames = Object.values(CACHE_NAMES);
+
+    event.waitUntil(
+        caches.keys().then(function (cacheNames) {
+            return Promise.all(cacheNames
+                .filter(name => name.startsWith(CACHE_PREFIX) && !currentCacheNames.includes(name))
+                .map(name => caches.delete(name)));
+        }).then(function () {
+            return self.clients.claim();
         })
     );
-})
+});
+
+self.addEventListener("message", event => {
+    if (event.data && event.data.type === SKIP_WAITING_MESSAGE) self.skipWaiting();
+});
 
 self.addEventListener("fetch", function (event) {
-    event.respondWith(
-        caches.open("restaurant-reviews-cache").then(function (cache) {
-            return cache.match(event.request).then(function (response) {
-                // return cache match if found or try fetch and add to cache if fetched
-                return response || fetch(event.request).then(function (response) {
-                    // note that for this exercise we cache everything, which is not sustainable in a real world scenario
-                    cache.put(event.request, response.clone());
-                    return response;
-                });
-            }).catch(reason => {
-                console.log("caching failed", reason);
+    // only GET requests are cached, others such as submitted reviews go straight to the network
+    if (event.request.method !== "GET") return;
+
+    event.respondWith(handleFetch(event));
+});
+
+/**
+ * Responds to a request with the caching strategy of its kind:
+ * cache first for the app page, the app files, fonts, images and map tiles, network first with the
+ * offline page as fallback for other pages, and stale while revalidate for the restaurant data.
+ * Other requests, such as reviews, are network first. Resources of the map saved for offline use
+ * are served from the saved areas, see respondToMapRequest.
+ *
+ * @param {FetchEvent} event - The fetch event of the request.
+ * @returns {Promise} Promise object resolves to the response
+ */
+function handleFetch(event) {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.mode === "navigate") {
+        if (APP_PAGE_URLS.includes(url.pathname)) return respondToAppPageRequest(request);
+        return networkFirst(request, CACHE_NAMES.shell, ["offline.html"]);
+    }
+    if (PRECACHED_URLS.has(url.href)) {
+        return cacheFirst(request, CACHE_NAMES.shell);
+    }
+    if (url.origin === self.location.origin && url.pathname.endsWith(`/${DATA_URL}`)) {
+        return staleWhileRevalidate(event, CACHE_NAMES.data);
+    }
+    const isMapRequest = MAP_HOSTS.includes(url.hostname) ||
+        TILE_URL_PATTERNS.some(pattern => pattern.test(url.href));
+    if (isMapRequest) {
+        return respondToMapRequest(request);
+    }
+    if (request.destination === "font" || FONT_HOSTS.includes(url.hostname)) {
+        return cacheFirst(request, CACHE_NAMES.fonts, { isOpaqueCached: true });
+    }
+    if (request.destination === "image") {
+        return cacheFirst(request, CACHE_NAMES.images);
+    }
+    return networkFirst(request, CACHE_NAMES.runtime);
+}
+
+/**
+ * Responds to a request of the app page, whatever its query string, with the page cached by this
+ * version, or from the network if not cached.
+ *
+ * @param {Request} request - The request to respond to.
+ * @returns {Promise} Promise object resolves to the response
+ */
+async function respondToAppPageRequest(request) {
+    const cachedResponse = await caches.match("index.html", { cacheName: CACHE_NAMES.shell });
+    return cachedResponse || fetch(request);
+}
+
+/**
+ * Responds to a request of the map. Saved tiles are served from the saved areas, and other saved
+ * resources, e.g. the map style, are served from the saved areas while offline. Resources are
+ * matched without their query strings, which hold access tokens and other varying parameters.
+ *
+ * @param {Request} request - The request to respond to.
+ * @returns {Promise} Promise object resolves to the response
+ */
+async function respondToMapRequest(request) {
+    // the app reloads resources when saving an area, bypassing the areas saved before
+    if (request.cache === "reload") return fetch(request);
+
+    const savedResponse = await caches.match(request, {
+        cacheName: CACHE_NAMES.offlineAreas,
+        ignoreSearch: true
+    });
+    if (TILE_URL_PATTERNS.some(pattern => pattern.test(request.url))) {
+        return savedResponse || cacheFirst(request, CACHE_NAMES.tiles, { isOpaqueCached: true });
+    }
+
+    try {
+        return await networkFirst(request, CACHE_NAMES.runtime);
+    } catch (error) {
+        if (savedResponse) return savedResponse;
+        throw error;
+    }
+}
+
+/**
+ * Responds from the cache, or from the network if not cached or expired. Expired responses are
+ * still used if the network fails.
+ *
+ * @param {Request} request - The request to respond to.
+ * @param {string} cacheName - The name of the cache to use.
+ * @param {boolean} param.isOpaqueCached - true to cache opaque responses, see fetchAndCache.
+ * @returns {Promise} Promise object resolves to the response
+ */
+async function cacheFirst(request, cacheName, { isOpaqueCached = false } = {}) {
+    const cache = await caches.open(cacheName);
+    const cachedResponse = await cache.match(request);
+    if (cachedResponse && !isExpired(cachedResponse, cacheName)) return cachedResponse;
+
+    try {
+        return await fetchAndCache(request, cacheName, { isOpaqueCached });
+    } catch (error) {
+        if (cachedResponse) return cachedResponse;
+        throw error;
+    }
+}
+
+/**
+ * Responds from the network, or from the cache if the network fails.
+ *
+ * @param {Request} request - The request to respond to.
+ * @param {string} cacheName - The name of the cache to use.
+ * @param {string[]} fallbackUrls - The urls of cached responses to use if the request is not
+ * cached, in order of preference, e.g. the app page for any page of the app.
+ * @returns {Promise} Promise object resolves to the response
+ */
+async function networkFirst(request, cacheName, fallbackUrls = []) {
+    const cache = await caches.open(cacheName);
+    try {
+        return await fetchAndCache(request, cacheName);
+    } catch (error) {
+        for (const url of [request].concat(fallbackUrls)) {
+            const cachedResponse = await cache.match(url, { ignoreSearch: url !== request });
+            if (cachedResponse) return cachedResponse;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Responds from the cache if cached, and updates the cache from the network in the background.
+ *
+ * @param {FetchEvent} event - The fetch event of the request, kept alive while updating.
+ * @param {string} cacheName - The name of the cache to use.
+ * @returns {Promise} Promise object resolves to the response
+ */
+async function staleWhileRevalidate(event, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cachedResponse = await cache.match(event.request);
+    const fetchedResponse = fetchAndCache(event.request, cacheName);
+
+    if (!cachedResponse) return fetchedResponse;
+    event.waitUntil(fetchedResponse.catch(reason => console.log("revalidating failed", reason)));
+    return cachedResponse;
+}
+
+/**
+ * Fetches a request, and caches the response if successful. Error responses are returned, but
+ * never cached.
+ *
+ * Opaque responses, e.g. of map tiles shown as images or of stylesheets loaded from other hosts
+ * without CORS, hide their status, so they are only cached if asked for. They are cached as they
+ * are, without the time of caching, and never expire, but are still removed beyond the entry
+ * limit of their cache.
+ *
+ * @param {Request} request - The request to fetch.
+ * @param {string} cacheName - The name of the cache to add the response to.
+ * @param {boolean} param.isOpaqueCached - true to cache opaque responses.
+ * @returns {Promise} Promise object resolves to the fetched response
+ */
+async function fetchAndCache(request, cacheName, { isOpaqueCached = false } = {}) {
+    const response = await fetch(request);
+    const isOpaque = response.type === "opaque";
+    if (!response.ok && !(isOpaque && isOpaqueCached)) return response;
+    const cache = await caches.open(cacheName);
+
+    if (isOpaque) {
+        await cache.put(request, response.clone());
+        await trimCache(cache, CACHE_LIMITS[cacheName]);
+        return response;
+    }
+
+    // cache a copy with the time of caching, the response itself is returned right away
+    const body = await response.clone().blob();
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, String(Date.now()));
+    await cache.put(request, new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    }));
+    await trimCache(cache, CACHE_LIMITS[cacheName]);
+
+    return response;
+}
+
+/**
+ * @param {Response} response - A cached response.
+ * @param {string} cacheName - The name of the cache of the response.
+ * @returns {boolean} true if the response is older than the age limit of its cache
+ */
+function isExpired(response, cacheName) {
+    const limits = CACHE_LIMITS[cacheName];
+    // the age of opaque responses is unknown, cf. fetchAndCache
+    if (!limits || !limits.maxAgeSeconds || response.type === "opaque") return false;
+
+    const cachedAt = Number(response.headers.get(CACHED_AT_HEADER));
+    return !cachedAt || Date.now() - cachedAt > limits.maxAgeSeconds * 1000;
+}
+
+/**
+ * Removes the least recently cached entries of a cache beyond its entry limit. Caches list their
+ * entries in the order they were added, and updating an entry adds it again.
+ *
+ * @param {Cache} cache - The cache to trim.
+ * @param {{maxEntries: number}} limits - The limits of the cache, if any.
+ */
+async function trimCache(cache, limits) {
+    if (!limits || !limits.maxEntries) return;
+
+    const requests = await cache.keys();
+    const excessRequests = requests.slice(0, Math.max(0, requests.length - limits.maxEntries));
+    await Promise.all(excessRequests.map(request => cache.delete(request)));
+}
+
+// replay the review outbox when the connection returns, then let open app windows update their
+// pending reviews. A rejected replay makes the browser retry the sync later.
+self.addEventListener("sync", event => {
+    if (event.tag !== REVIEW_OUTBOX_SYNC_TAG) return;
+
+    event.waitUntil(
+        new ReviewOutbox().replayAll().finally(function () {
+            return self.clients.matchAll({ type: "window" }).then(function (clients) {
+                clients.forEach(client => client.postMessage({ type: REVIEW_OUTBOX_UPDATED_MESSAGE }));
             });
         })
     );
-});
\ No newline at end of file
+});
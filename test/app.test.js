@@ -0,0 +1,183 @@
+/* test/app.test.js
+ *
+ * tests of the bootstrap of the app: reading its configuration, several instances mounted in a page,
+ * each rendering into its own root element, and destroyed instances no longer reacting to the page.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createApp } from "../js/app.js";
+import { DEFAULT_APP_CONFIG, readAppConfig } from "../js/config.js";
+import { createDataSource } from "../js/services/data-sources.js";
+import {
+  createRestaurantJson,
+  createWindow,
+  loadApp,
+  navigate,
+  waitForRender
+} from "./helpers/app.js";
+
+const RESTAURANTS = [
+  createRestaurantJson({ id: 1, name: "Mission Chinese Food", cuisine_type: "Asian" }),
+  createRestaurantJson({ id: 2, name: "Emily", cuisine_type: "Pizza" })
+];
+
+/**
+ * @param {Element} rootElement - The root element of an app.
+ * @returns {string[]} the names of the restaurants listed by the app, in order
+ */
+function listedNames(rootElement) {
+  return [...rootElement.querySelectorAll(".restaurant-list-item h2")].map(
+    headingElement => headingElement.textContent
+  );
+}
+
+/**
+ * Mounts two instances of the app in a page, each in a copy of the markup of the app.
+ *
+ * @returns {Promise} Promise object resolves to the window and the two apps, once they have
+ * rendered their data
+ * @async
+ */
+async function mountTwoApps() {
+  const window = createWindow();
+  const { document } = window;
+  const markup = [...document.body.children];
+  const apps = [];
+
+  for (const index of [0, 1]) {
+    const rootElement = document.createElement("div");
+    rootElement.append(...markup.map(element => element.cloneNode(true)));
+    document.body.append(rootElement);
+    apps.push(
+      createApp({
+        root: rootElement,
+        mapProvider: "schematic",
+        config: { dataSource: "memory", restaurants: RESTAURANTS.slice(index) }
+      })
+    );
+  }
+  markup.forEach(element => element.remove());
+
+  await Promise.all(apps.map(app => app.model.load()));
+  await waitForRender(window);
+  return { window, apps };
+}
+
+describe("readAppConfig", () => {
+  it("chooses implementations from the query string", () => {
+    createWindow("http://localhost/?dataSource=rest&mapProvider=leaflet");
+    const config = readAppConfig();
+
+    assert.equal(config.dataSource, "rest");
+    assert.equal(config.mapProvider, "leaflet");
+  });
+
+  it("ignores urls and markup in the query string", () => {
+    const hostileSearch = new URLSearchParams({
+      mapProvider: "leaflet",
+      tileAttribution: "<img src=x onerror=alert(1)>",
+      tileUrl: "https://attacker.example/{z}/{x}/{y}.png",
+      apiUrl: "https://attacker.example",
+      reviewsBackend: "http"
+    });
+    createWindow(`http://localhost/?${hostileSearch}`);
+    const config = readAppConfig();
+
+    assert.equal(config.tileAttribution, DEFAULT_APP_CONFIG.tileAttribution);
+    assert.equal(config.tileUrl, DEFAULT_APP_CONFIG.tileUrl);
+    assert.equal(config.apiUrl, DEFAULT_APP_CONFIG.apiUrl);
+    assert.equal(config.reviewsBackend, "http");
+  });
+
+  it("takes urls from the config object of the hosting page", () => {
+    const window = createWindow("http://localhost/?apiUrl=https://attacker.example");
+    window.RESTAURANT_REVIEWS_CONFIG = { apiUrl: "https://example.com/api" };
+
+    assert.equal(readAppConfig().apiUrl, "https://example.com/api");
+  });
+});
+
+describe("createApp", () => {
+  it("renders each instance into its own root element", async () => {
+    const { apps } = await mountTwoApps();
+
+    assert.deepEqual(listedNames(apps[0].appView.rootElement), ["Mission Chinese Food", "Emily"]);
+    assert.deepEqual(listedNames(apps[1].appView.rootElement), ["Emily"]);
+    apps.forEach(app => app.destroy());
+  });
+
+  it("makes all instances follow the url of the page", async () => {
+    const { window, apps } = await mountTwoApps();
+    await navigate({ window }, "#/?cuisine=Pizza");
+
+    assert.deepEqual(listedNames(apps[0].appView.rootElement), ["Emily"]);
+    assert.deepEqual(listedNames(apps[1].appView.rootElement), ["Emily"]);
+    apps.forEach(app => app.destroy());
+  });
+
+  it("makes all instances follow the urls an instance replaces", async () => {
+    const { window, apps } = await mountTwoApps();
+    const historyLength = window.history.length;
+    const bounds = [[-74, 40.7], [-73.9, 40.8]];
+    apps[0].controller.searchMapArea(bounds);
+
+    assert.equal(window.history.length, historyLength);
+    for (const app of apps) assert.deepEqual(app.controller.filterCriteria.bounds, bounds);
+    apps.forEach(app => app.destroy());
+  });
+
+  it("stops destroyed instances from reacting to the page and removes their map", async () => {
+    const { window, apps } = await mountTwoApps();
+    apps[0].destroy();
+    await navigate({ window }, "#/?cuisine=Asian");
+
+    assert.deepEqual(listedNames(apps[0].appView.rootElement), ["Mission Chinese Food", "Emily"]);
+    assert.deepEqual(listedNames(apps[1].appView.rootElement), []);
+    assert.equal(apps[0].appView.rootElement.querySelector(".map").children.length, 0);
+    assert.ok(apps[1].appView.rootElement.querySelector(".map").children.length > 0);
+    apps[1].destroy();
+  });
+
+  it("keeps the element ids unique, so labels name the inputs of their own instance", async () => {
+    const { window, apps } = await mountTwoApps();
+    const ids = [...window.document.querySelectorAll("[id]")].map(element => element.id);
+
+    assert.deepEqual(ids, [...new Set(ids)]);
+    assert.ok(apps[0].appView.rootElement.querySelector("#search-input"));
+    assert.ok(apps[1].appView.rootElement.querySelector("#app2-search-input"));
+    for (const app of apps) {
+      for (const labelElement of app.appView.rootElement.querySelectorAll("label[for]")) {
+        assert.ok(app.appView.rootElement.contains(labelElement.control), labelElement.htmlFor);
+      }
+    }
+    apps.forEach(app => app.destroy());
+  });
+
+  it("falls back to the default implementation of an unknown one, with a warning", async t => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const window = createWindow("http://localhost/?dataSource=x");
+    const app = createApp({
+      root: window.document.body,
+      mapProvider: "schematic",
+      config: readAppConfig()
+    });
+
+    assert.match(warn.mock.calls[0].arguments[0], /unknown data source: x/);
+    const defaultDataSource = createDataSource(DEFAULT_APP_CONFIG);
+    assert.equal(app.model.dataSource.constructor, defaultDataSource.constructor);
+    app.destroy();
+  });
+
+  it("cancels the search the user is typing when destroyed", async t => {
+    const app = await loadApp();
+    const applyFilter = t.mock.method(app.controller, "applyFilter");
+    const searchInputElement = app.document.querySelector("#search-input");
+    searchInputElement.value = "Emily";
+    searchInputElement.dispatchEvent(new app.window.Event("input"));
+    app.destroy();
+
+    await new Promise(resolve => setTimeout(resolve, 400));
+    assert.equal(applyFilter.mock.callCount(), 0);
+  });
+});
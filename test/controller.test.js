@@ -0,0 +1,488 @@
+/* test/controller.test.js
+ *
+ * tests of the restaurants controller: parsing app urls, setting the app state from them, and
+ * finding directions with an injected model and stub views. Also tests of the routing engines.
+ */
+
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { RestaurantsController } from "../js/controllers/restaurants-controller.js";
+import { OfflineAreasModel } from "../js/models/offline-areas-model.js";
+import { PersonalListsModel } from "../js/models/personal-lists-model.js";
+import { RestaurantsModel } from "../js/models/restaurants-model.js";
+import { InMemoryDataSource } from "../js/services/data-sources.js";
+import { FixedLocationProvider } from "../js/services/location-providers.js";
+import { LocalStorageReviewsBackend } from "../js/services/reviews-backends.js";
+import {
+  OsrmRoutingEngine,
+  RoutingEngine,
+  StraightLineRoutingEngine
+} from "../js/services/routing-engines.js";
+import { createRestaurantJson, loadApp } from "./helpers/app.js";
+
+/**
+ * Creates a stub view keeping the names of the methods called on it, e.g. `filterView.render`.
+ * Properties set on the stub are kept as they are.
+ *
+ * @param {string} name - The name of the view in the kept calls.
+ * @param {string[]} calls - The calls of all stub views.
+ * @returns {object} the stub view
+ */
+function createStubView(name, calls) {
+  return new Proxy({}, {
+    get: (target, property) => property in target
+      ? target[property]
+      : () => calls.push(`${name}.${String(property)}`)
+  });
+}
+
+/**
+ * Creates a controller with a model serving restaurants from memory, and stub views keeping the
+ * calls made to them.
+ *
+ * @param {object[]} restaurants - The restaurant json objects served to the model.
+ * @param {object} services - The location provider and routing engine to inject instead of the
+ * defaults, locating the user at a fixed location and routing along straight lines.
+ * @returns {Promise} Promise object resolves to the controller, with its model loaded, and the
+ * calls made to its views
+ * @async
+ */
+async function createController(restaurants, services = {}) {
+  const controller = new RestaurantsController(Object.assign({
+    model: new RestaurantsModel({
+      dataSource: new InMemoryDataSource(restaurants),
+      reviewsBackend: new LocalStorageReviewsBackend("test-reviews"),
+      personalLists: new PersonalListsModel("test-lists"),
+      offlineAreas: new OfflineAreasModel({ storageKey: "test-offline-areas" }),
+      cacheKey: "test-data"
+    }),
+    locationProvider: new FixedLocationProvider({ lat: 40.72, lng: -73.99 }),
+    routingEngine: new StraightLineRoutingEngine()
+  }, services));
+  const calls = [];
+  controller.attachViews({
+    appView: createStubView("appView", calls),
+    filterView: createStubView("filterView", calls),
+    restaurantsView: createStubView("restaurantsView", calls),
+    mapView: createStubView("mapView", calls)
+  });
+  await controller.model.load();
+  return { controller, calls };
+}
+
+describe("RestaurantsController", () => {
+  let app;
+  before(async () => {
+    app = await loadApp({ restaurants: [createRestaurantJson()] });
+  });
+
+  describe("_getUrlDetails", () => {
+    const getUrlDetails = url => app.controller._getUrlDetails(url);
+
+    it("analyzes urls of the overview without filter criteria", () => {
+      for (const url of ["http://localhost/", "http://localhost/#", "http://localhost/#/"]) {
+        const urlDetails = getUrlDetails(url);
+
+        assert.equal(urlDetails.hasHash, url.includes("#"));
+        assert.equal(urlDetails.isValid, true);
+        assert.equal(urlDetails.hasId, false);
+        assert.equal(urlDetails.id, null);
+        assert.ok(Object.values(urlDetails.filterCriteria).every(value => value === null));
+      }
+    });
+
+    it("parses the filter criteria of the overview", () => {
+      const urlDetails = getUrlDetails(
+        "http://localhost/#/?cuisine=Pizza&cuisine=Asian&cuisine=Pizza&neighborhood=Brooklyn" +
+        "&minRating=4&hasReviews=true&search=noodles&open=Saturday%2019%3A30&sort=distance" +
+        "&radius=1000&bounds=-74,40.7,-73.9,40.8&favorites=true"
+      );
+
+      assert.deepEqual(urlDetails.filterCriteria, {
+        cuisines: ["Pizza", "Asian"],
+        neighborhoods: ["Brooklyn"],
+        minRating: 4,
+        hasReviews: true,
+        search: "noodles",
+        open: "Saturday 19:30",
+        sort: "distance",
+        radius: 1000,
+        bounds: [[-74, 40.7], [-73.9, 40.8]],
+        favorites: true,
+        list: null
+      });
+    });
+
+    it("leaves out invalid filter criteria", () => {
+      const urlDetails = getUrlDetails(
+        "http://localhost/#/?cuisine=&minRating=3.5&open=Caturday%2025%3A00&sort=price" +
+        "&radius=42&bounds=-73.9,40.7,-74,40.8&list=unknown"
+      );
+
+      assert.equal(urlDetails.isValid, true);
+      assert.ok(Object.values(urlDetails.filterCriteria).every(value => value === null));
+    });
+
+    it("analyzes urls of the details of a restaurant", () => {
+      for (const url of ["http://localhost/#/restaurant/3", "http://localhost/#/restaurant/3/"]) {
+        const urlDetails = getUrlDetails(url);
+
+        assert.equal(urlDetails.isValid, true);
+        assert.equal(urlDetails.hasId, true);
+        assert.equal(urlDetails.id, 3);
+      }
+    });
+
+    it("supports the legacy url format of the details of a restaurant", () => {
+      const urlDetails = getUrlDetails("http://localhost/#3");
+
+      assert.equal(urlDetails.isValid, true);
+      assert.equal(urlDetails.hasId, true);
+      assert.equal(urlDetails.id, 3);
+    });
+
+    it("tells invalid routes and malformed ids apart", () => {
+      for (const hash of ["#/restaurant/", "#/restaurant/abc", "#/restaurant/-1", "#/unknown"]) {
+        const urlDetails = getUrlDetails(`http://localhost/${hash}`);
+
+        assert.equal(urlDetails.isValid, false, hash);
+        assert.equal(urlDetails.hasId, false, hash);
+      }
+    });
+  });
+
+  describe("with injected dependencies", () => {
+    it("sets the state of the app from urls through the model", async () => {
+      const restaurants = [createRestaurantJson({ id: 1 }), createRestaurantJson({ id: 3 })];
+      const { controller, calls } = await createController(restaurants);
+      const events = [];
+      for (const type of RestaurantsModel.eventTypes) {
+        controller.model.on(type, event => events.push(event.type));
+      }
+
+      await controller.setFromUrl("http://localhost/#/restaurant/3");
+      assert.equal(controller.selectedRestaurant.id, 3);
+      assert.equal(controller.isNotFound, false);
+      assert.deepEqual(events, ["selection-changed"]);
+
+      events.length = 0;
+      await controller.setFromUrl("http://localhost/#/restaurant/2");
+      assert.equal(controller.selectedRestaurant, null);
+      assert.equal(controller.isNotFound, true);
+      assert.deepEqual(events, ["selection-changed"]);
+
+      // the views render the changes themselves
+      events.length = 0;
+      await controller.setFromUrl("http://localhost/#/?cuisine=Asian");
+      assert.equal(controller.isNotFound, false);
+      assert.deepEqual(events, ["filter-changed", "selection-changed"]);
+      assert.ok(!calls.some(call => call.endsWith(".render")));
+    });
+
+    it("changes the state of the app through the model, rather than rendering views", async () => {
+      const restaurants = [createRestaurantJson({ id: 1 }), createRestaurantJson({ id: 3 })];
+      const { controller, calls } = await createController(restaurants);
+      controller.model.setFilterCriteria({ origin: { lat: 40.7, lng: -74 } });
+      await controller.setFromUrl("http://localhost/#/restaurant/3");
+      const events = [];
+      for (const type of RestaurantsModel.eventTypes) {
+        controller.model.on(type, event => events.push(event.type));
+      }
+      const restaurant = controller.selectedRestaurant;
+      calls.length = 0;
+
+      await controller.findDirections();
+      controller.setDirectionsMode("drive");
+      await controller.addReview(restaurant, { name: "Ann", rating: 4, comments: "Good" });
+      controller.toggleFavorite(restaurant);
+      controller.activateRestaurant(restaurant, { isFromMap: true });
+      assert.deepEqual(events, [
+        "directions-changed",
+        "directions-changed",
+        "directions-changed",
+        "reviews-changed",
+        "filter-changed",
+        "lists-changed",
+        "active-changed"
+      ]);
+      assert.equal(controller.directions.status, "done");
+      assert.equal(controller.directionsMode, "drive");
+      assert.equal(controller.isActiveFromMap, true);
+      assert.deepEqual(calls, []);
+
+      controller.toggleFavorite(restaurant);
+      localStorage.removeItem("test-reviews");
+    });
+
+    it("lets the user choose their location on the map", async () => {
+      const { controller, calls } = await createController([createRestaurantJson()]);
+
+      controller.startChoosingOriginOnMap();
+      assert.equal(controller.mapView.isChoosingOrigin, true);
+      assert.deepEqual(calls, ["filterView.setLocationStatus"]);
+
+      controller.chooseOriginOnMap({ lat: 40.72, lng: -73.99 });
+      assert.equal(controller.mapView.isChoosingOrigin, false);
+      // the location of the user is kept out of the url, which may be shared
+      assert.equal(app.window.location.hash, "#/?sort=distance");
+      assert.deepEqual(controller.filterCriteria.origin, { lat: 40.72, lng: -73.99 });
+    });
+
+    it("keeps the location of the user across navigation, ignoring locations in urls", async () => {
+      const { controller } = await createController([createRestaurantJson()]);
+      await controller.locateUser();
+      assert.equal(app.window.location.hash, "#/?sort=distance");
+
+      await controller.setFromUrl("http://localhost/#/?sort=distance&radius=1000&origin=40.8,-74");
+      assert.deepEqual(controller.filterCriteria.origin, { lat: 40.72, lng: -73.99 });
+      assert.equal(controller.filterCriteria.radius, 1000);
+
+      controller.clearOrigin();
+      assert.equal(controller.filterCriteria.origin, null);
+      assert.equal(app.window.location.hash, "#/");
+    });
+  });
+
+  describe("personal lists", () => {
+    it("imports lists exported as JSON, rejecting malformed files", async () => {
+      localStorage.removeItem("test-lists");
+      const { controller } = await createController([createRestaurantJson({ id: 1 })]);
+      const events = [];
+      controller.model.on("lists-changed", event => events.push(event.type));
+
+      assert.throws(() => controller.importLists("{ lists"), /the file is not a valid JSON file/);
+      assert.throws(() => controller.importLists("{}"), /does not contain restaurant lists/);
+      assert.deepEqual(events, []);
+
+      const exportedData = {
+        type: "restaurant-reviews-lists",
+        version: 1,
+        favorites: [1],
+        lists: [{ name: "Dinner", restaurantIds: [1] }]
+      };
+      assert.deepEqual(controller.importLists(JSON.stringify(exportedData)), {
+        favorites: 1,
+        lists: 1
+      });
+      assert.deepEqual(events, ["lists-changed"]);
+      assert.deepEqual(JSON.parse(controller.exportLists()), exportedData);
+      localStorage.removeItem("test-lists");
+    });
+  });
+
+  describe("pending reviews", () => {
+    it("tells the user when pending reviews cannot be updated or discarded", async t => {
+      t.mock.method(console, "log", () => {});
+      const { controller } = await createController([createRestaurantJson()]);
+      const statuses = [];
+      controller.restaurantsView.setPendingReviewsStatus = status => statuses.push(status);
+      const reviewsBackend = controller.model.reviewsBackend;
+      t.mock.method(reviewsBackend, "getReviews", async () => {
+        throw new Error("the database is blocked");
+      });
+
+      await controller.updatePendingReviews();
+      await controller.discardPendingReview(1);
+      assert.deepEqual(statuses, [
+        "Your pending reviews could not be updated: the database is blocked",
+        "",
+        "Your review could not be discarded: the reviews backend has no pending reviews"
+      ]);
+    });
+  });
+
+  describe("directions", () => {
+    const ORIGIN = { lat: 40.72, lng: -73.99 };
+
+    /**
+     * @param {Function} route - Finds the route of a travel mode, cf. RoutingEngine.route.
+     * @returns {RoutingEngine} a routing engine finding routes with the function
+     */
+    const createRoutingEngine = route => Object.assign(new RoutingEngine(), { route });
+
+    /**
+     * Creates a controller showing the details of a restaurant, and keeping the directions it
+     * sets as the model emits them.
+     *
+     * @param {object} services - The location provider and routing engine to inject.
+     * @returns {Promise} Promise object resolves to the controller and the states of the
+     * directions it set, as `status` or `status: message`
+     * @async
+     */
+    async function showRestaurant(services = {}) {
+      const { controller } = await createController([createRestaurantJson({ id: 1 })], services);
+      await controller.setFromUrl("http://localhost/#/restaurant/1");
+      const states = [];
+      controller.model.on("directions-changed", () => {
+        const directions = controller.directions;
+        if (!directions) states.push(null);
+        else states.push([directions.status, directions.message].filter(Boolean).join(": "));
+      });
+      return { controller, states };
+    }
+
+    it("finds the routes of all travel modes from the location of the user", async () => {
+      const { controller, states } = await showRestaurant();
+
+      await controller.findDirections();
+      assert.deepEqual(states, [null]);
+
+      controller.model.setFilterCriteria({ origin: ORIGIN });
+      await controller.findDirections();
+      assert.deepEqual(states, [null, "routing", "done"]);
+      const { restaurant, origin, routes } = controller.directions;
+      assert.equal(restaurant, controller.selectedRestaurant);
+      assert.deepEqual(origin, ORIGIN);
+      assert.deepEqual(Object.keys(routes), RoutingEngine.modes);
+      assert.ok(routes.walk.duration > routes.bike.duration);
+    });
+
+    it("keeps the routes found, showing another mode if the chosen one has none", async () => {
+      const { controller, states } = await showRestaurant({
+        routingEngine: createRoutingEngine(async (origin, destination, mode) => {
+          if (mode === "walk") throw new Error("the foot profile is unavailable");
+          return new StraightLineRoutingEngine().route(origin, destination, mode);
+        })
+      });
+      controller.model.setFilterCriteria({ origin: ORIGIN });
+
+      await controller.findDirections();
+      assert.deepEqual(states, ["routing", "done", "done"]);
+      assert.deepEqual(Object.keys(controller.directions.routes), ["bike", "drive"]);
+      assert.equal(controller.directionsMode, "bike");
+    });
+
+    it("states why directions are not available if no route is found", async () => {
+      const { controller, states } = await showRestaurant({
+        routingEngine: createRoutingEngine(async () => {
+          throw new Error("no route was found");
+        })
+      });
+      controller.model.setFilterCriteria({ origin: ORIGIN });
+
+      await controller.findDirections();
+      assert.deepEqual(states, [
+        "routing",
+        "failed: Directions are not available: no route was found"
+      ]);
+      assert.equal(controller.directionsMode, "walk");
+    });
+
+    it("ignores routes found after the user has left the restaurant", async () => {
+      let resolveRoutes;
+      const routesFound = new Promise(resolve => (resolveRoutes = resolve));
+      const { controller, states } = await showRestaurant({
+        routingEngine: createRoutingEngine(async (origin, destination, mode) => {
+          await routesFound;
+          return new StraightLineRoutingEngine().route(origin, destination, mode);
+        })
+      });
+      controller.model.setFilterCriteria({ origin: ORIGIN });
+
+      const directionsFound = controller.findDirections();
+      await controller.setFromUrl("http://localhost/#/");
+      resolveRoutes();
+      await directionsFound;
+      assert.deepEqual(states, ["routing"]);
+      assert.equal(controller.directions, null);
+    });
+
+    it("locates the user for directions, or states why they could not be located", async () => {
+      const { controller, states } = await showRestaurant();
+
+      await controller.locateUserForDirections();
+      assert.deepEqual(states, ["locating", "routing", "done"]);
+      assert.deepEqual(controller.filterCriteria.origin, ORIGIN);
+
+      const locationProvider = {
+        getCurrentPosition: async () => {
+          throw new Error("permission denied");
+        }
+      };
+      const failing = await showRestaurant({ locationProvider });
+      await failing.controller.locateUserForDirections();
+      assert.deepEqual(failing.states, [
+        "locating",
+        "failed: You could not be located: permission denied"
+      ]);
+      assert.equal(failing.controller.filterCriteria.origin, null);
+    });
+
+    it("sets the travel mode of the route shown on the map, rejecting unknown modes", async () => {
+      const { controller, states } = await showRestaurant();
+
+      controller.setDirectionsMode("drive");
+      assert.equal(controller.directionsMode, "drive");
+      assert.throws(() => controller.setDirectionsMode("fly"), /unknown travel mode: fly/);
+      assert.equal(controller.directionsMode, "drive");
+      assert.deepEqual(states, [null]);
+    });
+  });
+});
+
+describe("OsrmRoutingEngine", () => {
+  const ROUTING_URL = "https://routing.example/routed-{profile}/route/v1/driving";
+  const ORIGIN = { lat: 40.72, lng: -73.99 };
+  const DESTINATION = { lat: 40.71, lng: -73.98 };
+
+  /**
+   * Replaces fetch by a fake routing service.
+   *
+   * @param {TestContext} t - The context of the test, which restores fetch when it ends.
+   * @param {Function} respond - Returns the response to a requested url.
+   * @returns {string[]} the requested urls
+   */
+  function mockRoutingService(t, respond) {
+    const urls = [];
+    t.mock.method(globalThis, "fetch", async url => {
+      urls.push(url);
+      return respond(url);
+    });
+    return urls;
+  }
+
+  it("routes along streets with the profile of the travel mode", async t => {
+    const urls = mockRoutingService(t, () =>
+      Response.json({
+        code: "Ok",
+        routes: [
+          {
+            distance: 1500,
+            duration: 1080,
+            geometry: { coordinates: [[-73.99, 40.72], [-73.985, 40.715], [-73.98, 40.71]] }
+          }
+        ]
+      })
+    );
+
+    const route = await new OsrmRoutingEngine(ROUTING_URL).route(ORIGIN, DESTINATION, "bike");
+    assert.deepEqual(urls, [
+      "https://routing.example/routed-bike/route/v1/driving/-73.99,40.72;-73.98,40.71" +
+        "?overview=full&geometries=geojson"
+    ]);
+    assert.deepEqual(route, {
+      distance: 1500,
+      duration: 1080,
+      coordinates: [ORIGIN, { lat: 40.715, lng: -73.985 }, DESTINATION],
+      isStraightLine: false
+    });
+  });
+
+  it("rejects unknown travel modes, failed requests and missing routes", async t => {
+    let response = new Response("", { status: 503 });
+    const urls = mockRoutingService(t, () => response);
+    const engine = new OsrmRoutingEngine(ROUTING_URL);
+
+    await assert.rejects(engine.route(ORIGIN, DESTINATION, "fly"), /unknown travel mode: fly/);
+    assert.deepEqual(urls, []);
+    await assert.rejects(
+      engine.route(ORIGIN, DESTINATION, "walk"),
+      /finding the route failed \(503\)/
+    );
+
+    for (const result of [{ code: "NoRoute" }, { code: "Ok", routes: [] }]) {
+      response = Response.json(result);
+      await assert.rejects(engine.route(ORIGIN, DESTINATION, "walk"), /no route was found/);
+    }
+  });
+});
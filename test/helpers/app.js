@@ -0,0 +1,149 @@
+/* test/helpers/app.js
+ *
+ * loads the app into a jsdom window for tests. The app is served restaurants from memory and
+ * shows the schematic map, or the Mapbox or Leaflet map with a fake of its library, so no network
+ * access or map library is needed.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { JSDOM } from "jsdom";
+import { installFakeIntersectionObserver } from "./fake-intersection-observer.js";
+import { installFakeLeaflet } from "./fake-leaflet.js";
+import { installFakeMapbox } from "./fake-mapbox.js";
+
+export const ROOT_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+
+// the browser globals used by the app modules, which are taken from the window created last
+const WINDOW_GLOBALS = [
+  "window",
+  "document",
+  "navigator",
+  "localStorage",
+  "history",
+  "fetch",
+  "AbortController",
+  "HashChangeEvent",
+  "mapboxgl",
+  "L",
+  "IntersectionObserver"
+];
+
+// the browser functions used by the app modules, which are bound to the window created last
+const WINDOW_FUNCTIONS = ["requestAnimationFrame", "cancelAnimationFrame"];
+
+// the app loaded last, which is destroyed before the next app is loaded, as the app modules use
+// the globals of the window created last
+let loadedApp = null;
+
+/**
+ * Creates a valid restaurant json object, e.g. as a base for hostile test data.
+ *
+ * @param {object} fields - The fields to set on top of the defaults.
+ * @returns {object} a restaurant json object
+ */
+export function createRestaurantJson(fields = {}) {
+  return Object.assign(
+    {
+      id: 1,
+      name: "Test Restaurant",
+      neighborhood: "Manhattan",
+      photograph: "1.jpg",
+      address: "1 Test Street, New York, NY 10002",
+      latlng: { lat: 40.713829, lng: -73.989667 },
+      cuisine_type: "Asian",
+      operating_hours: { Monday: "5:30 pm - 11:00 pm" },
+      reviews: []
+    },
+    fields
+  );
+}
+
+/**
+ * Creates a jsdom window with the markup of the app, and makes it the window the app modules use.
+ * The window loads nothing from the network, and provides fakes of the Mapbox and Leaflet
+ * libraries and of IntersectionObserver.
+ *
+ * @param {string} url - The url the window is opened with.
+ * @returns {Window} the window
+ */
+export function createWindow(url = "http://localhost/") {
+  // scripts are left out, the app is created by the tests
+  const html = fs
+    .readFileSync(path.join(ROOT_PATH, "index.html"), "utf8")
+    .replace(/<script[^>]*><\/script>/g, "");
+  const window = new JSDOM(html, { url, pretendToBeVisual: true }).window;
+  window.scrollTo = () => {};
+  window.fetch = () => Promise.reject(new TypeError("Failed to fetch"));
+  installFakeMapbox(window);
+  installFakeLeaflet(window);
+  installFakeIntersectionObserver(window);
+
+  for (const name of [...WINDOW_GLOBALS, ...WINDOW_FUNCTIONS]) {
+    Object.defineProperty(globalThis, name, {
+      value: WINDOW_FUNCTIONS.includes(name) ? window[name].bind(window) : window[name],
+      configurable: true,
+      writable: true
+    });
+  }
+  return window;
+}
+
+/**
+ * Creates the app in a new jsdom window, and waits until it has rendered its data.
+ *
+ * @param {object[]} param.restaurants - The restaurant json objects served to the app.
+ * @param {object} param.config - App configuration overriding the test defaults.
+ * @param {string} param.url - The url the app is opened with, e.g. with a details route.
+ * @returns {Promise} Promise object resolves to the app as created by createApp, along with the
+ * jsdom window and document
+ * @async
+ */
+export async function loadApp({ restaurants = [], config = {}, url = "http://localhost/" } = {}) {
+  if (loadedApp) loadedApp.destroy();
+  const window = createWindow(url);
+
+  const { createApp } = await import("../../js/app.js");
+  const app = createApp({
+    root: window.document.body,
+    config: Object.assign({ dataSource: "memory", restaurants, mapProvider: "schematic" }, config)
+  });
+  loadedApp = app;
+
+  // let the app set its state from the url once the data has loaded
+  await app.model.load();
+  await waitForRender(window);
+
+  return Object.assign({ window, document: window.document }, app);
+}
+
+/**
+ * Waits until the views have rendered the changes of the model, which they render in the next
+ * animation frame.
+ *
+ * @param {Window} window - The window of the app.
+ * @returns {Promise} Promise object resolves once the views have rendered
+ * @async
+ */
+export async function waitForRender(window) {
+  await new Promise(resolve => setTimeout(resolve));
+  await new Promise(resolve => window.requestAnimationFrame(resolve));
+}
+
+/**
+ * Navigates the app to a hash url, and waits until the app has rendered it.
+ *
+ * @param {object} app - An app loaded by loadApp.
+ * @param {string} hash - The hash url to navigate to, e.g. `#/restaurant/1`.
+ * @returns {Promise} Promise object resolves once the app has rendered the url
+ * @async
+ */
+export async function navigate(app, hash) {
+  const hashChange = new Promise(resolve =>
+    app.window.addEventListener("hashchange", resolve, { once: true })
+  );
+  app.window.location.hash = hash;
+  await hashChange;
+  await waitForRender(app.window);
+}
@@ -0,0 +1,113 @@
+/* test/helpers/fake-caches.js
+ *
+ * a fake of the Cache API, keeping responses in memory by url. Caches list their entries in the
+ * order they were added, and updating an entry adds it again, as in browsers.
+ */
+
+/**
+ * @param {Request|string} request - A request, or its url.
+ * @param {string} baseUrl - The url relative urls are resolved against.
+ * @returns {string} the absolute url of the request
+ */
+function toUrl(request, baseUrl) {
+  return new URL(typeof request === "string" ? request : request.url, baseUrl).href;
+}
+
+/**
+ * @param {string} url - An absolute url.
+ * @returns {string} the url without its query string
+ */
+function withoutSearch(url) {
+  const parsedUrl = new URL(url);
+  parsedUrl.search = "";
+  return parsedUrl.href;
+}
+
+class FakeCache {
+  constructor(baseUrl, fetchResponse) {
+    this.baseUrl = baseUrl;
+    this.fetchResponse = fetchResponse;
+    this.entries = new Map();
+  }
+
+  _matchingUrls(request, { ignoreSearch = false } = {}) {
+    const url = toUrl(request, this.baseUrl);
+    return [...this.entries.keys()].filter(cachedUrl =>
+      ignoreSearch ? withoutSearch(cachedUrl) === withoutSearch(url) : cachedUrl === url
+    );
+  }
+
+  async match(request, options) {
+    const [url] = this._matchingUrls(request, options);
+    return url ? this.entries.get(url).clone() : undefined;
+  }
+
+  async put(request, response) {
+    const url = toUrl(request, this.baseUrl);
+    this.entries.delete(url);
+    this.entries.set(url, response);
+  }
+
+  async add(request) {
+    const response = await this.fetchResponse(toUrl(request, this.baseUrl));
+    if (!response.ok) throw new TypeError(`adding ${toUrl(request, this.baseUrl)} failed`);
+    await this.put(request, response);
+  }
+
+  async addAll(requests) {
+    await Promise.all(requests.map(request => this.add(request)));
+  }
+
+  async keys() {
+    return [...this.entries.keys()].map(url => ({ url }));
+  }
+
+  async delete(request, options) {
+    const urls = this._matchingUrls(request, options);
+    urls.forEach(url => this.entries.delete(url));
+    return urls.length > 0;
+  }
+}
+
+/**
+ * Creates a fake of the CacheStorage object of browsers, `caches`.
+ *
+ * @param {string} param.baseUrl - The url relative urls are resolved against, e.g. the url of the
+ * service worker.
+ * @param {Function} param.fetchResponse - Fetches the response to a url for Cache.add, usually the
+ * fake network of the test.
+ * @returns {object} the fake CacheStorage, with the caches by name as its `cachesByName` map
+ */
+export function createFakeCaches({ baseUrl = "http://localhost/", fetchResponse } = {}) {
+  const cachesByName = new Map();
+
+  return {
+    cachesByName,
+
+    async open(name) {
+      if (!cachesByName.has(name)) cachesByName.set(name, new FakeCache(baseUrl, fetchResponse));
+      return cachesByName.get(name);
+    },
+
+    async has(name) {
+      return cachesByName.has(name);
+    },
+
+    async keys() {
+      return [...cachesByName.keys()];
+    },
+
+    async delete(name) {
+      return cachesByName.delete(name);
+    },
+
+    async match(request, { cacheName, ...options } = {}) {
+      const names = cacheName ? [cacheName] : [...cachesByName.keys()];
+      for (const name of names.filter(name => cachesByName.has(name))) {
+        const response = await cachesByName.get(name).match(request, options);
+        if (response) return response;
+      }
+      return undefined;
+    }
+  };
+}
@@ -0,0 +1,42 @@
+/* test/helpers/fake-intersection-observer.js
+ *
+ * a fake of the IntersectionObserver API, which jsdom lacks. Observers keep the elements they
+ * observe, and tests tell them when an element intersects the visible area.
+ */
+
+/**
+ * Installs the fake IntersectionObserver class in a window. The observers created are kept in its
+ * static `instances` array.
+ *
+ * @param {Window} window - The jsdom window to install the class in.
+ */
+export function installFakeIntersectionObserver(window) {
+  class FakeIntersectionObserver {
+    constructor(callback, options = {}) {
+      this.callback = callback;
+      this.options = options;
+      this.targets = new Set();
+      FakeIntersectionObserver.instances.push(this);
+    }
+
+    observe(target) {
+      this.targets.add(target);
+    }
+
+    unobserve(target) {
+      this.targets.delete(target);
+    }
+
+    disconnect() {
+      this.targets.clear();
+    }
+
+    intersect(target) {
+      if (!this.targets.has(target)) return;
+      this.callback([{ target, isIntersecting: true }], this);
+    }
+  }
+  FakeIntersectionObserver.instances = [];
+
+  window.IntersectionObserver = FakeIntersectionObserver;
+}
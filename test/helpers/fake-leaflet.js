@@ -0,0 +1,121 @@
+/* test/helpers/fake-leaflet.js
+ *
+ * a fake of the parts of Leaflet used by the Leaflet map adapter. The map keeps the calls made to
+ * it and its tile layers, and shows markers in its container.
+ */
+
+/**
+ * Installs the fake Leaflet library as `L` in a window.
+ *
+ * @param {Window} window - The jsdom window to install the library in.
+ */
+export function installFakeLeaflet(window) {
+  class FakeLayer {
+    constructor(options = {}) {
+      this.options = options;
+      this.map = null;
+    }
+
+    addTo(map) {
+      this.map = map;
+      map.layers.push(this);
+      return this;
+    }
+
+    remove() {
+      if (this.map) this.map.layers = this.map.layers.filter(layer => layer !== this);
+      this.map = null;
+    }
+  }
+
+  class FakeTileLayer extends FakeLayer {
+    constructor(url, options) {
+      super(options);
+      this.url = url;
+    }
+  }
+
+  class FakeMarker extends FakeLayer {
+    constructor(latLng, options) {
+      super(options);
+      this.latLng = latLng;
+      this.element = options.icon.createIcon();
+    }
+
+    addTo(map) {
+      map.container.append(this.element);
+      return super.addTo(map);
+    }
+
+    remove() {
+      this.element.remove();
+      super.remove();
+    }
+  }
+
+  class FakeMap {
+    constructor(container, { center, zoom }) {
+      this.container = container;
+      this.calls = [];
+      this.handlers = {};
+      this.layers = [];
+      this.view = { center, zoom };
+    }
+
+    on(type, handler) {
+      (this.handlers[type] = this.handlers[type] || []).push(handler);
+    }
+
+    fire(type, event = {}) {
+      for (const handler of this.handlers[type] || []) handler(event);
+    }
+
+    invalidateSize(options) {
+      this.calls.push(["invalidateSize", options]);
+    }
+
+    remove() {
+      this.calls.push(["remove"]);
+      this.container.replaceChildren();
+    }
+
+    setView(center, zoom) {
+      this.calls.push(["setView", center, zoom]);
+      this.view = { center, zoom };
+      this.fire("moveend");
+    }
+
+    fitBounds(bounds, options) {
+      this.calls.push(["fitBounds", bounds, options]);
+      this.fire("moveend");
+    }
+
+    getCenter() {
+      const [lat, lng] = this.view.center;
+      return { lat, lng };
+    }
+
+    getBounds() {
+      const [lat, lng] = this.view.center;
+      return {
+        getWest: () => lng - 0.1,
+        getSouth: () => lat - 0.1,
+        getEast: () => lng + 0.1,
+        getNorth: () => lat + 0.1
+      };
+    }
+  }
+
+  window.L = {
+    map: (container, options) => new FakeMap(container, options),
+    tileLayer: (url, options) => new FakeTileLayer(url, options),
+    marker: (latLng, options) => new FakeMarker(latLng, options),
+    polyline: (latLngs, options) => Object.assign(new FakeLayer(options), { latLngs }),
+    divIcon: options => ({ options, createIcon: () => window.document.createElement("div") }),
+    Util: {
+      template: (template, data) =>
+        template.replace(/\{ *([\w_-]+) *\}/g, (match, key) => data[key])
+    },
+    Browser: { retina: false }
+  };
+}
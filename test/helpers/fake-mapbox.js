@@ -0,0 +1,141 @@
+/* test/helpers/fake-mapbox.js
+ *
+ * a fake of the parts of Mapbox GL used by the Mapbox map adapter. The map keeps the calls made
+ * to it and shows markers in its container, and its clustered source returns the points within
+ * the bounds of the map without clustering them.
+ */
+
+/**
+ * Installs the fake Mapbox library as `mapboxgl` in a window.
+ *
+ * @param {Window} window - The jsdom window to install the library in.
+ */
+export function installFakeMapbox(window) {
+  class FakeMarker {
+    constructor({ element = window.document.createElement("div") } = {}) {
+      this.element = element;
+      this.lngLat = null;
+    }
+
+    setLngLat(lngLat) {
+      this.lngLat = lngLat;
+      return this;
+    }
+
+    addTo(map) {
+      map.container.append(this.element);
+      return this;
+    }
+
+    remove() {
+      this.element.remove();
+    }
+
+    getElement() {
+      return this.element;
+    }
+  }
+
+  class FakeSource {
+    constructor(map, { data }) {
+      this.map = map;
+      this.data = data;
+    }
+
+    setData(data) {
+      this.data = data;
+      this.map.fire("render");
+    }
+
+    getClusterExpansionZoom(clusterId, callback) {
+      callback(null, 15);
+    }
+  }
+
+  class FakeMap {
+    constructor({ container }) {
+      this.container = container;
+      this.calls = [];
+      this.handlers = {};
+      this.sources = {};
+      this.mapBounds = [[-74.1, 40.6], [-73.8, 40.8]];
+      // the style loads asynchronously like with Mapbox
+      setTimeout(() => this.fire("load"));
+    }
+
+    on(type, handler) {
+      (this.handlers[type] = this.handlers[type] || []).push(handler);
+    }
+
+    fire(type, event = {}) {
+      for (const handler of this.handlers[type] || []) handler(event);
+    }
+
+    resize() {
+      this.calls.push(["resize"]);
+    }
+
+    remove() {
+      this.calls.push(["remove"]);
+      this.container.replaceChildren();
+    }
+
+    easeTo(options) {
+      this.calls.push(["easeTo", options]);
+    }
+
+    fitBounds(bounds) {
+      this.calls.push(["fitBounds", bounds]);
+      this.mapBounds = bounds;
+      this.fire("render");
+    }
+
+    getCenter() {
+      const [[west, south], [east, north]] = this.mapBounds;
+      return { lat: (south + north) / 2, lng: (west + east) / 2 };
+    }
+
+    getBounds() {
+      const [[west, south], [east, north]] = this.mapBounds;
+      return {
+        getWest: () => west,
+        getSouth: () => south,
+        getEast: () => east,
+        getNorth: () => north
+      };
+    }
+
+    getStyle() {
+      return { layers: [], sources: {} };
+    }
+
+    isStyleLoaded() {
+      return true;
+    }
+
+    addLayer() {}
+
+    addSource(id, options) {
+      this.sources[id] = new FakeSource(this, options);
+      this.fire("render");
+    }
+
+    getSource(id) {
+      return this.sources[id];
+    }
+
+    isSourceLoaded(id) {
+      return Boolean(this.sources[id]);
+    }
+
+    querySourceFeatures(id) {
+      const [[west, south], [east, north]] = this.mapBounds;
+      return this.sources[id].data.features.filter(feature => {
+        const [lng, lat] = feature.geometry.coordinates;
+        return lng >= west && lng <= east && lat >= south && lat <= north;
+      });
+    }
+  }
+
+  window.mapboxgl = { Map: FakeMap, Marker: FakeMarker, supported: () => true };
+}
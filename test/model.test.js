@@ -0,0 +1,1061 @@
+/* test/model.test.js
+ *
+ * tests of the restaurants model, created with its dependencies rather than the ones of the app:
+ * filtering by the criteria of the user, the bounds and center of the filtered restaurants, and
+ * the states of loading the data. Also tests of the validation of restaurant records, of the
+ * REST data source, of the parsing of operating hours, of the free text search, of exporting and
+ * importing personal lists, and of the offline areas model, saving map resources in a fake of the
+ * Cache API.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { OFFLINE_AREAS_CACHE_NAME, OfflineAreasModel } from "../js/models/offline-areas-model.js";
+import { PersonalListsModel } from "../js/models/personal-lists-model.js";
+import { Restaurant } from "../js/models/restaurant.js";
+import { RestaurantsModel } from "../js/models/restaurants-model.js";
+import {
+  InMemoryDataSource,
+  RestDataSource,
+  SERVICE_WORKER_CACHED_AT_HEADER,
+  StaticJsonDataSource
+} from "../js/services/data-sources.js";
+import { LocalStorageReviewsBackend } from "../js/services/reviews-backends.js";
+import { OperatingHours } from "../js/utils/operating-hours.js";
+import { TextSearch } from "../js/utils/text-search.js";
+import { createRestaurantJson, createWindow } from "./helpers/app.js";
+import { createFakeCaches } from "./helpers/fake-caches.js";
+
+const RESTAURANTS = [
+  createRestaurantJson({
+    id: 1,
+    name: "Mission Chinese Food",
+    neighborhood: "Manhattan",
+    cuisine_type: "Asian",
+    latlng: { lat: 40.713829, lng: -73.989667 },
+    reviews: [
+      { name: "Steve", date: "October 26, 2016", rating: 4, comments: "Great noodles" },
+      { name: "Morgan", date: "October 26, 2016", rating: 5, comments: "Spicy and good" }
+    ]
+  }),
+  createRestaurantJson({
+    id: 2,
+    name: "Emily",
+    neighborhood: "Brooklyn",
+    cuisine_type: "Pizza",
+    latlng: { lat: 40.683555, lng: -73.966393 },
+    reviews: [{ name: "Jordan", date: "October 26, 2016", rating: 3, comments: "Good pizza" }]
+  }),
+  createRestaurantJson({
+    id: 3,
+    name: "Kang Ho Dong Baekjeong",
+    neighborhood: "Manhattan",
+    cuisine_type: "Asian",
+    latlng: { lat: 40.747143, lng: -73.985414 }
+  })
+];
+
+/**
+ * Creates a model with restaurants served from memory and storage keys of its own, and loads it.
+ *
+ * @param {object[]} restaurants - The restaurant json objects served to the model.
+ * @returns {Promise} Promise object resolves to the loaded model
+ * @async
+ */
+async function createModel(restaurants = RESTAURANTS) {
+  const model = new RestaurantsModel({
+    dataSource: new InMemoryDataSource(restaurants),
+    reviewsBackend: new LocalStorageReviewsBackend("test-reviews"),
+    personalLists: new PersonalListsModel("test-lists"),
+    offlineAreas: new OfflineAreasModel({ storageKey: "test-offline-areas" }),
+    cacheKey: "test-data",
+    defaultCenterCoordinates: { lat: 40.7, lng: -74 }
+  });
+  await model.load();
+  return model;
+}
+
+/**
+ * @param {RestaurantsModel} model - A loaded model.
+ * @returns {number[]} the ids of the filtered restaurants, in order
+ */
+function filteredIds(model) {
+  return model.filteredRestaurants.map(restaurant => restaurant.id);
+}
+
+describe("RestaurantsModel", () => {
+  // the model stores its data in the local storage of a window
+  before(() => createWindow());
+
+  describe("filtering", () => {
+    it("keeps all restaurants in the order of the data source without criteria", async () => {
+      const model = await createModel();
+
+      assert.deepEqual(filteredIds(model), [1, 2, 3]);
+      assert.deepEqual([...model.cuisines], ["Asian", "Pizza"]);
+      assert.deepEqual([...model.neighborhoods], ["Manhattan", "Brooklyn"]);
+    });
+
+    it("keeps restaurants matching any of the cuisines and neighborhoods", async () => {
+      const model = await createModel();
+
+      model.setFilterCriteria({ cuisines: ["Pizza"] });
+      assert.deepEqual(filteredIds(model), [2]);
+
+      model.setFilterCriteria({ cuisines: ["Pizza", "Asian"], neighborhoods: ["Manhattan"] });
+      assert.deepEqual(filteredIds(model), [1, 3]);
+
+      // criteria not provided keep their value, null stops applying them
+      model.setFilterCriteria({ neighborhoods: null });
+      assert.deepEqual(filteredIds(model), [1, 2, 3]);
+    });
+
+    it("keeps restaurants with reviews and a minimum average rating", async () => {
+      const model = await createModel();
+
+      model.setFilterCriteria({ hasReviews: true });
+      assert.deepEqual(filteredIds(model), [1, 2]);
+
+      model.setFilterCriteria({ hasReviews: null, minRating: 4 });
+      assert.deepEqual(filteredIds(model), [1]);
+    });
+
+    it("ranks restaurants by search relevance, keeping only matches", async () => {
+      const model = await createModel();
+
+      model.setFilterCriteria({ search: "pizza" });
+      assert.deepEqual(filteredIds(model), [2]);
+
+      // equally relevant restaurants keep their order
+      model.setFilterCriteria({ search: "asian" });
+      assert.deepEqual(filteredIds(model), [1, 3]);
+
+      // reviews are searched as well, and all terms must match
+      model.setFilterCriteria({ search: "good" });
+      assert.deepEqual(filteredIds(model), [1, 2]);
+      model.setFilterCriteria({ search: "emily good" });
+      assert.deepEqual(filteredIds(model), [2]);
+
+      model.setFilterCriteria({ search: "sushi" });
+      assert.deepEqual(filteredIds(model), []);
+    });
+
+    it("sorts restaurants by name, rating and distance", async () => {
+      const model = await createModel();
+
+      model.setFilterCriteria({ sort: "name" });
+      assert.deepEqual(filteredIds(model), [2, 3, 1]);
+
+      model.setFilterCriteria({ sort: "rating" });
+      assert.deepEqual(filteredIds(model), [1, 2, 3]);
+
+      model.setFilterCriteria({ sort: "distance", origin: { lat: 40.748, lng: -73.985 } });
+      assert.deepEqual(filteredIds(model), [3, 1, 2]);
+    });
+
+    it("sorts restaurants by number of reviews and by most recent review", async () => {
+      /**
+       * @param {string[]} dates - The dates of the reviews of a restaurant.
+       * @returns {object[]} reviews of the dates
+       */
+      const createReviews = dates =>
+        dates.map(date => ({ name: "Ann", date, rating: 4, comments: "Good" }));
+      const model = await createModel([
+        createRestaurantJson({
+          id: 1,
+          reviews: createReviews(["October 26, 2016", "January 5, 2017"])
+        }),
+        createRestaurantJson({ id: 2, reviews: [] }),
+        createRestaurantJson({ id: 3, reviews: createReviews(["March 1, 2019"]) }),
+        createRestaurantJson({ id: 4, reviews: createReviews(["some day"]) })
+      ]);
+
+      model.setFilterCriteria({ sort: "reviews" });
+      assert.deepEqual(filteredIds(model), [1, 3, 4, 2]);
+
+      // restaurants without reviews with a valid date are placed last, in their order
+      model.setFilterCriteria({ sort: "recent" });
+      assert.deepEqual(filteredIds(model), [3, 1, 2, 4]);
+    });
+
+    it("keeps restaurants within a radius of the origin, or within map bounds", async () => {
+      const model = await createModel();
+
+      model.setFilterCriteria({ origin: { lat: 40.748, lng: -73.985 }, radius: 1000 });
+      assert.deepEqual(filteredIds(model), [3]);
+
+      // the radius is not applied without an origin
+      model.setFilterCriteria({ origin: null });
+      assert.deepEqual(filteredIds(model), [1, 2, 3]);
+
+      model.setFilterCriteria({ radius: null, bounds: [[-74, 40.7], [-73.98, 40.72]] });
+      assert.deepEqual(filteredIds(model), [1]);
+    });
+
+    it("keeps restaurants open now or at a chosen time, including past midnight", async t => {
+      const model = await createModel([
+        createRestaurantJson({
+          id: 1,
+          operating_hours: { Friday: "5:30 pm - 2:00 am", Saturday: "Closed" }
+        }),
+        createRestaurantJson({ id: 2, operating_hours: { Saturday: "11:00 am - 11:00 pm" } }),
+        createRestaurantJson({ id: 3, operating_hours: { Saturday: "whenever we feel like it" } })
+      ]);
+      // a Saturday, half past midnight, in the local time of the user
+      t.mock.timers.enable({ apis: ["Date"], now: new Date(2024, 0, 6, 0, 30) });
+
+      model.setFilterCriteria({ open: "now" });
+      assert.deepEqual(filteredIds(model), [1]);
+
+      model.setFilterCriteria({ open: "Saturday 12:00" });
+      assert.deepEqual(filteredIds(model), [2]);
+
+      // restaurants with unknown operating hours are left out
+      model.setFilterCriteria({ open: "Sunday 12:00" });
+      assert.deepEqual(filteredIds(model), []);
+    });
+
+    it("counts the restaurants each filter option would keep", async () => {
+      const model = await createModel();
+      model.setFilterCriteria({ cuisines: ["Pizza"] });
+      const counts = model.filterOptionCounts;
+
+      // options are counted without the criteria of their own filter
+      assert.equal(counts.cuisines.get("Asian"), 2);
+      assert.equal(counts.neighborhoods.get("Brooklyn"), 1);
+      assert.equal(counts.neighborhoods.has("Manhattan"), false);
+      assert.equal(counts.minRatings.get(3), 1);
+      assert.equal(counts.hasReviews, 1);
+    });
+
+    it("counts a restaurant failing one criterion only for the options of its filter", async () => {
+      const model = await createModel();
+      const { personalLists } = model;
+      const list = personalLists.createList("Date night");
+      for (const id of [1, 2]) {
+        personalLists.toggleFavorite(id);
+        personalLists.toggleListEntry(list.id, id);
+      }
+      model.setFilterCriteria({
+        cuisines: ["Asian"],
+        search: "good",
+        origin: RESTAURANTS[0].latlng,
+        radius: 5000,
+        favorites: true,
+        list: list.id
+      });
+
+      // the pizza place only fails the cuisine criterion, the last restaurant fails several
+      assert.deepEqual(model.filterOptionCounts, {
+        cuisines: new Map([["Asian", 1], ["Pizza", 1]]),
+        neighborhoods: new Map([["Manhattan", 1]]),
+        minRatings: new Map([[4.5, 1], [4, 1], [3, 1], [2, 1]]),
+        hasReviews: 1,
+        radii: new Map([[500, 1], [1000, 1], [2000, 1], [5000, 1]]),
+        favorites: 1,
+        lists: new Map([[list.id, 1]])
+      });
+      localStorage.removeItem("test-lists");
+    });
+  });
+
+  describe("bounds and center of the filtered restaurants", () => {
+    it("spans the coordinates of the filtered restaurants", async () => {
+      const model = await createModel();
+
+      assert.deepEqual(model.boundsOfFiltered, [
+        [-73.989667, 40.683555],
+        [-73.966393, 40.747143]
+      ]);
+
+      model.setFilterCriteria({ cuisines: ["Pizza"] });
+      assert.deepEqual(model.boundsOfFiltered, [
+        [-73.966393, 40.683555],
+        [-73.966393, 40.683555]
+      ]);
+    });
+
+    it("centers on the average coordinates of the filtered restaurants", async () => {
+      const model = await createModel();
+      model.setFilterCriteria({ neighborhoods: ["Manhattan"] });
+      const center = model.centerCoordinatesOfFiltered;
+
+      assert.ok(Math.abs(center.lat - (40.713829 + 40.747143) / 2) < 1e-9);
+      assert.ok(Math.abs(center.lng - (-73.989667 + -73.985414) / 2) < 1e-9);
+    });
+
+    it("falls back to the default center without matches", async () => {
+      const model = await createModel();
+      model.setFilterCriteria({ search: "sushi" });
+
+      assert.deepEqual(model.centerCoordinatesOfFiltered, { lat: 40.7, lng: -74 });
+      assert.deepEqual(model.boundsOfFiltered, [[-74, 40.7], [-74, 40.7]]);
+    });
+
+    it("tells whether coordinates are within bounds", () => {
+      const isWithinBounds = RestaurantsModel.isWithinBounds;
+      const bounds = [[-74, 40.7], [-73.9, 40.8]];
+
+      assert.equal(isWithinBounds({ lat: 40.75, lng: -73.95 }, bounds), true);
+      assert.equal(isWithinBounds({ lat: "40.75", lng: "-73.95" }, bounds), true);
+      assert.equal(isWithinBounds({ lat: 40.85, lng: -73.95 }, bounds), false);
+      assert.equal(isWithinBounds({ lat: 40.75, lng: -74.05 }, bounds), false);
+    });
+  });
+
+  describe("loading", () => {
+    it("marks data served from the cache of the service worker as cached", async t => {
+      const cachedAt = new Date("2024-05-01T12:00:00Z");
+      const headersByUrl = {
+        "/cached.json": { [SERVICE_WORKER_CACHED_AT_HEADER]: String(cachedAt.getTime()) },
+        "/fresh.json": {}
+      };
+      t.mock.method(globalThis, "fetch", async url =>
+        Response.json(RESTAURANTS, { headers: headersByUrl[url] })
+      );
+      const createStaticModel = url =>
+        new RestaurantsModel({
+          dataSource: new StaticJsonDataSource(url),
+          reviewsBackend: new LocalStorageReviewsBackend("test-reviews"),
+          cacheKey: "test-data-static"
+        });
+
+      const cachedModel = createStaticModel("/cached.json");
+      await cachedModel.load();
+      assert.equal(cachedModel.dataStatus.state, "loaded");
+      assert.deepEqual(cachedModel.dataStatus.cachedAt, cachedAt);
+      assert.equal(cachedModel.restaurants.length, 3);
+
+      const freshModel = createStaticModel("/fresh.json");
+      await freshModel.load();
+      assert.equal(freshModel.dataStatus.cachedAt, null);
+    });
+  });
+
+  describe("loading states", () => {
+    /**
+     * Creates a model loading restaurants from a data source, with storage keys of its own.
+     *
+     * @param {RestaurantsDataSource} dataSource - The data source of the model.
+     * @param {ReviewsBackend} reviewsBackend - The reviews backend of the model.
+     * @param {string} cacheKey - The local storage key the model caches its data under.
+     * @returns {RestaurantsModel} the model, not loaded yet
+     */
+    const createLoadingModel = (
+      dataSource,
+      reviewsBackend = new LocalStorageReviewsBackend("test-reviews"),
+      cacheKey = `test-data-${Math.random()}`
+    ) => new RestaurantsModel({ dataSource, reviewsBackend, cacheKey });
+
+    // a data source failing like a static file while offline
+    const failingDataSource = {
+      fetchRestaurants: () => Promise.reject(new TypeError("Failed to fetch"))
+    };
+
+    it("is loading until the data has been loaded", async () => {
+      const model = createLoadingModel(new InMemoryDataSource(RESTAURANTS));
+
+      const loadPromise = model.load();
+      assert.equal(model.dataStatus.state, "loading");
+      await loadPromise;
+      assert.deepEqual(model.dataStatus, {
+        state: "loaded",
+        error: null,
+        cachedAt: null,
+        skippedRecords: []
+      });
+    });
+
+    it("skips invalid records and records repeating an id, reporting them", async t => {
+      const log = t.mock.method(console, "log");
+      const model = createLoadingModel(new InMemoryDataSource([
+        RESTAURANTS[0],
+        createRestaurantJson({ id: 2, name: "" }),
+        "Emily",
+        createRestaurantJson({ id: 1, name: "Repeated" })
+      ]));
+      await model.load();
+
+      assert.deepEqual(model.restaurants.map(restaurant => restaurant.name), [
+        "Mission Chinese Food"
+      ]);
+      assert.deepEqual(model.dataStatus.skippedRecords, [
+        { index: 1, id: 2, problems: ["its name is missing"] },
+        { index: 2, id: null, problems: ["it is not an object"] },
+        { index: 3, id: 1, problems: ["its id is used by an earlier restaurant"] }
+      ]);
+      // the skipped records are reported to the user by the list panel, not to the console
+      assert.equal(log.mock.callCount(), 0);
+    });
+
+    it("shows the data cached by the last load if the data source fails", async () => {
+      const cacheKey = "test-data-cached";
+      const reviewsBackend = new LocalStorageReviewsBackend("test-reviews");
+      const loadedAt = Date.now();
+      const loadedModel = createLoadingModel(
+        new InMemoryDataSource(RESTAURANTS),
+        reviewsBackend,
+        cacheKey
+      );
+      await loadedModel.load();
+
+      const model = createLoadingModel(failingDataSource, reviewsBackend, cacheKey);
+      await model.load();
+      assert.equal(model.dataStatus.state, "loaded");
+      assert.equal(model.dataStatus.error.message, "Failed to fetch");
+      assert.ok(model.dataStatus.cachedAt.getTime() >= loadedAt);
+      assert.deepEqual(model.restaurants.map(restaurant => restaurant.id), [1, 2, 3]);
+    });
+
+    it("fails without cached data, and loads again on the next call", async () => {
+      const model = createLoadingModel(failingDataSource);
+
+      await assert.rejects(model.load(), /Failed to fetch/);
+      assert.equal(model.dataStatus.state, "failed");
+      assert.equal(model.dataStatus.error.message, "Failed to fetch");
+
+      model.dataSource = new InMemoryDataSource(RESTAURANTS);
+      await model.load();
+      assert.equal(model.dataStatus.state, "loaded");
+      assert.equal(model.restaurants.length, 3);
+    });
+
+    it("loads the restaurants without the submitted reviews that cannot be read", async t => {
+      const log = t.mock.method(console, "log", () => {});
+      localStorage.setItem("test-reviews-corrupt", "{corrupt");
+      const reviewsBackend = new LocalStorageReviewsBackend("test-reviews-corrupt");
+      const model = createLoadingModel(new InMemoryDataSource(RESTAURANTS), reviewsBackend);
+      await model.load();
+      assert.equal(model.dataStatus.state, "loaded");
+      assert.deepEqual(model.restaurants.map(restaurant => restaurant.id), [1, 2, 3]);
+      assert.deepEqual(await reviewsBackend.getReviews(1), []);
+      localStorage.removeItem("test-reviews-corrupt");
+
+      t.mock.method(reviewsBackend, "getReviews", async () => {
+        throw new Error("the reviews server failed");
+      });
+      model.dataSource = new InMemoryDataSource(RESTAURANTS.slice(1));
+      await model.refresh();
+      assert.equal(model.dataStatus.state, "loaded");
+      assert.deepEqual(model.restaurants.map(restaurant => restaurant.id), [2, 3]);
+      assert.ok(log.mock.callCount() > 0);
+    });
+  });
+
+  describe("change events", () => {
+    /**
+     * @param {RestaurantsModel} model - A model.
+     * @returns {string[]} the types of the events the model emits, in order
+     */
+    const recordEvents = model => {
+      const events = [];
+      for (const type of RestaurantsModel.eventTypes) {
+        model.on(type, event => events.push(event.type));
+      }
+      return events;
+    };
+
+    it("emits an event once the restaurants have been loaded", async () => {
+      const model = new RestaurantsModel({
+        dataSource: new InMemoryDataSource(RESTAURANTS),
+        reviewsBackend: new LocalStorageReviewsBackend("test-reviews"),
+        cacheKey: "test-data"
+      });
+      const events = recordEvents(model);
+
+      await model.load();
+      assert.deepEqual(events, ["data-status-changed", "restaurants-loaded"]);
+    });
+
+    it("emits events when filter criteria are set and restaurants are selected", async () => {
+      const model = await createModel();
+      const events = recordEvents(model);
+
+      model.setFilterCriteria({ cuisines: ["Pizza"] });
+      model.selectRestaurant(model.restaurants[1]);
+      assert.deepEqual(events, ["filter-changed", "selection-changed"]);
+      assert.equal(model.selectedRestaurant.id, 2);
+
+      model.activateRestaurant(model.restaurants[0], { isFromMap: true });
+      assert.equal(model.isActiveFromMap, true);
+      model.selectRestaurant(null, { isNotFound: true });
+      assert.equal(model.selectedRestaurant, null);
+      assert.equal(model.activeRestaurant, null);
+      assert.equal(model.isNotFound, true);
+    });
+
+    it("removes listeners once their signal is aborted", async () => {
+      const model = await createModel();
+      const abortController = new AbortController();
+      let count = 0;
+      model.on("filter-changed", () => count++, { signal: abortController.signal });
+
+      model.setFilterCriteria({ sort: "name" });
+      abortController.abort();
+      model.setFilterCriteria({ sort: null });
+      assert.equal(count, 1);
+    });
+
+    it("keeps the other listeners when removing a listener, and skips aborted ones", async () => {
+      const model = await createModel();
+      const abortController = new AbortController();
+      const calls = [];
+      model.on("filter-changed", () => calls.push("first"));
+      model.on("filter-changed", () => calls.push("aborted"), { signal: abortController.signal });
+      model.on("filter-changed", () => calls.push("last"));
+
+      abortController.abort();
+      model.on("filter-changed", () => calls.push("late"), { signal: abortController.signal });
+      model.setFilterCriteria({ sort: "name" });
+      assert.deepEqual(calls, ["first", "last"]);
+    });
+
+    it("rejects unknown event types", async () => {
+      const model = await createModel();
+
+      assert.throws(() => model.on("changed", () => {}), /unknown model event: changed/);
+    });
+  });
+});
+
+describe("RestDataSource", () => {
+  const API_URL = "http://localhost:1337";
+  const REVIEW = { name: "Ann", date: "October 26, 2016", rating: 4, comments: "Good" };
+
+  /**
+   * Replaces fetch by a fake server.
+   *
+   * @param {TestContext} t - The context of the test, which restores fetch when it ends.
+   * @param {Object.<string, *>} bodiesByPath - The JSON bodies served by path, other paths are
+   * not found.
+   * @returns {string[]} the fetched urls
+   */
+  function createServer(t, bodiesByPath) {
+    const fetchedUrls = [];
+    t.mock.method(globalThis, "fetch", async url => {
+      fetchedUrls.push(url);
+      const path = url.slice(API_URL.length);
+      if (!(path in bodiesByPath)) return new Response("", { status: 404 });
+      return new Response(JSON.stringify(bodiesByPath[path]));
+    });
+    return fetchedUrls;
+  }
+
+  it("fetches the restaurants, and the reviews of those listed without them", async t => {
+    const fetchedUrls = createServer(t, {
+      "/restaurants": { restaurants: [{ id: 1 }, { id: 2 }, { id: 3, reviews: [] }, null] },
+      "/restaurants/1/reviews": [REVIEW],
+      "/restaurants/2/reviews": { reviews: [] }
+    });
+    const dataSource = new RestDataSource(`${API_URL}/`);
+
+    // invalid records are kept, for the model to skip and report them
+    assert.deepEqual(await dataSource.fetchRestaurants(), [
+      { id: 1, reviews: [REVIEW] },
+      { id: 2, reviews: [] },
+      { id: 3, reviews: [] },
+      null
+    ]);
+    assert.deepEqual(fetchedUrls, [
+      `${API_URL}/restaurants`,
+      `${API_URL}/restaurants/1/reviews`,
+      `${API_URL}/restaurants/2/reviews`
+    ]);
+  });
+
+  it("rejects data that contain no list of reviews, or that the server fails to serve", async t => {
+    createServer(t, {
+      "/restaurants": [{ id: 1 }],
+      "/restaurants/1/reviews": null,
+      "/restaurants/2/reviews": "Good",
+      "/restaurants/3/reviews": { reviews: { rating: 4 } }
+    });
+    const dataSource = new RestDataSource(API_URL);
+
+    for (const id of [1, 2, 3]) {
+      await assert.rejects(dataSource.fetchReviews(id), {
+        message: `the data does not contain the reviews of restaurant ${id}`
+      });
+    }
+    await assert.rejects(dataSource.fetchRestaurants(), /the reviews of restaurant 1/);
+    await assert.rejects(dataSource.fetchReviews(4), {
+      message: `fetching ${API_URL}/restaurants/4/reviews failed (404)`
+    });
+  });
+});
+
+describe("PersonalListsModel", () => {
+  // the lists are stored in the local storage of a window
+  before(() => createWindow());
+
+  /**
+   * @param {string} storageKey - The local storage key of the lists.
+   * @returns {PersonalListsModel} a model of the lists, without favorites or lists yet
+   */
+  function createListsModel(storageKey) {
+    localStorage.removeItem(storageKey);
+    const personalLists = new PersonalListsModel(storageKey);
+    personalLists.load();
+    return personalLists;
+  }
+
+  it("exports favorites and lists, and imports them, merging lists named alike", () => {
+    const sharedLists = createListsModel("test-lists-shared");
+    sharedLists.toggleFavorite(1);
+    const dinner = sharedLists.createList("Dinner");
+    sharedLists.toggleListEntry(dinner.id, 2);
+    sharedLists.toggleListEntry(dinner.id, 3);
+    sharedLists.createList("Team lunch");
+    const exportedData = JSON.parse(JSON.stringify(sharedLists.export()));
+
+    const personalLists = createListsModel("test-lists-imported");
+    personalLists.toggleFavorite(2);
+    const myDinner = personalLists.createList("dinner");
+    personalLists.toggleListEntry(myDinner.id, 3);
+    personalLists.toggleListEntry(myDinner.id, 4);
+
+    assert.deepEqual(personalLists.import(exportedData), { favorites: 1, lists: 2 });
+    assert.deepEqual([...personalLists.favoriteIds], [2, 1]);
+    assert.deepEqual(personalLists.lists, [
+      { id: "1", name: "dinner", restaurantIds: [3, 4, 2] },
+      { id: "2", name: "Team lunch", restaurantIds: [] }
+    ]);
+
+    // the imported lists are kept in local storage
+    const loadedLists = new PersonalListsModel("test-lists-imported");
+    loadedLists.load();
+    assert.deepEqual(loadedLists.lists, personalLists.lists);
+    assert.deepEqual(loadedLists.favoriteIds, personalLists.favoriteIds);
+  });
+
+  it("rejects data that are not exported lists, keeping the lists as they are", () => {
+    const personalLists = createListsModel("test-lists-rejected");
+    personalLists.toggleFavorite(1);
+    const revision = personalLists.revision;
+
+    for (const data of [
+      null,
+      "Dinner",
+      [],
+      { favorites: [2], lists: [] },
+      { type: "restaurant-reviews-settings", lists: [] },
+      { type: PersonalListsModel.exportType, lists: { name: "Dinner" } }
+    ]) {
+      assert.throws(() => personalLists.import(data), /the file does not contain restaurant lists/);
+    }
+    assert.deepEqual([...personalLists.favoriteIds], [1]);
+    assert.deepEqual(personalLists.lists, []);
+    assert.equal(personalLists.revision, revision);
+  });
+
+  it("skips malformed lists and restaurant ids of the imported data", () => {
+    const personalLists = createListsModel("test-lists-malformed");
+
+    const counts = personalLists.import({
+      type: PersonalListsModel.exportType,
+      favorites: "1,2",
+      lists: [
+        null,
+        { name: 3, restaurantIds: [1] },
+        { name: "  ", restaurantIds: [1] },
+        { name: " Dinner ", restaurantIds: [1, "2", -3, 1.5, 4, 4, null] },
+        { name: "Brunch", restaurantIds: "5" }
+      ]
+    });
+
+    assert.deepEqual(counts, { favorites: 0, lists: 2 });
+    assert.deepEqual(personalLists.lists, [
+      { id: "1", name: "Dinner", restaurantIds: [1, 4] },
+      { id: "2", name: "Brunch", restaurantIds: [] }
+    ]);
+  });
+
+  it("never reuses the ids of deleted lists, also after loading them again", () => {
+    const personalLists = createListsModel("test-lists-ids");
+    personalLists.createList("Dinner");
+    const brunch = personalLists.createList("Brunch");
+    personalLists.deleteList(brunch.id);
+
+    const loadedLists = new PersonalListsModel("test-lists-ids");
+    loadedLists.load();
+    assert.equal(loadedLists.createList("Lunch").id, "3");
+    assert.equal(personalLists.createList("Team lunch").id, "3");
+  });
+
+  it("keeps the changes for the session if they cannot be stored", t => {
+    const personalLists = createListsModel("test-lists-full");
+    const log = t.mock.method(console, "log", () => {});
+    t.mock.method(Object.getPrototypeOf(localStorage), "setItem", () => {
+      throw new Error("the quota has been exceeded");
+    });
+
+    personalLists.toggleFavorite(1);
+    const dinner = personalLists.createList("Dinner");
+    assert.deepEqual([...personalLists.favoriteIds], [1]);
+    assert.deepEqual(personalLists.lists, [{ id: "1", name: "Dinner", restaurantIds: [] }]);
+    assert.equal(dinner.id, "1");
+    assert.equal(log.mock.callCount(), 2);
+  });
+});
+
+describe("OfflineAreasModel", () => {
+  before(() => {
+    createWindow();
+    globalThis.caches = createFakeCaches();
+  });
+  after(() => delete globalThis.caches);
+
+  /**
+   * @returns {string[]} the urls of the resources of saved areas, in the order they were saved
+   */
+  const cachedUrls = () => {
+    const cache = globalThis.caches.cachesByName.get(OFFLINE_AREAS_CACHE_NAME);
+    return cache ? [...cache.entries.keys()] : [];
+  };
+
+  /**
+   * Serves tiles from a fake network, where the urls containing "missing" are not found.
+   *
+   * @param {TestContext} t - The context of the test.
+   * @returns {string[]} the fetched urls, in order
+   */
+  const mockNetwork = t => {
+    const fetchedUrls = [];
+    t.mock.method(globalThis, "fetch", async url => {
+      fetchedUrls.push(url);
+      return url.includes("missing")
+        ? new Response("", { status: 404 })
+        : new Response(`tile of ${url}`);
+    });
+    return fetchedUrls;
+  };
+
+  /**
+   * @param {string[]} urls - The urls of the resources of the area.
+   * @returns {object} an area to save with the resources
+   */
+  const createArea = urls => ({
+    name: "3 restaurants",
+    bounds: [[-74, 40.7], [-73.9, 40.8]],
+    minZoom: 12,
+    maxZoom: 14,
+    urls
+  });
+
+  it("saves the resources of an area, leaving out the ones that cannot be fetched", async t => {
+    globalThis.caches.cachesByName.clear();
+    mockNetwork(t);
+    const model = new OfflineAreasModel({ storageKey: "test-offline-areas-save" });
+    const progress = [];
+
+    const area = await model.saveArea(
+      createArea([
+        "https://tiles.example.com/1.png?token=secret",
+        "https://tiles.example.com/2.png",
+        "https://tiles.example.com/2.png",
+        "https://tiles.example.com/missing.png"
+      ]),
+      ({ done, total }) => progress.push(`${done}/${total}`)
+    );
+    assert.equal(area.id, "1");
+    assert.deepEqual(area.urls.sort(), [
+      "https://tiles.example.com/1.png",
+      "https://tiles.example.com/2.png"
+    ]);
+    assert.equal(area.failedCount, 1);
+    assert.ok(area.size > 0);
+    assert.deepEqual(progress, ["1/3", "2/3", "3/3"]);
+    assert.deepEqual(cachedUrls().sort(), [
+      "https://tiles.example.com/1.png?token=secret",
+      "https://tiles.example.com/2.png"
+    ]);
+
+    // the saved areas are listed in local storage
+    const loadedModel = new OfflineAreasModel({ storageKey: "test-offline-areas-save" });
+    loadedModel.load();
+    assert.deepEqual(loadedModel.areas, [area]);
+    assert.equal(loadedModel.size, area.size);
+  });
+
+  it("rejects areas with too many resources, or none that could be saved", async t => {
+    const fetchedUrls = mockNetwork(t);
+    const model = new OfflineAreasModel({
+      storageKey: "test-offline-areas-rejected",
+      maxResourceCount: 2
+    });
+
+    await assert.rejects(
+      model.saveArea(createArea(["a", "b", "c"].map(name => `https://tiles.example.com/${name}`))),
+      /the area is too large/
+    );
+    assert.deepEqual(fetchedUrls, []);
+
+    await assert.rejects(
+      model.saveArea(createArea(["https://tiles.example.com/missing.png"])),
+      /the map could not be downloaded/
+    );
+    assert.deepEqual(model.areas, []);
+  });
+
+  it("deletes the resources of an area only used by the area", async t => {
+    globalThis.caches.cachesByName.clear();
+    mockNetwork(t);
+    const model = new OfflineAreasModel({ storageKey: "test-offline-areas-delete" });
+    const firstArea = await model.saveArea(
+      createArea(["https://tiles.example.com/1.png", "https://tiles.example.com/2.png"])
+    );
+    const secondArea = await model.saveArea(
+      createArea([
+        "https://tiles.example.com/2.png?token=secret",
+        "https://tiles.example.com/3.png"
+      ])
+    );
+    assert.equal(secondArea.id, "2");
+
+    await model.deleteArea(secondArea.id);
+    assert.deepEqual(model.areas, [firstArea]);
+    assert.deepEqual(cachedUrls().sort(), [
+      "https://tiles.example.com/1.png",
+      "https://tiles.example.com/2.png",
+      "https://tiles.example.com/2.png?token=secret"
+    ]);
+
+    await model.deleteArea(firstArea.id);
+    assert.deepEqual(model.areas, []);
+    assert.deepEqual(cachedUrls(), []);
+
+    const loadedModel = new OfflineAreasModel({ storageKey: "test-offline-areas-delete" });
+    loadedModel.load();
+    assert.deepEqual(loadedModel.areas, []);
+  });
+});
+
+describe("OperatingHours", () => {
+  const hoursToMinutes = (hours, minutes = 0) => hours * 60 + minutes;
+
+  it("parses times of day, with midnight as 12 am and noon as 12 pm", () => {
+    assert.equal(OperatingHours.parseTime("12:00 am"), 0);
+    assert.equal(OperatingHours.parseTime("12 pm"), hoursToMinutes(12));
+    assert.equal(OperatingHours.parseTime(" 5:30 PM "), hoursToMinutes(17, 30));
+    assert.equal(OperatingHours.parseTime("9 a.m."), hoursToMinutes(9));
+  });
+
+  it("rejects malformed times of day", () => {
+    for (const text of ["", "17:30", "13:00 pm", "0 am", "5:60 pm", "5:3 pm", "noon", null]) {
+      assert.equal(OperatingHours.parseTime(text), null, text);
+    }
+  });
+
+  it("parses the opening intervals of a day, sorted by start", () => {
+    assert.deepEqual(OperatingHours.parseDay("5:30 pm - 11:00 pm, 12:00 pm - 4:00 pm"), [
+      { start: hoursToMinutes(12), end: hoursToMinutes(16) },
+      { start: hoursToMinutes(17, 30), end: hoursToMinutes(23) }
+    ]);
+    // en dashes separate ranges as well
+    assert.deepEqual(OperatingHours.parseDay("11:00 am \u2013 3:00 pm"), [
+      { start: hoursToMinutes(11), end: hoursToMinutes(15) }
+    ]);
+  });
+
+  it("continues ranges ending at or before their start past midnight", () => {
+    assert.deepEqual(OperatingHours.parseDay("5:30 pm - 2:00 am"), [
+      { start: hoursToMinutes(17, 30), end: hoursToMinutes(26) }
+    ]);
+    assert.deepEqual(OperatingHours.parseDay("12:00 pm - 12:00 am"), [
+      { start: hoursToMinutes(12), end: hoursToMinutes(24) }
+    ]);
+  });
+
+  it("parses closed days, days open all day, and days as the ends of ranges", () => {
+    assert.deepEqual(OperatingHours.parseDay("Closed"), []);
+    assert.deepEqual(OperatingHours.parseDay(" closed "), []);
+    assert.deepEqual(OperatingHours.parseDay("Open 24 hours"), [{ start: 0, end: 1440 }]);
+    assert.deepEqual(OperatingHours.parseDay("8:00 am - Sat"), [
+      { start: hoursToMinutes(8), end: 1440 }
+    ]);
+  });
+
+  it("rejects malformed operating hours of a day", () => {
+    for (const text of [
+      "",
+      "Sometimes",
+      "5:30 pm",
+      "5:30 pm - 11:00 pm - 1:00 am",
+      "5:30 pm - 11:00 pm,",
+      "5:30 - 11:00",
+      "Closed on holidays",
+      undefined,
+      42
+    ]) {
+      assert.equal(OperatingHours.parseDay(text), null, String(text));
+    }
+  });
+
+  it("parses the operating hours of a week, leaving unknown days null", () => {
+    const openingIntervals = OperatingHours.parse({ Monday: "Closed", Tuesday: "late" });
+
+    assert.deepEqual(Object.keys(openingIntervals), OperatingHours.days);
+    assert.deepEqual(openingIntervals.Monday, []);
+    assert.equal(openingIntervals.Tuesday, null);
+    assert.equal(openingIntervals.Sunday, null);
+    assert.ok(Object.values(OperatingHours.parse(undefined)).every(value => value === null));
+  });
+
+  it("tells whether a restaurant is open, including past midnight", () => {
+    const openingIntervals = OperatingHours.parse({
+      Friday: "5:30 pm - 2:00 am",
+      Saturday: "Closed",
+      Sunday: "6:00 pm - 1:00 am"
+    });
+    const weekMinute = text => OperatingHours.parseWeekMinute(text);
+
+    assert.equal(OperatingHours.isOpen(openingIntervals, weekMinute("Friday 17:30")), true);
+    assert.equal(OperatingHours.isOpen(openingIntervals, weekMinute("Friday 17:29")), false);
+    // Friday hours continue into Saturday, which is closed otherwise
+    assert.equal(OperatingHours.isOpen(openingIntervals, weekMinute("Saturday 1:59")), true);
+    assert.equal(OperatingHours.isOpen(openingIntervals, weekMinute("Saturday 2:00")), false);
+    assert.equal(OperatingHours.isOpen(openingIntervals, weekMinute("Saturday 19:00")), false);
+    // Sunday hours continue into the Monday of the next week
+    assert.equal(OperatingHours.isOpen(openingIntervals, weekMinute("Monday 0:30")), true);
+    assert.equal(OperatingHours.isOpen(openingIntervals, weekMinute("Monday 1:00")), false);
+  });
+
+  it("does not know whether a restaurant without parsable hours is open", () => {
+    const openingIntervals = OperatingHours.parse({ Monday: "ask the waiter" });
+
+    assert.equal(OperatingHours.isOpen(openingIntervals, 0), null);
+    assert.equal(OperatingHours.isOpen(OperatingHours.parse(null), 0), null);
+  });
+
+  it("is parsed once per restaurant, however often the restaurants are filtered by it", t => {
+    const parse = t.mock.method(OperatingHours, "parse");
+    const restaurants = [1, 2].map(id => new Restaurant(createRestaurantJson({ id })));
+    assert.equal(parse.mock.callCount(), 2);
+
+    for (const open of ["Monday 12:00", "Sunday 23:00", "now"]) {
+      RestaurantsModel.filterRestaurants(restaurants, { open });
+    }
+    assert.equal(parse.mock.callCount(), 2);
+  });
+
+  it("converts dates and day times to minutes since the start of the week", () => {
+    // Monday, January 1st, 2024 and Sunday, January 7th, 2024 in local time
+    assert.equal(OperatingHours.toWeekMinute(new Date(2024, 0, 1, 0, 0)), 0);
+    assert.equal(
+      OperatingHours.toWeekMinute(new Date(2024, 0, 7, 23, 59)),
+      6 * 1440 + hoursToMinutes(23, 59)
+    );
+    assert.equal(OperatingHours.parseWeekMinute("Tuesday 9:05"), 1440 + hoursToMinutes(9, 5));
+    for (const text of ["tuesday 9:05", "Caturday 10:00", "Monday 24:00", "Monday 9:60", "now"]) {
+      assert.equal(OperatingHours.parseWeekMinute(text), null, text);
+    }
+  });
+});
+
+describe("TextSearch", () => {
+  it("normalizes texts and queries, ignoring case and diacritics", () => {
+    assert.equal(TextSearch.normalize("Crème Brûlée CAFÉ"), "creme brulee cafe");
+    assert.equal(TextSearch.normalize("Cafe\u0301"), "cafe");
+    assert.deepEqual(TextSearch.tokenize("  Café\tNOODLES  "), ["cafe", "noodles"]);
+    assert.deepEqual(TextSearch.tokenize("   "), []);
+    assert.deepEqual(TextSearch.tokenize(null), []);
+  });
+
+  it("finds the ranges of the matches in the original text, with its diacritics", () => {
+    assert.deepEqual(TextSearch.findMatchRanges("Crème brûlée café", ["creme", "cafe"]), [
+      [0, 5],
+      [13, 17]
+    ]);
+    assert.deepEqual(TextSearch.findMatchRanges("pizza and PIZZA", ["pizza"]), [
+      [0, 5],
+      [10, 15]
+    ]);
+    // combining diacritics belong to the character they follow
+    assert.deepEqual(TextSearch.findMatchRanges("Cafe\u0301 au lait", ["cafe"]), [[0, 5]]);
+  });
+
+  it("merges overlapping matches, and finds nothing without terms", () => {
+    assert.deepEqual(TextSearch.findMatchRanges("noodles", ["noodle", "dles"]), [[0, 7]]);
+    assert.deepEqual(TextSearch.findMatchRanges("noodles", ["noodle", "noodles"]), [[0, 7]]);
+    assert.deepEqual(TextSearch.findMatchRanges("noodles", ["pizza"]), []);
+    assert.deepEqual(TextSearch.findMatchRanges("noodles", []), []);
+    assert.deepEqual(TextSearch.findMatchRanges("", ["noodles"]), []);
+  });
+});
+
+describe("Restaurant", () => {
+  describe("validate", () => {
+    it("accepts valid restaurants, with coordinates given as numeric strings", () => {
+      assert.deepEqual(Restaurant.validate(RESTAURANTS[0]), []);
+      assert.deepEqual(
+        Restaurant.validate(createRestaurantJson({ latlng: { lat: "40.7", lng: "-73.9" } })),
+        []
+      );
+      // the optional fields may be left out
+      const { photograph, operating_hours, reviews, ...requiredFields } = createRestaurantJson();
+      assert.deepEqual(Restaurant.validate(requiredFields), []);
+    });
+
+    it("rejects values that are not objects", () => {
+      for (const json of [null, undefined, "Emily", 42, []]) {
+        assert.deepEqual(Restaurant.validate(json), ["it is not an object"]);
+      }
+    });
+
+    it("lists all problems of a restaurant", () => {
+      const problems = Restaurant.validate({
+        id: "1",
+        name: " ",
+        latlng: { lat: 91, lng: 0 },
+        photograph: 1,
+        operating_hours: { Monday: 9 },
+        reviews: [{ rating: 6 }]
+      });
+
+      assert.deepEqual(problems, [
+        "its id is not a positive integer",
+        "its name is missing",
+        "its neighborhood is missing",
+        "its cuisine_type is missing",
+        "its address is missing",
+        "its latlng is invalid",
+        "its photograph is not a file name",
+        "its operating_hours are not texts per day",
+        "its reviews are not a list of reviews rated 1 to 5"
+      ]);
+    });
+
+    it("rejects ids that are not positive integers, and missing coordinates", () => {
+      for (const id of [0, -1, 1.5, null]) {
+        assert.deepEqual(Restaurant.validate(createRestaurantJson({ id })), [
+          "its id is not a positive integer"
+        ]);
+      }
+      assert.deepEqual(Restaurant.validate(createRestaurantJson({ latlng: undefined })), [
+        "its latlng is invalid"
+      ]);
+    });
+  });
+
+  describe("ratings", () => {
+    it("averages the ratings of the reviews, and counts the reviews per rating", () => {
+      const restaurant = new Restaurant(
+        createRestaurantJson({
+          reviews: [5, 4, 4, "3"].map(rating => ({ name: "Ann", rating, comments: "Good" }))
+        })
+      );
+
+      assert.equal(restaurant.reviewCount, 4);
+      assert.equal(restaurant.averageRating, 4);
+      assert.deepEqual(restaurant.ratingDistribution, { 1: 0, 2: 0, 3: 1, 4: 2, 5: 1 });
+    });
+
+    it("has no average rating without reviews", () => {
+      const restaurant = new Restaurant(createRestaurantJson({ reviews: undefined }));
+
+      assert.equal(restaurant.reviewCount, 0);
+      assert.equal(restaurant.averageRating, null);
+      assert.deepEqual(restaurant.ratingDistribution, { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 });
+    });
+  });
+});
@@ -0,0 +1,237 @@
+/* test/review-outbox.test.js
+ *
+ * tests of the outbox of reviews submitted while offline, kept in a fake of IndexedDB: queueing
+ * reviews the server could not be reached for, replaying them once online, and retrying or
+ * discarding the reviews the server rejected.
+ */
+
+import { describe, it, before, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { IDBFactory } from "fake-indexeddb";
+import { OfflineAreasModel } from "../js/models/offline-areas-model.js";
+import { PersonalListsModel } from "../js/models/personal-lists-model.js";
+import { RestaurantsModel } from "../js/models/restaurants-model.js";
+import { InMemoryDataSource } from "../js/services/data-sources.js";
+import { ReviewOutbox, REVIEW_OUTBOX_SYNC_TAG } from "../js/services/review-outbox.js";
+import { HttpReviewsBackend } from "../js/services/reviews-backends.js";
+import { createRestaurantJson, createWindow, ROOT_PATH } from "./helpers/app.js";
+
+const API_URL = "http://localhost:1337";
+const REVIEWS_URL = `${API_URL}/restaurants/1/reviews`;
+
+/**
+ * Replaces fetch by a fake server accepting the reviews posted to it.
+ *
+ * @param {TestContext} t - The context of the test, which restores fetch when it ends.
+ * @returns {object} the server, which is offline until its `isOnline` is set to true, rejects
+ * reviews with its `status` if set to an error status, and keeps the reviews it accepted in its
+ * `reviews` array
+ */
+function createServer(t) {
+  const server = { isOnline: false, status: 201, reviews: [] };
+  t.mock.method(globalThis, "fetch", async (url, { body }) => {
+    if (!server.isOnline) throw new TypeError("Failed to fetch");
+    if (server.status < 400) server.reviews.push(JSON.parse(body));
+    return new Response(body, { status: server.status });
+  });
+  return server;
+}
+
+/**
+ * Lets the page register background syncs with a fake service worker registration.
+ *
+ * @param {Window} window - The window of the page.
+ * @returns {string[]} the tags of the registered background syncs
+ */
+function installFakeBackgroundSync(window) {
+  const tags = [];
+  const registration = { sync: { register: async tag => tags.push(tag) } };
+  Object.defineProperty(window.navigator, "serviceWorker", {
+    value: { getRegistration: async () => registration },
+    configurable: true
+  });
+  return tags;
+}
+
+/**
+ * @param {string} name - The name of the reviewer.
+ * @returns {object} a review as submitted by a user
+ */
+function createReview(name) {
+  return { name, date: "October 26, 2016", rating: 4, comments: "Great noodles" };
+}
+
+/**
+ * @param {string} url - The url of a script of the app, relative to its root.
+ * @returns {string} the code of the script, without its header comment, exports and strict mode
+ * directive
+ */
+function readScriptCode(url) {
+  return fs
+    .readFileSync(path.join(ROOT_PATH, url), "utf8")
+    .replace(/^\/\*[\s\S]*?\*\/\s*/, "")
+    .replace(/^"use strict";\s*/, "")
+    .replace(/^export /gm, "");
+}
+
+describe("ReviewOutbox", () => {
+  let window;
+  before(() => {
+    window = createWindow();
+  });
+
+  // every test starts with empty databases
+  beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+  });
+  afterEach(() => {
+    delete globalThis.indexedDB;
+  });
+
+  it("is the same in the module of the app and the classic script of the service worker", () => {
+    assert.equal(
+      readScriptCode("js/review-outbox.js"),
+      readScriptCode("js/services/review-outbox.js")
+    );
+  });
+
+  it("queues reviews submitted while offline, and asks for a background replay", async t => {
+    createServer(t);
+    const syncTags = installFakeBackgroundSync(window);
+    const backend = new HttpReviewsBackend(API_URL, new ReviewOutbox());
+
+    const pendingReview = await backend.addReview(1, createReview("Ann"));
+    assert.equal(pendingReview.name, "Ann");
+    assert.deepEqual(pendingReview.pending, { id: 1, status: "pending", error: null });
+    assert.deepEqual(syncTags, [REVIEW_OUTBOX_SYNC_TAG]);
+
+    assert.deepEqual(await backend.getReviews(1), [pendingReview]);
+    assert.deepEqual(await backend.getReviews(2), []);
+    delete window.navigator.serviceWorker;
+  });
+
+  it("rejects reviews submitted while offline without an outbox", async t => {
+    createServer(t);
+    const backend = new HttpReviewsBackend(API_URL);
+
+    await assert.rejects(backend.addReview(1, createReview("Ann")), TypeError);
+    assert.deepEqual(await backend.getReviews(1), []);
+  });
+
+  it("replays the queued reviews oldest first once online, and removes them", async t => {
+    const server = createServer(t);
+    const outbox = new ReviewOutbox();
+    for (const name of ["Ann", "Bob"]) {
+      await outbox.add({ restaurantId: 1, url: REVIEWS_URL, review: createReview(name) });
+    }
+
+    server.isOnline = true;
+    await outbox.replayAll();
+    assert.deepEqual(server.reviews.map(review => review.name), ["Ann", "Bob"]);
+    assert.deepEqual(await outbox.getAll(), []);
+  });
+
+  it("keeps the queued reviews pending while the server cannot be reached", async t => {
+    createServer(t);
+    const outbox = new ReviewOutbox();
+    for (const name of ["Ann", "Bob"]) {
+      await outbox.add({ restaurantId: 1, url: REVIEWS_URL, review: createReview(name) });
+    }
+
+    await assert.rejects(outbox.replayAll(), TypeError);
+    const entries = await outbox.getAll();
+    assert.deepEqual(entries.map(entry => entry.status), ["pending", "pending"]);
+    assert.deepEqual(entries.map(entry => entry.claimedAt), [null, null]);
+  });
+
+  it("marks reviews rejected by the server as failed, until retried or discarded", async t => {
+    const server = createServer(t);
+    const outbox = new ReviewOutbox();
+    for (const name of ["Ann", "Bob"]) {
+      await outbox.add({ restaurantId: 1, url: REVIEWS_URL, review: createReview(name) });
+    }
+
+    server.isOnline = true;
+    server.status = 400;
+    await outbox.replayAll();
+    const entries = await outbox.getAll();
+    assert.deepEqual(entries.map(entry => entry.status), ["failed", "failed"]);
+    assert.equal(entries[0].error, "the server rejected the review (400)");
+
+    // failed reviews are only sent again when the user retries them
+    await outbox.replayAll();
+    assert.equal((await outbox.getAll()).length, 2);
+
+    server.status = 201;
+    await outbox.retry(entries[0].id);
+    await outbox.delete(entries[1].id);
+    assert.deepEqual(server.reviews.map(review => review.name), ["Ann"]);
+    assert.deepEqual(await outbox.getAll(), []);
+  });
+
+  it("sends each review once when the app and the service worker replay together", async t => {
+    const server = createServer(t);
+    const appOutbox = new ReviewOutbox();
+    const serviceWorkerOutbox = new ReviewOutbox();
+    await appOutbox.add({ restaurantId: 1, url: REVIEWS_URL, review: createReview("Ann") });
+
+    server.isOnline = true;
+    await Promise.all([appOutbox.replayAll(), serviceWorkerOutbox.replayAll()]);
+    assert.equal(server.reviews.length, 1);
+  });
+
+  it("replays reviews claimed by a replay that never finished, e.g. in a closed page", async t => {
+    const server = createServer(t);
+    const outbox = new ReviewOutbox();
+    const { id } = await outbox.add({
+      restaurantId: 1,
+      url: REVIEWS_URL,
+      review: createReview("Ann")
+    });
+    await outbox._update(id, { status: "sending", claimedAt: Date.now() });
+
+    server.isOnline = true;
+    await outbox.replayAll();
+    assert.equal(server.reviews.length, 0);
+
+    await outbox._update(id, { claimedAt: Date.now() - 61 * 1000 });
+    await outbox.replayAll();
+    assert.equal(server.reviews.length, 1);
+  });
+
+  it("lets the model show queued reviews as pending until they are sent", async t => {
+    const server = createServer(t);
+    const model = new RestaurantsModel({
+      dataSource: new InMemoryDataSource([createRestaurantJson({ id: 1 })]),
+      reviewsBackend: new HttpReviewsBackend(API_URL, new ReviewOutbox()),
+      personalLists: new PersonalListsModel("test-lists"),
+      offlineAreas: new OfflineAreasModel({ storageKey: "test-offline-areas" }),
+      cacheKey: "test-data"
+    });
+    await model.load();
+    const [restaurant] = model.restaurants;
+
+    for (const name of ["Ann", "Bob"]) {
+      await model.addReview(restaurant, { name, rating: 4, comments: "Great noodles" });
+    }
+    assert.deepEqual(restaurant.reviews.map(review => review.pending.status), [
+      "pending",
+      "pending"
+    ]);
+
+    server.isOnline = true;
+    server.status = 400;
+    await model.replayPendingReviews();
+    assert.deepEqual(restaurant.reviews.map(review => review.pending.status), ["failed", "failed"]);
+
+    server.status = 201;
+    await model.retryPendingReview(restaurant.reviews[0].pending.id);
+    await model.discardPendingReview(restaurant.reviews[1].pending.id);
+    assert.deepEqual(restaurant.reviews.map(review => [review.name, review.pending]), [
+      ["Ann", undefined]
+    ]);
+    assert.deepEqual(server.reviews.map(review => review.name), ["Ann"]);
+  });
+});
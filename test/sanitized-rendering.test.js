@@ -0,0 +1,174 @@
+/* test/sanitized-rendering.test.js
+ *
+ * regression tests making sure data from restaurants and reviews is rendered as text. Each
+ * payload would inject elements or scripts into the page if it was rendered as markup.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { RestaurantsListPanelView } from "../js/views/restaurants-list-panel-view.js";
+import {
+  ROOT_PATH,
+  createRestaurantJson,
+  loadApp,
+  navigate,
+  waitForRender
+} from "./helpers/app.js";
+
+const PAYLOADS = [
+  '<img src="x" onerror="window.injected = true">',
+  "<script>window.injected = true</script>",
+  '"><svg onload="window.injected = true"></svg>',
+  '<a href="javascript:window.injected = true">link</a>',
+  '<iframe srcdoc="<script>window.injected = true</script>"></iframe>'
+];
+
+/**
+ * @param {Element} element - The element to check.
+ * @returns {Element[]} the descendants of the element that a payload could have injected: script
+ * and frame elements, elements with event handler attributes, and javascript links
+ */
+function findInjectedElements(element) {
+  return [...element.querySelectorAll("*")].filter(
+    descendant =>
+      descendant.matches("script, iframe, a[href^='javascript:' i]") ||
+      [...descendant.attributes].some(attribute => attribute.name.startsWith("on"))
+  );
+}
+
+/**
+ * @param {string} payload - A hostile payload.
+ * @returns {object} a restaurant json object with the payload in each text field, and a review by
+ * a hostile user
+ */
+function createHostileRestaurantJson(payload) {
+  return createRestaurantJson({
+    name: payload,
+    neighborhood: payload,
+    cuisine_type: payload,
+    address: payload,
+    photograph: payload,
+    operating_hours: { Monday: payload },
+    reviews: [{ name: payload, date: payload, rating: 5, comments: payload }]
+  });
+}
+
+describe("sanitized rendering", () => {
+  for (const payload of PAYLOADS) {
+    describe(`of ${payload}`, () => {
+      it("renders restaurant data in the overview as text", async () => {
+        const app = await loadApp({ restaurants: [createHostileRestaurantJson(payload)] });
+        const itemElement = app.document.querySelector(".restaurant-list-item");
+
+        assert.deepEqual(findInjectedElements(app.document.body), []);
+        assert.equal(itemElement.querySelector("h2").textContent, payload);
+        assert.match(itemElement.textContent, new RegExp(escapeRegExp(payload)));
+        assert.equal(app.document.querySelectorAll(".restaurant-list-item img").length, 1);
+      });
+
+      it("renders restaurant data and reviews in the details view as text", async () => {
+        const app = await loadApp({ restaurants: [createHostileRestaurantJson(payload)] });
+        await navigate(app, "#/restaurant/1");
+        const reviewElement = app.document.querySelector(".restaurant-list-item-review");
+
+        assert.deepEqual(findInjectedElements(app.document.body), []);
+        assert.equal(
+          reviewElement.querySelector(".restaurant-list-item-review-poster-name").textContent,
+          payload
+        );
+        assert.equal(
+          reviewElement.querySelector(".restaurant-list-item-review-comments").textContent,
+          payload
+        );
+        assert.equal(
+          app.document.querySelector(".restaurant-list-item-operating-hours-table td + td")
+            .textContent,
+          payload
+        );
+      });
+
+      it("renders reviews submitted by users as text", async () => {
+        const app = await loadApp({ restaurants: [createRestaurantJson()] });
+        await navigate(app, "#/restaurant/1");
+        await app.controller.addReview(app.controller.selectedRestaurant, {
+          name: payload,
+          rating: 4,
+          comments: payload
+        });
+        await waitForRender(app.window);
+
+        const assertRenderedAsText = () => {
+          const document = app.document;
+          const nameElement = document.querySelector(".restaurant-list-item-review-poster-name");
+          assert.deepEqual(findInjectedElements(document.body), []);
+          assert.equal(nameElement.textContent, payload);
+        };
+        assertRenderedAsText();
+
+        // the stored review is rendered again when the user comes back to the restaurant
+        await navigate(app, "#/");
+        await navigate(app, "#/restaurant/1");
+        assertRenderedAsText();
+      });
+
+      it("renders map markers and filter options as text", async () => {
+        const app = await loadApp({ restaurants: [createHostileRestaurantJson(payload)] });
+        const markerElement = app.document.querySelector(".map-marker");
+        const optionElement = app.document.querySelector("#cuisines-options label");
+
+        assert.deepEqual(findInjectedElements(app.document.querySelector("#map")), []);
+        assert.deepEqual(findInjectedElements(app.document.querySelector(".filter-panel")), []);
+        assert.equal(markerElement.querySelector(".tooltip-text").textContent, payload);
+        assert.equal(markerElement.getAttribute("aria-label"), `${payload}, view details`);
+        assert.equal(optionElement.firstChild.textContent, payload);
+      });
+
+      it("highlights search matches in hostile data as text", async () => {
+        const app = await loadApp({ restaurants: [createHostileRestaurantJson(payload)] });
+        await navigate(app, `#/?search=${encodeURIComponent(payload)}`);
+
+        assert.deepEqual(findInjectedElements(app.document.body), []);
+        assert.equal(app.document.querySelector(".restaurant-list-item h2").textContent, payload);
+      });
+
+      it("renders list panel messages as text", async () => {
+        await loadApp();
+        const messageElement = RestaurantsListPanelView.createMessageElement(payload);
+
+        assert.deepEqual(findInjectedElements(messageElement), []);
+        assert.equal(messageElement.textContent, payload);
+      });
+    });
+  }
+
+  it("keeps restaurant photos inside the image folder", async () => {
+    const app = await loadApp({
+      restaurants: [createRestaurantJson({ photograph: "../../evil.example/photo.jpg" })]
+    });
+    const imageElement = app.document.querySelector(".restaurant-list-item img");
+
+    assert.match(imageElement.getAttribute("src"), /^\/img\/[^/]+$/);
+  });
+
+  it("never parses markup in the app scripts", () => {
+    const files = fs
+      .readdirSync(path.join(ROOT_PATH, "js"), { recursive: true })
+      .filter(file => file.endsWith(".js"));
+    assert.ok(files.includes("app.js"));
+
+    for (const file of files) {
+      const source = fs.readFileSync(path.join(ROOT_PATH, "js", file), "utf8");
+      assert.doesNotMatch(source, /\.(innerHTML|outerHTML)\s*=[^=]|insertAdjacentHTML|\.write\(/);
+    }
+  });
+});
+
+/**
+ * @param {string} text - A text to match literally.
+ * @returns {string} the text with regular expression characters escaped
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
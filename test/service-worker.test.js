@@ -0,0 +1,301 @@
+/* test/service-worker.test.js
+ *
+ * tests of the service worker, run in a context of its own with a fake network and fakes of the
+ * Cache API and of IndexedDB: precaching on install, the caching strategy of each kind of request,
+ * the removal of the caches of earlier versions, and the replay of the review outbox.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import vm from "vm";
+import { IDBFactory } from "fake-indexeddb";
+import { createFakeCaches } from "./helpers/fake-caches.js";
+import { ROOT_PATH } from "./helpers/app.js";
+
+const SERVICE_WORKER_URL = "http://localhost/sw.js";
+const DATA_URL = "http://localhost/data/restaurants.json";
+const CACHED_AT_HEADER = "sw-cached-at";
+
+/**
+ * @returns {object} a response as returned for requests to other hosts without CORS, whose status
+ * and body cannot be read
+ */
+function createOpaqueResponse() {
+  return {
+    type: "opaque",
+    status: 0,
+    ok: false,
+    headers: new Headers(),
+    clone: createOpaqueResponse
+  };
+}
+
+/**
+ * Creates a fake network serving every url, except the urls containing "missing", which are not
+ * found, and the urls of `opaqueHosts`, which are served as opaque responses.
+ *
+ * @param {string[]} opaqueHosts - The hosts serving opaque responses.
+ * @returns {object} the network, which can be taken offline by setting its `isOnline` to false
+ */
+function createNetwork(opaqueHosts = []) {
+  const network = {
+    isOnline: true,
+    fetchedUrls: [],
+    restaurants: [{ id: 1, name: "Mission Chinese Food" }],
+
+    async fetch(request) {
+      const url = new URL(typeof request === "string" ? request : request.url, SERVICE_WORKER_URL);
+      if (!network.isOnline) throw new TypeError("Failed to fetch");
+      network.fetchedUrls.push(url.href);
+
+      if (url.href.includes("missing")) return new Response("", { status: 404 });
+      if (opaqueHosts.includes(url.hostname)) return createOpaqueResponse();
+      if (url.href === DATA_URL) return Response.json(network.restaurants);
+      return new Response(`content of ${url.href}`);
+    }
+  };
+  return network;
+}
+
+/**
+ * Loads the service worker in a context of its own.
+ *
+ * @param {object} network - The fake network the service worker fetches from.
+ * @returns {{caches: object, outbox: object, postedMessages: object[], dispatch: Function,
+ * fetch: Function}} the fake caches of the service worker, its review outbox, the messages it
+ * posted to the app windows, a function dispatching an extendable event to it, e.g. "install",
+ * and a function dispatching a fetch event to it, which resolves to its response
+ */
+function loadServiceWorker(network) {
+  const listeners = {};
+  const postedMessages = [];
+  const context = vm.createContext({
+    console,
+    URL,
+    Headers,
+    Request,
+    Response,
+    location: new URL(SERVICE_WORKER_URL),
+    fetch: request => network.fetch(request),
+    caches: createFakeCaches({ baseUrl: SERVICE_WORKER_URL, fetchResponse: network.fetch }),
+    indexedDB: new IDBFactory(),
+    clients: {
+      claim: async () => {},
+      matchAll: async () => [{ postMessage: message => postedMessages.push(message) }]
+    },
+    skipWaiting: () => {},
+    addEventListener: (type, listener) => (listeners[type] = listener),
+    importScripts: (...urls) => {
+      for (const url of urls) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT_PATH, url), "utf8"), context, {
+          filename: url
+        });
+      }
+    }
+  });
+  context.self = context;
+  vm.runInContext(fs.readFileSync(path.join(ROOT_PATH, "sw.js"), "utf8"), context, {
+    filename: "sw.js"
+  });
+
+  return {
+    caches: context.caches,
+    outbox: vm.runInContext("new ReviewOutbox()", context),
+    postedMessages,
+
+    async dispatch(type, fields = {}) {
+      const promises = [];
+      listeners[type](Object.assign({ waitUntil: promise => promises.push(promise) }, fields));
+      await Promise.all(promises);
+    },
+
+    async fetch(url, fields = {}) {
+      const request = Object.assign(
+        { url: new URL(url, SERVICE_WORKER_URL).href, method: "GET", mode: "no-cors" },
+        { destination: "", cache: "default" },
+        fields
+      );
+      const promises = [];
+      let responsePromise = null;
+      listeners.fetch({
+        request,
+        respondWith: promise => (responsePromise = promise),
+        waitUntil: promise => promises.push(promise)
+      });
+      const response = await responsePromise;
+      await Promise.all(promises);
+      return response;
+    }
+  };
+}
+
+/**
+ * @param {object} worker - A loaded service worker.
+ * @param {string} kind - The kind of cache, e.g. "data".
+ * @returns {object} the cache of the kind of the current version of the service worker
+ */
+function getCache(worker, kind) {
+  const cacheName = [...worker.caches.cachesByName.keys()].find(name =>
+    new RegExp(`^restaurant-reviews-${kind}-v\\d+$`).test(name)
+  );
+  return worker.caches.cachesByName.get(cacheName);
+}
+
+describe("service worker", () => {
+  it("precaches the app files, and the restaurant data with the time of caching", async () => {
+    const network = createNetwork();
+    const worker = loadServiceWorker(network);
+    const installedAt = Date.now();
+    await worker.dispatch("install");
+
+    assert.ok(await getCache(worker, "shell").match("index.html"));
+    assert.ok(await getCache(worker, "shell").match("js/app.js"));
+    const dataResponse = await getCache(worker, "data").match(DATA_URL);
+    assert.ok(Number(dataResponse.headers.get(CACHED_AT_HEADER)) >= installedAt);
+  });
+
+  it("serves the restaurant data from the cache, marked with the time of caching", async () => {
+    const network = createNetwork();
+    const worker = loadServiceWorker(network);
+    await worker.dispatch("install");
+    const cachedAt = (await getCache(worker, "data").match(DATA_URL)).headers.get(CACHED_AT_HEADER);
+
+    network.isOnline = false;
+    const offlineResponse = await worker.fetch(DATA_URL);
+    assert.deepEqual(await offlineResponse.json(), network.restaurants);
+    assert.equal(offlineResponse.headers.get(CACHED_AT_HEADER), cachedAt);
+
+    // online, the cached data is served and updated in the background
+    network.isOnline = true;
+    network.restaurants = [{ id: 2, name: "Emily" }];
+    const onlineResponse = await worker.fetch(DATA_URL);
+    assert.deepEqual(await onlineResponse.json(), [{ id: 1, name: "Mission Chinese Food" }]);
+    const updatedResponse = await getCache(worker, "data").match(DATA_URL);
+    assert.deepEqual(await updatedResponse.json(), network.restaurants);
+  });
+
+  it("caches the opaque responses of map tiles and fonts", async () => {
+    const network = createNetwork(["a.tile.openstreetmap.org", "fonts.googleapis.com"]);
+    const worker = loadServiceWorker(network);
+    const urls = [
+      "https://a.tile.openstreetmap.org/12/1205/1539.png",
+      "https://fonts.googleapis.com/css?family=Roboto&display=swap"
+    ];
+
+    for (const url of urls) await worker.fetch(url);
+    network.isOnline = false;
+    for (const url of urls) assert.equal((await worker.fetch(url)).type, "opaque");
+
+    // cached opaque tiles are served without fetching them again
+    network.isOnline = true;
+    await worker.fetch(urls[0]);
+    assert.deepEqual(network.fetchedUrls, urls);
+  });
+
+  it("never caches error responses, nor opaque responses of other requests", async () => {
+    const network = createNetwork(["example.com"]);
+    const worker = loadServiceWorker(network);
+
+    const response = await worker.fetch("img/missing.jpg", { destination: "image" });
+    assert.equal(response.status, 404);
+    await worker.fetch("https://example.com/photo.jpg", { destination: "image" });
+
+    network.isOnline = false;
+    await assert.rejects(worker.fetch("img/missing.jpg", { destination: "image" }));
+    await assert.rejects(worker.fetch("https://example.com/photo.jpg", { destination: "image" }));
+  });
+
+  it("fetches expired images again, but still serves them while offline", async () => {
+    const network = createNetwork();
+    const worker = loadServiceWorker(network);
+    // the images cache is created by the first image fetched
+    await worker.fetch("img/2.jpg", { destination: "image" });
+    const monthAgo = Date.now() - 31 * 24 * 60 * 60 * 1000;
+    await getCache(worker, "images").put(
+      "img/1.jpg",
+      new Response("old image", { headers: { [CACHED_AT_HEADER]: String(monthAgo) } })
+    );
+
+    network.isOnline = false;
+    const offlineResponse = await worker.fetch("img/1.jpg", { destination: "image" });
+    assert.equal(await offlineResponse.text(), "old image");
+
+    network.isOnline = true;
+    const onlineResponse = await worker.fetch("img/1.jpg", { destination: "image" });
+    assert.equal(await onlineResponse.text(), "content of http://localhost/img/1.jpg");
+    assert.equal(network.fetchedUrls.length, 2);
+  });
+
+  it("serves the app page from the cache of its version, like the app modules", async () => {
+    const network = createNetwork();
+    const worker = loadServiceWorker(network);
+    await worker.dispatch("install");
+    network.fetchedUrls = [];
+
+    for (const url of ["/", "/index.html?dataSource=rest"]) {
+      const response = await worker.fetch(url, { mode: "navigate" });
+      assert.equal(await response.text(), "content of http://localhost/index.html");
+    }
+    const response = await worker.fetch("js/app.js", { mode: "cors" });
+    assert.equal(await response.text(), "content of http://localhost/js/app.js");
+    assert.deepEqual(network.fetchedUrls, []);
+  });
+
+  it("falls back to the cached app for its pages, and to the offline page for others", async () => {
+    const network = createNetwork();
+    const worker = loadServiceWorker(network);
+    await worker.dispatch("install");
+
+    network.isOnline = false;
+    for (const url of ["/", "/index.html?dataSource=rest"]) {
+      const response = await worker.fetch(url, { mode: "navigate" });
+      assert.equal(await response.text(), "content of http://localhost/index.html");
+    }
+    const response = await worker.fetch("/about.html", { mode: "navigate" });
+    assert.equal(await response.text(), "content of http://localhost/offline.html");
+  });
+
+  it("removes the caches of earlier versions on activate", async () => {
+    const worker = loadServiceWorker(createNetwork());
+    for (const name of [
+      "restaurant-reviews-cache",
+      "restaurant-reviews-shell-v1",
+      "restaurant-reviews-offline-areas",
+      "other-app-cache"
+    ]) {
+      await worker.caches.open(name);
+    }
+    await worker.dispatch("install");
+    await worker.dispatch("activate");
+
+    const cacheNames = await worker.caches.keys();
+    assert.equal(cacheNames.includes("restaurant-reviews-cache"), false);
+    assert.equal(cacheNames.includes("restaurant-reviews-shell-v1"), false);
+    assert.ok(cacheNames.includes("restaurant-reviews-offline-areas"));
+    assert.ok(cacheNames.includes("other-app-cache"));
+    assert.ok(getCache(worker, "shell"));
+  });
+
+  it("replays the review outbox on background sync, then tells the app windows", async () => {
+    const network = createNetwork();
+    const worker = loadServiceWorker(network);
+    const url = "http://localhost:1337/restaurants/1/reviews";
+    await worker.outbox.add({ restaurantId: 1, url, review: { name: "Ann", rating: 4 } });
+
+    // a failed replay rejects, so the browser syncs again later
+    network.isOnline = false;
+    await assert.rejects(worker.dispatch("sync", { tag: "review-outbox" }));
+    assert.equal((await worker.outbox.getAll())[0].status, "pending");
+
+    network.isOnline = true;
+    await worker.dispatch("sync", { tag: "review-outbox" });
+    assert.equal((await worker.outbox.getAll()).length, 0);
+    assert.deepEqual(network.fetchedUrls, [url]);
+    assert.deepEqual(
+      worker.postedMessages.map(message => message.type),
+      ["review-outbox-updated", "review-outbox-updated"]
+    );
+  });
+});
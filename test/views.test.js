@@ -0,0 +1,744 @@
+/* test/views.test.js
+ *
+ * tests of what the views render: the restaurant list and details, the filter panel, and the
+ * markers of the Mapbox and Leaflet maps, which are shown with fakes of their libraries.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createApp } from "../js/app.js";
+import { RestaurantsController } from "../js/controllers/restaurants-controller.js";
+import { Restaurant } from "../js/models/restaurant.js";
+import { RestaurantsModel } from "../js/models/restaurants-model.js";
+import { InMemoryDataSource } from "../js/services/data-sources.js";
+import { LeafletMapAdapter } from "../js/views/map-adapters/leaflet-map-adapter.js";
+import { MapboxMapAdapter } from "../js/views/map-adapters/mapbox-map-adapter.js";
+import { RestaurantsListPanelView } from "../js/views/restaurants-list-panel-view.js";
+import { View } from "../js/views/view.js";
+import {
+  createRestaurantJson,
+  createWindow,
+  loadApp,
+  navigate,
+  waitForRender
+} from "./helpers/app.js";
+
+const RESTAURANTS = [
+  createRestaurantJson({
+    id: 1,
+    name: "Mission Chinese Food",
+    neighborhood: "Manhattan",
+    cuisine_type: "Asian",
+    latlng: { lat: 40.713829, lng: -73.989667 },
+    reviews: [{ name: "Steve", date: "October 26, 2016", rating: 4, comments: "Great noodles" }]
+  }),
+  createRestaurantJson({
+    id: 2,
+    name: "Emily",
+    neighborhood: "Brooklyn",
+    cuisine_type: "Pizza",
+    latlng: { lat: 40.683555, lng: -73.966393 }
+  }),
+  createRestaurantJson({
+    id: 3,
+    name: "Kang Ho Dong Baekjeong",
+    neighborhood: "Manhattan",
+    cuisine_type: "Asian",
+    latlng: { lat: 40.747143, lng: -73.985414 }
+  })
+];
+
+/**
+ * @param {Element} element - An element containing restaurant list items.
+ * @returns {string[]} the titles of the list items, in order
+ */
+function listedNames(element) {
+  return [...element.querySelectorAll(".restaurant-list-item h2")].map(
+    titleElement => titleElement.textContent
+  );
+}
+
+describe("View", () => {
+  it("renders the changes of the model once per frame, if its state has changed", async () => {
+    const app = await loadApp({ restaurants: RESTAURANTS });
+    const panelElement = app.document.querySelector(".restaurant-list-panel");
+    let renderCount = 0;
+    const render = app.restaurantsView.render.bind(app.restaurantsView);
+    app.restaurantsView.render = () => {
+      renderCount++;
+      render();
+    };
+
+    app.model.setFilterCriteria({ cuisines: ["Asian"] });
+    app.model.setFilterCriteria({ sort: "name" });
+    app.model.selectRestaurant(null);
+    assert.equal(renderCount, 0);
+    await waitForRender(app.window);
+    assert.equal(renderCount, 1);
+    assert.deepEqual(listedNames(panelElement), ["Kang Ho Dong Baekjeong", "Mission Chinese Food"]);
+
+    // the same restaurants are listed when filtering by the neighborhood of both
+    app.model.setFilterCriteria({ neighborhoods: ["Manhattan"] });
+    await waitForRender(app.window);
+    assert.equal(renderCount, 1);
+  });
+
+  it("stops rendering once destroyed", async () => {
+    const app = await loadApp({ restaurants: RESTAURANTS });
+    const panelElement = app.document.querySelector(".restaurant-list-panel");
+
+    app.model.setFilterCriteria({ cuisines: ["Pizza"] });
+    app.restaurantsView.destroy();
+    await waitForRender(app.window);
+    assert.equal(listedNames(panelElement).length, 3);
+  });
+
+  it("compares slices of the app state by their values", () => {
+    const restaurant = new Restaurant(RESTAURANTS[0]);
+
+    assert.ok(View.isStateEqual([restaurant, { lat: 1 }], [restaurant, { lat: 1 }]));
+    assert.ok(View.isStateEqual({ bounds: [[1, 2], [3, 4]] }, { bounds: [[1, 2], [3, 4]] }));
+    assert.ok(!View.isStateEqual([restaurant], [new Restaurant(RESTAURANTS[0])]));
+    assert.ok(!View.isStateEqual({ lat: 1, lng: 2 }, { lat: 1 }));
+    assert.ok(!View.isStateEqual([1, 2], [2, 1]));
+    assert.ok(!View.isStateEqual(undefined, []));
+  });
+});
+
+describe("RestaurantsListPanelView", () => {
+  it("renders the filtered restaurants of the overview", async () => {
+    const app = await loadApp({ restaurants: RESTAURANTS });
+    const panelElement = app.document.querySelector(".restaurant-list-panel");
+
+    assert.deepEqual(listedNames(panelElement), [
+      "Mission Chinese Food",
+      "Emily",
+      "Kang Ho Dong Baekjeong"
+    ]);
+
+    await navigate(app, "#/?cuisine=Asian&sort=name");
+    assert.deepEqual(listedNames(panelElement), ["Kang Ho Dong Baekjeong", "Mission Chinese Food"]);
+  });
+
+  it("creates list items highlighting search terms and the distance from the origin", async () => {
+    await loadApp();
+    const itemElement = RestaurantsListPanelView.createListItemElement(
+      new Restaurant(RESTAURANTS[0]),
+      ["chinese"],
+      { isFavorite: true, origin: { lat: 40.713829, lng: -73.989667 } }
+    );
+
+    assert.equal(itemElement.dataset.restaurantId, "1");
+    assert.equal(itemElement.querySelector("h2 mark").textContent, "Chinese");
+    assert.equal(itemElement.querySelector("h2").textContent, "Mission Chinese Food");
+    assert.match(itemElement.querySelector(".restaurant-list-item-distance").textContent, /away$/);
+    assert.equal(
+      itemElement.querySelector("button[data-favorite-restaurant-id]").getAttribute("aria-pressed"),
+      "true"
+    );
+  });
+
+  it("shows average ratings in stars rounded to half stars, with a label", async () => {
+    await loadApp();
+    /**
+     * @param {number} averageRating - An average rating.
+     * @param {number} reviewCount - The number of reviews.
+     * @returns {{label: string, stars: string[], text: string}} the label of the stars of the
+     * rendered average rating, the class of each star, and the visible text
+     */
+    const renderAverageRating = (averageRating, reviewCount) => {
+      const element = RestaurantsListPanelView.createListItemAverageRatingElement(
+        averageRating,
+        reviewCount
+      );
+      const starsElement = element.querySelector(".star-rating-span");
+      return {
+        label: starsElement && starsElement.getAttribute("aria-label"),
+        stars: starsElement ? [...starsElement.children].map(star => star.className) : [],
+        text: element.textContent
+      };
+    };
+
+    assert.deepEqual(renderAverageRating(3.3, 3), {
+      label: "Average rating: 3.3 out of 5 stars, from 3 reviews",
+      stars: ["fas fa-star", "fas fa-star", "fas fa-star", "fas fa-star-half-alt", "far fa-star"],
+      text: "3.3 (3 reviews)"
+    });
+    assert.deepEqual(renderAverageRating(3.8, 1).stars.filter(star => star === "fas fa-star"), [
+      "fas fa-star",
+      "fas fa-star",
+      "fas fa-star",
+      "fas fa-star"
+    ]);
+    assert.equal(
+      renderAverageRating(5, 1).label,
+      "Average rating: 5.0 out of 5 stars, from 1 review"
+    );
+    assert.deepEqual(renderAverageRating(null, 0), {
+      label: null,
+      stars: [],
+      text: "No reviews yet"
+    });
+  });
+
+  it("shows the number of reviews per rating in a histogram read as text", async () => {
+    await loadApp();
+    const restaurant = new Restaurant(
+      createRestaurantJson({
+        reviews: [5, 4, 4, 3].map(rating => ({ name: "Ann", rating, comments: "Good" }))
+      })
+    );
+    const summaryElement = RestaurantsListPanelView.createListItemRatingSummaryElement(restaurant);
+    const histogramElement = summaryElement.querySelector(".rating-histogram");
+
+    assert.equal(histogramElement.getAttribute("aria-label"), "Number of reviews per rating");
+    const rowElements = [...histogramElement.querySelectorAll(".rating-histogram-row")];
+    assert.deepEqual(rowElements.map(row => row.querySelector(".screenreader").textContent), [
+      "5 stars: 1 of 4 reviews",
+      "4 stars: 2 of 4 reviews",
+      "3 stars: 1 of 4 reviews",
+      "2 stars: 0 of 4 reviews",
+      "1 star: 0 of 4 reviews"
+    ]);
+    assert.deepEqual(
+      rowElements.map(row => row.querySelector(".rating-histogram-bar-fill").style.width),
+      ["25%", "50%", "25%", "0%", "0%"]
+    );
+    // the bars and counts repeat the text visually, so they are hidden for screen readers
+    for (const rowElement of rowElements) {
+      for (const element of rowElement.querySelectorAll(":scope > :not(.screenreader)")) {
+        assert.equal(element.getAttribute("aria-hidden"), "true");
+      }
+    }
+
+    // restaurants without reviews only state that
+    const unratedElement = RestaurantsListPanelView.createListItemRatingSummaryElement(
+      new Restaurant(createRestaurantJson())
+    );
+    assert.equal(unratedElement.querySelector(".rating-histogram"), null);
+    assert.equal(unratedElement.textContent, "No reviews yet");
+  });
+
+  it("renders the details and reviews of the selected restaurant", async () => {
+    const app = await loadApp({ restaurants: RESTAURANTS });
+    await navigate(app, "#/restaurant/1");
+    const panelElement = app.document.querySelector(".restaurant-list-panel");
+
+    assert.deepEqual(listedNames(panelElement), ["Mission Chinese Food"]);
+    assert.equal(
+      panelElement.querySelector(".restaurant-list-item-review-comments").textContent,
+      "Great noodles"
+    );
+    assert.ok(panelElement.querySelector("form"));
+  });
+
+  it("renders a not found message for unknown restaurants", async () => {
+    const app = await loadApp({ restaurants: RESTAURANTS });
+    await navigate(app, "#/restaurant/42");
+    const panelElement = app.document.querySelector(".restaurant-list-panel");
+
+    assert.deepEqual(listedNames(panelElement), []);
+    assert.ok(panelElement.querySelector("a[href]"));
+  });
+
+  it("highlights search terms in titles and reviews, ignoring case and diacritics", async () => {
+    const app = await loadApp({
+      restaurants: [
+        createRestaurantJson({
+          id: 1,
+          name: "Café Crème",
+          reviews: [
+            { name: "Ann", date: "October 26, 2016", rating: 5, comments: "The best CAFE creme" }
+          ]
+        })
+      ]
+    });
+    /**
+     * @param {string} selector - The selector of an element of the list panel.
+     * @returns {string[]} the highlighted parts of the text of the element
+     */
+    const highlightedTexts = selector =>
+      [...app.document.querySelectorAll(`.restaurant-list-panel ${selector} mark`)].map(
+        markElement => markElement.textContent
+      );
+
+    await navigate(app, "#/?search=cafe%20cr%C3%A8me");
+    assert.deepEqual(highlightedTexts("h2"), ["Café", "Crème"]);
+    assert.equal(app.document.querySelector(".restaurant-list-panel h2").textContent, "Café Crème");
+
+    await navigate(app, "#/restaurant/1");
+    assert.deepEqual(highlightedTexts(".restaurant-list-item-review-comments"), ["CAFE", "creme"]);
+    assert.equal(
+      app.document.querySelector(".restaurant-list-item-review-comments").innerHTML,
+      "The best <mark>CAFE</mark> <mark>creme</mark>"
+    );
+  });
+
+  it("renders the directions to a restaurant, keeping the travel mode inputs", async () => {
+    const app = await loadApp({
+      restaurants: RESTAURANTS,
+      config: {
+        locationProvider: "fixed",
+        location: { lat: 40.72, lng: -73.99 },
+        routingEngine: "straight"
+      }
+    });
+    await navigate(app, "#/restaurant/2");
+    await app.controller.locateUserForDirections();
+    await waitForRender(app.window);
+
+    // the location of the user is kept for the overview, and rendered by the filter panel
+    assert.equal(app.filterView.clearLocationButtonElement.classList.contains("hidden"), false);
+    const sectionElement = app.document.querySelector(".restaurant-list-item-directions-section");
+    assert.match(sectionElement.querySelector(".directions-status").textContent, /straight line/);
+
+    const inputElement = sectionElement.querySelector("input[name=directions-mode]:not(:checked)");
+    inputElement.focus();
+    inputElement.click();
+    await waitForRender(app.window);
+    assert.equal(app.controller.directionsMode, inputElement.value);
+    assert.equal(
+      app.document.querySelector(".restaurant-list-item-directions-section"),
+      sectionElement
+    );
+    assert.equal(app.document.activeElement, inputElement);
+  });
+
+  it("only finds directions to a restaurant once the user asks for them", async t => {
+    const app = await loadApp({ restaurants: RESTAURANTS, config: { routingEngine: "straight" } });
+    const route = t.mock.method(app.controller.routingEngine, "route");
+    await navigate(app, "#/restaurant/2");
+    const sectionSelector = ".restaurant-list-item-directions-section";
+    const findButtonSelector = "button[data-directions-action=find]";
+    assert.equal(app.document.querySelector(sectionSelector).querySelector(findButtonSelector), null);
+
+    // the location chosen in the filter panel is offered, but not sent to the routing engine
+    app.controller.chooseOrigin({ lat: 40.72, lng: -73.99 });
+    await waitForRender(app.window);
+    await navigate(app, "#/restaurant/2");
+    assert.equal(route.mock.callCount(), 0);
+
+    app.document.querySelector(sectionSelector).querySelector(findButtonSelector).click();
+    await waitForRender(app.window);
+    await waitForRender(app.window);
+    assert.ok(route.mock.callCount() > 0);
+    const statusElement = app.document.querySelector(".directions-status");
+    assert.match(statusElement.textContent, /straight line/);
+  });
+
+  it("renders into its own element with an injected controller", async () => {
+    const app = await loadApp();
+    const controller = new RestaurantsController({
+      model: new RestaurantsModel({
+        dataSource: new InMemoryDataSource(RESTAURANTS.slice(1)),
+        cacheKey: "test-data"
+      })
+    });
+    await controller.model.load();
+
+    const panelElement = app.document.createElement("section");
+    new RestaurantsListPanelView(panelElement, controller).render();
+    controller.destroy();
+
+    assert.deepEqual(listedNames(panelElement), ["Emily", "Kang Ho Dong Baekjeong"]);
+  });
+
+  it("shows placeholders while loading, and offers to retry if loading failed", async () => {
+    const window = createWindow();
+    const panelElement = window.document.querySelector(".restaurant-list-panel");
+    // a data source failing once, like a static file while the network is down, once the test
+    // lets it respond
+    let attemptCount = 0;
+    let respond = null;
+    const dataSource = {
+      fetchRestaurants: async () => {
+        if (++attemptCount > 1) return RESTAURANTS;
+        await new Promise(resolve => (respond = resolve));
+        throw new Error("fetching failed (503)");
+      }
+    };
+    const app = createApp({ root: window.document.body, dataSource, mapProvider: "schematic" });
+
+    await waitForRender(window);
+    assert.ok(panelElement.querySelector(".restaurant-list-item-skeleton"));
+    respond();
+    await waitForRender(window);
+    assert.equal(panelElement.querySelector(".restaurant-list-item-skeleton"), null);
+    assert.match(
+      panelElement.querySelector(".restaurant-list-panel-load-error").textContent,
+      /fetching failed \(503\)/
+    );
+
+    panelElement.querySelector(".restaurant-list-panel-retry-button").click();
+    await waitForRender(window);
+    assert.equal(panelElement.querySelector(".restaurant-list-panel-load-error"), null);
+    assert.equal(listedNames(panelElement).length, 3);
+    app.destroy();
+  });
+
+  it("tells the user when cached data is shown, e.g. while offline", async () => {
+    const app = await loadApp({ restaurants: RESTAURANTS });
+    const cachedAt = new Date("2024-05-01T12:00:00Z");
+    const noticeText = dataStatus => {
+      const noticesElement = RestaurantsListPanelView.createDataNoticesElement(
+        Object.assign({ state: "loaded", error: null, cachedAt, skippedRecords: [] }, dataStatus)
+      );
+      return noticesElement && noticesElement.textContent;
+    };
+
+    // the service worker serves cached data while online, and updates it in the background
+    assert.equal(noticeText({}), null);
+    assert.match(
+      noticeText({ error: new TypeError("Failed to fetch") }),
+      /^The restaurants could not be updated, showing cached data from /
+    );
+
+    Object.defineProperty(app.window.navigator, "onLine", { value: false, configurable: true });
+    assert.match(noticeText({}), /^You are offline, showing cached data from /);
+  });
+
+  describe("overview list", () => {
+    /**
+     * @param {object} app - An app loaded by loadApp.
+     * @returns {Map.<string, Element>} the overview list items by restaurant id
+     */
+    const listItems = app =>
+      new Map(
+        [...app.document.querySelectorAll(".restaurant-list-item")].map(itemElement => [
+          itemElement.dataset.restaurantId,
+          itemElement
+        ])
+      );
+
+    /**
+     * @param {number} count - The number of restaurants to create.
+     * @returns {object[]} restaurant json objects named by their ids
+     */
+    const createManyRestaurants = count =>
+      Array.from({ length: count }, (value, index) =>
+        createRestaurantJson({ id: index + 1, name: `Restaurant ${index + 1}` })
+      );
+
+    it("reuses the items of restaurants listed already as the user filters", async () => {
+      const app = await loadApp({ restaurants: RESTAURANTS });
+      const listElement = app.document.querySelector(".restaurant-list");
+      const itemElements = listItems(app);
+
+      await navigate(app, "#/?cuisine=Asian&sort=name");
+      assert.equal(app.document.querySelector(".restaurant-list"), listElement);
+      assert.deepEqual([...listItems(app).keys()], ["3", "1"]);
+      assert.equal(listItems(app).get("1"), itemElements.get("1"));
+      assert.equal(listItems(app).get("3"), itemElements.get("3"));
+      assert.equal(itemElements.get("2").isConnected, false);
+
+      await navigate(app, "#/?sort=name");
+      assert.deepEqual(listedNames(listElement), [
+        "Emily",
+        "Kang Ho Dong Baekjeong",
+        "Mission Chinese Food"
+      ]);
+      assert.equal(listItems(app).get("1"), itemElements.get("1"));
+    });
+
+    it("updates reused items in place, keeping their images", async () => {
+      const app = await loadApp({ restaurants: RESTAURANTS });
+      const itemElement = listItems(app).get("1");
+      const imageElement = itemElement.querySelector("img");
+
+      await navigate(app, "#/?search=chinese");
+      assert.equal(listItems(app).get("1"), itemElement);
+      assert.equal(itemElement.querySelector("img"), imageElement);
+      assert.equal(itemElement.querySelector("h2 mark").textContent, "Chinese");
+      assert.equal(imageElement.getAttribute("loading"), "lazy");
+    });
+
+    it("keeps the focus where it is as the user filters", async () => {
+      const app = await loadApp({ restaurants: RESTAURANTS });
+      const linkElement = listItems(app).get("3").querySelector("a.restaurant-list-item-button");
+      linkElement.focus();
+
+      await navigate(app, "#/?neighborhood=Manhattan");
+      assert.equal(app.document.activeElement, linkElement);
+    });
+
+    /**
+     * @param {object} app - An app loaded by loadApp.
+     * @returns {string} the status of the listed window of the overview list
+     */
+    const moreStatus = app =>
+      app.document.querySelector(".restaurant-list-more-status").textContent;
+
+    /**
+     * @param {object} app - An app loaded by loadApp.
+     * @returns {object} the fake IntersectionObserver listing more restaurants as the user scrolls
+     */
+    const pagingObserver = app => app.window.IntersectionObserver.instances[0];
+
+    it("lists long overviews a page at a time", async () => {
+      const app = await loadApp({ restaurants: createManyRestaurants(120) });
+
+      assert.equal(listItems(app).size, RestaurantsListPanelView.pageSize);
+      assert.equal(moreStatus(app), "Showing 50 of 120 restaurants");
+      assert.equal(listItems(app).get("50").getAttribute("aria-posinset"), "50");
+      assert.equal(listItems(app).get("50").getAttribute("aria-setsize"), "120");
+
+      app.document.querySelector(".restaurant-list-more-button").click();
+      assert.equal(listItems(app).size, 100);
+      assert.equal(moreStatus(app), "Showing 100 of 120 restaurants");
+      assert.equal(app.document.activeElement.closest("li").dataset.restaurantId, "51");
+
+      const moreElement = app.document.querySelector(".restaurant-list-more");
+      pagingObserver(app).intersect(moreElement);
+      assert.equal(listItems(app).size, 120);
+      assert.equal(moreElement.isConnected, false);
+      assert.equal(pagingObserver(app).targets.has(moreElement), false);
+    });
+
+    it("lists more restaurants only if there are more than a page", async () => {
+      let app = await loadApp({ restaurants: createManyRestaurants(50) });
+      assert.equal(listItems(app).size, 50);
+      assert.equal(app.document.querySelector(".restaurant-list-more"), null);
+
+      app = await loadApp({ restaurants: createManyRestaurants(51) });
+      assert.equal(listItems(app).size, 50);
+      assert.equal(moreStatus(app), "Showing 50 of 51 restaurants");
+      app.document.querySelector(".restaurant-list-more-button").click();
+      assert.equal(listItems(app).size, 51);
+      assert.equal(app.document.querySelector(".restaurant-list-more"), null);
+      assert.equal(pagingObserver(app).targets.size, 0);
+    });
+
+    it("lists a window of restaurants moving as the user scrolls", async () => {
+      const app = await loadApp({ restaurants: createManyRestaurants(200) });
+      for (let page = 1; page < 4; page++) {
+        pagingObserver(app).intersect(app.document.querySelector(".restaurant-list-more-next"));
+      }
+
+      assert.equal(listItems(app).size, RestaurantsListPanelView.maxListedCount);
+      assert.deepEqual([listItems(app).keys().next().value, [...listItems(app).keys()].pop()], [
+        "51",
+        "200"
+      ]);
+      assert.equal(listItems(app).get("51").getAttribute("aria-posinset"), "51");
+      assert.equal(moreStatus(app), "Showing 51\u2013200 of 200 restaurants");
+      assert.equal(app.document.querySelector(".restaurant-list-more-next"), null);
+
+      const previousElement = app.document.querySelector(".restaurant-list-more-previous");
+      assert.equal(app.document.querySelector(".restaurant-list").firstChild, previousElement);
+      previousElement.querySelector("button").click();
+      assert.equal(listItems(app).size, RestaurantsListPanelView.maxListedCount);
+      assert.equal(listItems(app).has("1"), true);
+      assert.equal(listItems(app).has("151"), false);
+      assert.equal(app.document.activeElement.closest("li").dataset.restaurantId, "1");
+      assert.equal(previousElement.isConnected, false);
+      assert.equal(pagingObserver(app).targets.has(previousElement), false);
+      assert.ok(app.document.querySelector(".restaurant-list-more-next"));
+    });
+
+    it("lists the first page again once the user changes the filter", async () => {
+      const app = await loadApp({ restaurants: createManyRestaurants(120) });
+      app.document.querySelector(".restaurant-list-more-button").click();
+      assert.equal(listItems(app).size, 100);
+
+      await navigate(app, "#/?sort=name");
+      assert.equal(listItems(app).size, 50);
+      assert.equal(moreStatus(app), "Showing 50 of 120 restaurants");
+    });
+
+    it("lists the first page again once the user returns from details", async () => {
+      const app = await loadApp({ restaurants: createManyRestaurants(120) });
+      app.document.querySelector(".restaurant-list-more-button").click();
+      const moreElement = app.document.querySelector(".restaurant-list-more");
+
+      await navigate(app, "#/restaurant/2");
+      await navigate(app, "#/");
+      assert.equal(listItems(app).size, 50);
+      assert.equal(moreStatus(app), "Showing 50 of 120 restaurants");
+      assert.deepEqual(
+        [...pagingObserver(app).targets],
+        [app.document.querySelector(".restaurant-list-more")]
+      );
+      assert.notEqual(app.document.querySelector(".restaurant-list-more"), moreElement);
+    });
+
+    it("lists the restaurant activated on the map if it is not listed yet", async () => {
+      const app = await loadApp({ restaurants: createManyRestaurants(120) });
+      const scrolledElements = [];
+      app.window.Element.prototype.scrollIntoView = function() {
+        scrolledElements.push(this);
+      };
+
+      app.controller.activateRestaurant(app.controller.filteredRestaurants[109], {
+        isFromMap: true
+      });
+      await waitForRender(app.window);
+      assert.equal(listItems(app).size, 20);
+      assert.equal(moreStatus(app), "Showing 101\u2013120 of 120 restaurants");
+      assert.deepEqual(scrolledElements, [listItems(app).get("110")]);
+    });
+  });
+});
+
+describe("RestaurantsFilterPanelView", () => {
+  it("renders the options of the loaded restaurants with their counts", async () => {
+    const app = await loadApp({ restaurants: RESTAURANTS });
+    const optionLabels = selector =>
+      [...app.document.querySelectorAll(`${selector} label`)].map(
+        labelElement => labelElement.textContent
+      );
+
+    assert.deepEqual(optionLabels("#cuisines-options"), ["Asian (2)", "Pizza (1)"]);
+    assert.deepEqual(optionLabels("#neighborhoods-options"), ["Manhattan (2)", "Brooklyn (1)"]);
+
+    // the counts of other filters follow the criteria, the counts of the filter itself do not
+    await navigate(app, "#/?cuisine=Pizza");
+    assert.deepEqual(optionLabels("#cuisines-options"), ["Asian (2)", "Pizza (1)"]);
+    assert.deepEqual(optionLabels("#neighborhoods-options"), ["Manhattan (0)", "Brooklyn (1)"]);
+    assert.equal(app.document.querySelector("#cuisines-options input[value=Pizza]").checked, true);
+  });
+
+  it("imports lists from files, stating the outcome, and exports them to a file", async t => {
+    const app = await loadApp({ restaurants: RESTAURANTS });
+    const listsStatusElement = app.document.querySelector(".filter-panel-lists-status");
+    const listNames = () =>
+      [...app.filterView.listSelectElement.options].slice(1).map(option => option.dataset.label);
+    // a stand-in for the files chosen in the file input, which jsdom cannot read
+    const createFile = (name, text) => ({ name, text: async () => text });
+
+    await app.filterView.importLists(createFile("notes.txt", "Dinner: Emily"));
+    assert.equal(
+      listsStatusElement.textContent,
+      "The lists could not be imported: the file is not a valid JSON file"
+    );
+    assert.ok(listsStatusElement.classList.contains("filter-panel-lists-status-error"));
+
+    const exportedData = {
+      type: "restaurant-reviews-lists",
+      version: 1,
+      favorites: [2],
+      lists: [{ name: "Dinner", restaurantIds: [1, 2] }]
+    };
+    await app.filterView.importLists(createFile("lists.json", JSON.stringify(exportedData)));
+    await waitForRender(app.window);
+    assert.equal(
+      listsStatusElement.textContent,
+      "Imported 1 favorites and 1 lists from lists.json"
+    );
+    assert.equal(listsStatusElement.classList.contains("filter-panel-lists-status-error"), false);
+    assert.deepEqual(listNames(), ["Dinner"]);
+
+    // the export is downloaded through a link to the exported file
+    const blobs = [];
+    t.mock.method(URL, "createObjectURL", blob => {
+      blobs.push(blob);
+      return "blob:lists";
+    });
+    const revokeObjectURL = t.mock.method(URL, "revokeObjectURL", () => {});
+    const click = t.mock.method(app.window.HTMLAnchorElement.prototype, "click", () => {});
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    app.filterView.exportListsButtonElement.click();
+    assert.equal(click.mock.calls[0].this.download, "restaurant-lists.json");
+    assert.deepEqual(JSON.parse(await blobs[0].text()), exportedData);
+    assert.equal(listsStatusElement.textContent, "Your favorites and lists have been exported");
+    // the url of the file is only revoked once the download has started
+    assert.equal(revokeObjectURL.mock.callCount(), 0);
+    t.mock.timers.tick(1000);
+    assert.deepEqual(revokeObjectURL.mock.calls[0].arguments, ["blob:lists"]);
+  });
+});
+
+describe("MapView", () => {
+  /**
+   * @param {object} app - An app loaded by loadApp.
+   * @returns {string[]} the ids of the markers on the map, in order
+   */
+  const markerIds = app =>
+    [...app.document.querySelectorAll("#map .map-marker")].map(markerElement => markerElement.id);
+
+  // the Mapbox map requires an access token of the hosting page
+  const MAPBOX_CONFIG = { mapProvider: "mapbox", mapboxAccessToken: "pk.test" };
+
+  it("shows a marker for each filtered restaurant on the Mapbox map", async () => {
+    const app = await loadApp({ restaurants: RESTAURANTS, config: MAPBOX_CONFIG });
+    const map = app.mapView.map.map;
+
+    assert.ok(app.mapView.map instanceof MapboxMapAdapter);
+    assert.deepEqual(markerIds(app), ["map-marker-1", "map-marker-2", "map-marker-3"]);
+    assert.ok(map.calls.some(([method]) => method === "fitBounds"));
+
+    await navigate(app, "#/?neighborhood=Brooklyn");
+    assert.deepEqual(markerIds(app), ["map-marker-2"]);
+  });
+
+  it("marks the marker of the restaurant active in the list", async () => {
+    const app = await loadApp({ restaurants: RESTAURANTS, config: MAPBOX_CONFIG });
+    const itemElement = app.document.querySelector(".restaurant-list-item[data-restaurant-id='3']");
+
+    itemElement.dispatchEvent(new app.window.MouseEvent("mouseover", { bubbles: true }));
+    await waitForRender(app.window);
+    assert.deepEqual(
+      [...app.document.querySelectorAll("#map .map-marker-active")].map(element => element.id),
+      ["map-marker-3"]
+    );
+  });
+
+  it("moves the map to the selected restaurant", async () => {
+    const app = await loadApp({ restaurants: RESTAURANTS, config: MAPBOX_CONFIG });
+    const map = app.mapView.map.map;
+    await navigate(app, "#/restaurant/2");
+
+    const [method, options] = map.calls[map.calls.length - 1];
+    assert.equal(method, "easeTo");
+    assert.equal(options.center.lat, 40.683555);
+    assert.equal(options.center.lng, -73.966393);
+  });
+
+  it("shows the Leaflet map if no Mapbox access token is configured", async t => {
+    const log = t.mock.method(console, "log", () => {});
+    const app = await loadApp({ restaurants: RESTAURANTS, config: { mapProvider: "mapbox" } });
+
+    assert.ok(app.mapView.map instanceof LeafletMapAdapter);
+    assert.match(log.mock.calls[0].arguments[0], /no Mapbox access token is configured/);
+  });
+
+  it("shows a marker for each filtered restaurant on the Leaflet map", async () => {
+    const app = await loadApp({ restaurants: RESTAURANTS, config: { mapProvider: "leaflet" } });
+
+    assert.ok(app.mapView.map instanceof LeafletMapAdapter);
+    assert.deepEqual(markerIds(app), ["map-marker-1", "map-marker-2", "map-marker-3"]);
+  });
+
+  it("saves Leaflet maps for offline use only on tile servers allowing it", async () => {
+    const canSaveOfflineAreas = async config => {
+      const app = await loadApp({
+        restaurants: RESTAURANTS,
+        config: Object.assign({ mapProvider: "leaflet" }, config)
+      });
+      return app.mapView.map.canSaveOfflineAreas;
+    };
+
+    // the OpenStreetMap tile servers forbid bulk downloads, even if offline use is configured
+    assert.equal(await canSaveOfflineAreas({}), false);
+    assert.equal(await canSaveOfflineAreas({ tileOfflineUse: true }), false);
+    assert.equal(
+      await canSaveOfflineAreas({ tileUrl: "https://tiles.example.com/{z}/{x}/{y}.png" }),
+      false
+    );
+    assert.equal(
+      await canSaveOfflineAreas({
+        tileUrl: "https://tiles.example.com/{z}/{x}/{y}.png",
+        tileOfflineUse: true
+      }),
+      true
+    );
+  });
+
+  it("tells OpenStreetMap tile urls apart", () => {
+    const isOpenStreetMapTileUrl = LeafletMapAdapter.isOpenStreetMapTileUrl;
+
+    assert.equal(isOpenStreetMapTileUrl("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}"), true);
+    assert.equal(isOpenStreetMapTileUrl("//tile.openstreetmap.org/{z}/{x}/{y}.png"), true);
+    assert.equal(isOpenStreetMapTileUrl("https://example.com/tile.openstreetmap.org/"), false);
+    assert.equal(isOpenStreetMapTileUrl("https://tile.openstreetmap.org.example/"), false);
+  });
+});